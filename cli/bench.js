@@ -0,0 +1,363 @@
+/**
+ * bench.js
+ * --------------------------------------------------------------------------
+ * 合成コーパスによるフィルタのベンチマークとプロファイル
+ *
+ * ▼ 構成
+ *   - generateCorpus()
+ *       大きな明細書（段落 300 個）と長い拒絶理由通知（約 30 ページ）を
+ *       固定のシードから生成する。同じ CORPUS_VERSION なら毎回同じ文字列になるため、
+ *       バージョン間で結果を比べられる。
+ *   - runBench()
+ *       各ケースを 1 回空回ししてから repeat 回変換し、全体の所要時間（中央値）と
+ *       FilterRegistry のプロファイル（ステップ別の時間・文字数・ヒープ増加量）を集める。
+ *   - formatProfile() / formatReport()
+ *       集計結果を表形式の文字列にする。--compare で以前の JSON と比べる。
+ *
+ * ▼ 注意点
+ *   - ヒープ増加量は process.memoryUsage().heapUsed の差分で、GC の影響を受ける目安の値。
+ *   - 時間は実行環境の負荷に左右されるため、比べるときは同じマシンで続けて測る。
+ * --------------------------------------------------------------------------
+ */
+
+"use strict";
+
+const { createRuntime, convertText } = require("./nodeRuntime");
+
+/** コーパスの版（生成内容を変えたら上げる。版が違う結果同士は比べない） */
+const CORPUS_VERSION = 1;
+
+/** 生成に使うシード */
+const SEED = 20240611;
+
+/** 表に出すステップ数の既定値 */
+const DEFAULT_LIMIT = 8;
+
+/**
+ * @typedef {Object} BenchCase
+ * @property {string} name ケース名（コーパス名）
+ * @property {string} mode モードキー
+ * @property {string} text 入力文字列
+ */
+
+/**
+ * 固定シードの擬似乱数（mulberry32）
+ * @param {number} seed
+ * @returns {() => number} 0 以上 1 未満の値を返す関数
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 数字を全角にする（桁数を指定した場合は 0 埋め）
+ * @param {number} n
+ * @param {number} [width]
+ * @returns {string}
+ */
+function zen(n, width) {
+  return String(n)
+    .padStart(width || 0, "0")
+    .replace(/[0-9]/g, (d) => String.fromCharCode(d.charCodeAt(0) + 0xfee0));
+}
+
+/** 文を組み立てる部品（主語・対象・動作） */
+const SUBJECTS = ["基地局", "端末装置", "制御部", "通信部", "記憶部", "送信回路", "受信回路", "処理装置", "サーバ", "中継装置"];
+const OBJECTS = [
+  "rrc setup request",
+  "harq-ack情報",
+  "下りリンク制御情報",
+  "参照信号",
+  "ビーム識別子",
+  "ssb",
+  "pdcch",
+  "測定報告",
+  "タイミングアドバンス値",
+  "wi-fi access point",
+  "qos flow",
+  "ue capability information"
+];
+const ACTIONS = ["送信する", "受信する", "決定する", "記憶する", "更新する", "通知する", "選択する", "測定する"];
+
+/**
+ * 1 文を生成する
+ * @param {() => number} random
+ * @returns {string}
+ */
+function sentence(random) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const step = "Ｓ" + zen(100 + Math.floor(random() * 60));
+  return (
+    pick(SUBJECTS) + "は、ステップ" + step + "において、" + pick(OBJECTS) + "に基づいて" + pick(OBJECTS) + "を" + pick(ACTIONS) +
+    "（図" + zen(1 + Math.floor(random() * 12)) + "参照）。"
+  );
+}
+
+/**
+ * 段落 300 個の明細書を生成する（paragraph / html 系モード用）
+ * @param {() => number} random
+ * @param {number} paragraphs 段落数
+ * @returns {string}
+ */
+function generateSpecification(random, paragraphs) {
+  const headings = ["【技術分野】", "【背景技術】", "【発明が解決しようとする課題】", "【課題を解決するための手段】", "【発明を実施するための形態】"];
+  const lines = ["【書類名】明細書", "【発明の名称】無線通信システム、基地局及び端末装置"];
+  for (let i = 1; i <= paragraphs; i++) {
+    const heading = headings[Math.floor(((i - 1) * headings.length) / paragraphs)];
+    if (lines.indexOf(heading) === -1) lines.push(heading);
+    lines.push("【" + zen(i, 4) + "】");
+    const count = 2 + Math.floor(random() * 4);
+    let body = "";
+    for (let k = 0; k < count; k++) body += sentence(random);
+    if (i > 10 && random() < 0.3) {
+      body += "詳細は段落［" + zen(1 + Math.floor(random() * (i - 1)), 4) + "］で説明したとおりである。";
+    }
+    lines.push("　" + body);
+  }
+  lines.push("【符号の説明】", "【" + zen(paragraphs + 1, 4) + "】", "　１０　基地局、２０　端末装置、３０　サーバ");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * 約 30 ページ（1 ページ 40 字 × 30 行を目安）の拒絶理由通知を生成する（officeAction / pct 用）
+ * @param {() => number} random
+ * @param {number} pages ページ数
+ * @returns {string}
+ */
+function generateDecision(random, pages) {
+  const target = pages * 40 * 30;
+  const lines = [
+    "この出願は、次の理由によって拒絶をすべきものです。これについて意見がありましたら、この通知書の発送の日から６０日以内に意見書を提出してください。",
+    "",
+    "理　由",
+    "",
+    "１．（新規性）この出願の下記の請求項に係る発明は、その出願前に日本国内又は外国において、頒布された下記の刊行物に記載された発明であるから、特許法第２９条第１項第３号に該当し、特許を受けることができない。",
+    "",
+    "２．（進歩性）この出願の下記の請求項に係る発明は、その出願前に日本国内又は外国において、頒布された下記の刊行物に記載された発明に基づいて、その出願前にその発明の属する技術の分野における通常の知識を有する者が容易に発明をすることができたものであるから、特許法第２９条第２項の規定により特許を受けることができない。",
+    "",
+    "　　　　　　　　　　　　　　　　　記　（引用文献等については引用文献等一覧参照）",
+    ""
+  ];
+  let length = lines.join("\n").length;
+  let claim = 1;
+  let reason = 1;
+  while (length < target) {
+    const citation = 1 + Math.floor(random() * 4);
+    const paragraph = 10 + Math.floor(random() * 200);
+    const block = [
+      "●理由" + zen(reason) + "（" + (reason % 2 ? "新規性" : "進歩性") + "）について",
+      "",
+      "・請求項　" + zen(claim) + "－" + zen(claim + 2),
+      "・引用文献等　" + zen(citation),
+      "・備考",
+      "　引用文献" + zen(citation) + "（特に段落［" + zen(paragraph, 4) + "］－［" + zen(paragraph + 6, 4) + "］、図" + zen(1 + Math.floor(random() * 9)) + "を参照。）には、次の発明が記載されている。",
+      "　" + sentence(random) + sentence(random) + sentence(random),
+      "　請求項" + zen(claim) + "に係る発明と引用文献" + zen(citation) + "に記載された発明とを対比すると、両者は次の点で相違する。",
+      "　（相違点）" + sentence(random) + sentence(random),
+      "　しかしながら、" + sentence(random) + "ことは、本願の出願前に周知の技術（例えば、引用文献" + zen(1 + (citation % 4)) + "の段落［" + zen(paragraph + 11, 4) + "］を参照。）である。",
+      "　よって、請求項" + zen(claim) + "－" + zen(claim + 2) + "に係る発明は、特許法第２９条第２項の規定により特許を受けることができない。",
+      ""
+    ];
+    lines.push(...block);
+    length += block.join("\n").length + 1;
+    claim += 3;
+    reason += 1;
+  }
+  lines.push(
+    "＜拒絶の理由を発見しない請求項＞",
+    "　請求項（" + zen(claim) + "）に係る発明については、現時点では、拒絶の理由を発見しない。拒絶の理由が新たに発見された場合には拒絶の理由が通知される。",
+    "",
+    "引　用　文　献　等　一　覧",
+    "１．国際公開第２０１９／１２３４５６号",
+    "２．特開２０１８－０１２３４５号公報",
+    "３．米国特許出願公開第２０１７／０１２３４５６号明細書",
+    "４．特開２０１６－２３４５６７号公報",
+    ""
+  );
+  return lines.join("\n");
+}
+
+/**
+ * ベンチマーク用のコーパスを生成する
+ * @returns {BenchCase[]}
+ */
+function generateCorpus() {
+  const spec = generateSpecification(createRandom(SEED), 300);
+  const decision = generateDecision(createRandom(SEED + 1), 30);
+  return [
+    { name: "spec-300", mode: "paragraph", text: spec },
+    { name: "spec-300", mode: "html", text: spec },
+    { name: "spec-300", mode: "htmlDocument", text: spec },
+    { name: "decision-30p", mode: "officeAction", text: decision },
+    { name: "decision-30p", mode: "pct", text: decision }
+  ];
+}
+
+/**
+ * 数値配列の中央値
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * ベンチマークを実行する
+ *
+ * @param {Object} [options]
+ * @param {number} [options.repeat] ケースごとの計測回数（既定 5）
+ * @param {string} [options.mode] 指定したモードのケースだけを実行する
+ * @param {(line: string) => void} [options.log] 進捗出力先（既定は標準エラー）
+ * @returns {Promise<Object>} JSON にできる結果（format: "pddc-bench"）
+ */
+async function runBench(options) {
+  const opts = options || {};
+  const repeat = Math.max(1, Math.floor(Number(opts.repeat) || 5));
+  const log = opts.log || ((line) => process.stderr.write(line + "\n"));
+  const runtime = createRuntime();
+  const registry = runtime.TextFilterRegistry;
+  const heap = () => process.memoryUsage().heapUsed;
+  const cases = [];
+
+  for (const c of generateCorpus()) {
+    if (opts.mode && c.mode !== opts.mode) continue;
+    log("bench " + c.name + " [" + c.mode + "]");
+
+    // 1 回目は JIT やキャッシュの準備を含むため計測しない
+    const output = await convertText(runtime, c.mode, c.text);
+
+    const runs = [];
+    let steps;
+    registry.startProfile({ heap });
+    try {
+      for (let i = 0; i < repeat; i++) {
+        const startedAt = performance.now();
+        await convertText(runtime, c.mode, c.text);
+        runs.push(performance.now() - startedAt);
+      }
+    } finally {
+      steps = registry.stopProfile();
+    }
+
+    cases.push({
+      name: c.name,
+      mode: c.mode,
+      inputLength: c.text.length,
+      outputLength: output.length,
+      runs,
+      median: median(runs),
+      steps
+    });
+  }
+
+  return { format: "pddc-bench", version: 1, corpus: CORPUS_VERSION, node: process.version, repeat, cases };
+}
+
+/**
+ * 数値を桁区切りの文字列にする
+ * @param {number} n
+ * @returns {string}
+ */
+function num(n) {
+  return Math.round(n).toLocaleString("en-US");
+}
+
+/**
+ * ステップ別の集計を表にする（時間の長い順）
+ *
+ * - 時間・文字数・ヒープはいずれも 1 回の呼び出しあたりの平均。
+ * - ヒープの増加が大きいステップ（割り当てが多いもの）には「*」を付ける。
+ *
+ * @param {Array<any>} entries FilterRegistry.stopProfile の戻り値
+ * @param {Object} [options]
+ * @param {number} [options.limit] 表示するステップ数（既定 8）
+ * @param {Array<any>} [options.baseline] 比較対象のステップ別集計
+ * @returns {string}
+ */
+function formatProfile(entries, options) {
+  const opts = options || {};
+  const limit = opts.limit || DEFAULT_LIMIT;
+  const keyOf = (e) => e.chain + " #" + e.index + " " + e.name;
+  const baseline = new Map((opts.baseline || []).map((e) => [keyOf(e), e]));
+  const perCall = (e, field) => (e.calls > 0 && e[field] != null ? e[field] / e.calls : 0);
+
+  const heaps = entries.map((e) => perCall(e, "heapDelta")).sort((a, b) => b - a);
+  // 上位 3 件かつ 1 MB 以上を「割り当てが多い」とみなす
+  const heavy = Math.max(1024 * 1024, heaps[Math.min(2, heaps.length - 1)] || 0);
+
+  const rows = entries
+    .slice()
+    .sort((a, b) => perCall(b, "elapsed") - perCall(a, "elapsed"))
+    .slice(0, limit)
+    .map((e) => {
+      const ms = perCall(e, "elapsed");
+      const base = baseline.get(keyOf(e));
+      const diff = base && perCall(base, "elapsed") > 0 ? (ms / perCall(base, "elapsed") - 1) * 100 : null;
+      const heapKb = e.heapDelta == null ? "-" : num(perCall(e, "heapDelta") / 1024);
+      return [
+        keyOf(e),
+        ms.toFixed(2) + (diff == null ? "" : " (" + (diff >= 0 ? "+" : "") + diff.toFixed(0) + "%)"),
+        num(perCall(e, "inputLength")),
+        num(perCall(e, "outputLength")),
+        heapKb + (e.heapDelta != null && perCall(e, "heapDelta") >= heavy ? " *" : "")
+      ];
+    });
+
+  const header = ["step", "ms/call", "in", "out", "heap KB"];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+  return [line(header)].concat(rows.map(line)).join("\n");
+}
+
+/**
+ * runBench の結果を読みやすい文字列にする
+ *
+ * @param {Object} result runBench の戻り値
+ * @param {Object} [options]
+ * @param {Object} [options.baseline] 比較対象（以前に --json で保存した runBench の結果）
+ * @param {number} [options.limit] ケースごとに表示するステップ数
+ * @returns {string}
+ */
+function formatReport(result, options) {
+  const opts = options || {};
+  const baseline = opts.baseline || null;
+  const out = [];
+
+  if (baseline && baseline.corpus !== result.corpus) {
+    out.push("※ コーパスの版が異なるため比較しません（基準 " + baseline.corpus + " / 今回 " + result.corpus + "）。", "");
+  }
+  const comparable = baseline && baseline.corpus === result.corpus;
+
+  result.cases.forEach((c) => {
+    const base = comparable ? (baseline.cases || []).find((b) => b.name === c.name && b.mode === c.mode) : null;
+    const diff = base && base.median > 0 ? (c.median / base.median - 1) * 100 : null;
+    out.push(
+      c.name + " [" + c.mode + "]  " + num(c.inputLength) + " → " + num(c.outputLength) + " 字  中央値 " + c.median.toFixed(1) + " ms" +
+        (base ? "（基準 " + base.median.toFixed(1) + " ms、" + (diff >= 0 ? "+" : "") + diff.toFixed(1) + "%）" : "") +
+        "  (" + c.runs.length + " 回)"
+    );
+    out.push(formatProfile(c.steps, { limit: opts.limit, baseline: base ? base.steps : null }));
+    out.push("");
+  });
+  out.push("* = 呼び出しあたりのヒープ増加が大きいステップ（GC の影響を受ける目安）");
+  return out.join("\n");
+}
+
+module.exports = {
+  CORPUS_VERSION,
+  generateCorpus,
+  runBench,
+  formatProfile,
+  formatReport
+};
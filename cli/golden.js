@@ -0,0 +1,211 @@
+/**
+ * golden.js
+ * --------------------------------------------------------------------------
+ * sample/ フォルダを元にしたゴールデンファイル回帰テスト
+ *
+ * ▼ 構成
+ *   - sample/golden/manifest.json
+ *       入力サンプル（sample/*.txt）ごとに、モードキー → 期待出力ファイル名
+ *       の対応を記述したマニフェスト。
+ *       "chains" にはチェーン名 → 期待出力ファイル名を書き、モード全体ではなく
+ *       1 本のチェーン（init など）だけを通した結果と比べる（例文_N.init.txt）。
+ *   - sample/golden/*.txt
+ *       期待出力（ゴールデン）。--update で再生成する。
+ *       期待出力は必ず sample/golden/ の中に置く（sample/ の入力や例文_N_end_init.txt などの
+ *       手元の参照ファイルを --update で上書きしないため）。
+ *
+ * ▼ 動作
+ *   - 検証モード（既定）:
+ *       各入力を defaultTextFilters.js のチェーン（= 画面と同じモード処理）で変換し、
+ *       期待出力と比較する。不一致の場合は行単位の差分を表示する。
+ *   - 更新モード（--update）:
+ *       現在の変換結果で期待出力を書き換える。textUtilsMain.js などのルールを
+ *       意図して変更したときに実行し、git diff で差分をレビューする。
+ *   - --mode を指定した場合、チェーンのケースは実行しない。
+ *   - 検証モードで --mode を指定しない場合は、続けて registryCases.js の
+ *     FilterRegistry のケースも実行する（結果は同じ件数に数える）。
+ * --------------------------------------------------------------------------
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { REPO_ROOT, createRuntime, convertText } = require("./nodeRuntime");
+const { runRegistryCases } = require("./registryCases");
+
+/** サンプル入力のディレクトリ */
+const SAMPLE_DIR = path.join(REPO_ROOT, "sample");
+
+/** 期待出力とマニフェストのディレクトリ */
+const GOLDEN_DIR = path.join(SAMPLE_DIR, "golden");
+
+/** マニフェストのパス */
+const MANIFEST_PATH = path.join(GOLDEN_DIR, "manifest.json");
+
+/** 差分表示で不一致行の前後に出す文脈行数 */
+const CONTEXT_LINES = 2;
+
+/**
+ * @typedef {Object} GoldenCase
+ * @property {string} input 入力ファイル名（sample/ からの相対）
+ * @property {string} [mode] モードキー
+ * @property {string} [chain] チェーン名（モードの代わりに 1 本のチェーンだけを通す場合）
+ * @property {string} expected 期待出力ファイル名（sample/golden/ からの相対）
+ */
+
+/**
+ * マニフェストを読み込み、(入力, モード) / (入力, チェーン) 単位のケース配列に展開する
+ * @returns {GoldenCase[]}
+ */
+function loadCases() {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+  /** @type {GoldenCase[]} */
+  const cases = [];
+  for (const entry of manifest.cases || []) {
+    for (const mode of Object.keys(entry.modes || {})) {
+      cases.push({ input: entry.input, mode, expected: entry.modes[mode] });
+    }
+    for (const chain of Object.keys(entry.chains || {})) {
+      cases.push({ input: entry.input, chain, expected: entry.chains[chain] });
+    }
+  }
+  return cases;
+}
+
+/**
+ * ケースの入力を変換する
+ * - チェーンのケースは TextFilterRegistry.apply でそのチェーンだけを通す。
+ * @param {Record<string, any>} runtime
+ * @param {GoldenCase} c
+ * @param {string} input
+ * @returns {Promise<string>}
+ */
+async function runCase(runtime, c, input) {
+  if (c.chain) {
+    return String(await runtime.TextFilterRegistry.apply(c.chain, input));
+  }
+  return convertText(runtime, c.mode, input);
+}
+
+/**
+ * ケースの期待出力のパス
+ * @param {GoldenCase} c
+ * @returns {string}
+ * @throws {Error} sample/golden/ の外を指している場合
+ */
+function expectedPathOf(c) {
+  const expectedPath = path.resolve(GOLDEN_DIR, c.expected);
+  if (path.dirname(expectedPath) !== GOLDEN_DIR) {
+    throw new Error("期待出力は sample/golden/ の中に置いてください: " + c.expected);
+  }
+  return expectedPath;
+}
+
+/**
+ * 行単位の差分を読みやすい文字列に整形する
+ *
+ * - "-" は期待出力のみにある行、"+" は実際の出力のみにある行。
+ * - 一致行は不一致箇所の前後 CONTEXT_LINES 行だけ表示する。
+ *
+ * @param {Record<string, any>} runtime TextDiff を含むランタイム
+ * @param {string} expected 期待出力
+ * @param {string} actual 実際の出力
+ * @returns {string} 整形済み差分
+ */
+function formatLineDiff(runtime, expected, actual) {
+  const ops = runtime.TextDiff.diffLines(expected, actual);
+  const out = [];
+  const header = (aLine, bLine) => out.push("@@ 期待:" + aLine + " 実際:" + bLine + " @@");
+
+  ops.forEach((op, i) => {
+    if (op.type !== "equal") {
+      if (i === 0) header(op.aIndex + 1, op.bIndex + 1);
+      const mark = op.type === "delete" ? "- " : "+ ";
+      op.items.forEach((line) => out.push(mark + line));
+      return;
+    }
+
+    const items = op.items;
+    const hasPrev = i > 0;
+    const hasNext = i < ops.length - 1;
+    // 前後の不一致に挟まれた短い一致区間はそのまま表示する
+    if (hasPrev && hasNext && items.length <= CONTEXT_LINES * 2) {
+      items.forEach((line) => out.push("  " + line));
+      return;
+    }
+    if (hasPrev) {
+      items.slice(0, CONTEXT_LINES).forEach((line) => out.push("  " + line));
+    }
+    if (hasNext) {
+      const from = Math.max(0, items.length - CONTEXT_LINES);
+      header(op.aIndex + from + 1, op.bIndex + from + 1);
+      items.slice(from).forEach((line) => out.push("  " + line));
+    }
+  });
+
+  return out.join("\n");
+}
+
+/**
+ * ゴールデンテストを実行する
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.update] true なら期待出力を再生成する
+ * @param {string} [options.mode] 指定したモードのケースだけを実行する
+ * @param {(line: string) => void} [options.log] 進捗出力先（既定は標準出力）
+ * @returns {Promise<{ passed: number, failed: number, updated: number }>}
+ */
+async function runGolden(options) {
+  const opts = options || {};
+  const log = opts.log || ((line) => process.stdout.write(line + "\n"));
+  const runtime = createRuntime();
+  const result = { passed: 0, failed: 0, updated: 0 };
+
+  for (const c of loadCases()) {
+    if (opts.mode && c.mode !== opts.mode) continue;
+
+    const label = c.input + " [" + (c.chain ? "chain:" + c.chain : c.mode) + "]";
+    const input = fs.readFileSync(path.join(SAMPLE_DIR, c.input), "utf8");
+    const actual = await runCase(runtime, c, input);
+    const expectedPath = expectedPathOf(c);
+    const expected = fs.existsSync(expectedPath) ? fs.readFileSync(expectedPath, "utf8") : null;
+
+    if (opts.update) {
+      if (expected !== actual) {
+        fs.writeFileSync(expectedPath, actual, "utf8");
+        result.updated++;
+        log("updated " + label + " -> " + c.expected);
+      }
+      continue;
+    }
+
+    if (expected === null) {
+      result.failed++;
+      log("FAIL " + label + ": 期待出力 " + c.expected + " がありません（--update で生成してください）");
+    } else if (expected !== actual) {
+      result.failed++;
+      log("FAIL " + label);
+      log(formatLineDiff(runtime, expected, actual));
+    } else {
+      result.passed++;
+      log("ok   " + label);
+    }
+  }
+
+  if (!opts.update && !opts.mode) {
+    const registry = await runRegistryCases({ log });
+    result.passed += registry.passed;
+    result.failed += registry.failed;
+  }
+
+  return result;
+}
+
+module.exports = {
+  GOLDEN_DIR,
+  MANIFEST_PATH,
+  loadCases,
+  formatLineDiff,
+  runGolden
+};
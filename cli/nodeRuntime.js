@@ -0,0 +1,137 @@
+/**
+ * nodeRuntime.js
+ * --------------------------------------------------------------------------
+ * ブラウザ用スクリプト群を Node.js 上でヘッドレスに読み込むためのローダ
+ *
+ * ▼ 目的
+ *   - gpt.html が <script> タグで読み込んでいるファイル群を、同じ順序で
+ *     vm コンテキストに読み込み、FilterRegistry / runTextChains /
+ *     ModeFunctionLists / app をそのまま Node から利用できるようにする。
+ *   - 読み込むファイル一覧は gpt.html から毎回抽出するため、
+ *     ブラウザ版と CLI 版で読み込むモジュールがずれることはない。
+ *
+ * ▼ 使い方（概要）
+ *   const { createRuntime, listModeKeys, convertText } = require("./nodeRuntime");
+ *   const rt = createRuntime();
+ *   const out = await convertText(rt, "officeAction", text);
+ *
+ * ▼ 注意点
+ *   - 各スクリプトは (function (root) { ... })(globalThis) 形式のため、
+ *     vm コンテキストのグローバルがそのまま root になる。
+ *   - DOM は存在しないため、app.js などの画面初期化処理は何もしない。
+ * --------------------------------------------------------------------------
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/** リポジトリのルートディレクトリ */
+const REPO_ROOT = path.resolve(__dirname, "..");
+
+/** 読み込み順の基準とする HTML */
+const DEFAULT_PAGE = path.join(REPO_ROOT, "gpt.html");
+
+/**
+ * HTML から <script src="..."> の一覧を出現順に抽出する
+ *
+ * - HTML コメント内の <script> は対象外とする。
+ * - 外部 URL（http: / https: / //）は読み込めないため除外する。
+ *
+ * @param {string} [htmlPath] 基準とする HTML のパス（省略時は gpt.html）
+ * @returns {string[]} スクリプトの絶対パス配列
+ */
+function listPageScripts(htmlPath) {
+  const pagePath = htmlPath || DEFAULT_PAGE;
+  const html = fs.readFileSync(pagePath, "utf8").replace(/<!--[\s\S]*?-->/g, "");
+  const re = /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["'][^>]*>/gi;
+  const out = [];
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const src = m[1];
+    if (/^(?:[a-z]+:)?\/\//i.test(src)) continue;
+    out.push(path.resolve(path.dirname(pagePath), src));
+  }
+  return out;
+}
+
+/**
+ * スクリプト群を読み込んだ vm コンテキストを生成する
+ *
+ * @param {Object} [options]
+ * @param {string} [options.page] 基準とする HTML のパス
+ * @param {Record<string, any>} [options.globals] 読み込み前にグローバルへ置く値
+ *   （例: patTextOpsConfig）
+ * @returns {Record<string, any>} 読み込み済みのグローバルオブジェクト
+ */
+function createRuntime(options) {
+  const opts = options || {};
+  const sandbox = Object.assign(
+    {
+      console,
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval,
+      queueMicrotask,
+      performance,
+      TextEncoder,
+      TextDecoder
+    },
+    opts.globals || {}
+  );
+  const context = vm.createContext(sandbox);
+
+  for (const file of listPageScripts(opts.page)) {
+    const code = fs.readFileSync(file, "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+  return context;
+}
+
+/**
+ * 利用可能なモードキーの一覧を返す
+ *
+ * - modeLists.js の ModeFunctionLists（ModeDefinitions から生成）のキーを返す。
+ *
+ * @param {Record<string, any>} runtime createRuntime の戻り値
+ * @returns {string[]} モードキー配列
+ */
+function listModeKeys(runtime) {
+  const lists = runtime.ModeFunctionLists;
+  if (!lists || typeof lists !== "object") return [];
+  return Object.keys(lists);
+}
+
+/**
+ * 指定モードでテキストを変換する
+ *
+ * - 画面版と同じく app.convert（半角正規化 → モード別パイプライン）を経由する。
+ * - 画面と違い、チェーンが失敗した場合は入力をそのまま返さずに reject する
+ *   （failOnError。スクリプトや一括変換が失敗を成功と取り違えないように）。
+ *
+ * @param {Record<string, any>} runtime createRuntime の戻り値
+ * @param {string} modeKey モードキー
+ * @param {string} text 入力文字列
+ * @returns {Promise<string>} 変換結果
+ * @throws {Error} 未知のモード、またはチェーンの失敗
+ */
+async function convertText(runtime, modeKey, text) {
+  if (listModeKeys(runtime).indexOf(modeKey) === -1) {
+    throw new Error("未知のモードです: " + modeKey);
+  }
+  if (!runtime.app || typeof runtime.app.convert !== "function") {
+    throw new Error("app.convert が見つかりません。app.js の読み込みを確認してください。");
+  }
+  return String(await runtime.app.convert(modeKey, text, { failOnError: true }));
+}
+
+module.exports = {
+  REPO_ROOT,
+  listPageScripts,
+  createRuntime,
+  listModeKeys,
+  convertText
+};
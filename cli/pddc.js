@@ -0,0 +1,615 @@
+#!/usr/bin/env node
+/**
+ * pddc.js - Patent Decision Document Converter（コマンドライン版）
+ * --------------------------------------------------------------------------
+ * ▼ 使い方
+ *   node cli/pddc.js convert --mode officeAction draft.txt > out.txt
+ *   cat draft.txt | node cli/pddc.js convert --mode pct
+ *   node cli/pddc.js convert --mode auto draft.txt   # モードを自動推定
+ *   node cli/pddc.js detect draft.txt
+ *   node cli/pddc.js typos --rules unit-rules.json draft.txt
+ *   node cli/pddc.js typos --selftest --rules unit-rules.json
+ *   node cli/pddc.js check out.txt
+ *   node cli/pddc.js locators --json draft.txt
+ *   node cli/pddc.js import clipboard.html > draft.txt
+ *   node cli/pddc.js docx --profile jpo --out out.docx out.txt
+ *   node cli/pddc.js batch --mode auto --out results.zip drafts/*.txt
+ *   node cli/pddc.js pipeline > pddc-pipeline.json
+ *   node cli/pddc.js convert --mode pct --pipeline pddc-pipeline.json draft.txt
+ *   node cli/pddc.js profile --mode paragraph spec.txt
+ *   node cli/pddc.js bench --json > bench-before.json
+ *   node cli/pddc.js bench --compare bench-before.json
+ *   node cli/pddc.js modes
+ *   node cli/pddc.js golden            # 回帰テスト
+ *   node cli/pddc.js golden --update   # 期待出力を再生成
+ *
+ * ▼ サブコマンド
+ *   - convert : 入力ファイル（省略時は標準入力）を指定モードで変換し、標準出力へ書き出す。
+ *               --mode auto の場合は modeDetector.js の推定結果（確度「高」のみ）を使う。
+ *               フィルタが失敗した場合は入力をそのまま出さず、標準エラーに理由を出して終了コード 1。
+ *   - detect  : 入力ファイル（省略時は標準入力）のモードを推定し、確度と根拠を表示する。
+ *   - typos   : 入力ファイル（省略時は標準入力）のタイポ検査結果を表示する。error があれば終了コード 1。
+ *               --rules で JSON 設定（jaTypoChecker.js の loadConfig 形式）を読み込む。
+ *               --selftest の場合は入力を読まず、各ルールの例文で自己テストを行う。
+ *   - check   : 入力ファイル（省略時は標準入力）に整合性チェック（consistencyChecks.js）を実行する。
+ *               画面のコピー前確認と同じく、error があれば終了コード 1。
+ *   - locators: 入力ファイル（省略時は標準入力）の引用箇所を引用文献ごとに表示する。
+ *               --sorted で昇順・連番まとめ、--json で paragraphExtraction.extractLocators の結果を JSON で出力。
+ *   - import  : HTML ファイル（省略時は標準入力）を、画面に貼り付けたときと同じく入力用のテキストに変換する
+ *               （pasteImport.js）。保てなかった構造の通知は標準エラーに出す。
+ *   - docx    : 入力ファイル（省略時は標準入力、変換後のテキスト）を --out の .docx に書き出す（docxExport.js）。
+ *               --profile でページプロファイルを選ぶ（省略時は jpo）。
+ *   - batch   : 複数の入力ファイルをまとめて変換し、結果と summary.csv を --out の ZIP に書き出す（batchConvert.js）。
+ *               --mode は全ファイル共通（省略時は auto。確度「高」で推定できないファイルは変換しない）。
+ *               ファイルごとのタイポ件数と状態を表示し、変換できなかったファイルがあれば終了コード 1。
+ *   - pipeline: 既定のフィルタ構成（FilterRegistry.exportConfig）を JSON で表示する。
+ *               --pipeline を付けると、その構成を当てた結果を表示する。
+ *   ※ convert / batch / pipeline / profile は --pipeline で画面の設定パネルから書き出したフィルタ構成を読み込める。
+ *   - profile : 入力ファイル（省略時は標準入力）を指定モードで変換し、ステップ別の所要時間・
+ *               入出力の文字数・ヒープ増加量を時間の長い順に表示する（変換結果は出力しない）。
+ *   - bench   : 合成コーパス（段落 300 個の明細書・約 30 ページの拒絶理由通知）を各モードで
+ *               --repeat 回（既定 5）変換し、中央値とステップ別の集計を表示する（bench.js 参照）。
+ *               --json で結果を JSON で出力し、--compare でその JSON と比べる。
+ *               --corpus <dir> でコーパスをテキストファイルとして書き出す（画面で試す場合など）。
+ *   - modes   : 利用可能なモードキーを一覧表示する。
+ *   - golden  : sample/golden/manifest.json に従い、サンプルの変換結果を期待出力と比較する。
+ *               --update で期待出力を現在の変換結果に置き換える（golden.js 参照）。
+ *               --mode を付けなければ FilterRegistry のケース（registryCases.js）も実行する。
+ *
+ * ▼ 設計
+ *   - 変換ロジックは gpt.html と同じスクリプト群を nodeRuntime.js 経由で読み込み、
+ *     app.convert（= 画面の Convert と同じ処理）で実行する。
+ *   - モード一覧は modeLists.js の定義から取得するため、CLI 側にモード定義は持たない。
+ * --------------------------------------------------------------------------
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createRuntime, listModeKeys, convertText } = require("./nodeRuntime");
+const { runGolden } = require("./golden");
+const { generateCorpus, runBench, formatProfile, formatReport } = require("./bench");
+
+const USAGE = [
+  "Usage:",
+  "  pddc convert --mode <modeKey> [file]   ファイル（省略時は標準入力）を変換して標準出力へ",
+  "  pddc detect [file]                     入力のモードを推定して表示",
+  "  pddc typos [--rules <json>] [file]     タイポ検査（error があれば終了コード 1）",
+  "  pddc typos --selftest [--rules <json>] タイポルールの例文による自己テスト",
+  "  pddc check [file]                      整合性チェック（error があれば終了コード 1）",
+  "  pddc locators [--sorted] [--json] [file]  引用箇所を引用文献ごとに表示",
+  "  pddc import [file]                     HTML（Word などからの貼り付け）を入力用テキストに変換",
+  "  pddc docx [--profile <key>] --out <file.docx> [file]  変換後のテキストを .docx に書き出す",
+  "  pddc batch [--mode <key|auto>] --out <file.zip> <file>...  複数ファイルを一括変換して ZIP に書き出す",
+  "  pddc pipeline [--pipeline <json>]      フィルタ構成（チェーン・ステップ順・有効／無効）を JSON で表示",
+  "  pddc profile --mode <modeKey> [file]   ステップ別の所要時間・文字数・ヒープ増加量を表示",
+  "  pddc bench [--repeat <n>] [--json] [--compare <json>] [--mode <key>] [--corpus <dir>]",
+  "                                         合成コーパスによるベンチマーク",
+  "  pddc modes                             利用可能なモードキーを表示",
+  "  pddc golden [--update] [--mode <key>]  サンプルのゴールデンファイル回帰テスト",
+  "",
+  "Options:",
+  "  -m, --mode <modeKey>   変換モード（modes で表示されるキー、または auto）",
+  "      --update           golden: 期待出力を現在の変換結果で再生成",
+  "      --rules <json>     typos: 追加・上書きするタイポルールの JSON 設定",
+  "      --selftest         typos: ルールの例文で自己テストを実行",
+  "      --sorted           locators: 昇順に並べ、連番をまとめる",
+  "      --json             locators / bench: 結果を JSON で出力",
+  "      --repeat <n>       bench: ケースごとの計測回数（既定 5）",
+  "      --compare <json>   bench: 以前に --json で保存した結果と比べる",
+  "      --corpus <dir>     bench: 合成コーパスを書き出すディレクトリ",
+  "  -o, --out <file>       docx / batch: 書き出す .docx / .zip のパス",
+  "      --profile <key>    docx: ページプロファイル（jpo / a4）",
+  "      --pipeline <json>  convert / batch / pipeline / profile: 設定パネルから書き出したフィルタ構成を使う",
+  "  -h, --help             このヘルプを表示"
+].join("\n");
+
+/**
+ * コマンドライン引数を解析する
+ * @param {string[]} argv process.argv.slice(2)
+ * @returns {{ command: string|null, options: Record<string, string|boolean>, files: string[] }}
+ */
+function parseArgs(argv) {
+  /** @type {Record<string, string|boolean>} */
+  const options = {};
+  const files = [];
+  let command = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+      continue;
+    }
+
+    const eq = /^--([^=]+)=(.*)$/.exec(arg);
+    if (eq) {
+      options[eq[1]] = eq[2];
+      continue;
+    }
+
+    if (arg === "-m" || arg === "--mode") {
+      if (i + 1 >= argv.length) {
+        throw new Error(arg + " には値が必要です。");
+      }
+      options.mode = argv[++i];
+      continue;
+    }
+
+    if (arg === "--rules" || arg === "--pipeline" || arg === "--repeat" || arg === "--compare" || arg === "--corpus") {
+      if (i + 1 >= argv.length) {
+        throw new Error(arg + " には値が必要です。");
+      }
+      options[arg.slice(2)] = argv[++i];
+      continue;
+    }
+
+    if (arg === "-o" || arg === "--out" || arg === "--profile") {
+      if (i + 1 >= argv.length) {
+        throw new Error(arg + " には値が必要です。");
+      }
+      options[arg === "--profile" ? "profile" : "out"] = argv[++i];
+      continue;
+    }
+
+    if (/^--[^-]/.test(arg)) {
+      options[arg.slice(2)] = true;
+      continue;
+    }
+
+    if (command == null) {
+      command = arg;
+    } else {
+      files.push(arg);
+    }
+  }
+
+  return { command, options, files };
+}
+
+/**
+ * 標準入力を最後まで読み込む
+ * @returns {Promise<string>}
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on("data", (chunk) => chunks.push(chunk));
+    process.stdin.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    process.stdin.on("error", reject);
+  });
+}
+
+/**
+ * --pipeline で指定したフィルタ構成を TextFilterRegistry に当てる
+ * - 当てられなかったチェーン・ステップは標準エラーに警告を出す。
+ * @param {Record<string, any>} runtime
+ * @param {Record<string, string|boolean>} options
+ */
+function applyPipelineOption(runtime, options) {
+  if (typeof options.pipeline !== "string") return;
+  const result = runtime.TextFilterRegistry.importConfig(fs.readFileSync(options.pipeline, "utf8"));
+  result.warnings.forEach((warning) => process.stderr.write("[pddc] " + warning + "\n"));
+}
+
+/**
+ * convert サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード
+ */
+async function runConvert(options, files) {
+  const modeKey = typeof options.mode === "string" ? options.mode : "";
+  if (!modeKey) {
+    process.stderr.write("--mode を指定してください。\n\n" + USAGE + "\n");
+    return 2;
+  }
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+
+  const runtime = createRuntime();
+  applyPipelineOption(runtime, options);
+  const modes = listModeKeys(runtime);
+  if (modeKey !== "auto" && modes.indexOf(modeKey) === -1) {
+    process.stderr.write("未知のモードです: " + modeKey + "\n利用可能なモード: " + modes.join(", ") + "\n");
+    return 2;
+  }
+
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+
+  let resolvedMode = modeKey;
+  if (modeKey === "auto") {
+    const result = runtime.ModeDetector.detect(input, { modes });
+    if (!result.mode || result.level !== "high") {
+      process.stderr.write(
+        "モードを推定できませんでした" +
+          (result.mode ? "（候補: " + result.mode + "、確度 " + Math.round(result.confidence * 100) + "%）" : "") +
+          "。--mode で指定してください。\n"
+      );
+      return 2;
+    }
+    resolvedMode = result.mode;
+    process.stderr.write("[pddc] 推定モード: " + resolvedMode + "\n");
+  }
+
+  const output = await convertText(runtime, resolvedMode, input);
+  process.stdout.write(output);
+  return 0;
+}
+
+/**
+ * detect サブコマンド
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード（推定できなければ 1）
+ */
+async function runDetect(files) {
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+
+  const runtime = createRuntime();
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+  const result = runtime.ModeDetector.detect(input, { modes: listModeKeys(runtime) });
+
+  if (!result.mode) {
+    process.stdout.write("推定できませんでした（手がかりとなる目印がありません）。\n");
+    return 1;
+  }
+
+  const lines = [
+    result.mode + "  確度 " + result.level + " (" + Math.round(result.confidence * 100) + "%)",
+    "根拠: " + result.reasons.join(" / "),
+    "点数: " + result.ranking.map((r) => r.mode + "=" + r.score).join(", ")
+  ];
+  process.stdout.write(lines.join("\n") + "\n");
+  return 0;
+}
+
+/**
+ * typos サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード（error の検出または自己テストの失敗があれば 1）
+ */
+async function runTypos(options, files) {
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+
+  const runtime = createRuntime();
+  const checker = runtime.JaTypoChecker;
+  if (typeof options.rules === "string") {
+    checker.loadConfig(fs.readFileSync(options.rules, "utf8"), { source: options.rules });
+  }
+
+  if (options.selftest === true) {
+    const result = checker.selfTest();
+    result.failures.forEach((f) => {
+      process.stdout.write(
+        "NG   " + f.id + " (" + f.kind + "): " + f.example +
+          (f.kind === "positive" ? "  … 検出されませんでした" : "  … " + f.hits + " 件検出されました") + "\n"
+      );
+    });
+    process.stdout.write(result.checked + " 件の例文を確認 / " + result.failures.length + " 件失敗\n");
+    return result.ok ? 0 : 1;
+  }
+
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+  const result = checker.check(input);
+  result.items.forEach((item) => {
+    process.stdout.write(
+      item.line + ":" + item.column + "  " + item.severity + "  " + item.id + "  " + item.message +
+        "\n    " + item.context + (item.replacement != null ? "  → " + item.replacement : "") + "\n"
+    );
+  });
+  process.stdout.write(
+    "error " + result.counts.error + " / warning " + result.counts.warning + " / info " + result.counts.info +
+      (result.ignored.length > 0 ? "（無視 " + result.ignored.length + " 件）" : "") + "\n"
+  );
+  return result.hasError ? 1 : 0;
+}
+
+/**
+ * check サブコマンド
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード（error があれば 1）
+ */
+async function runCheck(files) {
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+  const runtime = createRuntime();
+  const result = runtime.ConsistencyChecks.run(input);
+  result.findings.forEach((f) => {
+    process.stdout.write((f.line != null ? f.line : "-") + "  " + f.severity + "  " + f.check + "  " + f.message + "\n");
+  });
+  process.stdout.write(
+    "error " + result.counts.error + " / warning " + result.counts.warning + " / info " + result.counts.info + "\n"
+  );
+  return result.hasError ? 1 : 0;
+}
+
+/**
+ * locators サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード
+ */
+async function runLocators(options, files) {
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+  const runtime = createRuntime();
+  const result = runtime.paragraphExtraction.extractLocators(input, { sorted: options.sorted === true });
+  if (options.json === true) {
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  } else if (result.text) {
+    process.stdout.write(result.text + "\n");
+  }
+  return 0;
+}
+
+/**
+ * import サブコマンド
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード
+ */
+async function runImport(files) {
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+  const runtime = createRuntime();
+  const result = runtime.PasteImport.convert(input);
+  result.notices.forEach((notice) => process.stderr.write(notice + "\n"));
+  if (result.text) process.stdout.write(result.text + "\n");
+  return 0;
+}
+
+/**
+ * docx サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード
+ */
+async function runDocx(options, files) {
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+  if (typeof options.out !== "string" || !options.out) {
+    process.stderr.write("--out で書き出す .docx のパスを指定してください。\n");
+    return 2;
+  }
+
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+  const runtime = createRuntime();
+  const bytes = runtime.DocxExport.build(input, {
+    profile: typeof options.profile === "string" ? options.profile : undefined
+  });
+  fs.writeFileSync(options.out, bytes);
+  return 0;
+}
+
+/**
+ * batch サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード（変換できなかったファイルがあれば 1）
+ */
+async function runBatch(options, files) {
+  if (files.length === 0) {
+    process.stderr.write("入力ファイルを指定してください。\n");
+    return 2;
+  }
+  if (typeof options.out !== "string" || !options.out) {
+    process.stderr.write("--out で書き出す .zip のパスを指定してください。\n");
+    return 2;
+  }
+
+  const runtime = createRuntime();
+  applyPipelineOption(runtime, options);
+  const modes = listModeKeys(runtime);
+  const modeKey = typeof options.mode === "string" ? options.mode : runtime.BatchConvert.AUTO;
+  if (modeKey !== runtime.BatchConvert.AUTO && modes.indexOf(modeKey) === -1) {
+    process.stderr.write("未知のモードです: " + modeKey + "\n利用可能なモード: " + modes.join(", ") + "\n");
+    return 2;
+  }
+
+  const items = files.map((file) =>
+    runtime.BatchConvert.createItem(file, runtime.BatchConvert.decodeText(fs.readFileSync(file)), modeKey)
+  );
+  await runtime.BatchConvert.convertAll(items, {
+    convert: (key, text) => convertText(runtime, key, text),
+    modes
+  });
+  fs.writeFileSync(options.out, runtime.BatchConvert.buildZip(items));
+
+  items.forEach((item) => {
+    const typos = item.typos ? "E" + item.typos.error + " W" + item.typos.warning + " I" + item.typos.info : "-";
+    const state = item.status === "done" ? item.outputName : item.status + (item.detail ? "（" + item.detail + "）" : "");
+    process.stdout.write([item.name, item.resolvedMode || item.mode, typos, state].join("\t") + "\n");
+  });
+  return items.every((item) => item.status === "done") ? 0 : 1;
+}
+
+/**
+ * pipeline サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @returns {number} 終了コード
+ */
+function runPipelineConfig(options) {
+  const runtime = createRuntime();
+  applyPipelineOption(runtime, options);
+  process.stdout.write(JSON.stringify(runtime.TextFilterRegistry.exportConfig(), null, 2) + "\n");
+  return 0;
+}
+
+/**
+ * profile サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @param {string[]} files
+ * @returns {Promise<number>} 終了コード
+ */
+async function runProfile(options, files) {
+  const modeKey = typeof options.mode === "string" ? options.mode : "";
+  if (!modeKey) {
+    process.stderr.write("--mode を指定してください。\n");
+    return 2;
+  }
+  if (files.length > 1) {
+    process.stderr.write("入力ファイルは 1 つだけ指定できます。\n");
+    return 2;
+  }
+
+  const runtime = createRuntime();
+  applyPipelineOption(runtime, options);
+  const input = files.length === 1 ? fs.readFileSync(files[0], "utf8") : await readStdin();
+  const registry = runtime.TextFilterRegistry;
+  registry.startProfile({ heap: () => process.memoryUsage().heapUsed });
+  let entries;
+  try {
+    await convertText(runtime, modeKey, input);
+  } finally {
+    entries = registry.stopProfile();
+  }
+  const total = entries.reduce((sum, e) => sum + e.elapsed, 0);
+  process.stdout.write(formatProfile(entries, { limit: entries.length }) + "\n");
+  process.stdout.write("合計 " + total.toFixed(1) + " ms（" + entries.length + " ステップ）\n");
+  return 0;
+}
+
+/**
+ * bench サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @returns {Promise<number>} 終了コード
+ */
+async function runBenchCommand(options) {
+  if (typeof options.corpus === "string") {
+    fs.mkdirSync(options.corpus, { recursive: true });
+    const written = new Set();
+    generateCorpus().forEach((c) => {
+      if (written.has(c.name)) return;
+      written.add(c.name);
+      fs.writeFileSync(path.join(options.corpus, c.name + ".txt"), c.text, "utf8");
+    });
+    process.stdout.write(written.size + " 件のコーパスを " + options.corpus + " に書き出しました。\n");
+    return 0;
+  }
+
+  const baseline = typeof options.compare === "string" ? JSON.parse(fs.readFileSync(options.compare, "utf8")) : null;
+  if (baseline && baseline.format !== "pddc-bench") {
+    process.stderr.write(options.compare + " は bench --json の結果ではありません。\n");
+    return 2;
+  }
+  const result = await runBench({
+    repeat: typeof options.repeat === "string" ? Number(options.repeat) : undefined,
+    mode: typeof options.mode === "string" ? options.mode : undefined
+  });
+  if (options.json === true) {
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  } else {
+    process.stdout.write(formatReport(result, { baseline }) + "\n");
+  }
+  return 0;
+}
+
+/**
+ * modes サブコマンド
+ * @returns {number} 終了コード
+ */
+function runModes() {
+  const runtime = createRuntime();
+  process.stdout.write(listModeKeys(runtime).join("\n") + "\n");
+  return 0;
+}
+
+/**
+ * golden サブコマンド
+ * @param {Record<string, string|boolean>} options
+ * @returns {Promise<number>} 終了コード（不一致があれば 1）
+ */
+async function runGoldenCommand(options) {
+  const update = options.update === true;
+  const result = await runGolden({
+    update,
+    mode: typeof options.mode === "string" ? options.mode : undefined
+  });
+
+  if (update) {
+    process.stdout.write(result.updated + " 件の期待出力を更新しました。\n");
+    return 0;
+  }
+  process.stdout.write("\n" + result.passed + " 件成功 / " + result.failed + " 件失敗\n");
+  return result.failed > 0 ? 1 : 0;
+}
+
+/**
+ * エントリポイント
+ * @param {string[]} argv
+ * @returns {Promise<number>} 終了コード
+ */
+async function main(argv) {
+  const { command, options, files } = parseArgs(argv);
+
+  if (options.help || command == null) {
+    process.stdout.write(USAGE + "\n");
+    return command == null && !options.help ? 2 : 0;
+  }
+
+  switch (command) {
+    case "convert":
+      return runConvert(options, files);
+    case "detect":
+      return runDetect(files);
+    case "typos":
+      return runTypos(options, files);
+    case "check":
+      return runCheck(files);
+    case "locators":
+      return runLocators(options, files);
+    case "import":
+      return runImport(files);
+    case "docx":
+      return runDocx(options, files);
+    case "batch":
+      return runBatch(options, files);
+    case "pipeline":
+      return runPipelineConfig(options);
+    case "profile":
+      return runProfile(options, files);
+    case "bench":
+      return runBenchCommand(options);
+    case "modes":
+      return runModes();
+    case "golden":
+      return runGoldenCommand(options);
+    default:
+      process.stderr.write("未知のサブコマンドです: " + command + "\n\n" + USAGE + "\n");
+      return 2;
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    process.stderr.write("[pddc] " + (err && err.message ? err.message : String(err)) + "\n");
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,325 @@
+/**
+ * registryCases.js
+ * --------------------------------------------------------------------------
+ * FilterRegistry の動作を確かめる小さなケース集（golden から実行する）
+ *
+ * ▼ 構成
+ *   - REGISTRY_CASES
+ *       { name, run(FilterRegistry) } の配列。run は新しいレジストリを自分で作り、
+ *       期待どおりでなければ例外を投げる。
+ *   - runRegistryCases()
+ *       ページと同じスクリプトを読み込んだランタイムの FilterRegistry で全ケースを実行し、
+ *       ok / FAIL の行を出す。
+ *
+ * ▼ 注意点
+ *   - サンプル文書の変換結果はゴールデンファイルで見ているため、ここでは
+ *     ステップの有効・無効や実行条件など、レジストリ自体の振る舞いだけを見る。
+ *   - 制限時間・中止のケースはタイマーを使う。待ち時間は数十ミリ秒に抑え、
+ *     結果が実行環境の速さに左右されないよう、期待する時間には十分な余裕を持たせる。
+ * --------------------------------------------------------------------------
+ */
+
+"use strict";
+
+const { createRuntime } = require("./nodeRuntime");
+
+/**
+ * @typedef {Object} RegistryCase
+ * @property {string} name ケース名
+ * @property {(FilterRegistry: any) => (void|Promise<void>)} run 失敗時に例外を投げる
+ */
+
+/**
+ * 値が一致しなければ例外を投げる
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} what 何の値か（失敗時のメッセージ用）
+ */
+function assertEqual(actual, expected, what) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(what + ": 期待 " + e + " / 実際 " + a);
+  }
+}
+
+/**
+ * 文字列の末尾に印を付けるステップ
+ * @param {string} mark
+ * @returns {{fn: (s: string) => string, name: string}}
+ */
+function append(mark) {
+  return { fn: (s) => s + mark, name: "append" + mark };
+}
+
+/**
+ * 指定時間後に文字列を返す非同期ステップ
+ * @param {string} mark
+ * @param {number} ms
+ * @returns {{fn: (s: string) => Promise<string>, name: string}}
+ */
+function appendLater(mark, ms) {
+  return { fn: (s) => new Promise((resolve) => setTimeout(() => resolve(s + mark), ms)), name: "later" + mark };
+}
+
+/**
+ * 指定時間だけ処理を返さずに待つ（時間のかかる同期ステップの代わり）
+ * @param {number} ms
+ */
+function busyWait(ms) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    // 何もしない
+  }
+}
+
+/**
+ * Promise が reject されることを確かめ、そのエラーを返す
+ * @param {Promise<any>} promise
+ * @param {string} what
+ * @returns {Promise<any>}
+ */
+async function rejectionOf(promise, what) {
+  try {
+    const value = await promise;
+    throw new Error(what + ": reject されず " + JSON.stringify(value) + " を返しました");
+  } catch (err) {
+    return err;
+  }
+}
+
+/** @type {RegistryCase[]} */
+const REGISTRY_CASES = [
+  {
+    name: "enabled: false のステップは飛ばし、enable で戻せる",
+    async run(FilterRegistry) {
+      const reg = new FilterRegistry();
+      reg.register("main", [append("a"), Object.assign(append("b"), { enabled: false }), append("c")]);
+      assertEqual(await reg.apply("main", ""), "ac", "無効なステップを含む結果");
+
+      reg.enable("main", "appendb", true);
+      assertEqual(await reg.apply("main", ""), "abc", "有効に戻した後の結果");
+
+      reg.enable("main", 0, false);
+      reg.startTrace();
+      await reg.apply("main", "");
+      const records = reg.stopTrace();
+      assertEqual(records.map((r) => r.skipReason || null), ["disabled", null, null], "トレースのスキップ理由");
+    },
+  },
+  {
+    name: "when はテキストと runOptions.context で実行を決める",
+    async run(FilterRegistry) {
+      const reg = new FilterRegistry();
+      reg.register("main", [
+        Object.assign(append("P"), { when: (_s, context) => context.mode === "pct" }),
+        Object.assign(append("!"), { when: (s) => s.indexOf("x") !== -1 }),
+      ]);
+      assertEqual(await reg.apply("main", "x", undefined, { context: { mode: "pct" } }), "xP!", "両方の条件が真");
+      assertEqual(await reg.apply("main", "x", undefined, { context: { mode: "officeAction" } }), "x!", "モードが違う");
+      assertEqual(await reg.apply("main", "y"), "y", "context なし・テキスト条件が偽");
+    },
+  },
+  {
+    name: "ステップの制限時間を超えると TimeoutError（stopOnError: false なら続行）",
+    async run(FilterRegistry) {
+      const errors = [];
+      const reg = new FilterRegistry({ hooks: { onError: (_name, err) => errors.push(err.name + ":" + err.scope) } });
+      reg.register("strict", [append("a"), Object.assign(appendLater("b", 200), { timeout: 20 }), append("c")]);
+      const err = await rejectionOf(reg.apply("strict", ""), "strict");
+      assertEqual([err.name, err.scope, err.step], ["TimeoutError", "step", "laterb"], "stopOnError のエラー");
+
+      reg.register("lenient", [append("a"), appendLater("b", 200), append("c")], { stopOnError: false, stepTimeout: 20 });
+      assertEqual(await reg.apply("lenient", ""), "ac", "超過したステップを飛ばした結果");
+      assertEqual(errors, ["TimeoutError:step", "TimeoutError:step"], "onError への通知");
+    },
+  },
+  {
+    name: "リスト全体の制限時間は stopOnError: false でも中断する",
+    async run(FilterRegistry) {
+      const reg = new FilterRegistry();
+      reg.register("main", [appendLater("a", 30), appendLater("b", 30), append("c")], { stopOnError: false, timeout: 40 });
+      const err = await rejectionOf(reg.apply("main", ""), "main");
+      assertEqual([err.name, err.scope, err.chain], ["TimeoutError", "chain", "main"], "リスト全体の超過");
+    },
+  },
+  {
+    name: "同期ステップの間でも中止を受け付ける",
+    async run(FilterRegistry) {
+      const controller = new AbortController();
+      const ran = [];
+      const reg = new FilterRegistry();
+      reg.register("main", [
+        // 中止はこのステップの後に届く（画面で長い同期処理中に Cancel を押した場合と同じ）
+        { fn: (s) => (ran.push("a"), setTimeout(() => controller.abort()), busyWait(80), s + "a"), name: "a" },
+        { fn: (s) => (ran.push("b"), s + "b"), name: "b" },
+      ]);
+      const err = await rejectionOf(reg.apply("main", "", undefined, { signal: controller.signal }), "main");
+      assertEqual(FilterRegistry.isAbortError(err), true, "AbortError か");
+      assertEqual(ran, ["a"], "実行したステップ");
+    },
+  },
+  {
+    name: "中止すると非同期ステップを待たずに reject し、abortable には signal を渡す",
+    async run(FilterRegistry) {
+      const controller = new AbortController();
+      let received = null;
+      const reg = new FilterRegistry();
+      reg.register("main", [
+        { fn: (s, signal) => ((received = signal), s), name: "watch", abortable: true },
+        appendLater("slow", 500),
+      ]);
+      setTimeout(() => controller.abort(), 20);
+      const startedAt = Date.now();
+      const err = await rejectionOf(reg.apply("main", "", undefined, { signal: controller.signal }), "main");
+      assertEqual(FilterRegistry.isAbortError(err), true, "AbortError か");
+      assertEqual(Date.now() - startedAt < 400, true, "遅いステップを待たずに終わったか");
+      assertEqual(received === controller.signal, true, "abortable のステップに渡した signal");
+    },
+  },
+  {
+    name: "exportConfig → JSON → importConfig で並び順・enabled・args を再現する",
+    async run(FilterRegistry) {
+      const build = () => {
+        const reg = new FilterRegistry();
+        reg.register("main", [append("a"), append("b"), { fn: (s, mark) => s + mark, name: "add", args: ["?"] }]);
+        return reg;
+      };
+
+      const source = build();
+      source.removeAt("main", "appenda");
+      source.insert("main", 2, append("a"));
+      source.enable("main", "appendb", false);
+      source.replace("main", "add", { fn: (s, mark) => s + mark, name: "add", args: ["!"] });
+      const saved = JSON.stringify(source.exportConfig());
+
+      const target = build();
+      const result = target.importConfig(saved);
+      assertEqual(result, { chains: ["main"], warnings: [] }, "importConfig の戻り値");
+      assertEqual(target.exportConfig(), source.exportConfig(), "取り込み後の構成");
+      assertEqual(await target.apply("main", ""), await source.apply("main", ""), "取り込み後の変換結果");
+      assertEqual(await target.apply("main", ""), "!a", "変換結果");
+    },
+  },
+  {
+    name: "不正な構成は何も変えずにエラー、未知のリスト・ステップは warnings",
+    async run(FilterRegistry) {
+      const reg = new FilterRegistry();
+      reg.register("main", [append("a"), append("b"), append("c")]);
+      const before = JSON.stringify(reg.exportConfig());
+
+      const invalid = ["{ not json", { version: 1 }, { version: 2, chains: [] }, null];
+      for (const config of invalid) {
+        let thrown = null;
+        try {
+          reg.importConfig(config);
+        } catch (err) {
+          thrown = err;
+        }
+        // ランタイムは別の realm なので instanceof Error では判定できない
+        assertEqual(!!thrown && typeof thrown.message === "string", true, "例外（" + JSON.stringify(config) + "）");
+        assertEqual(JSON.stringify(reg.exportConfig()), before, "例外後の構成（" + JSON.stringify(config) + "）");
+      }
+
+      const result = reg.importConfig({
+        version: 1,
+        chains: [
+          { name: "missing", steps: [] },
+          {
+            name: "main",
+            steps: [
+              { name: "appendc", enabled: true },
+              { name: "gone", enabled: false },
+              { name: "appenda", enabled: true },
+            ],
+          },
+        ],
+      });
+      assertEqual(result.chains, ["main"], "反映したリスト");
+      assertEqual(result.warnings.length, 2, "warnings の件数");
+      // appendb は設定にないため、元の並びで直前にあった appenda の後ろに残る
+      assertEqual(await reg.apply("main", ""), "cab", "設定にないステップを残した結果");
+    },
+  },
+  {
+    name: "{ chain } のステップは登録済みのリストを同じ実行の中で呼ぶ",
+    async run(FilterRegistry) {
+      const reg = new FilterRegistry();
+      reg.register("inner", [append("i"), { fn: () => { throw new Error("boom"); }, name: "fail" }]);
+      reg.register("outer", [append("<"), { chain: "inner" }, append(">")], { stopOnError: false });
+      // inner は stopOnError（既定）で中断し、outer はそのステップを失敗として続行する
+      assertEqual(await reg.apply("outer", ""), "<>", "呼び出し側で続行した結果");
+
+      reg.replace("inner", "fail", append("j"));
+      assertEqual(await reg.apply("outer", ""), "<ij>", "入れ子のリストの結果");
+
+      reg.register("late", [{ chain: "notYet" }]);
+      const err = await rejectionOf(reg.apply("late", ""), "未登録のリスト");
+      assertEqual(/notYet/.test(err.message), true, "未登録のリスト名をエラーに含むか");
+    },
+  },
+  {
+    name: "参照の循環は登録・挿入・置き換えの時点でエラーにし、元の状態を保つ",
+    async run(FilterRegistry) {
+      const reg = new FilterRegistry();
+      /**
+       * fn が例外を投げることを確かめる
+       * @param {() => void} fn
+       * @param {string} what
+       */
+      const expectThrow = (fn, what) => {
+        let thrown = null;
+        try {
+          fn();
+        } catch (err) {
+          thrown = err;
+        }
+        assertEqual(!!thrown, true, what + " で例外");
+      };
+
+      expectThrow(() => reg.register("self", [{ chain: "self" }]), "自分自身の参照");
+      assertEqual(reg.get("self"), null, "登録されていないこと");
+
+      reg.register("a", [{ chain: "b" }]);
+      reg.register("b", [{ chain: "c" }]);
+      expectThrow(() => reg.register("c", [append("x"), { chain: "a" }]), "a → b → c → a の登録");
+      assertEqual(reg.get("c"), null, "c が登録されていないこと");
+
+      reg.register("c", [append("x")]);
+      expectThrow(() => reg.insert("c", 0, { chain: "a" }), "insert による循環");
+      expectThrow(() => reg.replace("c", 0, { chain: "b" }), "replace による循環");
+      assertEqual(reg.get("c").length, 1, "c のステップ数");
+      assertEqual(await reg.apply("a", ""), "x", "循環を拒否した後の実行結果");
+    },
+  },
+];
+
+/**
+ * 全ケースを実行する
+ * @param {Object} [options]
+ * @param {(line: string) => void} [options.log] 進捗出力先（既定は標準出力）
+ * @returns {Promise<{ passed: number, failed: number }>}
+ */
+async function runRegistryCases(options) {
+  const opts = options || {};
+  const log = opts.log || ((line) => process.stdout.write(line + "\n"));
+  const FilterRegistry = createRuntime().FilterRegistry;
+  const result = { passed: 0, failed: 0 };
+
+  for (const c of REGISTRY_CASES) {
+    try {
+      await c.run(FilterRegistry);
+      result.passed++;
+      log("ok   registry: " + c.name);
+    } catch (err) {
+      result.failed++;
+      log("FAIL registry: " + c.name + ": " + (err && err.message ? err.message : String(err)));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  REGISTRY_CASES,
+  runRegistryCases
+};
@@ -45,9 +45,62 @@
  * ▼ フィルタの拡張
  *   - フィルタごとにメタデータ（fn, name, args, enabled など）を持たせることで、
  *     動的な有効・無効切り替えや設定値の変更が容易になる。
+ *   - ステップはインデックスのほか名前（step.name → fn.name）でも指定できる。
+ *     並べ替えに強いよう、プラグインからの編集は名前指定を推奨する。
+ *        reg.insertAfter("main", "fwRefLaw", { fn: myFilter, name: "myFilter" });
+ *        reg.replace("main", "tightClaims", myTightClaims);
+ *        reg.enable("main", "alphaCase", false);
+ *   - when を持つステップは、実行時に when(現在の文字列, context) が真のときだけ実行する。
+ *     context は apply / applyList の runOptions.context で渡す（モードキーなど）。
+ *        reg.register("main", [
+ *          { fn: alphaCase, when: (s, ctx) => ctx.mode !== "pct_eng" },
+ *        ]);
+ *        await reg.apply("main", text, undefined, { context: { mode: "pct_eng" } });
+ *
+ * ▼ 入れ子のリスト
+ *   - { chain: "init" } のステップは、登録済みの別リストを同じ実行の中で呼び出す。
+ *     呼び出したリストのフック・トレース・stopOnError はそのリストの名前と設定で扱い、
+ *     失敗して中断した場合は呼び出し側のステップのエラーとして stopOnError に従う。
+ *        reg.register("officeAction", [{ chain: "init" }, { chain: "main" }, { chain: "convertEnd" }]);
+ *   - 参照の循環（main → sub → main など）は register / insert などの時点でエラーにする。
+ *     まだ登録されていないリストを参照してもよい（実行時に未登録ならそのステップのエラー）。
+ *
+ * ▼ 設定の書き出し・取り込み
+ *   - exportConfig() は各リストのステップ順・enabled・args を JSON にできる形で返す。
+ *     importConfig(config) はそれを既存のリストに当てはめる（関数そのものは保存しないため、
+ *     リストやステップを新しく作ることはできない。ステップは名前で対応付ける）。
+ *        const saved = JSON.stringify(reg.exportConfig());
+ *        reg.importConfig(JSON.parse(saved));
+ *
+ * ▼ 中止とタイムアウト
+ *   - runOptions.signal（AbortSignal）を渡すと、中止された時点で AbortError を投げて止まる。
+ *     ステップの間で中止を確認し、非同期ステップは完了を待たずに打ち切る。
+ *     abortable: true のステップには signal を最後の引数として渡す（自前で中断できる処理向け）。
+ *   - FilterStep.timeout（ステップ単位）と ListOptions.timeout / stepTimeout（リスト単位）を
+ *     ミリ秒で指定すると、超過時に TimeoutError を onError に通知する。
+ *     ステップの超過は stopOnError に従い、リスト全体の超過は常に中断する。
+ *   - signal を渡した場合は、前回から YIELD_INTERVAL ミリ秒以上たったステップの前で
+ *     イベントループへ処理を返すため、同期ステップだけのリストでも Cancel をステップの間で受け付ける。
+ *     同期ステップは途中で割り込めない（終わった後に中止・超過を判定する）。
  *   - beforeApply / afterApply / onError などのフックで共通処理やログ出力を
  *     一元管理できる。
  *
+ * ▼ トレース
+ *   - startTrace() ～ stopTrace() の間に実行されたステップについて、
+ *     リスト名・ステップ番号・ステップ名・入出力・所要時間を記録する。
+ *   - 記録はレジストリ単位で行うため、複数リストを続けて実行した場合
+ *     （runTextChains など）も 1 本のトレースとして取得できる。
+ *
+ * ▼ プロファイル
+ *   - startProfile() ～ stopProfile() の間に実行されたステップについて、
+ *     ステップごとに呼び出し回数・所要時間・入出力の文字数・ヒープの増加量を集計する。
+ *     トレースと違って文字列そのものは保持しないため、大きな入力でも使える。
+ *   - ヒープの増加量は startProfile({ heap }) で渡した関数（Node.js なら
+ *     process.memoryUsage().heapUsed など）の差分で、GC の影響を受ける目安の値。
+ *        reg.startProfile({ heap: () => process.memoryUsage().heapUsed });
+ *        await reg.apply("main", text);
+ *        const entries = reg.stopProfile();
+ *
  * ▼ 注意点
  *   - 本モジュール内のコメントおよび JSDoc はすべて日本語で記述する。
  *   - 文字列長が大きい入力でも不要なコピーを避け、パフォーマンスに配慮する。
@@ -67,14 +120,32 @@
 
   /**
    * @typedef {Object} FilterStep
-   * @property {FilterFn} fn
-   *   実際に呼び出されるフィルタ関数。
+   * @property {FilterFn} [fn]
+   *   実際に呼び出されるフィルタ関数（chain を指定しない場合は必須）。
+   * @property {string} [chain]
+   *   fn の代わりに呼び出す登録済みフィルタリスト名。fn / args とは同時に指定できない。
    * @property {string} [name]
-   *   ステップ名（任意）。デバッグやログ出力に利用できる。
+   *   ステップ名（任意）。デバッグやログ出力に利用できる。chain の場合は省略時にリスト名を使う。
    * @property {any[]} [args]
    *   このステップ専用の追加引数配列。apply 時に invokeArgs と結合されて渡される。
    * @property {boolean} [enabled]
    *   有効・無効フラグ。false の場合、このステップはスキップされる。
+   * @property {(str: string, context: Object) => boolean} [when]
+   *   実行条件。偽を返した場合、このステップはスキップされる。
+   *   context は apply 時の runOptions.context（指定がなければ空オブジェクト）。
+   * @property {number} [timeout]
+   *   このステップの制限時間（ミリ秒）。ListOptions.stepTimeout より優先する。
+   * @property {boolean} [abortable]
+   *   true の場合、runOptions.signal を最後の引数としてフィルタ関数に渡す。
+   */
+
+  /**
+   * @typedef {Object} RunOptions
+   * @property {Object} [context]
+   *   各ステップの when に渡す実行時の情報（例: { mode: "pct_eng" }）。
+   *   フィルタ関数そのものには渡さない。
+   * @property {AbortSignal} [signal]
+   *   中止用のシグナル。中止されると AbortError で reject する。
    */
 
   /**
@@ -86,6 +157,10 @@
    * @property {boolean} [parallel]
    *   将来拡張用のオプション。初期実装ではシーケンシャル実行のみを行い、
    *   parallel が true でも挙動は変わらない（予約フィールド）。
+   * @property {number} [timeout]
+   *   リスト全体の制限時間（ミリ秒）。超過すると stopOnError に関係なく中断する。
+   * @property {number} [stepTimeout]
+   *   各ステップの既定の制限時間（ミリ秒）。FilterStep.timeout があればそちらを使う。
    */
 
   /**
@@ -96,6 +171,25 @@
    *   このリスト固有のオプション設定。
    */
 
+  /**
+   * @typedef {Object} StepConfig
+   * @property {string} name ステップ名（step.name → fn.name）
+   * @property {boolean} enabled 有効・無効
+   * @property {any[]} [args] ステップ固有の追加引数（JSON で表せる場合のみ）
+   */
+
+  /**
+   * @typedef {Object} ChainConfig
+   * @property {string} name フィルタリスト名
+   * @property {StepConfig[]} steps 実行順のステップ設定
+   */
+
+  /**
+   * @typedef {Object} RegistryConfig
+   * @property {number} version 設定の形式（現在は 1）
+   * @property {ChainConfig[]} chains フィルタリストごとの設定
+   */
+
   /**
    * @typedef {Object} Hooks
    * @property {(name: string, input: string) => (void|Promise<void>)} [beforeApply]
@@ -108,7 +202,138 @@
    *   - error: 実際にスローされたエラー
    *   - stage: "hook"（before/after フック内）または "step"（ステップ実行中）
    *   - stepIndex: ステップ実行中のインデックス（hook の場合は undefined）
+   *   入れ子のリスト（{ chain }）の中で起きたエラーは、呼び出し先のリスト名で 1 回だけ通知する。
+   */
+
+  /**
+   * @typedef {Object} TraceRecord
+   * @property {string} chain
+   *   ステップが属するフィルタリスト名（applyList の場合は "<adhoc>"）。
+   *   入れ子のリスト（{ chain }）の中のステップは、呼び出し先のリスト名で記録する
+   *   （{ chain } のステップ自体は、スキップ時と呼び出し先の外で失敗した場合だけ記録する）。
+   * @property {number} index
+   *   リスト内でのステップのインデックス。
+   * @property {string} name
+   *   ステップ名。step.name → fn.name の順に採用し、どちらもなければ "#<index>"。
+   * @property {string} input
+   *   ステップ実行前の文字列。
+   * @property {string} output
+   *   ステップ実行後の文字列（エラー・スキップ時は input と同じ）。
+   * @property {number} elapsed
+   *   所要時間（ミリ秒）。スキップ時は 0。
+   * @property {boolean} skipped
+   *   enabled: false または when によりスキップされた場合 true。
+   * @property {"disabled"|"when"} [skipReason]
+   *   スキップの理由（スキップしなかった場合は undefined）。
+   * @property {any} [error]
+   *   ステップ実行中に発生したエラー（発生しなかった場合は undefined）。
+   */
+
+  /**
+   * @typedef {Object} ProfileEntry
+   * @property {string} chain ステップが属するフィルタリスト名
+   * @property {number} index リスト内でのステップのインデックス
+   * @property {string} name ステップ名（TraceRecord.name と同じ規則）
+   * @property {number} calls 実行回数（スキップ・エラーは含まない）
+   * @property {number} elapsed 所要時間の合計（ミリ秒）
+   * @property {number} maxElapsed 1 回あたりの最大所要時間（ミリ秒）
+   * @property {number} inputLength 入力文字数の合計
+   * @property {number} outputLength 出力文字数の合計
+   * @property {number|null} heapDelta
+   *   ヒープ増加量の合計（バイト、増えた回のみ加算）。heap を渡していない場合は null。
+   */
+
+  /**
+   * 現在時刻（ミリ秒）を取得する
+   * - performance.now() が使えない環境では Date.now() で代用する。
+   * @returns {number}
+   */
+  function now() {
+    if (typeof performance !== "undefined" && performance && typeof performance.now === "function") {
+      return performance.now();
+    }
+    return Date.now();
+  }
+
+  /** 設定（exportConfig / importConfig）の形式 */
+  const CONFIG_VERSION = 1;
+
+  /**
+   * JSON でそのまま表せる値かどうか（関数・正規表現・非有限数などを含まない）
+   * @param {any} value
+   * @returns {boolean}
+   */
+  function isJsonValue(value) {
+    if (value === null || typeof value === "string" || typeof value === "boolean") return true;
+    if (typeof value === "number") return isFinite(value);
+    if (Array.isArray(value)) return value.every(isJsonValue);
+    if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.keys(value).every((key) => isJsonValue(value[key]));
+    }
+    return false;
+  }
+
+  /**
+   * 中止を表すエラーを生成する
+   * - signal.reason が Error であればそれを使い、そうでなければ AbortError を作る。
+   * @param {AbortSignal} signal
+   * @returns {Error}
+   */
+  function abortError(signal) {
+    const reason = signal && signal.reason;
+    if (reason && typeof reason === "object" && reason.name === "AbortError") {
+      return reason;
+    }
+    const err = new Error("処理が中止されました。");
+    err.name = "AbortError";
+    if (reason !== undefined) {
+      err.cause = reason;
+    }
+    return err;
+  }
+
+  /** イベントループに処理を返す間隔（ミリ秒） */
+  const YIELD_INTERVAL = 50;
+
+  /** 最後にイベントループへ処理を返した時刻（入れ子のリストや複数のリストで共有する） */
+  let lastYieldAt = 0;
+
+  /**
+   * 前回から YIELD_INTERVAL 以上たっていればイベントループに処理を返す
+   * （Cancel ボタンなどのイベントを処理させるため）
+   * - 短いステップが続く間は返さないので、ステップごとに setTimeout の遅れが積み重ならない。
+   * @returns {Promise<void>|null} 処理を返さない場合は null
    */
+  function yieldToEventLoop() {
+    if (now() - lastYieldAt < YIELD_INTERVAL) {
+      return null;
+    }
+    return new Promise((resolve) => setTimeout(resolve)).then(() => {
+      lastYieldAt = now();
+    });
+  }
+
+  /**
+   * 制限時間の超過を表すエラーを生成する
+   * @param {"step"|"chain"} scope ステップ単位かリスト全体か
+   * @param {string} chain リスト名
+   * @param {string} step ステップ名
+   * @param {number} timeout 制限時間（ミリ秒）
+   * @returns {Error}
+   */
+  function timeoutError(scope, chain, step, timeout) {
+    const err = new Error(
+      scope === "chain"
+        ? "フィルタリスト " + chain + " が制限時間 " + timeout + " ms を超えました（実行中のステップ: " + step + "）。"
+        : "ステップ " + chain + " / " + step + " が制限時間 " + timeout + " ms を超えました。"
+    );
+    err.name = "TimeoutError";
+    err.scope = scope;
+    err.chain = chain;
+    err.step = step;
+    err.timeout = timeout;
+    return err;
+  }
 
   /**
    * フィルタレジストリクラス
@@ -144,6 +369,24 @@
         },
         options.defaults || {}
       );
+
+      /**
+       * トレース記録先（startTrace 中のみ配列、それ以外は null）
+       * @type {TraceRecord[]|null}
+       */
+      this._trace = null;
+
+      /**
+       * onError に通知済みのエラー（入れ子のリストで通知したものを呼び出し側で再通知しないため）
+       * @type {WeakSet<object>}
+       */
+      this._reported = new WeakSet();
+
+      /**
+       * プロファイルの集計先（startProfile 中のみ、それ以外は null）
+       * @type {{ heap: (() => number)|null, entries: Map<string, ProfileEntry> }|null}
+       */
+      this._profile = null;
     }
 
     // -----------------------------------------------------------------------
@@ -167,6 +410,7 @@
         throw new Error("フィルタ名は空文字列にできません。");
       }
       const steps = this._normalizeToSteps(fnList);
+      this._assertNoCycle(name, steps);
       const mergedOptions = Object.assign({}, this._defaults, options || {});
       /** @type {ListEntry} */
       const entry = {
@@ -221,47 +465,86 @@
       if (!entry) {
         throw new Error("指定されたフィルタリストは登録されていません: " + name);
       }
-      const step = this._normalizeToStep(filter);
-      const steps = entry.steps;
-      const i = Math.max(0, Math.min(index, steps.length));
-      steps.splice(i, 0, step);
+      const i = Math.max(0, Math.min(index, entry.steps.length));
+      this._spliceSteps(name, entry, i, 0, this._normalizeToStep(filter));
     }
 
     /**
-     * 指定インデックスのステップを削除する
+     * 指定した名前のステップの直前にステップを挿入する
      *
      * @param {string} name フィルタリスト名
-     * @param {number} index 削除するステップのインデックス
+     * @param {string} stepName 基準とするステップ名（step.name → fn.name。同名が複数あれば先頭）
+     * @param {FilterFn|FilterStep} filter 挿入するフィルタステップ
      */
-    removeAt(name, index) {
-      const entry = this._map.get(name);
-      if (!entry) {
-        throw new Error("指定されたフィルタリストは登録されていません: " + name);
-      }
-      const steps = entry.steps;
-      if (index < 0 || index >= steps.length) {
-        throw new Error("ステップのインデックスが範囲外です: " + index);
-      }
-      steps.splice(index, 1);
+    insertBefore(name, stepName, filter) {
+      const entry = this._getEntry(name);
+      const index = this._resolveStepIndex(name, entry, stepName);
+      this._spliceSteps(name, entry, index, 0, this._normalizeToStep(filter));
     }
 
     /**
-     * 指定インデックスのステップを有効／無効化する
+     * 指定した名前のステップの直後にステップを挿入する
      *
      * @param {string} name フィルタリスト名
-     * @param {number} index 対象ステップのインデックス
+     * @param {string} stepName 基準とするステップ名（step.name → fn.name。同名が複数あれば先頭）
+     * @param {FilterFn|FilterStep} filter 挿入するフィルタステップ
+     */
+    insertAfter(name, stepName, filter) {
+      const entry = this._getEntry(name);
+      const index = this._resolveStepIndex(name, entry, stepName);
+      this._spliceSteps(name, entry, index + 1, 0, this._normalizeToStep(filter));
+    }
+
+    /**
+     * ステップを別のステップに置き換える
+     *
+     * - 置き換え後のステップには元の enabled / when を引き継がない（filter の指定どおりになる）。
+     *
+     * @param {string} name フィルタリスト名
+     * @param {number|string} target 置き換えるステップのインデックスまたは名前
+     * @param {FilterFn|FilterStep} filter 新しいフィルタステップ
+     */
+    replace(name, target, filter) {
+      const entry = this._getEntry(name);
+      const index = this._resolveStepIndex(name, entry, target);
+      this._spliceSteps(name, entry, index, 1, this._normalizeToStep(filter));
+    }
+
+    /**
+     * ステップの位置を取得する
+     *
+     * @param {string} name フィルタリスト名
+     * @param {string} stepName ステップ名（step.name → fn.name）
+     * @returns {number} インデックス（見つからない場合は -1）
+     */
+    indexOf(name, stepName) {
+      const entry = this._getEntry(name);
+      return entry.steps.findIndex((step) => step && this._stepName(step) === stepName);
+    }
+
+    /**
+     * 指定したステップを削除する
+     *
+     * @param {string} name フィルタリスト名
+     * @param {number|string} target 削除するステップのインデックスまたは名前
+     */
+    removeAt(name, target) {
+      const entry = this._getEntry(name);
+      const index = this._resolveStepIndex(name, entry, target);
+      entry.steps.splice(index, 1);
+    }
+
+    /**
+     * 指定したステップを有効／無効化する
+     *
+     * @param {string} name フィルタリスト名
+     * @param {number|string} target 対象ステップのインデックスまたは名前
      * @param {boolean} enabled true: 有効, false: 無効
      */
-    enable(name, index, enabled) {
-      const entry = this._map.get(name);
-      if (!entry) {
-        throw new Error("指定されたフィルタリストは登録されていません: " + name);
-      }
-      const steps = entry.steps;
-      if (index < 0 || index >= steps.length) {
-        throw new Error("ステップのインデックスが範囲外です: " + index);
-      }
-      steps[index].enabled = !!enabled;
+    enable(name, target, enabled) {
+      const entry = this._getEntry(name);
+      const index = this._resolveStepIndex(name, entry, target);
+      entry.steps[index].enabled = !!enabled;
     }
 
     /**
@@ -277,15 +560,14 @@
      *   - 実際にステップに渡される引数順序は:
      *       [ current, ...step.args, ...invokeArgs ]
      *     となる。
+     * @param {RunOptions} [runOptions]
+     *   実行時オプション（when に渡す context など）。
      * @returns {Promise<string>} 変換後の文字列
      */
-    async apply(name, str, invokeArgs) {
-      const entry = this._map.get(name);
-      if (!entry) {
-        throw new Error("指定されたフィルタリストは登録されていません: " + name);
-      }
+    async apply(name, str, invokeArgs, runOptions) {
+      const entry = this._getEntry(name);
       const input = str == null ? "" : String(str);
-      return this._runPipeline(name, entry, input, invokeArgs);
+      return this._runPipeline(name, entry, input, invokeArgs, runOptions);
     }
 
     /**
@@ -299,18 +581,22 @@
      * @param {string} str 入力文字列
      * @param {any[]} [invokeArgs]
      *   各ステップに共通で渡したい追加引数配列
+     * @param {RunOptions} [runOptions]
+     *   実行時オプション（when に渡す context など）
+     * @param {ListOptions} [options]
+     *   一時的なリストのオプション（省略時は stopOnError: true）
      * @returns {Promise<string>} 変換後の文字列
      */
-    async applyList(fnList, str, invokeArgs) {
+    async applyList(fnList, str, invokeArgs, runOptions, options) {
       const steps = this._normalizeToSteps(fnList);
       /** @type {ListEntry} */
       const entry = {
         steps,
         // 一時的なリストのデフォルトは stopOnError: true とする
-        options: Object.assign({}, this._defaults, { stopOnError: true })
+        options: Object.assign({}, this._defaults, { stopOnError: true }, options || {})
       };
       const input = str == null ? "" : String(str);
-      return this._runPipeline("<adhoc>", entry, input, invokeArgs);
+      return this._runPipeline("<adhoc>", entry, input, invokeArgs, runOptions);
     }
 
     /**
@@ -326,10 +612,298 @@
       plugin(this);
     }
 
+    /**
+     * トレースの記録を開始する
+     *
+     * - 以降に実行された apply / applyList の各ステップを TraceRecord として記録する。
+     * - すでに記録中の場合は、それまでの記録を破棄して新しく開始する。
+     */
+    startTrace() {
+      this._trace = [];
+    }
+
+    /**
+     * トレースの記録を終了し、記録内容を返す
+     *
+     * @returns {TraceRecord[]} 実行順に並んだトレース（記録していなかった場合は空配列）
+     */
+    stopTrace() {
+      const records = this._trace || [];
+      this._trace = null;
+      return records;
+    }
+
+    /**
+     * トレースを記録中かどうか
+     *
+     * @returns {boolean}
+     */
+    isTracing() {
+      return Array.isArray(this._trace);
+    }
+
+    /**
+     * プロファイルの集計を開始する
+     *
+     * - 以降に実行されたステップの所要時間・入出力の文字数をステップごとに集計する。
+     * - すでに集計中の場合は、それまでの集計を破棄して新しく開始する。
+     *
+     * @param {Object} [options]
+     * @param {() => number} [options.heap]
+     *   現在のヒープ使用量（バイト）を返す関数。省略時は performance.memory（Chrome）を使い、
+     *   それもなければヒープは測らない。
+     */
+    startProfile(options) {
+      let heap = options && typeof options.heap === "function" ? options.heap : null;
+      if (!heap && typeof performance !== "undefined" && performance && performance.memory) {
+        heap = () => performance.memory.usedJSHeapSize;
+      }
+      this._profile = { heap, entries: new Map() };
+    }
+
+    /**
+     * プロファイルの集計を終了し、集計結果を返す
+     *
+     * @returns {ProfileEntry[]} 最初に実行された順のステップ別集計（集計していなかった場合は空配列）
+     */
+    stopProfile() {
+      const profile = this._profile;
+      this._profile = null;
+      return profile ? Array.from(profile.entries.values()) : [];
+    }
+
+    /**
+     * プロファイルを集計中かどうか
+     *
+     * @returns {boolean}
+     */
+    isProfiling() {
+      return this._profile !== null;
+    }
+
+    /**
+     * 登録済みリストの構成を書き出す
+     *
+     * - ステップ順・enabled・args（JSON で表せる場合のみ）をリストごとに返す。
+     *   関数・when・timeout は含まない。
+     * - 戻り値はそのまま JSON.stringify して保存できる。
+     *
+     * @returns {RegistryConfig}
+     */
+    exportConfig() {
+      const chains = [];
+      this._map.forEach((entry, name) => {
+        chains.push({
+          name,
+          steps: entry.steps.map((step, index) => {
+            /** @type {StepConfig} */
+            const config = { name: this._stepName(step) || "#" + index, enabled: step.enabled !== false };
+            if (Array.isArray(step.args) && isJsonValue(step.args)) {
+              config.args = JSON.parse(JSON.stringify(step.args));
+            }
+            return config;
+          })
+        });
+      });
+      return { version: CONFIG_VERSION, chains };
+    }
+
+    /**
+     * exportConfig で書き出した構成を取り込む
+     *
+     * - 登録済みのリストだけが対象。ステップは名前で対応付け、設定の順に並べ替えたうえで
+     *   enabled と args（指定がある場合）を反映する。同名のステップは出現順に対応付ける。
+     * - 設定にないステップ（設定を保存した後で追加されたものなど）は、元の並びで直前にあった
+     *   ステップの後ろに残す。
+     * - 未登録のリスト・見つからないステップは warnings に入れて読み飛ばす。
+     *
+     * @param {RegistryConfig|string} config 構成（JSON 文字列も可）
+     * @returns {{ chains: string[], warnings: string[] }} chains: 反映したリスト名
+     */
+    importConfig(config) {
+      const data = typeof config === "string" ? JSON.parse(config) : config;
+      if (!data || typeof data !== "object" || !Array.isArray(data.chains)) {
+        throw new Error("フィルタ構成の形式が正しくありません（chains がありません）。");
+      }
+      if (data.version !== CONFIG_VERSION) {
+        throw new Error("対応していないフィルタ構成の形式です: version " + data.version);
+      }
+
+      const result = { chains: [], warnings: [] };
+      for (const chain of data.chains) {
+        if (!chain || typeof chain.name !== "string" || !Array.isArray(chain.steps)) {
+          result.warnings.push("形式が正しくないフィルタリストの設定を読み飛ばしました。");
+          continue;
+        }
+        const entry = this._map.get(chain.name);
+        if (!entry) {
+          result.warnings.push("未登録のフィルタリストです: " + chain.name);
+          continue;
+        }
+
+        const original = entry.steps.slice();
+        const used = new Set();
+        /** @type {FilterStep[]} */
+        const ordered = [];
+        for (const config of chain.steps) {
+          const name = config && typeof config.name === "string" ? config.name : "";
+          const index = original.findIndex((step, i) => !used.has(i) && this._stepName(step) === name);
+          if (index === -1) {
+            result.warnings.push("ステップが見つかりません: " + chain.name + " / " + (name || "（名前なし）"));
+            continue;
+          }
+          used.add(index);
+          const step = original[index];
+          if (typeof config.enabled === "boolean") {
+            step.enabled = config.enabled;
+          }
+          if (Array.isArray(config.args)) {
+            step.args = config.args.slice();
+          }
+          ordered.push(step);
+        }
+
+        // 設定にないステップは、元の並びで直前にあったステップの後ろに入れる
+        original.forEach((step, index) => {
+          if (used.has(index)) return;
+          const previous = index > 0 ? ordered.indexOf(original[index - 1]) : -1;
+          ordered.splice(previous + 1, 0, step);
+        });
+
+        entry.steps = ordered;
+        result.chains.push(chain.name);
+      }
+      return result;
+    }
+
+    /**
+     * 中止（AbortSignal）によるエラーかどうか
+     *
+     * - runTextChains やモードハンドラが、中止を通常のエラーと区別するために使う。
+     *
+     * @param {any} err
+     * @returns {boolean}
+     */
+    static isAbortError(err) {
+      return !!err && typeof err === "object" && err.name === "AbortError";
+    }
+
     // -----------------------------------------------------------------------
     // 内部ユーティリティ
     // -----------------------------------------------------------------------
 
+    /**
+     * 登録済みのリストエントリを取得する（未登録の場合はエラー）
+     *
+     * @param {string} name フィルタリスト名
+     * @returns {ListEntry}
+     * @private
+     */
+    _getEntry(name) {
+      const entry = this._map.get(name);
+      if (!entry) {
+        throw new Error("指定されたフィルタリストは登録されていません: " + name);
+      }
+      return entry;
+    }
+
+    /**
+     * 入れ子のステップが参照するリストエントリを取得する（未登録の場合はエラー）
+     *
+     * @param {string} name 呼び出し側のフィルタリスト名（エラーメッセージ用）
+     * @param {string} chain 参照先のフィルタリスト名
+     * @returns {ListEntry}
+     * @private
+     */
+    _getNestedEntry(name, chain) {
+      const entry = this._map.get(chain);
+      if (!entry) {
+        throw new Error("参照先のフィルタリストが登録されていません: " + name + " → " + chain);
+      }
+      return entry;
+    }
+
+    /**
+     * ステップ名を取得する（step.name → fn.name → chain の順。どれもなければ空文字列）
+     *
+     * @param {FilterStep} step
+     * @returns {string}
+     * @private
+     */
+    _stepName(step) {
+      return step.name || (step.fn && step.fn.name) || step.chain || "";
+    }
+
+    /**
+     * ステップ配列を組み替えて反映する（入れ子のリストを追加する場合は循環を確認する）
+     *
+     * @param {string} name フィルタリスト名
+     * @param {ListEntry} entry
+     * @param {number} index 位置
+     * @param {number} deleteCount 取り除くステップ数
+     * @param {FilterStep} step 入れるステップ
+     * @private
+     */
+    _spliceSteps(name, entry, index, deleteCount, step) {
+      const steps = entry.steps.slice();
+      steps.splice(index, deleteCount, step);
+      if (step.chain) {
+        this._assertNoCycle(name, steps);
+      }
+      entry.steps = steps;
+    }
+
+    /**
+     * 入れ子のリストの参照が循環しないことを確認する
+     *
+     * - name のステップを steps に差し替えたと仮定して、name から参照をたどる。
+     *   循環するなら name を必ず通るため、name に戻ってくるかだけを見ればよい。
+     *
+     * @param {string} name フィルタリスト名
+     * @param {FilterStep[]} steps name の（新しい）ステップ配列
+     * @private
+     */
+    _assertNoCycle(name, steps) {
+      const visited = new Set();
+      const visit = (chain, path) => {
+        const list = chain === name ? steps : (this._map.get(chain) || { steps: [] }).steps;
+        for (const step of list) {
+          if (!step || !step.chain) continue;
+          if (step.chain === name) {
+            throw new Error("フィルタリストの参照が循環しています: " + path.concat(name).join(" → "));
+          }
+          if (visited.has(step.chain)) continue;
+          visited.add(step.chain);
+          visit(step.chain, path.concat(step.chain));
+        }
+      };
+      visit(name, [name]);
+    }
+
+    /**
+     * インデックスまたはステップ名から、既存ステップのインデックスを求める
+     *
+     * @param {string} name フィルタリスト名（エラーメッセージ用）
+     * @param {ListEntry} entry
+     * @param {number|string} target インデックスまたはステップ名
+     * @returns {number}
+     * @private
+     */
+    _resolveStepIndex(name, entry, target) {
+      const steps = entry.steps;
+      if (typeof target === "string") {
+        const index = steps.findIndex((step) => step && this._stepName(step) === target);
+        if (index === -1) {
+          throw new Error("指定されたステップが見つかりません: " + name + " / " + target);
+        }
+        return index;
+      }
+      if (typeof target !== "number" || target < 0 || target >= steps.length) {
+        throw new Error("ステップのインデックスが範囲外です: " + target);
+      }
+      return target;
+    }
+
     /**
      * 任意のフィルタ定義を FilterStep 配列に正規化する
      *
@@ -372,20 +946,47 @@
 
       if (item && typeof item === "object") {
         const fn = /** @type {any} */ (item).fn;
-        if (typeof fn !== "function") {
-          throw new Error("FilterStep オブジェクトには fn 関数が必要です。");
+        const chain = /** @type {any} */ (item).chain;
+        if (chain != null) {
+          if (typeof chain !== "string" || chain.trim() === "") {
+            throw new Error("FilterStep の chain はフィルタリスト名（空でない文字列）で指定してください。");
+          }
+          if (fn != null || item.args != null) {
+            throw new Error("chain を指定したステップには fn / args を指定できません: " + chain);
+          }
+        } else if (typeof fn !== "function") {
+          throw new Error("FilterStep オブジェクトには fn 関数または chain が必要です。");
+        }
+        const when = /** @type {any} */ (item).when;
+        if (when != null && typeof when !== "function") {
+          throw new Error("FilterStep の when は関数で指定してください。");
         }
         /** @type {FilterStep} */
-        const step = {
-          fn,
-          name: typeof item.name === "string" ? item.name : undefined,
-          args: Array.isArray(item.args) ? item.args.slice() : item.args,
-          enabled: item.enabled === false ? false : true
-        };
+        const step = chain != null
+          ? {
+            chain,
+            name: typeof item.name === "string" ? item.name : undefined,
+            enabled: item.enabled === false ? false : true
+          }
+          : {
+            fn,
+            name: typeof item.name === "string" ? item.name : undefined,
+            args: Array.isArray(item.args) ? item.args.slice() : item.args,
+            enabled: item.enabled === false ? false : true
+          };
+        if (when) {
+          step.when = when;
+        }
+        if (typeof item.timeout === "number" && item.timeout > 0) {
+          step.timeout = item.timeout;
+        }
+        if (item.abortable === true && chain == null) {
+          step.abortable = true;
+        }
         return step;
       }
 
-      throw new Error("フィルタステップは関数または { fn } 形式のオブジェクトである必要があります。");
+      throw new Error("フィルタステップは関数または { fn } / { chain } 形式のオブジェクトである必要があります。");
     }
 
     /**
@@ -395,21 +996,36 @@
      * - entry: steps と options を含むリストエントリ
      * - input: 初期文字列
      * - invokeArgs: 各ステップに共通で渡す追加引数
+     * - runOptions: 実行時オプション（context は when にだけ渡す）
      *
      * @param {string} name
      * @param {ListEntry} entry
      * @param {string} input
      * @param {any[]} [invokeArgs]
+     * @param {RunOptions} [runOptions]
      * @returns {Promise<string>}
      * @private
      */
-    async _runPipeline(name, entry, input, invokeArgs) {
+    async _runPipeline(name, entry, input, invokeArgs, runOptions) {
       const steps = entry.steps;
+      const context = (runOptions && runOptions.context) || {};
+      const signal = (runOptions && runOptions.signal) || null;
       const options = entry.options || this._defaults;
       const hooks = this._hooks || {};
+      // 実行途中で stopTrace されても記録先がずれないよう、開始時点の配列を保持する
+      const trace = this._trace;
+      const profile = this._profile;
 
       let current = input;
 
+      // リスト全体の制限時間
+      const chainTimeout = options.timeout > 0 ? options.timeout : 0;
+      const deadline = chainTimeout ? now() + chainTimeout : 0;
+
+      if (signal && signal.aborted) {
+        throw abortError(signal);
+      }
+
       // beforeApply フック
       if (typeof hooks.beforeApply === "function") {
         try {
@@ -425,7 +1041,13 @@
       // ステップ実行ループ（シーケンシャル）
       for (let i = 0; i < steps.length; i++) {
         const step = steps[i];
-        if (!step || step.enabled === false) {
+        if (!step) {
+          continue;
+        }
+        if (step.enabled === false) {
+          if (trace) {
+            trace.push(this._traceRecord(name, i, step, current, current, 0, "disabled"));
+          }
           continue;
         }
 
@@ -443,16 +1065,85 @@
           args.push(...invokeArgs);
         }
 
+        // 中止に対応するステップには signal を最後に渡す
+        if (step.abortable) {
+          args.push(signal);
+        }
+
+        const before = current;
+        const startedAt = trace ? now() : 0;
+        const stepName = this._stepName(step) || "#" + i;
+        const stepTimeout = step.timeout || (options.stepTimeout > 0 ? options.stepTimeout : 0);
         try {
-          const result = step.fn(...args);
+          if (signal) {
+            // 同期ステップが続いても中止を受け付けられるよう、時間がたっていれば処理を返す
+            const pending = yieldToEventLoop();
+            if (pending) {
+              await pending;
+            }
+            if (signal.aborted) {
+              throw abortError(signal);
+            }
+          }
+          if (deadline && now() >= deadline) {
+            throw timeoutError("chain", name, stepName, chainTimeout);
+          }
+
+          // 実行条件（when の例外はステップのエラーとして扱う）
+          if (step.when && !step.when(current, context)) {
+            if (trace) {
+              trace.push(this._traceRecord(name, i, step, current, current, 0, "when"));
+            }
+            continue;
+          }
+
+          const heapBefore = profile && profile.heap && !step.chain ? profile.heap() : 0;
+          const startedStepAt = now();
+          // 入れ子のリストは、同じ invokeArgs / runOptions でそのリストとして実行する
+          const result = step.chain
+            ? this._runPipeline(step.chain, this._getNestedEntry(name, step.chain), current, invokeArgs, runOptions)
+            : step.fn(...args);
           if (result && typeof result.then === "function") {
-            current = String(await result);
+            current = String(await this._race(result, signal, stepTimeout, deadline, name, stepName, chainTimeout));
           } else {
             current = String(result ?? "");
           }
+
+          // 同期ステップは途中で止められないため、終わった後に判定する
+          if (signal && signal.aborted) {
+            throw abortError(signal);
+          }
+          if (stepTimeout && now() - startedStepAt > stepTimeout) {
+            throw timeoutError("step", name, stepName, stepTimeout);
+          }
+          if (deadline && now() > deadline) {
+            throw timeoutError("chain", name, stepName, chainTimeout);
+          }
+          // 入れ子のリストは、そのリストの各ステップとして記録済み
+          if (trace && !step.chain) {
+            trace.push(this._traceRecord(name, i, step, before, current, now() - startedAt, null));
+          }
+          if (profile && !step.chain) {
+            const heapDelta = profile.heap ? profile.heap() - heapBefore : null;
+            this._profileStep(profile, name, i, stepName, before, current, now() - startedStepAt, heapDelta);
+          }
         } catch (err) {
-          await this._handleHookError(name, err, "step", i);
-          if (options.stopOnError !== false) {
+          // 入れ子のリストの中で通知済みのエラーは、記録・通知を重ねない
+          const reported = !!step.chain && !!err && typeof err === "object" && this._reported.has(err);
+          if (trace && !reported) {
+            const record = this._traceRecord(name, i, step, before, before, now() - startedAt, null);
+            record.error = err;
+            trace.push(record);
+          }
+          current = before;
+          // 中止はエラーとして通知せず、常に中断する
+          if (FilterRegistry.isAbortError(err)) {
+            throw err;
+          }
+          if (!reported) {
+            await this._handleHookError(name, err, "step", i);
+          }
+          if (options.stopOnError !== false || (err && err.name === "TimeoutError" && err.scope === "chain")) {
             // stopOnError が true (デフォルト) の場合は即座に中断
             throw err;
           } else {
@@ -477,6 +1168,110 @@
       return current;
     }
 
+    /**
+     * 非同期ステップの完了・中止・制限時間のうち、最初に起きたものを結果とする
+     *
+     * - 中止や時間切れで打ち切っても、ステップの処理自体は止まらない
+     *   （abortable なステップは signal を見て自分で止まることができる）。
+     *
+     * @param {Promise<any>} promise ステップの戻り値
+     * @param {AbortSignal|null} signal
+     * @param {number} stepTimeout ステップの制限時間（0 は無制限）
+     * @param {number} deadline リスト全体の期限（now() 基準、0 は無制限）
+     * @param {string} chain リスト名
+     * @param {string} stepName ステップ名
+     * @param {number} chainTimeout リスト全体の制限時間（エラーメッセージ用）
+     * @returns {Promise<any>}
+     * @private
+     */
+    _race(promise, signal, stepTimeout, deadline, chain, stepName, chainTimeout) {
+      const untilDeadline = deadline ? Math.max(0, deadline - now()) : 0;
+      if (!signal && !stepTimeout && !deadline) {
+        return promise;
+      }
+
+      return new Promise((resolve, reject) => {
+        let timer = null;
+        const onAbort = () => finish(reject, abortError(signal));
+        const finish = (settle, value) => {
+          if (timer !== null) clearTimeout(timer);
+          if (signal) signal.removeEventListener("abort", onAbort);
+          settle(value);
+        };
+
+        if (signal) signal.addEventListener("abort", onAbort);
+        if (stepTimeout || deadline) {
+          // ステップとリスト全体のうち、先に来る方の期限で打ち切る
+          const byStep = stepTimeout && (!deadline || stepTimeout <= untilDeadline);
+          timer = setTimeout(
+            () =>
+              finish(
+                reject,
+                byStep ? timeoutError("step", chain, stepName, stepTimeout) : timeoutError("chain", chain, stepName, chainTimeout)
+              ),
+            byStep ? stepTimeout : untilDeadline
+          );
+        }
+        promise.then(
+          (value) => finish(resolve, value),
+          (err) => finish(reject, err)
+        );
+      });
+    }
+
+    /**
+     * 1 回分のステップ実行をプロファイルに加算する
+     *
+     * @param {{ heap: (() => number)|null, entries: Map<string, ProfileEntry> }} profile
+     * @param {string} chain リスト名
+     * @param {number} index ステップのインデックス
+     * @param {string} name ステップ名
+     * @param {string} input 実行前の文字列
+     * @param {string} output 実行後の文字列
+     * @param {number} elapsed 所要時間（ミリ秒）
+     * @param {number|null} heapDelta ヒープの増減（バイト。測っていない場合は null）
+     * @private
+     */
+    _profileStep(profile, chain, index, name, input, output, elapsed, heapDelta) {
+      const key = chain + "\u0000" + index + "\u0000" + name;
+      let entry = profile.entries.get(key);
+      if (!entry) {
+        entry = { chain, index, name, calls: 0, elapsed: 0, maxElapsed: 0, inputLength: 0, outputLength: 0, heapDelta: profile.heap ? 0 : null };
+        profile.entries.set(key, entry);
+      }
+      entry.calls++;
+      entry.elapsed += elapsed;
+      entry.maxElapsed = Math.max(entry.maxElapsed, elapsed);
+      entry.inputLength += input.length;
+      entry.outputLength += output.length;
+      // GC で減った回は割り当て量の目安にならないため加算しない
+      if (entry.heapDelta !== null && heapDelta !== null && heapDelta > 0) {
+        entry.heapDelta += heapDelta;
+      }
+    }
+
+    /**
+     * TraceRecord を生成する
+     *
+     * @param {string} chain リスト名
+     * @param {number} index ステップのインデックス
+     * @param {FilterStep} step 対象ステップ
+     * @param {string} input 実行前の文字列
+     * @param {string} output 実行後の文字列
+     * @param {number} elapsed 所要時間（ミリ秒）
+     * @param {"disabled"|"when"|null} skipReason スキップの理由（実行した場合は null）
+     * @returns {TraceRecord}
+     * @private
+     */
+    _traceRecord(chain, index, step, input, output, elapsed, skipReason) {
+      const name = this._stepName(step) || "#" + index;
+      const record = { chain, index, name, input, output, elapsed, skipped: !!skipReason };
+      if (skipReason) {
+        record.skipReason = skipReason;
+      }
+      return record;
+    }
+
     /**
      * onError フック呼び出しのヘルパ
      *
@@ -492,6 +1287,9 @@
      */
     async _handleHookError(name, error, stage, stepIndex) {
       const hooks = this._hooks || {};
+      if (error && typeof error === "object") {
+        this._reported.add(error);
+      }
       if (typeof hooks.onError !== "function") return;
 
       try {
@@ -0,0 +1,776 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 略語辞書（applyFlexibleMap の置換表）
+   * - 分野別パック（abbreviationPacks.js）と利用者が追加した語をまとめ、
+   *   正規化キーの Trie に 1 回だけコンパイルしてキャッシュする。
+   * - パックの有効／無効や利用者の語を変更したときだけ再コンパイルする。
+   * - 正規化キーが重複した場合は例外にせず衝突として記録し、画面に表示する
+   *   （パック同士は先に定義された方、利用者の語はパックより優先）。
+   * - パックの有効／無効と利用者の語は localStorage に保存される。
+   *   localStorage が使えない環境（Node.js / CLI など）では既定のパック構成で動作する。
+   * - textUtilsConvertForCau.js / app.js からは root.AbbreviationDictionary 経由で利用する。
+   */
+  function createAbbreviationDictionary() {
+    /** localStorage のキー */
+    const STORAGE_KEY = "pddc.abbreviations";
+
+    /** エクスポート JSON の形式名と版 */
+    const EXPORT_FORMAT = "pddc-abbreviations";
+    const EXPORT_VERSION = 1;
+
+    /** 利用者が追加した語の出所名（衝突の表示に使う） */
+    const USER_SOURCE = "user";
+
+    /**
+     * @typedef {Object} AbbreviationEntry
+     * @property {string} key 照合用の表記
+     * @property {string} value 置換後の表記
+     * @property {boolean} boundarySensitive 前後が英数字でない位置でのみ適用する
+     * @property {boolean} conditionalShort 誤爆しやすい短語（元表記に区切り文字を含む場合も適用しない）
+     */
+
+    /**
+     * @typedef {Object} Collision
+     * @property {string} key 正規化キー
+     * @property {{source: string, key: string, value: string}} kept 採用された定義
+     * @property {{source: string, key: string, value: string}} dropped 無視された定義
+     */
+
+    /** @type {Array<{id: string, label: string, description: string, enabled: boolean, entries: Object}>} */
+    const packs = (root.AbbreviationPacks || []).slice();
+
+    /**
+     * パックの有効／無効（既定値から変更したものだけを持つ）
+     * @type {Record<string, boolean>}
+     */
+    let packOverrides = {};
+
+    /** @type {AbbreviationEntry[]} */
+    let userEntries = [];
+
+    /**
+     * コンパイル結果のキャッシュ（変更時に null に戻す）
+     * @type {{trie: Object, size: number, collisions: Collision[]}|null}
+     */
+    let compiled = null;
+
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+
+    // 正規化関数：空白 / ハイフン / アンダースコア除去＋小文字化
+    const normalize = (s) => String(s).replace(/[\s\-_]/g, "").toLowerCase();
+
+    /**
+     * localStorage を取得する（使えない環境では null）
+     * @returns {Storage|null}
+     */
+    function getStorage() {
+      try {
+        return typeof root.localStorage !== "undefined" ? root.localStorage : null;
+      } catch (_e) {
+        // file:// やプライベートモードでアクセス自体が例外になる場合がある
+        return null;
+      }
+    }
+
+    /**
+     * パックの値（文字列またはオブジェクト）をエントリに揃える
+     * @param {string} key
+     * @param {string|{value: string, boundarySensitive?: boolean, conditionalShort?: boolean}} raw
+     * @returns {AbbreviationEntry}
+     */
+    function toEntry(key, raw) {
+      const spec = typeof raw === "string" ? { value: raw } : raw || {};
+      const conditionalShort = !!spec.conditionalShort;
+      return {
+        key: String(key),
+        value: String(spec.value == null ? "" : spec.value),
+        // 短語は境界必須
+        boundarySensitive: conditionalShort || !!spec.boundarySensitive,
+        conditionalShort,
+      };
+    }
+
+    /**
+     * 利用者の語を検証して整えたエントリを返す
+     * - 照合対象は英数字（と区切りの空白 / ハイフン / アンダースコア）の並びだけなので、
+     *   それ以外の文字を含むキーは登録できない。
+     * @param {Object} spec
+     * @returns {AbbreviationEntry}
+     * @throws {Error} キーまたは置換後の表記が不正な場合
+     */
+    function validateUserEntry(spec) {
+      const entry = toEntry(spec && spec.key != null ? String(spec.key).trim() : "", spec);
+      entry.value = entry.value.trim();
+
+      if (!normalize(entry.key)) {
+        throw new Error("略語のキーを入力してください。");
+      }
+      if (!/^[a-z0-9]+$/.test(normalize(entry.key))) {
+        throw new Error("略語のキーには英数字（と空白・ハイフン・アンダースコア）だけを使ってください: " + entry.key);
+      }
+      if (!entry.value || /[\r\n]/.test(entry.value)) {
+        throw new Error("置換後の表記を 1 行で入力してください: " + entry.key);
+      }
+      return entry;
+    }
+
+    /**
+     * 保存済みの設定を読み込む
+     * - 保存値が壊れている場合は警告を出して既定値に戻す。
+     */
+    function load() {
+      const storage = getStorage();
+      if (!storage) return;
+
+      try {
+        const saved = storage.getItem(STORAGE_KEY);
+        if (saved) {
+          const data = JSON.parse(saved);
+          packOverrides = data && typeof data.packs === "object" && data.packs ? data.packs : {};
+          userEntries = (data && Array.isArray(data.user) ? data.user : []).map(validateUserEntry);
+        }
+      } catch (err) {
+        console.warn("[AbbreviationDictionary] 保存済みの略語辞書を読み込めませんでした:", err);
+        packOverrides = {};
+        userEntries = [];
+      }
+      compiled = null;
+    }
+
+    /**
+     * 現在の設定を保存し、コンパイル結果を破棄する
+     */
+    function save() {
+      compiled = null;
+      const storage = getStorage();
+      if (!storage) return;
+
+      try {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ packs: packOverrides, user: userEntries }));
+      } catch (err) {
+        console.warn("[AbbreviationDictionary] 略語辞書を保存できませんでした:", err);
+      }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function isPackEnabled(id) {
+      const pack = packs.find((p) => p.id === id);
+      if (!pack) return false;
+      return Object.prototype.hasOwnProperty.call(packOverrides, id) ? !!packOverrides[id] : !!pack.enabled;
+    }
+
+    // ============================================================
+    // コンパイル（正規化キーの統合 + Trie 構築）
+    // ============================================================
+
+    function createTrieNode() {
+      return { next: Object.create(null), entry: null };
+    }
+
+    /**
+     * 有効なパックと利用者の語を 1 つの Trie にまとめる
+     * @returns {{trie: Object, size: number, collisions: Collision[]}}
+     */
+    function compile() {
+      // 正規化後キーごとのエントリを統合
+      const entryMap = Object.create(null);
+      /** @type {Collision[]} */
+      const collisions = [];
+
+      function putEntry(source, entry, override) {
+        const nk = normalize(entry.key);
+        if (!nk) return;
+
+        const existing = entryMap[nk];
+        if (existing) {
+          const same =
+            existing.value === entry.value &&
+            existing.boundarySensitive === entry.boundarySensitive &&
+            existing.conditionalShort === entry.conditionalShort;
+          if (!same) {
+            const a = { source: existing.source, key: existing.rawKey, value: existing.value };
+            const b = { source, key: entry.key, value: entry.value };
+            collisions.push(override ? { key: nk, kept: b, dropped: a } : { key: nk, kept: a, dropped: b });
+          }
+          if (!override) return;
+        }
+
+        entryMap[nk] = {
+          key: nk,
+          rawKey: entry.key,
+          value: entry.value,
+          source,
+          boundarySensitive: entry.boundarySensitive,
+          conditionalShort: entry.conditionalShort,
+        };
+      }
+
+      packs.forEach((pack) => {
+        if (!isPackEnabled(pack.id)) return;
+        for (const key in pack.entries) {
+          if (!Object.prototype.hasOwnProperty.call(pack.entries, key)) continue;
+          putEntry(pack.id, toEntry(key, pack.entries[key]), false);
+        }
+      });
+
+      userEntries.forEach((entry) => putEntry(USER_SOURCE, entry, true));
+
+      // Trie 構築（最長一致）
+      const trie = createTrieNode();
+      let size = 0;
+      for (const nk in entryMap) {
+        let node = trie;
+        for (let i = 0; i < nk.length; i++) {
+          const ch = nk[i];
+          if (!node.next[ch]) node.next[ch] = createTrieNode();
+          node = node.next[ch];
+        }
+        node.entry = entryMap[nk];
+        size++;
+      }
+
+      return { trie, size, collisions };
+    }
+
+    /**
+     * コンパイル済みの辞書を返す（未コンパイルならここでコンパイルする）
+     * @returns {{trie: Object, size: number, collisions: Collision[]}}
+     */
+    function getCompiled() {
+      if (!compiled) compiled = compile();
+      return compiled;
+    }
+
+    // ============================================================
+    // 置換（空白対応 + 最長一致 + boundarySensitive + conditionalShort）
+    // ============================================================
+
+    function isAsciiWordChar(ch) {
+      return !!ch && /[A-Za-z0-9]/.test(ch);
+    }
+
+    function hasAsciiTokenBoundary(chunk, startOrig, endOrigExcl) {
+      const prev = startOrig > 0 ? chunk[startOrig - 1] : "";
+      const next = endOrigExcl < chunk.length ? chunk[endOrigExcl] : "";
+      return !isAsciiWordChar(prev) && !isAsciiWordChar(next);
+    }
+
+    // chunk（英数字+空白+_- の連続）内で、正規化位置 i からの「適用可能な最長一致」を返す
+    function findLongestApplicableMatch(trie, chunk, norm, normToOrig, i) {
+      let node = trie;
+      let best = null;
+
+      for (let j = i; j < norm.length; j++) {
+        node = node.next[norm[j]];
+        if (!node) break;
+
+        if (node.entry) {
+          const end = j + 1;
+          const startOrig = normToOrig[i];
+          const endOrigExcl = normToOrig[end - 1] + 1;
+
+          // 境界制御（nr, 条件付き短語など）
+          if (node.entry.boundarySensitive) {
+            if (!hasAsciiTokenBoundary(chunk, startOrig, endOrigExcl)) {
+              continue;
+            }
+          }
+
+          // 条件付き短語は、さらに「元表記スパンの中に空白/ハイフン/アンダースコアを含まない」制約を入れる
+          // （例: "H O" を "HO" にしない、"R-A" を "RA" にしない）
+          if (node.entry.conditionalShort) {
+            const rawSpan = chunk.slice(startOrig, endOrigExcl);
+            if (/[\s\-_]/.test(rawSpan)) {
+              continue;
+            }
+          }
+
+          best = {
+            value: node.entry.value,
+            end: end,
+          };
+        }
+      }
+
+      return best;
+    }
+
+    // 英数字/空白/_/- を含む chunk を左→右に最長一致で置換（部分置換あり）
+    // ※ 部分置換時も boundarySensitive / conditionalShort で誤爆抑制
+    function replaceChunkByOrder(trie, chunk) {
+      const chars = String(chunk);
+      let norm = "";
+      const normToOrig = []; // norm[k] -> chars index
+
+      for (let i = 0; i < chars.length; i++) {
+        const c = chars[i];
+        if (c === " " || c === "\t" || c === "\n" || c === "\r" || c === "-" || c === "_") {
+          continue;
+        }
+        norm += c.toLowerCase();
+        normToOrig.push(i);
+      }
+
+      if (!norm) return chunk;
+
+      let out = "";
+      let origCursor = 0;
+      let i = 0;
+
+      while (i < norm.length) {
+        const m = findLongestApplicableMatch(trie, chars, norm, normToOrig, i);
+
+        if (!m) {
+          // この正規化文字1文字だけ元のまま出す（間の区切りも保持）
+          const nextOrigExcl = normToOrig[i] + 1;
+          out += chars.slice(origCursor, nextOrigExcl);
+          origCursor = nextOrigExcl;
+          i += 1;
+          continue;
+        }
+
+        const startOrig = normToOrig[i];
+        const endOrigExcl = normToOrig[m.end - 1] + 1;
+
+        // マッチ前の生文字列（区切り等を含む）を保持
+        if (origCursor < startOrig) {
+          out += chars.slice(origCursor, startOrig);
+        }
+
+        out += m.value;
+        origCursor = endOrigExcl;
+        i = m.end;
+      }
+
+      // chunk末尾の残り
+      if (origCursor < chars.length) {
+        out += chars.slice(origCursor);
+      }
+
+      return out;
+    }
+
+    /**
+     * 文字列中の略語を辞書の表記に置き換える
+     * - 「英数字で始まる、英数字/空白/_/- の連続塊」ごとに処理するので、
+     *   空白を含む句（例: "rrc setup request"）にも対応する。
+     * @param {string} str
+     * @returns {string}
+     */
+    function apply(str) {
+      const trie = getCompiled().trie;
+      return String(str).replace(/[A-Za-z0-9][A-Za-z0-9\s_-]*/g, function (chunk) {
+        return replaceChunkByOrder(trie, chunk);
+      });
+    }
+
+    // ============================================================
+    // パック / 利用者の語の管理
+    // ============================================================
+
+    /**
+     * パックの一覧を返す
+     * @returns {Array<{id: string, label: string, description: string, enabled: boolean, size: number}>}
+     */
+    function listPacks() {
+      return packs.map((pack) => ({
+        id: pack.id,
+        label: pack.label,
+        description: pack.description || "",
+        enabled: isPackEnabled(pack.id),
+        size: Object.keys(pack.entries).length,
+      }));
+    }
+
+    /**
+     * パックを追加する（同じ id のパックがあれば置き換える）
+     * @param {{id: string, label?: string, description?: string, enabled?: boolean, entries: Object}} pack
+     * @throws {Error} id または entries が無い場合
+     */
+    function registerPack(pack) {
+      if (!pack || !pack.id || !pack.entries || typeof pack.entries !== "object") {
+        throw new Error("略語パックには id と entries が必要です。");
+      }
+      const normalized = {
+        id: String(pack.id),
+        label: pack.label || String(pack.id),
+        description: pack.description || "",
+        enabled: pack.enabled !== false,
+        entries: pack.entries,
+      };
+      const index = packs.findIndex((p) => p.id === normalized.id);
+      if (index === -1) packs.push(normalized);
+      else packs[index] = normalized;
+      compiled = null;
+    }
+
+    /**
+     * パックの有効／無効を切り替えて保存する
+     * @param {string} id
+     * @param {boolean} enabled
+     * @throws {Error} 未知のパック id の場合
+     */
+    function setPackEnabled(id, enabled) {
+      const pack = packs.find((p) => p.id === id);
+      if (!pack) throw new Error("未知の略語パックです: " + id);
+
+      if (!!enabled === !!pack.enabled) delete packOverrides[id];
+      else packOverrides[id] = !!enabled;
+      save();
+    }
+
+    /**
+     * 利用者が追加した語を返す（コピー）
+     * @returns {AbbreviationEntry[]}
+     */
+    function getUserEntries() {
+      return userEntries.map((entry) => Object.assign({}, entry));
+    }
+
+    /**
+     * 利用者の語を追加して保存する（正規化キーが同じ語は置き換える）
+     * @param {{key: string, value: string, boundarySensitive?: boolean, conditionalShort?: boolean}} spec
+     * @returns {AbbreviationEntry} 追加したエントリ
+     * @throws {Error} キーまたは置換後の表記が不正な場合
+     */
+    function addUserEntry(spec) {
+      const entry = validateUserEntry(spec);
+      const nk = normalize(entry.key);
+      userEntries = userEntries.filter((e) => normalize(e.key) !== nk).concat(entry);
+      save();
+      return Object.assign({}, entry);
+    }
+
+    /**
+     * 利用者の語を削除して保存する
+     * @param {string} key 照合用の表記（正規化して比較する）
+     * @returns {boolean} 削除したかどうか
+     */
+    function removeUserEntry(key) {
+      const nk = normalize(key);
+      const before = userEntries.length;
+      userEntries = userEntries.filter((e) => normalize(e.key) !== nk);
+      if (userEntries.length === before) return false;
+      save();
+      return true;
+    }
+
+    /**
+     * 利用者の語を JSON 文字列にする
+     * @returns {string}
+     */
+    function exportUserEntries() {
+      return JSON.stringify(
+        {
+          format: EXPORT_FORMAT,
+          version: EXPORT_VERSION,
+          entries: userEntries.map((e) => {
+            const item = { key: e.key, value: e.value };
+            if (e.conditionalShort) item.conditionalShort = true;
+            else if (e.boundarySensitive) item.boundarySensitive = true;
+            return item;
+          }),
+        },
+        null,
+        2
+      );
+    }
+
+    /**
+     * JSON から利用者の語を取り込んで保存する
+     * - exportUserEntries の形式のほか、エントリの配列や { key: value } の形も受け付ける。
+     * - 不正なエントリは飛ばし、理由を errors に返す。
+     * @param {string} json
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] true なら既存の語をすべて置き換える
+     * @returns {{imported: number, errors: string[]}}
+     * @throws {Error} JSON として読めない場合
+     */
+    function importUserEntries(json, options) {
+      let data;
+      try {
+        data = JSON.parse(json);
+      } catch (err) {
+        throw new Error("略語辞書の JSON を読み込めませんでした: " + (err && err.message ? err.message : err));
+      }
+
+      let specs;
+      if (Array.isArray(data)) specs = data;
+      else if (data && Array.isArray(data.entries)) specs = data.entries;
+      else if (data && typeof data === "object") specs = Object.keys(data).map((key) => Object.assign({ key }, typeof data[key] === "string" ? { value: data[key] } : data[key]));
+      else throw new Error("略語辞書の JSON の形式が正しくありません。");
+
+      const errors = [];
+      /** @type {AbbreviationEntry[]} */
+      const accepted = [];
+      specs.forEach((spec, i) => {
+        try {
+          accepted.push(validateUserEntry(spec));
+        } catch (err) {
+          errors.push((i + 1) + " 件目: " + (err && err.message ? err.message : err));
+        }
+      });
+
+      const replace = !!(options && options.replace);
+      const incoming = new Set(accepted.map((e) => normalize(e.key)));
+      userEntries = (replace ? [] : userEntries.filter((e) => !incoming.has(normalize(e.key)))).concat(
+        // 取り込むファイル内で重複したキーは後の定義を採る
+        accepted.filter((e, i) => !accepted.slice(i + 1).some((later) => normalize(later.key) === normalize(e.key)))
+      );
+      save();
+      return { imported: accepted.length, errors };
+    }
+
+    /**
+     * 現在の構成で検出された正規化キーの衝突を返す
+     * @returns {Collision[]}
+     */
+    function getCollisions() {
+      return getCompiled().collisions.slice();
+    }
+
+    // ============================================================
+    // 画面（#abbreviationPanel）
+    // ============================================================
+
+    /**
+     * @param {string} tag
+     * @param {string} [className]
+     * @param {string} [text]
+     * @returns {HTMLElement}
+     */
+    function el(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text != null) node.textContent = text;
+      return node;
+    }
+
+    /**
+     * @param {{source: string, key: string, value: string}} def
+     * @returns {string}
+     */
+    function describeDefinition(def) {
+      const pack = packs.find((p) => p.id === def.source);
+      const source = def.source === USER_SOURCE ? "利用者の語" : pack ? pack.label : def.source;
+      return "\"" + def.key + "\" → " + def.value + "（" + source + "）";
+    }
+
+    /**
+     * パック一覧・利用者の語・衝突を描画する
+     */
+    function render() {
+      if (!panelEl) return;
+
+      const packList = document.getElementById("abbreviationPacks");
+      if (packList) {
+        packList.innerHTML = "";
+        listPacks().forEach((pack) => {
+          const label = el("label", "abbrev__pack");
+          const input = /** @type {HTMLInputElement} */ (el("input"));
+          input.type = "checkbox";
+          input.checked = pack.enabled;
+          input.dataset.packId = pack.id;
+          label.appendChild(input);
+          label.appendChild(el("span", "abbrev__pack-label", pack.label + "（" + pack.size + " 語）"));
+          if (pack.description) label.appendChild(el("span", "abbrev__pack-desc", pack.description));
+          packList.appendChild(label);
+        });
+      }
+
+      const userList = document.getElementById("abbreviationUserList");
+      if (userList) {
+        userList.innerHTML = "";
+        if (userEntries.length === 0) {
+          userList.appendChild(el("li", "abbrev__empty", "追加した語はありません。"));
+        }
+        userEntries.forEach((entry) => {
+          const item = el("li", "abbrev__entry");
+          item.appendChild(el("code", "abbrev__entry-key", entry.key));
+          item.appendChild(el("span", "abbrev__entry-arrow", "→"));
+          item.appendChild(el("span", "abbrev__entry-value", entry.value));
+          if (entry.conditionalShort) item.appendChild(el("span", "abbrev__flag", "短語"));
+          else if (entry.boundarySensitive) item.appendChild(el("span", "abbrev__flag", "境界"));
+          const remove = /** @type {HTMLButtonElement} */ (el("button", "btn btn-secondary abbrev__remove", "削除"));
+          remove.type = "button";
+          remove.dataset.removeKey = entry.key;
+          item.appendChild(remove);
+          userList.appendChild(item);
+        });
+      }
+
+      const collisionEl = document.getElementById("abbreviationCollisions");
+      if (collisionEl) {
+        const collisions = getCollisions();
+        collisionEl.innerHTML = "";
+        collisionEl.hidden = collisions.length === 0;
+        if (collisions.length > 0) {
+          collisionEl.appendChild(el("p", "abbrev__collisions-title", "キーの重複が " + collisions.length + " 件あります（上の定義を採用しています）。"));
+          const list = el("ul", "abbrev__collisions-list");
+          collisions.forEach((c) => {
+            list.appendChild(el("li", null, describeDefinition(c.kept) + " ／ 無視: " + describeDefinition(c.dropped)));
+          });
+          collisionEl.appendChild(list);
+        }
+      }
+    }
+
+    /**
+     * 画面の略語辞書パネルをバインドする
+     * @param {Object} [options]
+     * @param {(message: string, type?: string) => void} [options.notify] トースト表示など
+     */
+    function mount(options) {
+      const notify = (options && options.notify) || (() => {});
+      if (typeof document === "undefined" || panelEl) return;
+
+      panelEl = document.getElementById("abbreviationPanel");
+      if (!panelEl) return;
+
+      const packList = document.getElementById("abbreviationPacks");
+      const userList = document.getElementById("abbreviationUserList");
+      const form = /** @type {HTMLFormElement|null} */ (document.getElementById("abbreviationForm"));
+      const exportBtn = document.getElementById("abbreviationExport");
+      const importInput = /** @type {HTMLInputElement|null} */ (document.getElementById("abbreviationImport"));
+
+      const reportCollisions = () => {
+        const count = getCompiled().collisions.length;
+        if (count > 0) notify("略語辞書のキーが " + count + " 件重複しています。設定パネルを確認してください。", "info");
+      };
+
+      if (packList) {
+        packList.addEventListener("change", (event) => {
+          const input = /** @type {HTMLInputElement} */ (event.target);
+          if (!input || !input.dataset || !input.dataset.packId) return;
+          setPackEnabled(input.dataset.packId, input.checked);
+          render();
+          reportCollisions();
+        });
+      }
+
+      if (userList) {
+        userList.addEventListener("click", (event) => {
+          const button = /** @type {HTMLElement} */ (event.target).closest("[data-remove-key]");
+          if (!button) return;
+          removeUserEntry(/** @type {HTMLElement} */ (button).dataset.removeKey || "");
+          render();
+        });
+      }
+
+      if (form) {
+        form.addEventListener("submit", (event) => {
+          event.preventDefault();
+          const field = (name) => /** @type {HTMLInputElement|null} */ (form.querySelector("[name='" + name + "']"));
+          try {
+            const entry = addUserEntry({
+              key: field("key") ? field("key").value : "",
+              value: field("value") ? field("value").value : "",
+              boundarySensitive: !!(field("boundarySensitive") && field("boundarySensitive").checked),
+              conditionalShort: !!(field("conditionalShort") && field("conditionalShort").checked),
+            });
+            form.reset();
+            render();
+            notify("略語「" + entry.key + " → " + entry.value + "」を追加しました。", "success");
+            reportCollisions();
+          } catch (err) {
+            notify(err && err.message ? err.message : String(err), "error");
+          }
+        });
+      }
+
+      if (exportBtn) {
+        exportBtn.addEventListener("click", () => {
+          const blob = new Blob([exportUserEntries()], { type: "application/json" });
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement("a");
+          a.href = url;
+          a.download = "pddc-abbreviations.json";
+          document.body.appendChild(a);
+          a.click();
+          a.remove();
+          URL.revokeObjectURL(url);
+        });
+      }
+
+      if (importInput) {
+        importInput.addEventListener("change", () => {
+          const file = importInput.files && importInput.files[0];
+          if (!file) return;
+          file
+            .text()
+            .then((text) => {
+              const result = importUserEntries(text);
+              render();
+              notify(
+                "略語を " + result.imported + " 件取り込みました。" + (result.errors.length ? "\n" + result.errors.join("\n") : ""),
+                result.errors.length ? "error" : "success"
+              );
+              reportCollisions();
+            })
+            .catch((err) => notify(err && err.message ? err.message : String(err), "error"))
+            .finally(() => {
+              importInput.value = "";
+            });
+        });
+      }
+
+      render();
+    }
+
+    load();
+
+    // 公開 API
+    return {
+      /**
+       * 照合用の正規化（空白 / ハイフン / アンダースコア除去＋小文字化）
+       */
+      normalize,
+
+      /**
+       * 文字列中の略語を置き換える（コンパイル済みの Trie を使う）
+       */
+      apply,
+
+      /**
+       * パックの一覧 / 追加 / 有効・無効の切り替え
+       */
+      listPacks,
+      registerPack,
+      setPackEnabled,
+
+      /**
+       * 利用者の語の参照・追加・削除と JSON での入出力
+       */
+      getUserEntries,
+      addUserEntry,
+      removeUserEntry,
+      exportUserEntries,
+      importUserEntries,
+
+      /**
+       * 正規化キーの衝突一覧
+       */
+      getCollisions,
+
+      /**
+       * 保存済みの設定を読み込み直す
+       */
+      load,
+
+      /**
+       * 画面の略語辞書パネルをバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - textUtilsConvertForCau.js / app.js から root.AbbreviationDictionary として参照される
+  root.AbbreviationDictionary = createAbbreviationDictionary();
+})(globalThis);
@@ -0,0 +1,647 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 略語辞書の分野別パック
+   * - AbbreviationDictionary（abbreviationDictionary.js）が読み込み、有効なパックだけを
+   *   1 つの Trie にまとめて applyFlexibleMap で使う。
+   * - entries のキーは照合用の表記（空白 / ハイフン / アンダースコア / 大文字小文字は無視される）、
+   *   値は置換後の表記。
+   * - 値をオブジェクトにすると照合条件を付けられる:
+   *     boundarySensitive: 前後が英数字でない位置でのみ適用する（"snr" の中の "nr" を壊さない）
+   *     conditionalShort : 誤爆しやすい短語。境界に加え、元表記に区切り文字を含む場合も適用しない
+   *                        （"H O" を "HO" にしない）。boundarySensitive を含意する。
+   * - enabled は既定の有効／無効（画面で切り替えた内容は localStorage に保存される）。
+   */
+  const AbbreviationPacks = [
+    {
+      id: "general",
+      label: "一般 IT / プラットフォーム",
+      description: "OS・サービス名、開発・API 関連の略語",
+      enabled: true,
+      entries: {
+        // ============================================================
+        // 基本 / プラットフォーム / OS
+        // ============================================================
+        pa5j: "PA5J",
+
+        ios: "iOS",
+        ipados: "iPadOS",
+        macos: "macOS",
+        watchos: "watchOS",
+        tvos: "tvOS",
+        android: "Android",
+        androidos: "Android",
+        wearos: "Wear OS",
+        harmonyos: "HarmonyOS",
+
+        appleid: "Apple ID",
+        icloud: "iCloud",
+        airdrop: "AirDrop",
+        airplay: "AirPlay",
+        facetime: "FaceTime",
+        imessage: "iMessage",
+        appstore: "App Store",
+        googleplay: "Google Play",
+        playstore: "Play Store",
+
+        // ============================================================
+        // 開発 / API / 一般IT
+        // ============================================================
+        api: "API",
+        sdk: "SDK",
+        cli: "CLI",
+        gui: "GUI",
+        json: "JSON",
+        xml: "XML",
+        yaml: "YAML",
+        http: "HTTP",
+        https: "HTTPS",
+        rest: "REST",
+        grpc: "gRPC",
+        websocket: "WebSocket",
+        sql: "SQL",
+        nosql: "NoSQL",
+        uuid: "UUID",
+        jwt: "JWT",
+        oauth: "OAuth",
+        oauth2: "OAuth 2.0",
+        openid: "OpenID",
+        openidconnect: "OpenID Connect",
+
+        // ============================================================
+        // 条件付き短縮語（単語境界でのみ適用）
+        // ============================================================
+        ip: { value: "IP", conditionalShort: true },
+
+        ui: { value: "UI", conditionalShort: true },
+        ux: { value: "UX", conditionalShort: true },
+      },
+    },
+    {
+      id: "wireless",
+      label: "無線通信 / 3GPP",
+      description: "3GPP・O-RAN・無線 LAN・測位などの用語",
+      enabled: true,
+      entries: {
+        // ============================================================
+        // 標準化団体 / 仕様文書
+        // ============================================================
+        "3gpp": "3GPP",
+        etsi: "ETSI",
+        itu: "ITU",
+        ietf: "IETF",
+        ieee: "IEEE",
+
+        // ============================================================
+        // 近距離無線 / 測位
+        // ============================================================
+        wifi: "Wi-Fi",
+        wlan: "WLAN",
+        bluetooth: "Bluetooth",
+        ble: "BLE",
+        nfc: "NFC",
+        uwb: "UWB",
+
+        gnss: "GNSS",
+        gps: "GPS",
+        glonass: "GLONASS",
+        galileo: "Galileo",
+        beidou: "BeiDou",
+        qzss: "QZSS",
+
+        // ============================================================
+        // RAT / 無線方式 / 3GPP世代
+        // ============================================================
+        lte: "LTE",
+        ltea: "LTE-A",
+        lteadvanced: "LTE-Advanced",
+        lteapro: "LTE-A Pro",
+
+        nr: { value: "NR", boundarySensitive: true }, // "snr" などの一部には適用しない
+        "5g": "5G",
+        "5gc": "5GC",
+
+        emtc: "eMTC",
+        nbiot: "NB-IoT",
+        catm1: "Cat-M1",
+        cat1: "Cat-1",
+        redcap: "RedCap",
+
+        umts: "UMTS",
+        wcdma: "WCDMA",
+        hspa: "HSPA",
+        hsdpa: "HSDPA",
+        hsupa: "HSUPA",
+        gsm: "GSM",
+        geran: "GERAN",
+        utran: "UTRAN",
+        eutran: "E-UTRAN",
+        eutra: "E-UTRA",
+
+        embb: "eMBB",
+        urllc: "URLLC",
+        mmtc: "mMTC",
+        ciot: "CIoT",
+        lpwa: "LPWA",
+
+        // ============================================================
+        // RAN ノード / 構成 / O-RAN / WG
+        // ============================================================
+        gnb: "gNB",
+        enb: "eNB",
+        ngenb: "ng-eNB",
+        enodeb: "eNodeB",
+        gnodeb: "gNodeB",
+
+        cucp: "CU-CP",
+        cuup: "CU-UP",
+        gnbdu: "gNB-DU",
+        gnbcu: "gNB-CU",
+        gnbcucp: "gNB-CU-CP",
+        gnbcuup: "gNB-CU-UP",
+
+        oran: "O-RAN",
+        ric: "RIC",
+        nearrtric: "Near-RT RIC",
+        nonrtric: "Non-RT RIC",
+        smo: "SMO",
+        e2ap: "E2AP",
+        a1: "A1",
+        o1: "O1",
+        o2: "O2",
+
+        ran1: "RAN1",
+        ran2: "RAN2",
+        ran3: "RAN3",
+        sa2: "SA2",
+        sa3: "SA3",
+        ct1: "CT1",
+        ct3: "CT3",
+
+        // ============================================================
+        // セル / CA・DC / TAG・TMG
+        // ============================================================
+        mrdc: "MR-DC",
+        endc: "EN-DC",
+        nrdc: "NR-DC",
+        nedc: "NE-DC",
+
+        mcg: "MCG",
+        scg: "SCG",
+        spcell: "SpCell",
+        pscell: "PSCell",
+        pcell: "PCell",
+        scell: "SCell",
+        servingcell: "ServingCell",
+
+        tag: "TAG",
+        ptag: "pTAG",
+        stag: "sTAG",
+        pstag: "psTAG",
+        tmg: "TMG",
+        tmgs: "TMGs",
+        trp: "TRP",
+        multitrp: "multi-TRP",
+
+        // ============================================================
+        // 物理層 / 多重 / 変調 / チャネル / 信号
+        // ============================================================
+        mimo: "MIMO",
+        beamforming: "Beamforming",
+        tdd: "TDD",
+        fdd: "FDD",
+        ofdm: "OFDM",
+        ofdma: "OFDMA",
+        scfdma: "SC-FDMA",
+        qam: "QAM",
+        qpsk: "QPSK",
+        bpsk: "BPSK",
+        ldpc: "LDPC",
+        polar: "Polar",
+        fec: "FEC",
+
+        pucch: "PUCCH",
+        pusch: "PUSCH",
+        pdcch: "PDCCH",
+        pdsch: "PDSCH",
+        pbch: "PBCH",
+        prach: "PRACH",
+        srs: "SRS",
+        ssb: "SSB",
+        csirs: "CSI-RS",
+        dmrs: "DMRS",
+        ptrs: "PTRS",
+        prs: "PRS",
+        trs: "TRS",
+
+        dci: "DCI",
+        uci: "UCI",
+        harq: "HARQ",
+        bwp: "BWP",
+        cce: "CCE",
+        coreset: "CORESET",
+        searchspace: "SearchSpace",
+        mcs: "MCS",
+        tbs: "TBS",
+        cqi: "CQI",
+        pmi: "PMI",
+        cri: "CRI",
+
+
+        // ランダムアクセス / 同期
+        rach: "RACH",
+        cfra: "CFRA",
+        cbra: "CBRA",
+        timingadvance: "Timing Advance",
+        preamble: "Preamble",
+
+        // ============================================================
+        // 測定 / 品質
+        // ============================================================
+        rsrp: "RSRP",
+        rsrq: "RSRQ",
+        sinr: "SINR",
+        snr: "SNR",
+
+        // ============================================================
+        // L2/L3 / RAN プロトコル / インタフェース
+        // ============================================================
+        rlc: "RLC",
+        mac: "MAC",
+        pdcp: "PDCP",
+        rrc: "RRC",
+        nas: "NAS",
+
+        s1ap: "S1AP",
+        x2ap: "X2AP",
+        xnap: "XnAP",
+        ngap: "NGAP",
+        f1ap: "F1AP",
+        e1ap: "E1AP",
+
+        s1: "S1",
+        x2: "X2",
+        xn: "Xn",
+        e1: "E1",
+        f1: "F1",
+        f1c: "F1-C",
+        f1u: "F1-U",
+        ngc: "NG-C",
+        ngu: "NG-U",
+
+        n1: "N1",
+        n2: "N2",
+        n3: "N3",
+        n4: "N4",
+        n6: "N6",
+        n8: "N8",
+        n10: "N10",
+        n11: "N11",
+        n12: "N12",
+        n13: "N13",
+        n14: "N14",
+        n15: "N15",
+        n16: "N16",
+
+        gtp: "GTP",
+        gtpc: "GTP-C",
+        gtpu: "GTP-U",
+        sctp: "SCTP",
+        udp: "UDP",
+        tcp: "TCP",
+        ipv4: "IPv4",
+        ipv6: "IPv6",
+
+        // ============================================================
+        // RRC 状態 / 手順 / シグナリング（重要）
+        // ============================================================
+        idle: "IDLE",
+        inactive: "INACTIVE",
+        connected: "CONNECTED",
+
+        mib: "MIB",
+        sib: "SIB",
+        sib1: "SIB1",
+        sib2: "SIB2",
+        sib3: "SIB3",
+        sib4: "SIB4",
+        sib5: "SIB5",
+
+        "rrc setup request": "RRC Setup Request",
+        "rrc setup": "RRC Setup",
+        "rrc setup complete": "RRC Setup Complete",
+        "rrc reject": "RRC Reject",
+
+        "rrc resume request": "RRC Resume Request",
+        "rrc resume": "RRC Resume",
+        "rrc resume complete": "RRC Resume Complete",
+
+        "rrc release": "RRC Release",
+
+        "rrc reconfiguration": "RRC Reconfiguration",
+        "rrc reconfiguration complete": "RRC Reconfiguration Complete",
+
+        "rrc reestablishment request": "RRC Reestablishment Request",
+        "rrc reestablishment": "RRC Reestablishment",
+        "rrc reestablishment complete": "RRC Reestablishment Complete",
+        "rrc reestablishment reject": "RRC Reestablishment Reject",
+
+        "security mode command": "Security Mode Command",
+        "security mode complete": "Security Mode Complete",
+        "security mode failure": "Security Mode Failure",
+
+        "ue capability enquiry": "UE Capability Enquiry",
+        "ue capability information": "UE Capability Information",
+        "measurement report": "Measurement Report",
+        "counter check": "Counter Check",
+        "counter check response": "Counter Check Response",
+        "ul information transfer": "UL Information Transfer",
+        "dl information transfer": "DL Information Transfer",
+
+        "rrc connection reconfiguration": "RRCConnectionReconfiguration",
+        "rrc connection reconfiguration complete": "RRCConnectionReconfigurationComplete",
+        "rrc connection reestablishment": "RRCConnectionReestablishment",
+        "rrc connection reestablishment request": "RRCConnectionReestablishmentRequest",
+        "rrc connection reestablishment complete": "RRCConnectionReestablishmentComplete",
+        "rrc connection release": "RRCConnectionRelease",
+        "rrc connection setup": "RRCConnectionSetup",
+        "rrc connection setup complete": "RRCConnectionSetupComplete",
+        "rrc connection request": "RRCConnectionRequest",
+
+        // ============================================================
+        // NAS / Mobility / 状態遷移 / 手順
+        // ============================================================
+        registration: "Registration",
+        deregistration: "Deregistration",
+        attach: "Attach",
+        detach: "Detach",
+        paging: "Paging",
+        handover: "Handover",
+        reselection: "Reselection",
+        rlf: "RLF",
+        "radio link failure": "Radio Link Failure",
+        rlm: "RLM",
+        bfd: "BFD",
+        outofsync: "out-of-sync",
+        insync: "in-sync",
+        meas: "Meas",
+        measid: "MeasId",
+        measobject: "MeasObject",
+        reportconfig: "ReportConfig",
+        eventa1: "Event A1",
+        eventa2: "Event A2",
+        eventa3: "Event A3",
+        eventa4: "Event A4",
+        eventa5: "Event A5",
+
+        // ============================================================
+        // EPC / 5GC / IMS / 音声
+        // ============================================================
+        epc: "EPC",
+        mme: "MME",
+        sgw: "SGW",
+        sgateway: "SGW",
+        pgw: "PGW",
+        pgateway: "PGW",
+        hss: "HSS",
+        pcrf: "PCRF",
+
+        amf: "AMF",
+        smf: "SMF",
+        upf: "UPF",
+        ausf: "AUSF",
+        udm: "UDM",
+        udr: "UDR",
+        pcf: "PCF",
+        nrf: "NRF",
+        nef: "NEF",
+        nssf: "NSSF",
+        ladn: "LADN",
+        smsf: "SMSF",
+        sepp: "SEPP",
+        scp: "SCP",
+        bsf: "BSF",
+        nwdaf: "NWDAF",
+        ims: "IMS",
+        volte: "VoLTE",
+        vonr: "VoNR",
+        vowifi: "VoWiFi",
+        csfb: "CSFB",
+        srvcc: "SRVCC",
+        esrvcc: "eSRVCC",
+
+        // ============================================================
+        // QoS / セッション / ベアラ
+        // ============================================================
+        qos: "QoS",
+        qci: "QCI",
+        "5qi": "5QI",
+        qfi: "QFI",
+        ambr: "AMBR",
+        gbr: "GBR",
+        nongbr: "non-GBR",
+        arp: "ARP",
+        reflectiveqos: "Reflective QoS",
+        pdu: "PDU",
+        "pdu session": "PDU Session",
+        srb: "SRB",
+        drb: "DRB",
+        erab: "E-RAB",
+
+        // ============================================================
+        // 識別子 / 加入者情報 / セル識別
+        // ============================================================
+        esim: "eSIM",
+        euicc: "eUICC",
+        imsi: "IMSI",
+        imei: "IMEI",
+        meid: "MEID",
+        iccid: "ICCID",
+        msisdn: "MSISDN",
+        guti: "GUTI",
+        supi: "SUPI",
+        suci: "SUCI",
+        tmsi: "TMSI",
+        ptmsi: "P-TMSI",
+        stmsi: "S-TMSI",
+        plmn: "PLMN",
+        tai: "TAI",
+        cgi: "CGI",
+        ecgi: "ECGI",
+        ncgi: "NCGI",
+        pci: "PCI",
+        arfcn: "ARFCN",
+        earfcn: "EARFCN",
+        nrarfcn: "NR-ARFCN",
+
+        // ============================================================
+        // セキュリティ / 鍵 / 認証
+        // ============================================================
+        aka: "AKA",
+        eap: "EAP",
+        tls: "TLS",
+        kasme: "KASME",
+        kamf: "KAMF",
+        kenb: "KeNB",
+        kgnb: "KgNB",
+        knas: "KNAS",
+        knasenc: "KNASenc",
+        knasint: "KNASint",
+        krrcenc: "KRRCenc",
+        krrcint: "KRRCint",
+        kupenc: "KUPenc",
+
+        // ============================================================
+        // スライシング / 仮想化 / MEC / クラウド
+        // ============================================================
+        snssai: "S-NSSAI",
+        sst: "SST",
+        nsi: "NSI",
+        mec: "MEC",
+        nfv: "NFV",
+        sdn: "SDN",
+        vnf: "VNF",
+        cnf: "CNF",
+
+        // ============================================================
+        // V2X / NTN / サイドリンク
+        // ============================================================
+        v2x: "V2X",
+        ltev2x: "LTE-V2X",
+        nrv2x: "NR-V2X",
+        sidelink: "Sidelink",
+        pc5: "PC5",
+        ntn: "NTN",
+
+        // ============================================================
+        // 条件付き短縮語（単語境界でのみ適用）
+        // ============================================================
+        tr: { value: "TR", conditionalShort: true },
+        ts: { value: "TS", conditionalShort: true },
+        ho: { value: "HO", conditionalShort: true },
+        ra: { value: "RA", conditionalShort: true },
+
+        du: { value: "DU", conditionalShort: true },
+        cu: { value: "CU", conditionalShort: true },
+        ue: { value: "UE", conditionalShort: true },
+        ca: { value: "CA", conditionalShort: true },
+        dc: { value: "DC", conditionalShort: true },
+
+        rv: { value: "RV", conditionalShort: true },
+        ri: { value: "RI", conditionalShort: true },
+        li: { value: "LI", conditionalShort: true },
+        ta: { value: "TA", conditionalShort: true },
+
+        af: { value: "AF", conditionalShort: true },
+        dn: { value: "DN", conditionalShort: true },
+        ck: { value: "CK", conditionalShort: true },
+        ik: { value: "IK", conditionalShort: true },
+        sd: { value: "SD", conditionalShort: true },
+      },
+    },
+    {
+      id: "codecs",
+      label: "映像・音声コーデック",
+      description: "映像・音声・画像の符号化方式",
+      enabled: false,
+      entries: {
+        // ============================================================
+        // 映像
+        // ============================================================
+        avc: "AVC",
+        hevc: "HEVC",
+        vvc: "VVC",
+        av1: "AV1",
+        vp8: "VP8",
+        vp9: "VP9",
+        mpeg: "MPEG",
+        mpeg2: "MPEG-2",
+        mpeg4: "MPEG-4",
+        mpegdash: "MPEG-DASH",
+
+        // ============================================================
+        // 音声
+        // ============================================================
+        aac: "AAC",
+        heaac: "HE-AAC",
+        mp3: "MP3",
+        opus: "Opus",
+        flac: "FLAC",
+        amr: "AMR",
+        amrnb: "AMR-NB",
+        amrwb: "AMR-WB",
+        evs: "EVS",
+        ivas: "IVAS",
+        pcm: "PCM",
+        adpcm: "ADPCM",
+        lc3: "LC3",
+        sbc: "SBC",
+        aptx: "aptX",
+
+        // ============================================================
+        // 画像
+        // ============================================================
+        jpeg: "JPEG",
+        heif: "HEIF",
+        webp: "WebP",
+      },
+    },
+    {
+      id: "semiconductors",
+      label: "半導体",
+      description: "デバイス・メモリ・プロセスの略語",
+      enabled: false,
+      entries: {
+        // ============================================================
+        // デバイス / 回路
+        // ============================================================
+        cmos: "CMOS",
+        mosfet: "MOSFET",
+        finfet: "FinFET",
+        gaafet: "GAAFET",
+        igbt: "IGBT",
+        tft: "TFT",
+        oled: "OLED",
+        mems: { value: "MEMS", boundarySensitive: true }, // "memset" などの一部には適用しない
+        fpga: "FPGA",
+        asic: { value: "ASIC", boundarySensitive: true }, // "basic" などの一部には適用しない
+        soc: { value: "SoC", boundarySensitive: true }, // "social" などの一部には適用しない
+        pmic: "PMIC",
+        adc: "ADC",
+        dac: "DAC",
+        pll: "PLL",
+        vco: "VCO",
+        lna: "LNA",
+
+        // ============================================================
+        // メモリ
+        // ============================================================
+        dram: "DRAM",
+        sram: "SRAM",
+        nand: "NAND",
+        hbm: "HBM",
+        lpddr: "LPDDR",
+        ddr4: "DDR4",
+        ddr5: "DDR5",
+
+        // ============================================================
+        // 材料 / プロセス
+        // ============================================================
+        gan: { value: "GaN", boundarySensitive: true }, // "organ" などの一部には適用しない
+        sic: { value: "SiC", boundarySensitive: true }, // "music" などの一部には適用しない
+        gaas: "GaAs",
+        igzo: "IGZO",
+        euv: "EUV",
+        cmp: "CMP",
+        cvd: "CVD",
+        ald: { value: "ALD", boundarySensitive: true }, // "herald" などの一部には適用しない
+        tsv: "TSV",
+      },
+    },
+  ];
+
+  // グローバルにエクスポート
+  // - abbreviationDictionary.js から root.AbbreviationPacks として参照される
+  root.AbbreviationPacks = AbbreviationPacks;
+})(globalThis);
@@ -11,6 +11,8 @@
  *       モードキーと「変換ハンドラ（単体 or リスト）」の対応を管理するレジストリ。
  *       レジストリは (text) => string | Promise<string> または
  *       { process: (text) => string | Promise<string> } を受け付けます。
+ *       modeLists.js のモード定義（ModeDefinitions）は registerModeDefinitions で
+ *       検証したうえで登録します。
  *
  *   - ToastManager:
  *       成功 / 失敗などの短いステータスメッセージをトースト表示するクラス。
@@ -29,9 +31,10 @@
  *
  * ▼ モード（変換処理）の追加・変更方法
  *   - 基本パターン:
- *       1. modeLists.js にモード用の関数リストを追加
- *       2. HTML のラジオボタンに同じ value を設定
- *       3. app.js 側は ModeFunctionLists を自動登録するため、core は変更不要
+ *       1. modeLists.js の ModeDefinitions にモード定義（key / label / chains など）を追加
+ *       2. 画面のモード選択は定義から自動生成されるため、HTML と core は変更不要
+ *   - 定義は起動時に検証され、未知のチェーン名・存在しない extends などがあると
+ *     コンソールに警告を出し、そのモードは登録されません。
  *
  *   - コード側から追加したい場合:
  *       const a = app(); // もしくは既存 app インスタンスを利用
@@ -46,6 +49,9 @@
  *       または
  *       { process(text: string): string | Promise<string> }
  *   - AppCore 側で同期 / 非同期の両方に対応してシーケンシャルに実行します。
+ *   - 第 2 引数に { signal }（AbortSignal）を渡します。Cancel ボタンで中止されたとき、
+ *     時間のかかるハンドラは signal を見て AbortError で reject してください
+ *     （モード定義由来のハンドラは TextFilterRegistry.applyList 経由で各ステップに渡します）。
  *
  * ▼ 起動方法
  *   - 本ファイル末尾で
@@ -55,6 +61,8 @@
  *     を読み込むだけで自動起動します。
  *   - 別のインスタンスを試したい場合などは、app ファクトリを直接呼び出して
  *     使ってください。
+ *   - 画面を使わずに変換したい場合は app.convert(modeKey, text) を利用します
+ *     （cli/pddc.js はこれを Node.js 上で呼び出しています）。
  * ---------------------------------------------------------------------------
  */
 
@@ -102,6 +110,93 @@
     return result;
   };
 
+  /**
+   * タイポ検査用のディレクティブ行（@typo-ignore など）を取り除く
+   * - jaTypoChecker.js が読み込まれていない場合はそのまま返す。
+   * @param {string} text 入力文字列
+   * @returns {string}
+   */
+  const stripTypoDirectives = (text) => {
+    if (root.JaTypoChecker && typeof root.JaTypoChecker.stripDirectives === "function") {
+      return root.JaTypoChecker.stripDirectives(text);
+    }
+    return text;
+  };
+
+  /**
+   * @typedef {Object} PipelineRunOptions
+   * @property {AbortSignal} [signal] 中止用のシグナル（ハンドラにもそのまま渡す）
+   * @property {boolean} [failOnError] true の場合、モードハンドラはチェーンの失敗を握りつぶさず reject する
+   *   （画面は入力を残して続けるが、CLI などは失敗として扱う必要があるため）
+   */
+
+  /**
+   * 中止（AbortSignal）によるエラーかどうか
+   * @param {any} err
+   * @returns {boolean}
+   */
+  const isAbortError = (err) => !!err && typeof err === "object" && err.name === "AbortError";
+
+  /** 制限時間の超過（FilterRegistry の TimeoutError）かどうか */
+  const isTimeoutError = (err) => !!err && typeof err === "object" && err.name === "TimeoutError";
+
+  /**
+   * ハンドラ 1 件を async (text, runOptions) => string 形式にそろえる
+   * - 関数 / { process } のどちらでもない場合は null を返す。
+   * - runOptions は第 2 引数としてハンドラに渡す（モードハンドラは signal を使う）。
+   * @param {any} handler ハンドラ
+   * @returns {((text: string, runOptions?: PipelineRunOptions) => Promise<string>)|null}
+   */
+  const wrapHandler = (handler) => {
+    let invoke = null;
+    if (typeof handler === "function") {
+      invoke = (text, runOptions) => handler(text, runOptions);
+    } else if (handler && typeof handler === "object" && typeof handler.process === "function") {
+      invoke = (text, runOptions) => handler.process(text, runOptions);
+    }
+    if (!invoke) return null;
+
+    return async (text, runOptions) => {
+      const result = invoke(text, runOptions);
+      if (result && typeof result.then === "function") {
+        return String(await result);
+      }
+      return String(result ?? "");
+    };
+  };
+
+  /** runPipeline がイベントループに処理を返す間隔（ミリ秒） */
+  const YIELD_INTERVAL = 50;
+
+  /**
+   * パイプライン（async 関数の配列）を先頭から順に実行する
+   * - runOptions.signal が中止された場合は、次のハンドラに進まず AbortError で reject する。
+   *   signal がある場合は、前回から YIELD_INTERVAL ミリ秒以上たったハンドラの前でイベントループへ
+   *   処理を返し、Cancel のクリックを受け付ける。同期ハンドラは途中で割り込めない。
+   * @param {Array<(text: string, runOptions?: PipelineRunOptions) => Promise<string>>} pipeline パイプライン
+   * @param {string} text 入力文字列
+   * @param {PipelineRunOptions} [runOptions]
+   * @returns {Promise<string>} 変換結果
+   */
+  const runPipeline = async (pipeline, text, runOptions) => {
+    const signal = runOptions && runOptions.signal;
+    let current = text;
+    let yieldedAt = 0;
+    for (const step of pipeline) {
+      if (signal && Date.now() - yieldedAt >= YIELD_INTERVAL) {
+        await new Promise((resolve) => setTimeout(resolve));
+        yieldedAt = Date.now();
+      }
+      if (signal && signal.aborted) {
+        const err = new Error("変換が中止されました。");
+        err.name = "AbortError";
+        throw err;
+      }
+      current = await step(current, runOptions);
+    }
+    return current;
+  };
+
   // =========================================================
   // モードレジストリ
   // =========================================================
@@ -120,6 +215,8 @@
     constructor() {
       /** @type {Map<string, any>} */
       this._store = new Map();
+      /** @type {Map<string, any>} モード定義から登録したモードの解決済み定義 */
+      this._definitions = new Map();
     }
 
     /**
@@ -184,6 +281,71 @@
       this._store.set(key, filtered);
     }
 
+    /**
+     * modeLists.js 形式のモード定義を検証して登録する
+     * - extends の展開と構造チェックは root.resolveModeDefinitions に任せ、
+     *   ここではチェーン名が TextFilterRegistry に登録済みかを検証する。
+     * - 誤りのあるモードは警告を出して登録しない（他のモードの登録は続行する）。
+     * @param {any[]} defs モード定義配列
+     * @param {{ chainNames?: string[] }} [options]
+     *   chainNames: 利用可能なチェーン名（省略時は TextFilterRegistry.names()）
+     * @returns {{ registered: string[], errors: string[] }} 登録したモードキーと検出した誤り
+     */
+    registerModeDefinitions(defs, options) {
+      const result = { registered: [], errors: [] };
+      if (typeof root.resolveModeDefinitions !== "function" || typeof root.createModeChainHandler !== "function") {
+        result.errors.push("modeLists.js が読み込まれていません。");
+        console.warn("[ModeRegistry] modeLists.js が読み込まれていないため、モード定義を登録できません。");
+        return result;
+      }
+
+      const opts = options || {};
+      const reg = root.TextFilterRegistry;
+      const chainNames = Array.isArray(opts.chainNames)
+        ? opts.chainNames
+        : reg && typeof reg.names === "function"
+          ? reg.names()
+          : null;
+
+      const resolved = root.resolveModeDefinitions(defs);
+      result.errors.push(...resolved.errors);
+
+      resolved.modes.forEach((mode) => {
+        if (chainNames) {
+          const unknown = mode.chains.filter((name) => chainNames.indexOf(name) === -1);
+          if (unknown.length > 0) {
+            result.errors.push("[" + mode.key + "] 未登録のチェーン名があります: " + unknown.join(", "));
+            return;
+          }
+        }
+        this._store.set(mode.key, root.createModeChainHandler(mode));
+        this._definitions.set(mode.key, mode);
+        result.registered.push(mode.key);
+      });
+
+      result.errors.forEach((message) => {
+        console.warn("[ModeRegistry] モード定義の誤り:", message);
+      });
+      return result;
+    }
+
+    /**
+     * モード定義から登録したモードの解決済み定義を取得する
+     * @param {string} key モードキー
+     * @returns {any|null} { key, label, description, chains, stopOnError }（定義由来でない場合は null）
+     */
+    getDefinition(key) {
+      return this._definitions.get(key) || null;
+    }
+
+    /**
+     * モード定義から登録したモードの解決済み定義一覧（定義順）を取得する
+     * @returns {any[]}
+     */
+    listDefinitions() {
+      return Array.from(this._definitions.values());
+    }
+
     /**
      * モードキーに紐づく「生のハンドラ集合」を取得する
      * - 戻り値は配列で統一される（単体ハンドラは長さ 1 の配列に正規化）
@@ -216,35 +378,57 @@
    * - DOM 上のトースト要素を制御し、短いステータスメッセージを表示する。
    * - コピーした内容や詳細テキストは表示せず、「コピーしました」などの
    *   シンプルな文言のみを扱う。
+   * - 「元に戻す」のような操作ボタンを 1 つ添えられる（押す時間があるよう表示を長めにする）。
    */
   class ToastManager {
     /**
      * @param {HTMLElement|null} rootEl トースト全体のルート要素
      * @param {HTMLElement|null} messageEl メッセージ表示要素
+     * @param {HTMLButtonElement|null} [actionEl] 操作ボタン
      */
-    constructor(rootEl, messageEl) {
+    constructor(rootEl, messageEl, actionEl) {
       /** @type {HTMLElement|null} */
       this._rootEl = rootEl;
       /** @type {HTMLElement|null} */
       this._messageEl = messageEl;
+      /** @type {HTMLButtonElement|null} */
+      this._actionEl = actionEl || null;
+      /** @type {(() => void)|null} 操作ボタンの処理 */
+      this._onAction = null;
       /** @type {number|null} */
       this._timerId = null;
       /** @type {boolean} */
       this._prefersReducedMotion =
         typeof root.matchMedia === "function" &&
         root.matchMedia("(prefers-reduced-motion: reduce)").matches === true;
+
+      if (this._actionEl) {
+        this._actionEl.addEventListener("click", () => {
+          const onAction = this._onAction;
+          this._hide();
+          if (onAction) onAction();
+        });
+      }
     }
 
     /**
      * トーストを表示する
      * @param {string} message 表示するメッセージ（短い日本語推奨）
      * @param {"info"|"success"|"error"} [type="info"] メッセージ種別
+     * @param {{label: string, onClick: () => void}} [action] 操作ボタン（例: 元に戻す）
      */
-    show(message, type = "info") {
+    show(message, type = "info", action) {
       if (!this._rootEl || !this._messageEl) return;
 
       this._messageEl.textContent = message || "";
 
+      const hasAction = !!(action && this._actionEl);
+      this._onAction = hasAction ? action.onClick : null;
+      if (this._actionEl) {
+        this._actionEl.hidden = !hasAction;
+        this._actionEl.textContent = hasAction ? action.label : "";
+      }
+
       this._rootEl.classList.remove("toast--info", "toast--success", "toast--error");
       this._rootEl.classList.add(`toast--${type}`);
 
@@ -255,12 +439,22 @@
         this._timerId = null;
       }
 
-      const duration = this._prefersReducedMotion ? 1500 : 2000;
+      const duration = hasAction ? 6000 : this._prefersReducedMotion ? 1500 : 2000;
 
-      this._timerId = root.setTimeout(() => {
-        this._rootEl.classList.remove("show");
+      this._timerId = root.setTimeout(() => this._hide(), duration);
+    }
+
+    /**
+     * トーストを隠す
+     * @private
+     */
+    _hide() {
+      if (this._timerId != null) {
+        root.clearTimeout(this._timerId);
         this._timerId = null;
-      }, duration);
+      }
+      this._onAction = null;
+      if (this._rootEl) this._rootEl.classList.remove("show");
     }
   }
 
@@ -292,7 +486,40 @@
       /** @type {HTMLButtonElement|null} */
       this._convertBtn = null;
       /** @type {HTMLButtonElement|null} */
+      this._cancelBtn = null;
+      /** @type {HTMLButtonElement|null} */
       this._copyBtn = null;
+      /** @type {HTMLButtonElement|null} */
+      this._downloadBtn = null;
+      /** @type {HTMLButtonElement|null} */
+      this._docxBtn = null;
+      /** @type {HTMLInputElement|null} */
+      this._traceToggle = null;
+      /** @type {HTMLInputElement|null} */
+      this._diffToggle = null;
+
+      /** @type {HTMLElement|null} */
+      this._suggestionEl = null;
+      /** @type {number|null} モード推定のデバウンス用タイマー */
+      this._detectTimer = null;
+      /**
+       * 現在の入力に対してユーザーが自分でモードを選んだか
+       * - true の間は推定結果でモードを自動選択しない（入力を空にするとリセット）。
+       * @type {boolean}
+       */
+      this._modeChosenByUser = false;
+
+      /**
+       * 直近の変換の入力（半角正規化後）と出力（差分ビュー用）
+       * @type {{input: string, output: string}|null}
+       */
+      this._lastConversion = null;
+
+      /**
+       * 実行中の変換の中止用（変換中以外は null）
+       * @type {AbortController|null}
+       */
+      this._abortController = null;
 
       /** @type {boolean} */
       this._initialized = false;
@@ -320,9 +547,49 @@
       this._convertBtn = /** @type {HTMLButtonElement|null} */ (
         document.getElementById("convertBtn")
       );
+      this._cancelBtn = /** @type {HTMLButtonElement|null} */ (
+        document.getElementById("cancelBtn")
+      );
       this._copyBtn = /** @type {HTMLButtonElement|null} */ (
         document.getElementById("copyBtn")
       );
+      this._downloadBtn = /** @type {HTMLButtonElement|null} */ (
+        document.getElementById("downloadBtn")
+      );
+      this._docxBtn = /** @type {HTMLButtonElement|null} */ (
+        document.getElementById("docxBtn")
+      );
+      this._traceToggle = /** @type {HTMLInputElement|null} */ (
+        document.getElementById("traceToggle")
+      );
+      this._diffToggle = /** @type {HTMLInputElement|null} */ (
+        document.getElementById("diffToggle")
+      );
+      this._suggestionEl = document.getElementById("modeSuggestion");
+
+      this._renderModeOptions();
+
+      // 審査官プロファイルの編集フォーム（保存結果はトーストで通知）
+      if (root.ExaminerProfile) {
+        root.ExaminerProfile.mount({
+          notify: (message, type) => this._toast.show(message, type),
+        });
+      }
+
+      // 略語辞書のパック選択・利用者の語（衝突はパネルとトーストで通知）
+      if (root.AbbreviationDictionary) {
+        root.AbbreviationDictionary.mount({
+          notify: (message, type) => this._toast.show(message, type),
+        });
+      }
+
+      // フィルタ構成（保存済みのステップの有効・無効と並び順を TextFilterRegistry に当てる）
+      if (root.PipelineSettings && root.TextFilterRegistry) {
+        root.PipelineSettings.mount({
+          registry: root.TextFilterRegistry,
+          notify: (message, type) => this._toast.show(message, type),
+        });
+      }
 
       if (!this._inputEl || !this._outputEl) {
         console.error("[AppCore] 入出力テキストエリアが見つかりません。");
@@ -330,6 +597,74 @@
         return;
       }
 
+      // タイポ確認パネル（「このまま変換」はタイポチェックを飛ばして変換する）
+      if (root.TypoReview) {
+        root.TypoReview.mount({
+          input: this._inputEl,
+          onConvertAnyway: () => {
+            this._handleConvert({ skipTypoCheck: true }).catch((err) => {
+              console.error("[AppCore] 変換処理で予期せぬ例外:", err);
+              this._toast.show("変換中にエラーが発生しました。", "error");
+            });
+          },
+          notify: (message, type) => this._toast.show(message, type),
+        });
+      }
+
+      // 変換履歴（復元は入力・モード・出力を戻し、比較は差分ビューに表示する）
+      if (root.ConversionHistory) {
+        root.ConversionHistory.mount({
+          onRestore: (entry) => this._restoreHistoryEntry(entry),
+          onCompare: (entry) => this._compareHistoryEntry(entry),
+          labelOf: (modeKey) => {
+            const def = this._registry.getDefinition(modeKey);
+            return def ? def.label : modeKey;
+          },
+          notify: (message, type) => this._toast.show(message, type),
+        });
+      }
+
+      // .docx のページプロファイル選択
+      if (root.DocxExport) {
+        root.DocxExport.mount({
+          select: /** @type {HTMLSelectElement|null} */ (document.getElementById("docxProfileSelect")),
+        });
+      }
+
+      // 貼り付けの取り込み（Word などの HTML を変換して挿入し、崩れた構造はトーストで通知）
+      if (root.PasteImport) {
+        root.PasteImport.mount({
+          input: this._inputEl,
+          notify: (message, type) => this._toast.show(message, type),
+        });
+      }
+
+      // 複数ファイルの一括変換（各ファイルに画面の変換と同じパイプラインを適用し、ZIP で保存する）
+      if (root.BatchConvert) {
+        root.BatchConvert.mount({
+          convert: (modeKey, text) => this._convertText(modeKey, text),
+          modes: this._registry.listKeys().map((key) => {
+            const def = this._registry.getDefinition(key);
+            return { key, label: def ? def.label : key };
+          }),
+          save: (blob, name) => this._saveBlob(blob, name),
+          notify: (message, type) => this._toast.show(message, type),
+        });
+      }
+
+      // コピー前の整合性確認パネル（「このままコピー」はチェックを飛ばしてコピーする）
+      if (root.ConsistencyReview) {
+        root.ConsistencyReview.mount({
+          output: this._outputEl,
+          onCopyAnyway: () => {
+            this._handleCopy({ skipChecks: true }).catch((err) => {
+              console.error("[AppCore] コピー処理で予期せぬ例外:", err);
+              this._toast.show("コピーに失敗しました。", "error");
+            });
+          },
+        });
+      }
+
       this._bindEvents();
     }
 
@@ -347,6 +682,12 @@
         });
       }
 
+      if (this._cancelBtn) {
+        this._cancelBtn.addEventListener("click", () => {
+          if (this._abortController) this._abortController.abort();
+        });
+      }
+
       if (this._copyBtn) {
         this._copyBtn.addEventListener("click", () => {
           this._handleCopy().catch((err) => {
@@ -356,6 +697,48 @@
         });
       }
 
+      if (this._downloadBtn) {
+        this._downloadBtn.addEventListener("click", () => this._handleDownload());
+      }
+
+      if (this._docxBtn) {
+        this._docxBtn.addEventListener("click", () => this._handleDownloadDocx());
+      }
+
+      // トレース OFF にしたらインスペクタを閉じる
+      if (this._traceToggle) {
+        this._traceToggle.addEventListener("change", () => {
+          if (!this._traceToggle.checked && root.PipelineInspector) {
+            root.PipelineInspector.clear();
+          }
+        });
+      }
+
+      // 差分表示の切り替え（直近の変換結果があればその場で表示する）
+      if (this._diffToggle) {
+        this._diffToggle.addEventListener("change", () => this._updateDiffView());
+      }
+
+      // 入力内容からモードを推定する（貼り付け・入力のたびに少し待ってから実行）
+      if (this._inputEl) {
+        this._inputEl.addEventListener("input", () => {
+          if (this._detectTimer != null) root.clearTimeout(this._detectTimer);
+          this._detectTimer = root.setTimeout(() => {
+            this._detectTimer = null;
+            this._detectMode();
+          }, 300);
+        });
+      }
+
+      // ユーザーがラジオを操作したら、以降は推定で上書きしない
+      const modeGroup = document.querySelector(".mode-group");
+      if (modeGroup) {
+        modeGroup.addEventListener("change", () => {
+          this._modeChosenByUser = true;
+          this._detectMode();
+        });
+      }
+
       // ★ ショートカットキー（Ctrl/Cmd + Enter で変換、Alt + Enter でコピー）
       if (this._inputEl) {
         const handleShortcutKeydown = (event) => {
@@ -390,6 +773,168 @@
     }
 
 
+    /**
+     * 登録済みモードからモード選択ラジオ（.mode-pill）を描画する
+     * - .mode-group[data-mode-source="definitions"] がある場合のみ描画する。
+     * - 先頭のモードを初期選択にする。
+     * @private
+     */
+    _renderModeOptions() {
+      const group = document.querySelector('.mode-group[data-mode-source="definitions"]');
+      if (!group) return;
+
+      // 定義由来でないモード（registerModeList で追加されたもの）はキーをそのまま表示名にする
+      const modes = this._registry.listKeys().map(
+        (key) => this._registry.getDefinition(key) || { key, label: key, description: "" }
+      );
+      if (modes.length === 0) {
+        console.warn("[AppCore] 表示できるモードがありません。");
+        return;
+      }
+
+      group.querySelectorAll(".mode-pill").forEach((el) => el.remove());
+
+      modes.forEach((mode, index) => {
+        const label = document.createElement("label");
+        label.className = "mode-pill";
+
+        const input = document.createElement("input");
+        input.className = "mode-input";
+        input.type = "radio";
+        input.name = "mode";
+        input.value = mode.key;
+        input.checked = index === 0;
+
+        const indicator = document.createElement("span");
+        indicator.className = "mode-pill-indicator";
+        indicator.setAttribute("aria-hidden", "true");
+
+        const text = document.createElement("span");
+        text.className = "mode-pill-label";
+        const title = document.createElement("span");
+        title.className = "mode-pill-title";
+        title.textContent = mode.label;
+        const desc = document.createElement("span");
+        desc.className = "mode-pill-desc";
+        desc.textContent = mode.description;
+        text.appendChild(title);
+        text.appendChild(desc);
+
+        label.appendChild(input);
+        label.appendChild(indicator);
+        label.appendChild(text);
+        group.appendChild(label);
+      });
+    }
+
+    /**
+     * モード選択ラジオを指定モードに切り替える（change イベントは発火しない）
+     * @param {string} modeKey
+     * @returns {boolean} 切り替えられたかどうか
+     * @private
+     */
+    _selectMode(modeKey) {
+      const inputs = /** @type {NodeListOf<HTMLInputElement>} */ (
+        document.querySelectorAll('input[name="mode"]')
+      );
+      let found = false;
+      inputs.forEach((input) => {
+        if (input.value === modeKey) {
+          input.checked = true;
+          found = true;
+        }
+      });
+      return found;
+    }
+
+    /**
+     * 入力テキストからモードを推定し、推定結果を表示する
+     * - 確度が高く、ユーザーがまだモードを選んでいなければ自動で選択する。
+     * - それ以外は候補として表示し、ボタンで切り替えられるようにする。
+     * @private
+     */
+    _detectMode() {
+      if (!this._inputEl || !root.ModeDetector) return;
+
+      const text = this._inputEl.value || "";
+      if (!text.trim()) {
+        this._modeChosenByUser = false;
+        this._renderModeSuggestion(null, false);
+        return;
+      }
+
+      const result = root.ModeDetector.detect(text, { modes: this._registry.listKeys() });
+      let autoSelected = false;
+      if (
+        result.mode &&
+        result.level === "high" &&
+        !this._modeChosenByUser &&
+        this._getSelectedModeKey() !== result.mode
+      ) {
+        autoSelected = this._selectMode(result.mode);
+      }
+      this._renderModeSuggestion(result, autoSelected);
+    }
+
+    /**
+     * モード推定結果を #modeSuggestion に描画する
+     * @param {any} result ModeDetector.detect の戻り値（null で非表示）
+     * @param {boolean} autoSelected 今回自動選択したかどうか
+     * @private
+     */
+    _renderModeSuggestion(result, autoSelected) {
+      document.querySelectorAll(".mode-pill.is-suggested").forEach((el) => el.classList.remove("is-suggested"));
+
+      const el = this._suggestionEl;
+      if (!el) return;
+      el.innerHTML = "";
+      if (!result || !result.mode) {
+        el.hidden = true;
+        return;
+      }
+
+      const def = this._registry.getDefinition(result.mode);
+      const label = def ? def.label : result.mode;
+      const levelText = { high: "高", medium: "中", low: "低" }[result.level];
+      const matches = this._getSelectedModeKey() === result.mode;
+
+      const input = document.querySelector('input[name="mode"][value="' + result.mode + '"]');
+      const pill = input ? input.closest(".mode-pill") : null;
+      if (pill) pill.classList.add("is-suggested");
+
+      el.className = "mode-suggestion mode-suggestion--" + result.level;
+
+      const message = document.createElement("span");
+      message.className = "mode-suggestion__text";
+      message.textContent =
+        (autoSelected ? "自動選択: " : matches ? "推定と一致: " : "推定モード: ") +
+        label +
+        "（確度 " + levelText + " " + Math.round(result.confidence * 100) + "%）";
+      el.appendChild(message);
+
+      if (!matches) {
+        const apply = document.createElement("button");
+        apply.type = "button";
+        apply.className = "btn btn-secondary mode-suggestion__apply";
+        apply.textContent = "このモードにする";
+        apply.addEventListener("click", () => {
+          this._selectMode(result.mode);
+          this._modeChosenByUser = true;
+          this._renderModeSuggestion(result, false);
+        });
+        el.appendChild(apply);
+      }
+
+      if (result.reasons.length > 0) {
+        const reasons = document.createElement("span");
+        reasons.className = "mode-suggestion__reasons";
+        reasons.textContent = "根拠: " + result.reasons.join(" / ");
+        el.appendChild(reasons);
+      }
+
+      el.hidden = false;
+    }
+
     /**
      * モード選択ラジオから現在選択されているモードキーを取得する
      * @returns {string|null}
@@ -417,25 +962,8 @@
       const pipeline = [];
 
       rawHandlers.forEach((handler, index) => {
-        if (typeof handler === "function") {
-          // 関数ハンドラを async 関数にラップ
-          const wrapped = async (text) => {
-            const result = handler(text);
-            if (result && typeof result.then === "function") {
-              return String(await result);
-            }
-            return String(result ?? "");
-          };
-          pipeline.push(wrapped);
-        } else if (handler && typeof handler === "object" && typeof handler.process === "function") {
-          // オブジェクトハンドラ（process メソッド）を async 関数にラップ
-          const wrapped = async (text) => {
-            const result = handler.process(text);
-            if (result && typeof result.then === "function") {
-              return String(await result);
-            }
-            return String(result ?? "");
-          };
+        const wrapped = wrapHandler(handler);
+        if (wrapped) {
           pipeline.push(wrapped);
         } else {
           console.warn("[AppCore] 無効なハンドラが検出されました:", modeKey, index, handler);
@@ -445,10 +973,42 @@
       return pipeline;
     }
 
+    /**
+     * 画面の入出力を使わずに、指定モードでテキストを変換する（一括変換用）
+     * - Convert ボタンと同じく、タイポ検査ディレクティブの除去 → 半角正規化 → パイプラインの順に行う。
+     * @param {string} modeKey モードキー
+     * @param {string} text 入力文字列
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _convertText(modeKey, text) {
+      const pipeline = this._buildPipeline(modeKey);
+      if (pipeline.length === 0) {
+        throw new Error("このモードには処理が定義されていません: " + modeKey);
+      }
+      return runPipeline(pipeline, toHalfWidth(stripTypoDirectives(text)));
+    }
+
+    /**
+     * トレース対象の FilterRegistry を取得する
+     * - 「Record step trace」が ON で、TextFilterRegistry がトレースに対応している場合のみ返す。
+     * @returns {any|null}
+     * @private
+     */
+    _getTraceRegistry() {
+      if (!this._traceToggle || !this._traceToggle.checked) return null;
+      const reg = root.TextFilterRegistry;
+      if (!reg || typeof reg.startTrace !== "function" || typeof reg.stopTrace !== "function") {
+        return null;
+      }
+      return reg;
+    }
+
     /**
      * 画面全体に対して「処理中」状態をセットする
      * - 長時間処理中にユーザーが再度ボタンを押すことを防ぎ、
      *   アクセシビリティ向上のため aria-busy も設定する。
+     * - 処理中は Cancel ボタンを表示する。
      * @param {boolean} isBusy 処理中かどうか
      * @private
      */
@@ -464,26 +1024,44 @@
       if (this._convertBtn) {
         this._convertBtn.disabled = isBusy;
       }
+      if (this._cancelBtn) {
+        this._cancelBtn.hidden = !isBusy;
+        this._cancelBtn.disabled = false;
+      }
     }
 
     /**
      * 変換処理本体
      * - 入力取得 → 半角正規化 → モード別パイプライン適用 → 出力反映までを行う。
+     * @param {Object} [options]
+     * @param {boolean} [options.skipTypoCheck=false] タイポチェックを行わない（「このまま変換」）
      * @returns {Promise<void>}
      * @private
      */
-    async _handleConvert() {
+    async _handleConvert(options) {
       if (!this._inputEl || !this._outputEl) return;
 
       const raw = this._inputEl.value || "";
+      const skipTypoCheck = !!(options && options.skipTypoCheck);
 
       // ------------------------------------------------------
       // 日本語タイポチェック
       // ------------------------------------------------------
       // - jaTypoChecker.js 側で root.JaTypoChecker が定義されている前提。
-      // - タイポが検出された場合は警告モーダルを表示し、
-      //   いったん変換処理を中断する（ユーザーが修正後に再度 Convert する想定）。
-      if (root.JaTypoChecker && typeof root.JaTypoChecker.check === "function") {
+      // - タイポの可能性がある箇所は確認パネル（typoReview.js）に一覧表示する。
+      //   重大度が error の箇所がある場合だけ変換処理を中断し、修正・無視するか
+      //   「このまま変換」で続行できる（warning / info は表示のみ）。
+      // - typoReview.js が無い場合は従来どおり警告モーダルを表示する。
+      if (!skipTypoCheck && root.TypoReview) {
+        const typoResult = root.TypoReview.review(raw);
+        if (typoResult.hasError) {
+          this._toast.show(
+            "タイポ（エラー）の可能性がある箇所が " + typoResult.counts.error + " 件あります。確認するか「Convert anyway」で続行してください。",
+            "info"
+          );
+          return;
+        }
+      } else if (!skipTypoCheck && root.JaTypoChecker && typeof root.JaTypoChecker.check === "function") {
         const typoResult = root.JaTypoChecker.check(raw);
         if (typoResult && typoResult.hasError) {
           if (typeof root.JaTypoChecker.openModal === "function") {
@@ -493,7 +1071,7 @@
         }
       }
 
-      const normalized = toHalfWidth(raw);
+      const normalized = toHalfWidth(stripTypoDirectives(raw));
 
       const modeKey = this._getSelectedModeKey();
       if (!modeKey) {
@@ -509,40 +1087,169 @@
         return;
       }
 
+      this._abortController = typeof AbortController === "function" ? new AbortController() : null;
+      const signal = this._abortController ? this._abortController.signal : undefined;
       this._setBusy(true);
 
+      // トレース ON の場合は、モード内の全チェーン（init → main → ...）を通して記録する
+      const traceRegistry = this._getTraceRegistry();
+      if (traceRegistry) {
+        traceRegistry.startTrace();
+      }
+
       try {
-        let current = normalized;
+        const current = await runPipeline(pipeline, normalized, { signal });
 
-        for (const step of pipeline) {
-          current = await step(current);
-        }
+        // 「元に戻す」用に、上書きする前の出力を控えておく
+        const previous = { output: this._outputEl.value, conversion: this._lastConversion };
 
         this._outputEl.value = current;
-        this._toast.show("変換が完了しました。", "success");
+        this._lastConversion = { input: normalized, output: current };
+        this._updateDiffView();
+        if (root.ConsistencyReview) root.ConsistencyReview.clear();
+        this._recordHistory(raw, modeKey, current);
+        this._toast.show("変換が完了しました。", "success", {
+          label: "元に戻す",
+          onClick: () => this._undoConvert(previous, current),
+        });
       } catch (err) {
-        console.error("[AppCore] 変換パイプライン実行中に例外が発生しました:", err);
-        this._toast.show("変換中にエラーが発生しました。", "error");
+        if (isAbortError(err)) {
+          // 出力は変換前のまま残す
+          this._toast.show("変換を中止しました。", "info");
+        } else if (isTimeoutError(err)) {
+          console.warn("[AppCore] 変換が制限時間を超えました:", err.message);
+          this._toast.show("変換が制限時間を超えたため中断しました。", "error");
+        } else {
+          console.error("[AppCore] 変換パイプライン実行中に例外が発生しました:", err);
+          this._toast.show("変換中にエラーが発生しました。", "error");
+        }
       } finally {
+        // 失敗時も、どのステップで止まったかを確認できるようにインスペクタへ渡す
+        if (traceRegistry) {
+          const records = traceRegistry.stopTrace();
+          if (root.PipelineInspector) {
+            root.PipelineInspector.show(records);
+          }
+        }
+        this._abortController = null;
         this._setBusy(false);
       }
     }
 
+    /**
+     * 変換結果を履歴に追加する
+     * - 容量不足で古い履歴を捨てた場合はコンソールに残す（完了のトーストの「元に戻す」を消さないため）。
+     * @param {string} input 入力（貼り付けたままのテキスト）
+     * @param {string} modeKey
+     * @param {string} output
+     * @private
+     */
+    _recordHistory(input, modeKey, output) {
+      if (!root.ConversionHistory) return;
+      const { dropped } = root.ConversionHistory.add({ input, mode: modeKey, output });
+      if (dropped > 0) {
+        console.warn("[AppCore] 保存容量が足りないため、古い変換履歴を " + dropped + " 件削除しました。");
+      }
+    }
+
+    /**
+     * 直前の変換を取り消し、変換前の出力に戻す（トーストの「元に戻す」）
+     * - 変換後に出力欄を編集していた場合は、編集を失わないよう戻さない。
+     * @param {{output: string, conversion: {input: string, output: string}|null}} previous
+     * @param {string} converted その変換の出力
+     * @private
+     */
+    _undoConvert(previous, converted) {
+      if (!this._outputEl) return;
+      if (this._outputEl.value !== converted) {
+        this._toast.show("出力が変更されているため、元に戻せません。", "info");
+        return;
+      }
+      this._outputEl.value = previous.output;
+      this._lastConversion = previous.conversion;
+      this._updateDiffView();
+      if (root.ConsistencyReview) root.ConsistencyReview.clear();
+      this._toast.show("変換前の出力に戻しました。", "success");
+    }
+
+    /**
+     * 履歴の入力・モード・出力を画面に戻す
+     * @param {{input: string, mode: string, output: string}} entry
+     * @private
+     */
+    _restoreHistoryEntry(entry) {
+      if (!this._inputEl || !this._outputEl) return;
+
+      this._inputEl.value = entry.input;
+      if (this._selectMode(entry.mode)) {
+        this._modeChosenByUser = true;
+      } else {
+        this._toast.show("履歴のモード（" + entry.mode + "）は現在ありません。入力と出力だけを戻しました。", "info");
+      }
+      this._outputEl.value = entry.output;
+      this._lastConversion = { input: toHalfWidth(stripTypoDirectives(entry.input)), output: entry.output };
+      this._updateDiffView();
+      if (root.ConsistencyReview) root.ConsistencyReview.clear();
+      if (root.TypoReview) root.TypoReview.clear();
+      this._toast.show("履歴を復元しました。", "success");
+    }
+
+    /**
+     * 履歴の出力と現在の出力の差分を表示する
+     * @param {{time: string, output: string}} entry
+     * @private
+     */
+    _compareHistoryEntry(entry) {
+      if (!this._outputEl || !root.DiffView) return;
+      root.DiffView.show(entry.output, this._outputEl.value || "", {
+        title: "Diff · History (" + new Date(entry.time).toLocaleString() + ") → Current output",
+      });
+    }
+
+    /**
+     * 差分ビューを直近の変換結果で更新する
+     * - トグルが OFF、または変換結果がまだ無い場合はパネルを隠す。
+     * @private
+     */
+    _updateDiffView() {
+      if (!root.DiffView) return;
+      if (!this._diffToggle || !this._diffToggle.checked || !this._lastConversion) {
+        root.DiffView.clear();
+        return;
+      }
+      root.DiffView.show(this._lastConversion.input, this._lastConversion.output);
+    }
+
     /**
      * 出力テキストをクリップボードにコピーする
+     * - コピー前に整合性チェック（consistencyChecks.js）を実行し、error があれば
+     *   確認パネルを表示してコピーを止める（タイポ確認と同じく、warning / info は表示したうえでコピーする）。
      * - Clipboard API を優先し、非対応環境では execCommand をフォールバックとして使用。
+     * @param {Object} [options]
+     * @param {boolean} [options.skipChecks] 整合性チェックを飛ばす（「このままコピー」用）
      * @returns {Promise<void>}
      * @private
      */
-    async _handleCopy() {
+    async _handleCopy(options) {
       if (!this._outputEl) return;
       const text = this._outputEl.value || "";
+      const skipChecks = !!(options && options.skipChecks);
 
       if (!text) {
         this._toast.show("コピーする内容がありません。", "info");
         return;
       }
 
+      if (skipChecks) {
+        if (root.ConsistencyReview) root.ConsistencyReview.clear();
+      } else if (root.ConsistencyReview) {
+        const checkResult = root.ConsistencyReview.review(text);
+        if (checkResult.hasError) {
+          this._toast.show("コピー前に確認が必要な箇所が " + checkResult.counts.error + " 件あります。", "error");
+          return;
+        }
+      }
+
       // Clipboard API を優先利用
       if (root.navigator && root.navigator.clipboard && typeof root.navigator.clipboard.writeText === "function") {
         try {
@@ -575,6 +1282,102 @@
         }
       }
     }
+
+    /**
+     * 出力テキストをファイルとして保存する
+     * - HTML 文書（to HTML (document) モードの出力）は .html、それ以外は .txt で保存する。
+     * - ファイル名は「モードキー-日付」（例: htmlDocument-20240312.html）。
+     * @private
+     */
+    _handleDownload() {
+      if (!this._outputEl) return;
+      const text = this._outputEl.value || "";
+
+      if (!text) {
+        this._toast.show("保存する内容がありません。", "info");
+        return;
+      }
+
+      const isHtml = /^<!DOCTYPE html>/i.test(text);
+      const name = this._outputFileBaseName() + (isHtml ? ".html" : ".txt");
+      const blob = new Blob([text], { type: (isHtml ? "text/html" : "text/plain") + ";charset=utf-8" });
+      if (this._saveBlob(blob, name)) {
+        this._toast.show(name + " を保存しました。", "success");
+      }
+    }
+
+    /**
+     * 出力テキストを Word（.docx）として保存する
+     * - 用紙・余白・文字サイズは画面で選んだページプロファイル（docxExport.js）に従う。
+     * - HTML の出力はテキストとして組むと意味がないため保存しない。
+     * @private
+     */
+    _handleDownloadDocx() {
+      if (!this._outputEl || !root.DocxExport) return;
+      const text = this._outputEl.value || "";
+
+      if (!text) {
+        this._toast.show("保存する内容がありません。", "info");
+        return;
+      }
+      if (/^\s*<(?:!DOCTYPE html|div class="patent-text")/i.test(text)) {
+        this._toast.show("HTML の出力は .docx にできません。テキストのモードで変換してください。", "info");
+        return;
+      }
+
+      let bytes;
+      try {
+        bytes = root.DocxExport.build(text);
+      } catch (err) {
+        console.warn("[AppCore] .docx の作成に失敗:", err);
+        this._toast.show(".docx の作成に失敗しました。", "error");
+        return;
+      }
+
+      const name = this._outputFileBaseName() + ".docx";
+      if (this._saveBlob(new Blob([bytes], { type: root.DocxExport.MIME_TYPE }), name)) {
+        this._toast.show(name + " を保存しました。", "success");
+      }
+    }
+
+    /**
+     * 保存するファイルの名前（拡張子なし、「モードキー-日付」）
+     * @returns {string}
+     * @private
+     */
+    _outputFileBaseName() {
+      const now = new Date();
+      const stamp =
+        String(now.getFullYear()) +
+        String(now.getMonth() + 1).padStart(2, "0") +
+        String(now.getDate()).padStart(2, "0");
+      return (this._getSelectedModeKey() || "output") + "-" + stamp;
+    }
+
+    /**
+     * Blob をファイルとしてダウンロードさせる
+     * @param {Blob} blob
+     * @param {string} name ファイル名
+     * @returns {boolean} 成功したか（失敗時はトーストで通知済み）
+     * @private
+     */
+    _saveBlob(blob, name) {
+      try {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        root.setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
+      } catch (err) {
+        console.warn("[AppCore] ファイルの保存に失敗:", err);
+        this._toast.show("保存に失敗しました。", "error");
+        return false;
+      }
+    }
   }
 
   // =========================================================
@@ -587,7 +1390,7 @@
    * - 呼び出されるたびに新しい ModeRegistry / ToastManager / AppCore を構築し、
    *   それらをまとめた「アプリインスタンスオブジェクト」を返す。
    * - 戻り値オブジェクトは run / registerMode / registerModeList /
-   *   bootstrapModeLists / listModes / toHalfWidth を公開する。
+   *   bootstrapModeLists / listModes / getModeDefinition / convert / toHalfWidth を公開する。
    */
   function app() {
     const modeRegistry = new ModeRegistry();
@@ -600,9 +1403,32 @@
     let initialized = false;
 
     /**
-     * グローバルに定義された ModeFunctionLists をレジストリへ取り込む
-     * - modeLists.js が root.ModeFunctionLists を定義していることを想定。
+     * グローバルに定義された ModeDefinitions / ModeFunctionLists をレジストリへ取り込む
+     * - ModeDefinitions は検証したうえで登録する（registerModeDefinitions）。
+     * - ModeFunctionLists は、定義にないモード（独自に追加された関数リスト）のみ登録する。
+     */
+    function bootstrapModes() {
+      if (Array.isArray(root.ModeDefinitions)) {
+        modeRegistry.registerModeDefinitions(root.ModeDefinitions);
+      }
+
+      const lists = root.ModeFunctionLists;
+      if (!lists || typeof lists !== "object") return;
+
+      const defined = new Set(
+        Array.isArray(root.ModeDefinitions) ? root.ModeDefinitions.map((def) => def && def.key) : []
+      );
+      Object.entries(lists).forEach(([modeKey, list]) => {
+        if (!defined.has(modeKey)) {
+          modeRegistry.registerModeList(modeKey, list);
+        }
+      });
+    }
+
+    /**
+     * ModeFunctionLists 形式のオブジェクトをレジストリへ取り込む
      * @param {Record<string, any[]>} [source] 明示的に渡す場合のオブジェクト
+     *   （省略時は root.ModeFunctionLists）
      */
     function bootstrapModeLists(source) {
       const src =
@@ -632,8 +1458,8 @@
         return;
       }
 
-      // modeLists.js 由来の関数リストを取り込み
-      bootstrapModeLists();
+      // modeLists.js 由来のモード定義を取り込み
+      bootstrapModes();
 
       const toastRoot = /** @type {HTMLElement|null} */ (
         document.getElementById("toast")
@@ -642,7 +1468,11 @@
         document.getElementById("toastMessage")
       );
 
-      toastManager = new ToastManager(toastRoot, toastMsg);
+      const toastAction = /** @type {HTMLButtonElement|null} */ (
+        document.getElementById("toastAction")
+      );
+
+      toastManager = new ToastManager(toastRoot, toastMsg, toastAction);
       core = new AppCore(modeRegistry, toastManager);
       core.init();
     }
@@ -716,6 +1546,47 @@
         return modeRegistry.listKeys();
       },
 
+      /**
+       * モード定義（extends 展開済み）を取得する
+       * @param {string} key モードキー
+       * @returns {any|null}
+       */
+      getModeDefinition(key) {
+        if (modeRegistry.listKeys().length === 0) {
+          bootstrapModes();
+        }
+        return modeRegistry.getDefinition(key);
+      },
+
+      /**
+       * 画面を介さずに指定モードで変換する（CLI / Node 環境向け）
+       * - 半角正規化 → モード別パイプライン適用までを AppCore と同じ順序で行う。
+       * - タイポチェックは行わない（呼び出し側で必要に応じて実施する）。
+       *   文書内のタイポ検査ディレクティブ（@typo-ignore など）の行は取り除く。
+       * - モードが未登録の場合は ModeDefinitions / ModeFunctionLists を取り込んでから再検索する。
+       * - runOptions はそのままハンドラに渡す（failOnError でチェーンの失敗を reject させる）。
+       * @param {string} modeKey モードキー
+       * @param {string} text 入力文字列
+       * @param {PipelineRunOptions} [runOptions]
+       * @returns {Promise<string>} 変換結果
+       */
+      async convert(modeKey, text, runOptions) {
+        if (modeRegistry.getRawHandlers(modeKey).length === 0) {
+          bootstrapModes();
+        }
+
+        const pipeline = [];
+        modeRegistry.getRawHandlers(modeKey).forEach((handler) => {
+          const wrapped = wrapHandler(handler);
+          if (wrapped) pipeline.push(wrapped);
+        });
+        if (pipeline.length === 0) {
+          throw new Error("モードに対応するパイプラインが存在しません: " + modeKey);
+        }
+
+        return runPipeline(pipeline, toHalfWidth(stripTypoDirectives(text == null ? "" : String(text))), runOptions);
+      },
+
       /**
        * 半角正規化関数を公開（ユニットテストや外部ユーティリティとして利用可能）
        * @param {string} text
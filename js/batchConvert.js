@@ -0,0 +1,491 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 複数ファイルの一括変換
+   * - ページにドロップした（または選択した）.txt をまとめて変換し、結果を ZIP で保存する。
+   * - モードはファイルごとに選べる。「すべてに同じモード」と「自動推定（modeDetector.js）」がある。
+   *   自動推定は確度「高」のときだけ採用し、それ以外はモード未確定として変換しない。
+   * - 変換前の入力をタイポ検査（jaTypoChecker.js）し、ファイルごとの件数を一覧と summary.csv に残す。
+   *   一括変換ではタイポがあっても変換は止めない。
+   * - 変換そのもの（AppCore の _buildPipeline → runPipeline）は mount の convert に任せる。
+   * - ファイル読み込み・変換・ZIP 作成の部分は DOM を使わない（cli/pddc.js の batch からも使う）。
+   * - app.js / cli/pddc.js からは root.BatchConvert 経由で利用する想定。
+   */
+  function createBatchConvert() {
+    /** 自動推定を表すモード指定 */
+    const AUTO = "auto";
+
+    /** 状態の表示名 */
+    const STATUS_LABELS = {
+      pending: "未変換",
+      running: "変換中",
+      done: "変換済み",
+      undetected: "モード未確定",
+      failed: "失敗",
+    };
+
+    /**
+     * @typedef {Object} BatchItem
+     * @property {string} name ファイル名
+     * @property {string} text 内容
+     * @property {string} mode モードキー、または "auto"
+     * @property {"pending"|"running"|"done"|"undetected"|"failed"} status
+     * @property {string} [resolvedMode] 実際に使ったモード
+     * @property {string} [detail] 状態の補足（推定結果・エラーなど）
+     * @property {{error: number, warning: number, info: number}|null} [typos] タイポ件数
+     * @property {string} [output] 変換結果
+     * @property {string} [outputName] ZIP 内のファイル名
+     */
+
+    /**
+     * @typedef {Object} BatchHooks
+     * @property {(modeKey: string, text: string) => Promise<string>} convert 変換処理
+     * @property {string[]} modes 使えるモードキー
+     * @property {(item: BatchItem) => void} [onProgress] 1 件ごとの進捗
+     */
+
+    /**
+     * ファイルの内容を文字列にする（UTF-8 で読めなければ Shift_JIS とみなす）
+     * @param {Uint8Array|ArrayBuffer} bytes
+     * @returns {string}
+     */
+    function decodeText(bytes) {
+      let text;
+      try {
+        text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+      } catch (_e) {
+        text = new TextDecoder("shift_jis").decode(bytes);
+      }
+      return text.replace(/^\uFEFF/, "");
+    }
+
+    /**
+     * 新しい項目を作る
+     * @param {string} name
+     * @param {string} text
+     * @param {string} [mode] 省略時は自動推定
+     * @returns {BatchItem}
+     */
+    function createItem(name, text, mode) {
+      return { name, text, mode: mode || AUTO, status: "pending", typos: null };
+    }
+
+    /**
+     * 入力をタイポ検査した件数
+     * @param {string} text
+     * @returns {{error: number, warning: number, info: number}|null} 検査できない環境では null
+     */
+    function countTypos(text) {
+      if (!root.JaTypoChecker || typeof root.JaTypoChecker.check !== "function") return null;
+      const counts = root.JaTypoChecker.check(text).counts;
+      return { error: counts.error || 0, warning: counts.warning || 0, info: counts.info || 0 };
+    }
+
+    /**
+     * 使うモードを決める
+     * @param {BatchItem} item
+     * @param {string[]} modes
+     * @returns {{mode: string|null, detail: string}}
+     */
+    function resolveMode(item, modes) {
+      if (item.mode !== AUTO) {
+        return modes.indexOf(item.mode) !== -1
+          ? { mode: item.mode, detail: "" }
+          : { mode: null, detail: "未知のモードです: " + item.mode };
+      }
+      if (!root.ModeDetector) return { mode: null, detail: "自動推定を使えません。" };
+
+      const result = root.ModeDetector.detect(item.text, { modes });
+      const levelText = { high: "高", medium: "中", low: "低" }[result.level] || result.level;
+      if (!result.mode) return { mode: null, detail: "推定できませんでした。" };
+      if (result.level !== "high") {
+        return { mode: null, detail: "推定 " + result.mode + "（確度 " + levelText + "）。モードを選んでください。" };
+      }
+      return { mode: result.mode, detail: "自動推定（確度 " + levelText + "）" };
+    }
+
+    /**
+     * ZIP 内のファイル名（「元の名前.モード.txt」。HTML の出力は .html）
+     * @param {BatchItem} item
+     * @param {Set<string>} used 使用済みの名前（重複には -2, -3… を付ける）
+     * @returns {string}
+     */
+    function outputNameOf(item, used) {
+      const base = item.name.replace(/^.*[\\/]/, "").replace(/\.[^.]*$/, "") || "untitled";
+      const ext = /^\s*</.test(item.output || "") ? ".html" : ".txt";
+      let name = base + "." + item.resolvedMode + ext;
+      for (let n = 2; used.has(name); n++) name = base + "." + item.resolvedMode + "-" + n + ext;
+      used.add(name);
+      return name;
+    }
+
+    /**
+     * 項目を順に変換する（1 件失敗しても続ける）
+     * - 変換済みの項目も変換し直す（モードを変えて再実行できるように）。
+     * @param {BatchItem[]} items
+     * @param {BatchHooks} hooks
+     * @returns {Promise<BatchItem[]>} 同じ配列
+     */
+    async function convertAll(items, hooks) {
+      const used = new Set();
+      const progress = hooks.onProgress || (() => {});
+
+      for (const item of items) {
+        item.output = undefined;
+        item.outputName = undefined;
+        item.typos = countTypos(item.text);
+
+        const resolved = resolveMode(item, hooks.modes);
+        item.resolvedMode = resolved.mode || undefined;
+        item.detail = resolved.detail;
+        if (!resolved.mode) {
+          item.status = "undetected";
+          progress(item);
+          continue;
+        }
+
+        item.status = "running";
+        progress(item);
+        try {
+          item.output = await hooks.convert(resolved.mode, item.text);
+          item.outputName = outputNameOf(item, used);
+          item.status = "done";
+        } catch (err) {
+          item.status = "failed";
+          item.detail = err && err.message ? err.message : String(err);
+        }
+        progress(item);
+      }
+      return items;
+    }
+
+    /**
+     * 一覧表（summary.csv）を作る
+     * - Excel でそのまま開けるよう、BOM 付き・CRLF にする。
+     * @param {BatchItem[]} items
+     * @returns {string}
+     */
+    function summaryCsv(items) {
+      const cell = (v) => {
+        const s = v == null ? "" : String(v);
+        return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+      };
+      const rows = [["ファイル", "モード", "タイポ error", "タイポ warning", "タイポ info", "状態", "補足", "出力ファイル"]];
+      items.forEach((item) => {
+        rows.push([
+          item.name,
+          item.resolvedMode || item.mode,
+          item.typos ? item.typos.error : "",
+          item.typos ? item.typos.warning : "",
+          item.typos ? item.typos.info : "",
+          STATUS_LABELS[item.status] || item.status,
+          item.detail || "",
+          item.outputName || "",
+        ]);
+      });
+      return "\uFEFF" + rows.map((r) => r.map(cell).join(",")).join("\r\n") + "\r\n";
+    }
+
+    /**
+     * 変換結果と summary.csv を ZIP にする
+     * @param {BatchItem[]} items
+     * @returns {Uint8Array}
+     */
+    function buildZip(items) {
+      if (!root.ZipWriter) throw new Error("BatchConvert: zipWriter.js が読み込まれていません。");
+      const entries = items
+        .filter((item) => item.status === "done" && item.outputName)
+        .map((item) => ({ name: item.outputName, data: item.output || "" }));
+      entries.push({ name: "summary.csv", data: summaryCsv(items) });
+      return root.ZipWriter.createZip(entries);
+    }
+
+    // ------------------------------------------------------------------
+    // 画面
+    // ------------------------------------------------------------------
+
+    /** @type {BatchItem[]} */
+    let items = [];
+
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+    /** @type {HTMLElement|null} */
+    let tableBodyEl = null;
+    /** @type {HTMLSelectElement|null} */
+    let modeAllEl = null;
+    /** @type {HTMLButtonElement|null} */
+    let runBtn = null;
+
+    /** @type {Array<{key: string, label: string}>} */
+    let modeOptions = [];
+
+    /** @type {boolean} */
+    let running = false;
+
+    /**
+     * @param {string} tag
+     * @param {string} [className]
+     * @param {string} [text]
+     * @returns {HTMLElement}
+     */
+    function el(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text != null) node.textContent = text;
+      return node;
+    }
+
+    /**
+     * モードの選択肢（先頭は自動推定）
+     * @param {string} value
+     * @returns {HTMLSelectElement}
+     */
+    function modeSelect(value) {
+      const select = /** @type {HTMLSelectElement} */ (el("select", "batch__mode"));
+      [{ key: AUTO, label: "自動推定" }].concat(modeOptions).forEach((m) => {
+        const option = /** @type {HTMLOptionElement} */ (el("option", "", m.label));
+        option.value = m.key;
+        select.appendChild(option);
+      });
+      select.value = value;
+      return select;
+    }
+
+    /**
+     * 一覧を描画する
+     */
+    function render() {
+      if (!tableBodyEl) return;
+      tableBodyEl.innerHTML = "";
+      if (panelEl) panelEl.classList.toggle("has-batch-items", items.length > 0);
+      if (runBtn) runBtn.disabled = running || items.length === 0;
+
+      if (items.length === 0) {
+        const row = el("tr");
+        const cell = el("td", "batch__empty", "ファイルがありません。.txt をここにドロップしてください。");
+        cell.setAttribute("colspan", "4");
+        row.appendChild(cell);
+        tableBodyEl.appendChild(row);
+        return;
+      }
+
+      items.forEach((item, i) => {
+        const row = el("tr", "batch__row batch__row--" + item.status);
+        row.appendChild(el("td", "batch__name", item.name));
+
+        const modeCell = el("td");
+        const select = modeSelect(item.mode);
+        select.dataset.batchIndex = String(i);
+        select.disabled = running;
+        modeCell.appendChild(select);
+        row.appendChild(modeCell);
+
+        const typos = item.typos;
+        row.appendChild(el("td", "batch__typos", typos ? "E " + typos.error + " / W " + typos.warning + " / I " + typos.info : "-"));
+
+        const status = el("td", "batch__status", STATUS_LABELS[item.status] || item.status);
+        if (item.resolvedMode && item.status === "done") status.textContent += "（" + item.resolvedMode + "）";
+        if (item.detail) status.title = item.detail;
+        if (item.detail && item.status !== "done") status.appendChild(el("span", "batch__detail", item.detail));
+        row.appendChild(status);
+
+        tableBodyEl.appendChild(row);
+      });
+    }
+
+    /**
+     * ファイルを一覧に追加する（.txt 以外は飛ばす）
+     * @param {FileList|File[]} files
+     * @param {(message: string, type?: string) => void} notify
+     * @returns {Promise<void>}
+     */
+    async function addFiles(files, notify) {
+      const list = Array.from(files || []);
+      const texts = list.filter((f) => /\.txt$/i.test(f.name) || f.type === "text/plain");
+      const skipped = list.length - texts.length;
+
+      const mode = modeAllEl ? modeAllEl.value : AUTO;
+      for (const file of texts) {
+        try {
+          const bytes = new Uint8Array(await file.arrayBuffer());
+          items.push(createItem(file.name, decodeText(bytes), mode));
+        } catch (err) {
+          console.warn("[BatchConvert] ファイルを読み込めませんでした:", file.name, err);
+          notify(file.name + " を読み込めませんでした。", "error");
+        }
+      }
+      const details = panelEl ? panelEl.querySelector("details") : null;
+      if (details) details.open = true;
+      render();
+      notify(texts.length + " 件のファイルを追加しました。" + (skipped > 0 ? "（.txt 以外の " + skipped + " 件は飛ばしました）" : ""), "info");
+    }
+
+    /**
+     * 画面の要素をバインドする
+     * @param {Object} options
+     * @param {(modeKey: string, text: string) => Promise<string>} options.convert 変換処理
+     * @param {Array<{key: string, label: string}>} options.modes モードの一覧
+     * @param {(blob: Blob, name: string) => boolean} options.save ファイルの保存
+     * @param {(message: string, type?: string) => void} [options.notify] トースト表示など
+     */
+    function mount(options) {
+      if (typeof document === "undefined" || panelEl || !options) return;
+
+      panelEl = document.getElementById("batchPanel");
+      if (!panelEl) return;
+
+      tableBodyEl = document.getElementById("batchTableBody");
+      modeAllEl = /** @type {HTMLSelectElement|null} */ (document.getElementById("batchModeAll"));
+      runBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById("batchRun"));
+      const clearBtn = document.getElementById("batchClear");
+      const fileInput = /** @type {HTMLInputElement|null} */ (document.getElementById("batchFiles"));
+      const dropEl = document.getElementById("batchDrop");
+      const notify = options.notify || (() => {});
+      modeOptions = options.modes || [];
+
+      // 「すべてに同じモード」: 選び直すと一覧の全ファイルに反映する
+      if (modeAllEl) {
+        const replacement = modeSelect(AUTO);
+        replacement.id = modeAllEl.id;
+        replacement.className = modeAllEl.className;
+        modeAllEl.replaceWith(replacement);
+        modeAllEl = replacement;
+        modeAllEl.addEventListener("change", () => {
+          items.forEach((item) => {
+            item.mode = modeAllEl.value;
+          });
+          render();
+        });
+      }
+
+      if (tableBodyEl) {
+        tableBodyEl.addEventListener("change", (event) => {
+          const select = /** @type {HTMLSelectElement} */ (event.target);
+          const index = Number(select.dataset && select.dataset.batchIndex);
+          if (!items[index]) return;
+          items[index].mode = select.value;
+        });
+      }
+
+      if (fileInput) {
+        fileInput.addEventListener("change", () => {
+          addFiles(fileInput.files, notify).finally(() => {
+            fileInput.value = "";
+          });
+        });
+      }
+
+      // ページのどこにドロップしてもよい（ファイル以外のドロップはブラウザに任せる）
+      const hasFiles = (event) => !!(event.dataTransfer && Array.from(event.dataTransfer.types || []).indexOf("Files") !== -1);
+      document.addEventListener("dragover", (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        if (dropEl) dropEl.classList.add("is-dragover");
+      });
+      document.addEventListener("dragleave", (event) => {
+        // ウィンドウの外に出たときだけ relatedTarget が null になる
+        if (dropEl && !event.relatedTarget) dropEl.classList.remove("is-dragover");
+      });
+      document.addEventListener("drop", (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        if (dropEl) dropEl.classList.remove("is-dragover");
+        if (running) {
+          notify("一括変換の実行中です。終わってから追加してください。", "info");
+          return;
+        }
+        addFiles(event.dataTransfer.files, notify);
+      });
+
+      if (clearBtn) {
+        clearBtn.addEventListener("click", () => {
+          if (running) return;
+          items = [];
+          render();
+        });
+      }
+
+      if (runBtn) {
+        runBtn.addEventListener("click", async () => {
+          if (running || items.length === 0) return;
+          running = true;
+          render();
+          try {
+            await convertAll(items, {
+              convert: options.convert,
+              modes: modeOptions.map((m) => m.key),
+              onProgress: () => render(),
+            });
+          } finally {
+            running = false;
+            render();
+          }
+
+          const done = items.filter((item) => item.status === "done").length;
+          const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+          const name = "batch-" + stamp + ".zip";
+          let bytes;
+          try {
+            bytes = buildZip(items);
+          } catch (err) {
+            console.warn("[BatchConvert] ZIP の作成に失敗:", err);
+            notify("ZIP の作成に失敗しました。", "error");
+            return;
+          }
+          if (!options.save(new Blob([bytes], { type: "application/zip" }), name)) return;
+
+          const rest = items.length - done;
+          notify(
+            name + " を保存しました（変換 " + done + " 件" + (rest > 0 ? "、未変換 " + rest + " 件は summary.csv を確認してください" : "") + "）。",
+            rest > 0 ? "info" : "success"
+          );
+        });
+      }
+
+      render();
+    }
+
+    // 公開 API
+    return {
+      /**
+       * 自動推定を表すモード指定
+       */
+      AUTO,
+
+      /**
+       * ファイルの内容を文字列にする（UTF-8 / Shift_JIS）
+       */
+      decodeText,
+
+      /**
+       * 新しい項目を作る
+       */
+      createItem,
+
+      /**
+       * 項目を順に変換する
+       */
+      convertAll,
+
+      /**
+       * 一覧表（summary.csv）を作る
+       */
+      summaryCsv,
+
+      /**
+       * 変換結果と summary.csv を ZIP にする
+       */
+      buildZip,
+
+      /**
+       * 画面の要素をバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js / cli/pddc.js から root.BatchConvert として参照される
+  root.BatchConvert = createBatchConvert();
+})(globalThis);
@@ -0,0 +1,197 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 引用文献の整合性チェック（本文 ⇔ 引用文献等一覧）
+   * - 条文部分・本文で「引用文献１－３及び５」のように引用された番号を集め、
+   *   <引用文献等一覧> の番号付きの行（「１．」「2.」）と突き合わせる。
+   * - 番号列の文法は textUtilsMain.js の kw / findKW / expandKW をそのまま使う
+   *   （変換時に全角化される範囲と同じ範囲を番号とみなす）。
+   * - <引用文献等一覧> が無い文書（補正の却下の決定など）では何もしない。
+   * - 番号が多すぎて展開しなかった範囲（「引用文献１－１０００００」）は warning で指摘する。
+   * - ConsistencyChecks に "citations" として登録する。
+   */
+  function createCitationCheck() {
+    /** 引用とみなす語（長い語を優先して照合される） */
+    const STAR_WORDS = ["引用文献等", "引用文献"];
+
+    /** 番号に使う文字と、番号どうしの区切り */
+    const DIGITS = "[0-9０-９]+";
+    const SEPARATORS = "[、，,]|及び|又は";
+
+    /** 一覧の番号付きの行（「１．」「2.」） */
+    const LIST_ITEM = /^([ \t　]*)([0-9０-９]+)[.．]/;
+
+    /** 本文として走査するセクション */
+    const CITING_SECTIONS = ["条文部分", "本文"];
+
+    /**
+     * 全角数字を含む番号を数値にする
+     * @param {string} s
+     * @returns {number}
+     */
+    function toNumber(s) {
+      return parseInt(String(s).replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0)), 10);
+    }
+
+    /**
+     * 本文中の引用を集める
+     * @param {any} context ConsistencyChecks のコンテキスト
+     * @param {Array<{text: string, index: number, length: number}>} oversized 展開しなかった範囲の追加先
+     * @returns {Array<{no: number, index: number, length: number}>} 出現順
+     */
+    function collectCitations(context, oversized) {
+      const utils = root.textUtilsMain;
+      const doc = context.doc;
+      const pattern = utils.kw(DIGITS, "", "", SEPARATORS);
+      const citations = [];
+
+      doc.sections.forEach((section) => {
+        if (CITING_SECTIONS.indexOf(section.name) === -1) return;
+        const offset = context.lineStarts[section.start] || 0;
+        const body = root.DocumentSections.sectionText(doc, section);
+
+        utils.findKW(body, STAR_WORDS, pattern).forEach((hit) => {
+          const index = offset + hit.index;
+          const length = hit.kwdIndex - hit.index + hit.kwd.length;
+          const ranges = [];
+          utils.expandKW(hit.kwd, ranges).forEach((no) => {
+            if (/^[0-9]+$/.test(no)) citations.push({ no: Number(no), index, length });
+          });
+          if (ranges.length > 0) {
+            oversized.push({ text: body.slice(hit.index, hit.index + length), index, length });
+          }
+        });
+      });
+      return citations;
+    }
+
+    /**
+     * 引用文献等一覧の番号付きの行を集める
+     * @param {any} context
+     * @param {any} section 引用文献セクション
+     * @returns {Array<{no: number, label: string, index: number, length: number}>} 出現順
+     */
+    function collectListItems(context, section) {
+      const items = [];
+      for (let i = section.start + 1; i < section.end; i++) {
+        const m = LIST_ITEM.exec(context.lines[i]);
+        if (!m) continue;
+        items.push({
+          no: toNumber(m[2]),
+          label: m[0].slice(m[1].length),
+          index: context.lineStarts[i] + m[1].length,
+          length: m[0].length - m[1].length,
+        });
+      }
+      return items;
+    }
+
+    /**
+     * 検査本体
+     * @param {any} context
+     * @returns {Array<Object>} findings
+     */
+    function run(context) {
+      if (!root.textUtilsMain || !root.DocumentSections || !context.doc) return [];
+      const listSection = root.DocumentSections.findSection(context.doc, "引用文献");
+      if (!listSection) return [];
+
+      /** @type {Array<{text: string, index: number, length: number}>} */
+      const oversized = [];
+      const citations = collectCitations(context, oversized);
+      const items = collectListItems(context, listSection);
+      const findings = [];
+
+      // 番号が多すぎる範囲（展開すると検査が止まるため、範囲ごと読み飛ばしている）
+      oversized.forEach((r) => {
+        findings.push({
+          severity: "warning",
+          message:
+            "「" + r.text + "」の範囲は番号の数が" + root.textUtilsMain.MAX_KW_RANGE +
+            "を超えるため、検査の対象にしていません。番号の誤記がないか確認してください。",
+          index: r.index,
+          length: r.length,
+        });
+      });
+
+      /** @type {Map<number, {no: number, index: number, length: number}>} 番号 → 初出 */
+      const firstCited = new Map();
+      citations.forEach((c) => {
+        if (!firstCited.has(c.no)) firstCited.set(c.no, c);
+      });
+      /** @type {Map<number, {no: number, label: string, index: number, length: number}>} */
+      const listed = new Map();
+
+      // 一覧の重複・連番
+      items.forEach((item, i) => {
+        if (listed.has(item.no)) {
+          findings.push({
+            severity: "error",
+            message: "引用文献等一覧で「" + item.label + "」が重複しています。",
+            index: item.index,
+            length: item.length,
+          });
+          return;
+        }
+        listed.set(item.no, item);
+
+        const expected = i === 0 ? 1 : items[i - 1].no + 1;
+        if (item.no !== expected) {
+          findings.push({
+            severity: "warning",
+            message:
+              i === 0
+                ? "引用文献等一覧が「" + item.label + "」から始まっています。"
+                : "引用文献等一覧の番号が連番になっていません（「" + items[i - 1].label + "」の次が「" + item.label + "」）。",
+            index: item.index,
+            length: item.length,
+          });
+        }
+      });
+
+      // 本文で引用しているのに一覧に無い
+      firstCited.forEach((c) => {
+        if (listed.has(c.no)) return;
+        findings.push({
+          severity: "error",
+          message: "引用文献" + c.no + "は引用文献等一覧にありません。",
+          index: c.index,
+          length: c.length,
+        });
+      });
+
+      // 一覧にあるのに本文で引用していない
+      listed.forEach((item) => {
+        if (firstCited.has(item.no)) return;
+        findings.push({
+          severity: "warning",
+          message: "引用文献等一覧の「" + item.label + "」は本文で引用されていません。",
+          index: item.index,
+          length: item.length,
+        });
+      });
+
+      // 初出の順番（一覧は本文での初出順に番号を振るのが通例）
+      let maxSoFar = 0;
+      firstCited.forEach((c) => {
+        if (c.no < maxSoFar && listed.has(c.no)) {
+          findings.push({
+            severity: "info",
+            message: "引用文献" + c.no + "が引用文献" + maxSoFar + "より後に初めて引用されています（一覧の番号が初出順になっていません）。",
+            index: c.index,
+            length: c.length,
+          });
+        }
+        maxSoFar = Math.max(maxSoFar, c.no);
+      });
+
+      return findings;
+    }
+
+    return { id: "citations", label: "引用文献と引用文献等一覧", run };
+  }
+
+  // ConsistencyChecks に登録
+  if (root.ConsistencyChecks) root.ConsistencyChecks.register(createCitationCheck());
+})(globalThis);
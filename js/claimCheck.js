@@ -0,0 +1,252 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 請求項番号の整合性チェック（理由ごとの請求項 ⇔ <拒絶の理由を発見しない請求項>）
+   * - 本文を「●理由N」の見出しで区切り、各理由で挙げた請求項（「・請求項　１－３」
+   *   「請求項１－６に係る発明」など）を拒絶の対象とする。
+   * - <拒絶の理由を発見しない請求項> のブロックで挙げた請求項（「請求項（７、８）」）を
+   *   拒絶理由を発見しない請求項とする。
+   * - 番号列の文法は textUtilsMain.js の kw / findKW / expandKW をそのまま使う。
+   * - 次を指摘する。
+   *   - 拒絶の対象と、拒絶理由を発見しない請求項の両方にある請求項（error）
+   *   - 本文で言及しているのに、どちらにも無い請求項（warning）
+   *   - 番号の途中で、どちらにも無い請求項（info。請求項の総数は文書から分からないため）
+   *   - 番号が空欄の「請求項　」「請求項（　）」（error）
+   *   - 番号が多すぎて展開しなかった範囲（「請求項１－１０００００」。warning）
+   * - ConsistencyChecks に "claims" として登録する。
+   */
+  function createClaimCheck() {
+    /** 番号に使う文字と、番号どうしの区切り */
+    const DIGITS = "[0-9０-９]+";
+    const SEPARATORS = "[、，,]|及び|又は";
+
+    /** 請求項とみなす語（括弧書きの「請求項（１、２）」も拾う） */
+    const STAR_WORDS = ["請求項（", "請求項(", "請求項"];
+
+    /** 理由の見出し（「●理由１（進歩性）について」） */
+    const REASON_HEADING = /^[ \t　]*●[ \t　]*理由[ \t　]*([0-9０-９]+)/;
+
+    /** <拒絶の理由を発見しない請求項> の見出し */
+    const ALLOWABLE_HEADING = /^[ \t　]*[<＜]拒絶の?理由を発見しない請求項[>＞]/;
+
+    /** ブロックを閉じる見出し（<付記> など、行全体が < > の見出し） */
+    const BLOCK_HEADING = /^[ \t　]*[<＜][^<＜>＞]+[>＞][ \t　]*$/;
+
+    /** 番号が空欄の請求項（「請求項　に係る」「請求項（　）」） */
+    const EMPTY_SLOT = /請求項(?:[ \t　]*[（(][ \t　]*[）)]|[ \t　]+(?![ \t　0-9０-９（(]))/g;
+
+    /** 番号が空欄の箇条書き（「・請求項」だけの行） */
+    const EMPTY_BULLET = /^([ \t　]*・)請求項[ \t　]*$/;
+
+    /**
+     * 行範囲の中の請求項番号を集める
+     * @param {any} context ConsistencyChecks のコンテキスト
+     * @param {number} from 開始行（含む）
+     * @param {number} to 終了行（含まない）
+     * @param {Array<{text: string, index: number, length: number}>} [oversized] 展開しなかった範囲の追加先
+     * @returns {Array<{no: number, index: number, length: number}>} 出現順
+     */
+    function collectClaims(context, from, to, oversized) {
+      const utils = root.textUtilsMain;
+      const pattern = utils.kw(DIGITS, "", "", SEPARATORS);
+      const claims = [];
+      if (from >= to) return claims;
+
+      const offset = context.lineStarts[from];
+      const body = context.text.slice(offset, to < context.lineStarts.length ? context.lineStarts[to] : context.text.length);
+      utils.findKW(body, STAR_WORDS, pattern).forEach((hit) => {
+        const length = hit.kwdIndex - hit.index + hit.kwd.length;
+        const ranges = [];
+        utils.expandKW(hit.kwd, ranges).forEach((no) => {
+          if (/^[0-9]+$/.test(no)) claims.push({ no: Number(no), index: offset + hit.index, length });
+        });
+        if (ranges.length > 0 && oversized) {
+          oversized.push({ text: body.slice(hit.index, hit.index + length), index: offset + hit.index, length });
+        }
+      });
+      return claims;
+    }
+
+    /**
+     * 本文を理由ごとのブロックと <拒絶の理由を発見しない請求項> のブロックに分ける
+     * - ●理由 の見出しが無い文書では、本文全体（< > の見出しのブロックを除く）を 1 つの理由とみなす。
+     * @param {any} context
+     * @param {any} section 本文セクション
+     * @returns {{reasons: Array<{label: string, from: number, to: number}>, allowable: {from: number, to: number}|null, other: Array<{from: number, to: number}>}}
+     */
+    function splitBlocks(context, section) {
+      const reasons = [];
+      const other = [];
+      let allowable = null;
+      /** @type {{kind: string, label?: string, from: number}|null} */
+      let current = { kind: "lead", from: section.start };
+
+      const close = (to) => {
+        if (!current) return;
+        if (current.kind === "reason") reasons.push({ label: current.label, from: current.from, to });
+        else if (current.kind === "allowable") allowable = { from: current.from, to };
+        else other.push({ from: current.from, to });
+      };
+
+      for (let i = section.start; i < section.end; i++) {
+        const line = context.lines[i];
+        const reason = REASON_HEADING.exec(line);
+        if (reason) {
+          close(i);
+          current = { kind: "reason", label: "理由" + reason[1], from: i };
+        } else if (ALLOWABLE_HEADING.test(line)) {
+          close(i);
+          current = { kind: "allowable", from: i };
+        } else if (BLOCK_HEADING.test(line)) {
+          close(i);
+          current = { kind: "other", from: i };
+        }
+      }
+      close(section.end);
+
+      // 見出しが無い文書は、冒頭のブロックを理由として扱う
+      if (reasons.length === 0 && other.length > 0 && other[0].from === section.start) {
+        const lead = other.shift();
+        reasons.push({ label: "本文", from: lead.from, to: lead.to });
+      }
+      return { reasons, allowable, other };
+    }
+
+    /**
+     * 番号が空欄の請求項を探す
+     * @param {any} context
+     * @param {any} section
+     * @returns {Array<Object>} findings
+     */
+    function findEmptySlots(context, section) {
+      const findings = [];
+      for (let i = section.start; i < section.end; i++) {
+        const line = context.lines[i];
+        const bullet = EMPTY_BULLET.exec(line);
+        if (bullet) {
+          findings.push({
+            severity: "error",
+            message: "「・請求項」の番号が空欄です。",
+            index: context.lineStarts[i] + bullet[1].length,
+            length: line.length - bullet[1].length,
+          });
+          continue;
+        }
+        EMPTY_SLOT.lastIndex = 0;
+        let m;
+        while ((m = EMPTY_SLOT.exec(line)) != null) {
+          findings.push({
+            severity: "error",
+            message: "「" + m[0] + "」の番号が空欄です。",
+            index: context.lineStarts[i] + m.index,
+            length: m[0].length,
+          });
+        }
+      }
+      return findings;
+    }
+
+    /**
+     * 検査本体
+     * @param {any} context
+     * @returns {Array<Object>} findings
+     */
+    function run(context) {
+      if (!root.textUtilsMain || !root.DocumentSections || !context.doc) return [];
+      const section = root.DocumentSections.findSection(context.doc, "本文");
+      if (!section) return [];
+
+      const findings = findEmptySlots(context, section);
+      const blocks = splitBlocks(context, section);
+      /** @type {Array<{text: string, index: number, length: number}>} */
+      const oversized = [];
+
+      /** @type {Map<number, {reasons: string[], index: number, length: number}>} 請求項 → 拒絶の対象とした理由 */
+      const rejected = new Map();
+      blocks.reasons.forEach((reason) => {
+        collectClaims(context, reason.from, reason.to, oversized).forEach((c) => {
+          const entry = rejected.get(c.no);
+          if (!entry) rejected.set(c.no, { reasons: [reason.label], index: c.index, length: c.length });
+          else if (entry.reasons.indexOf(reason.label) === -1) entry.reasons.push(reason.label);
+        });
+      });
+
+      /** @type {Map<number, {index: number, length: number}>} */
+      const allowable = new Map();
+      if (blocks.allowable) {
+        collectClaims(context, blocks.allowable.from, blocks.allowable.to, oversized).forEach((c) => {
+          if (!allowable.has(c.no)) allowable.set(c.no, c);
+        });
+      }
+
+      /** @type {Map<number, {index: number, length: number}>} それ以外のブロック（<付記> など）での言及 */
+      const mentioned = new Map();
+      blocks.other.forEach((block) => {
+        collectClaims(context, block.from, block.to, oversized).forEach((c) => {
+          if (!mentioned.has(c.no)) mentioned.set(c.no, c);
+        });
+      });
+
+      // 番号が多すぎる範囲（展開すると検査が止まるため、範囲ごと読み飛ばしている）
+      oversized.forEach((r) => {
+        findings.push({
+          severity: "warning",
+          message:
+            "「" + r.text + "」の範囲は番号の数が" + root.textUtilsMain.MAX_KW_RANGE +
+            "を超えるため、検査の対象にしていません。番号の誤記がないか確認してください。",
+          index: r.index,
+          length: r.length,
+        });
+      });
+
+      // 拒絶の対象と、拒絶理由を発見しない請求項の両方にある
+      allowable.forEach((c, no) => {
+        const entry = rejected.get(no);
+        if (!entry) return;
+        findings.push({
+          severity: "error",
+          message:
+            "請求項" + no + "は" + entry.reasons.join("・") + "で拒絶の対象としていますが、" +
+            "<拒絶の理由を発見しない請求項>にも挙げられています。",
+          index: c.index,
+          length: c.length,
+        });
+      });
+
+      // どちらにも無い
+      let max = 0;
+      [rejected, allowable, mentioned].forEach((map) => map.forEach((_, no) => (max = Math.max(max, no))));
+      const gaps = [];
+      for (let no = 1; no <= max; no++) {
+        if (rejected.has(no) || allowable.has(no)) continue;
+        const mention = mentioned.get(no);
+        if (mention) {
+          findings.push({
+            severity: "warning",
+            message: "請求項" + no + "はどの理由にも、<拒絶の理由を発見しない請求項>にも挙げられていません。",
+            index: mention.index,
+            length: mention.length,
+          });
+        } else {
+          gaps.push(no);
+        }
+      }
+      if (gaps.length > 0 && (rejected.size > 0 || allowable.size > 0)) {
+        findings.push({
+          severity: "info",
+          message:
+            "請求項" + gaps.join("、") + "（請求項" + max + "までのうち）はどの理由にも、" +
+            "<拒絶の理由を発見しない請求項>にも挙げられていません。",
+        });
+      }
+
+      return findings;
+    }
+
+    return { id: "claims", label: "理由ごとの請求項と拒絶の理由を発見しない請求項", run };
+  }
+
+  // ConsistencyChecks に登録
+  if (root.ConsistencyChecks) root.ConsistencyChecks.register(createClaimCheck());
+})(globalThis);
@@ -0,0 +1,211 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 出力テキストの整合性チェック（コピー前の確認用）
+   * - 「本文で引用した文献が引用文献等一覧にあるか」のように、文書の複数箇所を
+   *   突き合わせるチェックを登録して、まとめて実行する。
+   * - 個々のチェックは citationCheck.js などが register で追加する。
+   * - DOM には触れない（表示は consistencyReview.js、CLI からも同じ結果を使える）。
+   * - app.js / cli/pddc.js からは root.ConsistencyChecks 経由で利用する想定。
+   */
+  function createConsistencyChecks() {
+    /** 重大度（error はコピー前に確認を求める） */
+    const SEVERITIES = ["error", "warning", "info"];
+
+    /**
+     * @typedef {Object} Finding
+     * @property {string} check チェック ID
+     * @property {"error"|"warning"|"info"} severity 重大度
+     * @property {string} message 表示用メッセージ
+     * @property {number|null} index 該当箇所の先頭位置（テキスト全体での文字位置、無ければ null）
+     * @property {number} length 該当箇所の長さ
+     * @property {number|null} line 該当箇所の行番号（1 始まり、無ければ null）
+     */
+
+    /**
+     * @typedef {Object} CheckContext
+     * @property {string} text 検査対象の全文
+     * @property {string[]} lines 行配列
+     * @property {number[]} lineStarts 各行の先頭位置
+     * @property {any} doc DocumentSections.parse の結果（初回参照時に解析する）
+     */
+
+    /**
+     * @typedef {Object} CheckDefinition
+     * @property {string} id チェック ID
+     * @property {string} label 表示名
+     * @property {(context: CheckContext) => Array<Partial<Finding>>} run 検査処理
+     * @property {boolean} [enabled] 既定で有効か（省略時 true）
+     */
+
+    /** @type {Map<string, CheckDefinition & {enabled: boolean}>} */
+    const checks = new Map();
+
+    /**
+     * チェックを登録する（同じ ID は置き換え）
+     * @param {CheckDefinition} def
+     */
+    function register(def) {
+      if (!def || typeof def.id !== "string" || !def.id) {
+        throw new Error("ConsistencyChecks.register: id が必要です。");
+      }
+      if (typeof def.run !== "function") {
+        throw new Error("ConsistencyChecks.register: " + def.id + " に run 関数がありません。");
+      }
+      checks.set(def.id, {
+        id: def.id,
+        label: def.label || def.id,
+        run: def.run,
+        enabled: def.enabled !== false,
+      });
+    }
+
+    /**
+     * チェックの有効／無効を切り替える
+     * @param {string} id
+     * @param {boolean} enabled
+     * @returns {boolean} チェックが存在したか
+     */
+    function setEnabled(id, enabled) {
+      const check = checks.get(id);
+      if (!check) return false;
+      check.enabled = !!enabled;
+      return true;
+    }
+
+    /**
+     * 登録済みチェックの一覧
+     * @returns {Array<{id: string, label: string, enabled: boolean}>}
+     */
+    function list() {
+      return Array.from(checks.values()).map((c) => ({ id: c.id, label: c.label, enabled: c.enabled }));
+    }
+
+    /**
+     * 検査用のコンテキストを作る
+     * @param {string} text
+     * @returns {CheckContext}
+     */
+    function createContext(text) {
+      const lines = text.split(/\r\n|\r|\n/);
+      const lineStarts = [];
+      const newlines = /\r\n|\r|\n/g;
+      lineStarts.push(0);
+      let m;
+      while ((m = newlines.exec(text)) != null) lineStarts.push(m.index + m[0].length);
+
+      let doc = null;
+      return {
+        text,
+        lines,
+        lineStarts,
+        get doc() {
+          if (doc == null && root.DocumentSections) doc = root.DocumentSections.parse(text);
+          return doc;
+        },
+      };
+    }
+
+    /**
+     * 文字位置から行番号（1 始まり）を求める
+     * @param {number[]} lineStarts
+     * @param {number} index
+     * @returns {number}
+     */
+    function lineOf(lineStarts, index) {
+      let lo = 0;
+      let hi = lineStarts.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= index) lo = mid;
+        else hi = mid - 1;
+      }
+      return lo + 1;
+    }
+
+    /**
+     * 有効なチェックをすべて実行する
+     * - チェック内で例外が出た場合は、そのチェックだけを info として報告して続ける。
+     * - 結果は行番号順（位置の無いものは末尾）に並べる。
+     * @param {string} text 検査対象（通常は出力テキスト）
+     * @param {Object} [options]
+     * @param {string[]} [options.only] 実行するチェック ID（省略時は有効なものすべて）
+     * @returns {{findings: Finding[], counts: Record<string, number>, hasError: boolean}}
+     */
+    function run(text, options) {
+      const src = String(text == null ? "" : text);
+      const only = options && Array.isArray(options.only) ? options.only : null;
+      const context = createContext(src);
+
+      /** @type {Finding[]} */
+      const findings = [];
+      checks.forEach((check) => {
+        if (only ? only.indexOf(check.id) === -1 : !check.enabled) return;
+
+        let raw;
+        try {
+          raw = check.run(context) || [];
+        } catch (err) {
+          console.warn("[ConsistencyChecks] " + check.id + " の実行に失敗:", err);
+          raw = [{ severity: "info", message: "「" + check.label + "」を実行できませんでした。" }];
+        }
+
+        raw.forEach((f) => {
+          const severity = SEVERITIES.indexOf(f.severity) !== -1 ? f.severity : "warning";
+          const index = typeof f.index === "number" ? f.index : null;
+          findings.push({
+            check: check.id,
+            severity,
+            message: String(f.message || ""),
+            index,
+            length: index != null && f.length > 0 ? f.length : 0,
+            line: index != null ? lineOf(context.lineStarts, index) : null,
+          });
+        });
+      });
+
+      findings.sort((a, b) => {
+        if (a.line == null || b.line == null) return (a.line == null) - (b.line == null);
+        return a.line - b.line || a.index - b.index;
+      });
+
+      const counts = { error: 0, warning: 0, info: 0 };
+      findings.forEach((f) => counts[f.severity]++);
+
+      return { findings, counts, hasError: counts.error > 0 };
+    }
+
+    // 公開 API
+    return {
+      /**
+       * 重大度の一覧
+       */
+      SEVERITIES,
+
+      /**
+       * チェックを登録する
+       */
+      register,
+
+      /**
+       * チェックの有効／無効を切り替える
+       */
+      setEnabled,
+
+      /**
+       * 登録済みチェックの一覧
+       */
+      list,
+
+      /**
+       * 有効なチェックをすべて実行する
+       */
+      run,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - citationCheck.js などが root.ConsistencyChecks.register でチェックを追加する
+  root.ConsistencyChecks = createConsistencyChecks();
+})(globalThis);
@@ -0,0 +1,182 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 整合性チェック結果の確認パネル（コピー前）
+   * - ConsistencyChecks.run の結果を Step 3 のパネル（#consistencyReview）に一覧表示する。
+   * - 一覧の項目を押すと出力欄の該当箇所を選択する。
+   * - 「このままコピー」でチェックを飛ばしてコピーする（app.js の _handleCopy に委ねる）。
+   * - 出力が変わったら（再変換など）古い結果は clear で消す。
+   * - DOM 操作はブラウザ環境で、かつ #consistencyReview が存在するときのみ実行される。
+   * - app.js からは root.ConsistencyReview 経由で利用する想定。
+   */
+  function createConsistencyReview() {
+    /** 重大度の表示名 */
+    const SEVERITY_LABELS = { error: "エラー", warning: "警告", info: "情報" };
+
+    /** @type {{findings: any[], counts: Record<string, number>, hasError: boolean}|null} */
+    let lastResult = null;
+
+    /** @type {HTMLTextAreaElement|null} */
+    let outputEl = null;
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+    /** @type {HTMLElement|null} */
+    let summaryEl = null;
+    /** @type {HTMLElement|null} */
+    let listEl = null;
+
+    /** @type {() => void} */
+    let onCopyAnyway = () => {};
+
+    /**
+     * 一覧を描画する
+     * @param {{findings: any[], counts: Record<string, number>}} result
+     */
+    function renderList(result) {
+      if (!listEl || !summaryEl) return;
+
+      const counts = Object.keys(SEVERITY_LABELS)
+        .filter((severity) => result.counts[severity] > 0)
+        .map((severity) => SEVERITY_LABELS[severity] + " " + result.counts[severity] + " 件");
+      summaryEl.textContent = "コピー前の確認: " + counts.join(" / ");
+
+      listEl.innerHTML = "";
+      result.findings.forEach((finding, i) => {
+        const li = document.createElement("li");
+        li.className = "typo-review__item typo-review__item--" + finding.severity;
+
+        const jump = document.createElement("button");
+        jump.type = "button";
+        jump.className = "typo-review__jump";
+        jump.dataset.consistencyAction = "jump";
+        jump.dataset.consistencyIndex = String(i);
+        jump.disabled = finding.index == null;
+
+        const pos = document.createElement("span");
+        pos.className = "typo-review__pos";
+        pos.textContent = finding.line != null ? String(finding.line) : "-";
+        const badge = document.createElement("span");
+        badge.className = "typo-review__severity";
+        badge.textContent = SEVERITY_LABELS[finding.severity] || finding.severity;
+        pos.appendChild(badge);
+        const message = document.createElement("span");
+        message.className = "typo-review__message";
+        message.textContent = finding.message;
+        jump.appendChild(pos);
+        jump.appendChild(message);
+
+        li.appendChild(jump);
+        listEl.appendChild(li);
+      });
+    }
+
+    /**
+     * 出力欄の該当箇所を選択し、見える位置までスクロールする
+     * @param {number} i lastResult.findings の添字
+     */
+    function jumpTo(i) {
+      const finding = lastResult && lastResult.findings[i];
+      if (!finding || finding.index == null || !outputEl) return;
+
+      outputEl.focus();
+      outputEl.setSelectionRange(finding.index, finding.index + finding.length);
+
+      // 折り返しは考慮せず、行番号と行の高さからおおよその位置を求める
+      const lineHeight = parseFloat(root.getComputedStyle(outputEl).lineHeight) || 20;
+      outputEl.scrollTop = Math.max(0, (finding.line - 1) * lineHeight - outputEl.clientHeight / 3);
+    }
+
+    /**
+     * パネルを消す
+     */
+    function clear() {
+      lastResult = null;
+      if (panelEl) panelEl.hidden = true;
+      if (listEl) listEl.innerHTML = "";
+    }
+
+    /**
+     * テキストを検査し、指摘があればパネルに表示する
+     * - 指摘が無ければパネルを閉じる。コピーを止めるかは呼び出し側が結果を見て決める。
+     * @param {string} text 検査対象（出力欄の内容）
+     * @returns {{findings: any[], counts: Record<string, number>, hasError: boolean}}
+     */
+    function review(text) {
+      if (!root.ConsistencyChecks) return { findings: [], counts: {}, hasError: false };
+      const result = root.ConsistencyChecks.run(text);
+      if (result.findings.length === 0 || !panelEl) {
+        clear();
+        return result;
+      }
+      lastResult = result;
+      renderList(result);
+      panelEl.hidden = false;
+      return result;
+    }
+
+    /**
+     * パネル内のボタン操作
+     * @param {MouseEvent} event
+     */
+    function handleClick(event) {
+      const target = /** @type {HTMLElement} */ (event.target);
+      const button = target && target.closest ? target.closest("[data-consistency-action]") : null;
+      if (!button) return;
+
+      const action = /** @type {HTMLElement} */ (button).dataset.consistencyAction;
+      if (action === "jump") {
+        jumpTo(Number(/** @type {HTMLElement} */ (button).dataset.consistencyIndex));
+      } else if (action === "copyAnyway") {
+        onCopyAnyway();
+      } else if (action === "close") {
+        clear();
+      }
+    }
+
+    /**
+     * 画面の要素をバインドする
+     * @param {Object} options
+     * @param {HTMLTextAreaElement} options.output 出力欄
+     * @param {() => void} [options.onCopyAnyway] 「このままコピー」の処理
+     */
+    function mount(options) {
+      if (typeof document === "undefined" || panelEl) return;
+
+      panelEl = document.getElementById("consistencyReview");
+      if (!panelEl || !options || !options.output) {
+        panelEl = null;
+        return;
+      }
+
+      outputEl = options.output;
+      onCopyAnyway = options.onCopyAnyway || onCopyAnyway;
+      summaryEl = document.getElementById("consistencyReviewSummary");
+      listEl = document.getElementById("consistencyReviewList");
+
+      panelEl.addEventListener("click", handleClick);
+    }
+
+    // 公開 API
+    return {
+      /**
+       * テキストを検査し、指摘があればパネルに表示する
+       */
+      review,
+
+      /**
+       * パネルを消す
+       */
+      clear,
+
+      /**
+       * 画面の要素をバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js 側から root.ConsistencyReview として参照される
+  root.ConsistencyReview = createConsistencyReview();
+})(globalThis);
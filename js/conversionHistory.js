@@ -0,0 +1,398 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 変換履歴
+   * - Convert のたびに、入力（貼り付けたままのテキスト）・モード・出力・日時を 1 件として保存する。
+   * - 件数は上限（保持件数）までで、古いものから捨てる。保持件数 0 は「保存しない」。
+   * - 履歴と保持件数は localStorage に保存する。容量を超えた場合は古い履歴を捨てて保存し直す。
+   * - 機密保持のため「すべて削除」で履歴を消せる（保持件数の設定は残す）。
+   * - 画面の履歴パネル（#historyPanel）では、各履歴の復元・現在の出力との比較・削除ができる。
+   *   復元・比較の中身は app.js に任せる（mount の onRestore / onCompare）。
+   * - localStorage が使えない環境（Node.js / CLI など）ではメモリ上にだけ保持する。
+   * - app.js からは root.ConversionHistory 経由で利用する想定。
+   */
+  function createConversionHistory() {
+    /** localStorage のキー（履歴） */
+    const STORAGE_KEY = "pddc.history";
+
+    /** localStorage のキー（保持件数） */
+    const LIMIT_KEY = "pddc.historyLimit";
+
+    /** 保持件数の既定値と上限 */
+    const DEFAULT_LIMIT = 20;
+    const MAX_LIMIT = 100;
+
+    /**
+     * @typedef {Object} HistoryEntry
+     * @property {string} id 履歴 ID
+     * @property {string} time 変換日時（ISO 8601）
+     * @property {string} mode モードキー
+     * @property {string} input 入力（貼り付けたままのテキスト）
+     * @property {string} output 出力
+     */
+
+    /** @type {HistoryEntry[]} 新しい順 */
+    let entries = [];
+
+    /** @type {number} */
+    let limit = DEFAULT_LIMIT;
+
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+    /** @type {HTMLElement|null} */
+    let listEl = null;
+    /** @type {HTMLInputElement|null} */
+    let limitEl = null;
+
+    /** @type {(modeKey: string) => string} */
+    let labelOf = (modeKey) => modeKey;
+
+    /**
+     * localStorage を取得する（使えない環境では null）
+     * @returns {Storage|null}
+     */
+    function getStorage() {
+      try {
+        return typeof root.localStorage !== "undefined" ? root.localStorage : null;
+      } catch (_e) {
+        return null;
+      }
+    }
+
+    /**
+     * 保存済みの履歴と保持件数を読み込む
+     */
+    function load() {
+      const storage = getStorage();
+      if (!storage) return;
+      try {
+        const savedLimit = Number(storage.getItem(LIMIT_KEY));
+        if (storage.getItem(LIMIT_KEY) != null && Number.isInteger(savedLimit) && savedLimit >= 0 && savedLimit <= MAX_LIMIT) {
+          limit = savedLimit;
+        }
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY) || "[]");
+        if (Array.isArray(saved)) {
+          entries = saved
+            .filter((e) => e && typeof e.id === "string" && typeof e.input === "string" && typeof e.output === "string")
+            .slice(0, limit);
+        }
+      } catch (err) {
+        console.warn("[ConversionHistory] 保存済みの履歴を読み込めませんでした:", err);
+        entries = [];
+      }
+    }
+
+    /**
+     * 履歴を保存する
+     * - 容量を超えた場合は、古い履歴を 1 件ずつ捨てて保存し直す。
+     * @returns {number} 容量不足で捨てた件数
+     */
+    function persist() {
+      const storage = getStorage();
+      if (!storage) return 0;
+      let dropped = 0;
+      for (;;) {
+        try {
+          if (entries.length === 0) storage.removeItem(STORAGE_KEY);
+          else storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+          return dropped;
+        } catch (err) {
+          if (entries.length === 0) {
+            console.warn("[ConversionHistory] 履歴を保存できませんでした:", err);
+            return dropped;
+          }
+          entries.pop();
+          dropped++;
+        }
+      }
+    }
+
+    /**
+     * 履歴を追加する
+     * - 直前の履歴と入力・モード・出力がすべて同じ場合は、日時だけを更新する。
+     * @param {{input: string, mode: string, output: string}} record
+     * @returns {{entry: HistoryEntry|null, dropped: number}} entry: 追加した履歴（保持件数 0 なら null） /
+     *   dropped: 容量不足で捨てた古い履歴の件数
+     */
+    function add(record) {
+      if (limit === 0) return { entry: null, dropped: 0 };
+
+      const now = new Date();
+      const head = entries[0];
+      if (head && head.input === record.input && head.mode === record.mode && head.output === record.output) {
+        head.time = now.toISOString();
+        const dropped = persist();
+        render();
+        return { entry: head, dropped };
+      }
+
+      const entry = {
+        id: now.getTime().toString(36) + "-" + Math.random().toString(36).slice(2, 8),
+        time: now.toISOString(),
+        mode: String(record.mode || ""),
+        input: String(record.input || ""),
+        output: String(record.output || ""),
+      };
+      entries.unshift(entry);
+      entries.length = Math.min(entries.length, limit);
+      const dropped = persist();
+      render();
+      return { entry: entries[0] === entry ? entry : null, dropped };
+    }
+
+    /**
+     * 履歴の一覧（新しい順）
+     * @returns {HistoryEntry[]}
+     */
+    function list() {
+      return entries.slice();
+    }
+
+    /**
+     * 履歴を 1 件取得する
+     * @param {string} id
+     * @returns {HistoryEntry|null}
+     */
+    function get(id) {
+      return entries.find((e) => e.id === id) || null;
+    }
+
+    /**
+     * 履歴を 1 件削除する
+     * @param {string} id
+     * @returns {boolean} 削除したか
+     */
+    function remove(id) {
+      const before = entries.length;
+      entries = entries.filter((e) => e.id !== id);
+      if (entries.length === before) return false;
+      persist();
+      render();
+      return true;
+    }
+
+    /**
+     * 履歴をすべて削除する（保持件数の設定は残す）
+     */
+    function clear() {
+      entries = [];
+      persist();
+      render();
+    }
+
+    /**
+     * 保持件数を変更する（超えた分の古い履歴は捨てる）
+     * @param {number} value 0〜MAX_LIMIT の整数（0 は保存しない）
+     */
+    function setLimit(value) {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 0 || n > MAX_LIMIT) {
+        throw new Error("保持件数は 0〜" + MAX_LIMIT + " の整数で指定してください。");
+      }
+      limit = n;
+      entries.length = Math.min(entries.length, limit);
+      const storage = getStorage();
+      if (storage) {
+        try {
+          storage.setItem(LIMIT_KEY, String(limit));
+        } catch (err) {
+          console.warn("[ConversionHistory] 保持件数を保存できませんでした:", err);
+        }
+      }
+      persist();
+      render();
+    }
+
+    /**
+     * 保持件数
+     * @returns {number}
+     */
+    function getLimit() {
+      return limit;
+    }
+
+    // ------------------------------------------------------------------
+    // 画面
+    // ------------------------------------------------------------------
+
+    /**
+     * @param {string} tag
+     * @param {string} [className]
+     * @param {string} [text]
+     * @returns {HTMLElement}
+     */
+    function el(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text != null) node.textContent = text;
+      return node;
+    }
+
+    /**
+     * 日時の表示（YYYY-MM-DD HH:MM）
+     * @param {string} iso
+     * @returns {string}
+     */
+    function formatTime(iso) {
+      const d = new Date(iso);
+      if (isNaN(d.getTime())) return iso;
+      const pad = (n) => String(n).padStart(2, "0");
+      return d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate()) + " " + pad(d.getHours()) + ":" + pad(d.getMinutes());
+    }
+
+    /**
+     * 入力の 1 行目（空行は飛ばす）を一覧の見出しにする
+     * @param {string} text
+     * @returns {string}
+     */
+    function previewOf(text) {
+      const line = text.split(/\r\n|\r|\n/).find((l) => l.trim()) || "（空の入力）";
+      return line.trim().length > 40 ? line.trim().slice(0, 40) + "…" : line.trim();
+    }
+
+    /**
+     * 履歴パネルを描画する
+     */
+    function render() {
+      if (!panelEl) return;
+
+      if (limitEl) limitEl.value = String(limit);
+      if (!listEl) return;
+
+      listEl.innerHTML = "";
+      if (entries.length === 0) {
+        listEl.appendChild(el("li", "history__empty", limit === 0 ? "履歴を保存しない設定です。" : "履歴はありません。"));
+        return;
+      }
+      entries.forEach((entry) => {
+        const item = el("li", "history__entry");
+        const meta = el("div", "history__meta");
+        meta.appendChild(el("time", "history__time", formatTime(entry.time)));
+        meta.appendChild(el("span", "history__mode", labelOf(entry.mode)));
+        meta.appendChild(el("span", "history__size", entry.input.length + " → " + entry.output.length + " 字"));
+        item.appendChild(meta);
+        item.appendChild(el("p", "history__preview", previewOf(entry.input)));
+
+        const actions = el("div", "history__actions");
+        [
+          ["restore", "復元"],
+          ["compare", "現在の出力と比較"],
+          ["remove", "削除"],
+        ].forEach(([action, label]) => {
+          const button = /** @type {HTMLButtonElement} */ (el("button", "btn btn-secondary history__action", label));
+          button.type = "button";
+          button.dataset.historyAction = action;
+          button.dataset.historyId = entry.id;
+          actions.appendChild(button);
+        });
+        item.appendChild(actions);
+        listEl.appendChild(item);
+      });
+    }
+
+    /**
+     * 画面の要素をバインドする
+     * @param {Object} options
+     * @param {(entry: HistoryEntry) => void} options.onRestore 履歴の復元（入力・モード・出力を戻す）
+     * @param {(entry: HistoryEntry) => void} options.onCompare 履歴の出力と現在の出力の比較
+     * @param {(modeKey: string) => string} [options.labelOf] モードキー → 表示名
+     * @param {(message: string, type?: string) => void} [options.notify] トースト表示など
+     */
+    function mount(options) {
+      if (typeof document === "undefined" || panelEl || !options) return;
+
+      panelEl = document.getElementById("historyPanel");
+      if (!panelEl) return;
+
+      listEl = document.getElementById("historyList");
+      limitEl = /** @type {HTMLInputElement|null} */ (document.getElementById("historyLimit"));
+      labelOf = options.labelOf || labelOf;
+      const notify = options.notify || (() => {});
+
+      panelEl.addEventListener("click", (event) => {
+        const button = /** @type {HTMLElement} */ (event.target).closest("[data-history-action]");
+        if (!button) return;
+        const action = /** @type {HTMLElement} */ (button).dataset.historyAction;
+
+        if (action === "clearAll") {
+          if (entries.length === 0) return;
+          if (typeof root.confirm === "function" && !root.confirm("変換履歴をすべて削除します。よろしいですか？")) return;
+          clear();
+          notify("変換履歴をすべて削除しました。", "success");
+          return;
+        }
+
+        const entry = get(/** @type {HTMLElement} */ (button).dataset.historyId || "");
+        if (!entry) return;
+        if (action === "restore") options.onRestore(entry);
+        else if (action === "compare") options.onCompare(entry);
+        else if (action === "remove") remove(entry.id);
+      });
+
+      if (limitEl) {
+        limitEl.max = String(MAX_LIMIT);
+        limitEl.addEventListener("change", () => {
+          try {
+            setLimit(Number(limitEl.value));
+            notify("履歴の保持件数を " + limit + " 件にしました。", "success");
+          } catch (err) {
+            notify(err && err.message ? err.message : String(err), "error");
+            limitEl.value = String(limit);
+          }
+        });
+      }
+
+      render();
+    }
+
+    load();
+
+    // 公開 API
+    return {
+      /**
+       * 履歴を追加する
+       */
+      add,
+
+      /**
+       * 履歴の一覧（新しい順）
+       */
+      list,
+
+      /**
+       * 履歴を 1 件取得する
+       */
+      get,
+
+      /**
+       * 履歴を 1 件削除する
+       */
+      remove,
+
+      /**
+       * 履歴をすべて削除する
+       */
+      clear,
+
+      /**
+       * 保持件数を変更する
+       */
+      setLimit,
+
+      /**
+       * 保持件数
+       */
+      getLimit,
+
+      /**
+       * 画面の要素をバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js 側から root.ConversionHistory として参照される
+  root.ConversionHistory = createConversionHistory();
+})(globalThis);
@@ -0,0 +1,46 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 日付の整合性チェック
+   * - textUtilsMain.findDates で和暦・西暦・ドット区切りの日付を拾い、
+   *   存在しない日付（令和２年２月３０日）や元号の期間外の日付（平成３１年５月１日）を指摘する。
+   * - 未記入の ○ が残っている日付（令和○年○○月○○日）も指摘する。
+   * - ConsistencyChecks に "dates" として登録する。
+   */
+  function createDateCheck() {
+    /**
+     * 検査本体
+     * @param {any} context ConsistencyChecks のコンテキスト
+     * @returns {Array<Object>} findings
+     */
+    function run(context) {
+      if (!root.textUtilsMain || typeof root.textUtilsMain.findDates !== "function") return [];
+
+      const findings = [];
+      root.textUtilsMain.findDates(context.text).forEach((date) => {
+        if (date.placeholder) {
+          findings.push({
+            severity: "warning",
+            message: "日付が未記入です（" + date.text + "）。",
+            index: date.index,
+            length: date.length,
+          });
+        } else if (!date.valid) {
+          findings.push({
+            severity: "error",
+            message: "「" + date.text + "」: " + date.problem,
+            index: date.index,
+            length: date.length,
+          });
+        }
+      });
+      return findings;
+    }
+
+    return { id: "dates", label: "日付", run };
+  }
+
+  // ConsistencyChecks に登録
+  if (root.ConsistencyChecks) root.ConsistencyChecks.register(createDateCheck());
+})(globalThis);
@@ -175,7 +175,10 @@
   var makeHtml = root.makeHtml || null;
 
   var extractParagraphAndFigureRefs = paragraphExtraction.extractParagraphAndFigureRefs;
+  var extractLocatorsByCitation = paragraphExtraction.extractLocatorsByCitation;
+  var extractLocatorsByCitationSorted = paragraphExtraction.extractLocatorsByCitationSorted;
   var to_HTML = makeHtml.to_HTML;
+  var to_HTMLDocument = makeHtml.to_HTMLDocument;
 
 
   // -------------------------------------------------------------------------
@@ -273,19 +276,14 @@
     fwHead,
     fwNumLaw,
     fwRefLaw,
-    alphaCase, // 表とか図の英字を大文字にしない
-    tightClaims,
-  ]);
-
-  textFilterRegistry.register("main_PCTENG", [
-    applyFlexibleMap,
-    padHead,
-    trimHead,
-    tightBelowBullet, // 下の改行を詰める(箇条書き系は全角になると反応しないので、)
-    fwHead,
-    fwNumLaw,
-    fwRefLaw,
-    // alphaCase, // 表とか図の英字を大文字にしない
+    {
+      // 表とか図の英字を大文字にしない（原文が英語の PCT 文書では実行しない）
+      fn: alphaCase,
+      name: "alphaCase",
+      when: function (str, context) {
+        return context.mode !== "pct_eng";
+      }
+    },
     tightClaims,
   ]);
 
@@ -314,10 +312,24 @@
     extractParagraphAndFigureRefs,
   ]);
 
+  // 引用文献ごとの引用箇所（初出順 / 昇順・連番まとめ）
+  textFilterRegistry.register("locatorExtract", [
+    extractLocatorsByCitation,
+  ]);
+
+  textFilterRegistry.register("locatorExtractSorted", [
+    extractLocatorsByCitationSorted,
+  ]);
+
   textFilterRegistry.register("tohtml", [
     to_HTML,
   ]);
 
+  // 単体で開ける HTML 文書（スタイル・目次・段落アンカー付き）
+  textFilterRegistry.register("tohtmlDocument", [
+    to_HTMLDocument,
+  ]);
+
   // -------------------------------------------------------------------------
   // グローバル公開
   // -------------------------------------------------------------------------
@@ -341,11 +353,16 @@
    * - 途中でエラーが発生した場合の挙動は options.stopOnError で制御する。
    *   - true  (デフォルト): その時点で中断し、エラーをそのまま投げる。
    *   - false: onError を呼んだあと続行し、current はエラー前の値を維持。
+   * - options.signal で中止された場合は、stopOnError に関係なく AbortError で中断する。
+   * - モードのハンドラ（modeLists.js）は、これの代わりに { chain } ステップを並べたリストを
+   *   applyList で実行する。本関数は既存の呼び出し側のために残している。
    *
    * @param {string[]} names 実行したいフィルタリスト名の配列（例: ["init","exp1","exp2"]）
    * @param {string} str 入力文字列
    * @param {any[]} [invokeArgs] 各ステップに共通で渡す追加引数
-   * @param {{ stopOnError?: boolean }} [options] 実行時オプション
+   * @param {{ stopOnError?: boolean, context?: Object, signal?: AbortSignal }} [options] 実行時オプション
+   *   context は各ステップの when に渡す（例: { mode: "pct_eng" }）。
+   *   signal は各リストの apply に渡す（中止用）。
    * @returns {Promise<string>} 最終的な変換結果文字列
    */
   root.runTextChains = function (names, str, invokeArgs, options) {
@@ -357,6 +374,7 @@
     var listNames = Array.isArray(names) ? names.slice() : [];
     var opts = options || {};
     var stopOnError = opts.stopOnError !== false; // デフォルト true
+    var runOptions = { context: opts.context || {}, signal: opts.signal };
 
     // 空配列なら何もせずそのまま返す
     if (listNames.length === 0) {
@@ -370,11 +388,14 @@
       chain = chain.then(function (prev) {
         current = prev == null ? "" : String(prev);
         return reg
-          .apply(name, current, invokeArgs)
+          .apply(name, current, invokeArgs, runOptions)
           .then(function (out) {
             return out == null ? "" : String(out);
           })
           .catch(function (err) {
+            if (FilterRegistry.isAbortError(err)) {
+              throw err;
+            }
             if (typeof console !== "undefined" && console.error) {
               console.error("[runTextChains] フィルタリスト実行中にエラー:", {
                 name: name,
@@ -0,0 +1,197 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 入出力の差分ビュー
+   * - 変換前（半角正規化後の入力）と変換後の出力を文字単位で比較し、
+   *   挿入・削除・全角／半角の変更を色分けして表示する。
+   * - 差分計算は TextDiff.diffInline（textDiff.js）に任せ、ここでは描画だけを行う。
+   * - DOM 操作はブラウザ環境で、かつ #diffPanel が存在するときのみ実行される。
+   */
+  function createDiffView() {
+    /** 変更箇所の前後に残す一致行数（それより離れた一致行は省略する） */
+    const CONTEXT_LINES = 2;
+
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+    /** @type {HTMLElement|null} */
+    let summaryEl = null;
+    /** @type {HTMLElement|null} */
+    let bodyEl = null;
+    /** @type {HTMLInputElement|null} */
+    let widthToggleEl = null;
+    /** @type {HTMLElement|null} */
+    let headingEl = null;
+    /** 見出しの既定の文言（入力 → 出力） */
+    let defaultHeading = "";
+    /** @type {boolean} */
+    let bound = false;
+
+    /**
+     * 区間ごとの文字数を集計する（改行は数えない）
+     * @param {Array<{type: string, text: string}>} segments TextDiff.diffInline の戻り値
+     * @returns {{inserted: number, deleted: number, width: number}}
+     */
+    function summarize(segments) {
+      const result = { inserted: 0, deleted: 0, width: 0 };
+      (segments || []).forEach((seg) => {
+        const count = root.TextDiff.tokenizeChars(seg.text.replace(/\n/g, "")).length;
+        if (seg.type === "insert") result.inserted += count;
+        else if (seg.type === "delete") result.deleted += count;
+        else if (seg.type === "width") result.width += count;
+      });
+      return result;
+    }
+
+    /**
+     * 一致区間のうち、変更箇所から離れた行を省略した表示用の部品に分ける
+     * @param {string} text 一致区間の文字列
+     * @param {boolean} isFirst 先頭の区間か（前に変更箇所が無い）
+     * @param {boolean} isLast 末尾の区間か（後ろに変更箇所が無い）
+     * @returns {Array<{text: string}|{skip: number}>}
+     */
+    function collapseEqual(text, isFirst, isLast) {
+      const lines = text.split("\n");
+      // 区間の先頭は前の変更行の続き、末尾は次の変更行の行頭なので、行として数えるのはその間
+      const keepHead = isFirst ? 0 : CONTEXT_LINES + 1;
+      const keepTail = isLast ? 0 : CONTEXT_LINES + 1;
+      if (lines.length <= keepHead + keepTail + 1) return [{ text }];
+
+      const parts = [];
+      const head = lines.slice(0, keepHead).join("\n");
+      const tail = lines.slice(lines.length - keepTail).join("\n");
+      if (keepHead > 0) parts.push({ text: head + "\n" });
+      parts.push({ skip: lines.length - keepHead - keepTail });
+      if (keepTail > 0) parts.push({ text: tail });
+      return parts;
+    }
+
+    /**
+     * パネル内の DOM 要素を取得し、イベントを 1 回だけバインドする
+     * @returns {boolean} パネルが利用可能かどうか
+     */
+    function ensureDom() {
+      if (typeof document === "undefined") return false;
+      if (!panelEl) {
+        panelEl = document.getElementById("diffPanel");
+        if (!panelEl) return false;
+        summaryEl = document.getElementById("diffSummary");
+        bodyEl = document.getElementById("diffBody");
+        widthToggleEl = /** @type {HTMLInputElement|null} */ (document.getElementById("diffShowWidth"));
+        headingEl = document.getElementById("diff-heading");
+        defaultHeading = headingEl ? headingEl.textContent : "";
+      }
+
+      if (!bound) {
+        bound = true;
+        // 全角／半角の変更を目立たせるかどうか（差分は再計算しない）
+        if (widthToggleEl && bodyEl) {
+          const applyWidthToggle = () => {
+            bodyEl.classList.toggle("diff-view--hide-width", !widthToggleEl.checked);
+          };
+          widthToggleEl.addEventListener("change", applyWidthToggle);
+          applyWidthToggle();
+        }
+      }
+      return true;
+    }
+
+    /**
+     * 差分本文を描画する
+     * @param {Array<{type: string, text: string, source?: string}>} segments
+     */
+    function renderBody(segments) {
+      if (!bodyEl) return;
+      bodyEl.innerHTML = "";
+
+      if (segments.every((seg) => seg.type === "equal")) {
+        const p = document.createElement("p");
+        p.className = "diff-view__note";
+        p.textContent = "入力と出力に違いはありません。";
+        bodyEl.appendChild(p);
+        return;
+      }
+
+      const fragment = document.createDocumentFragment();
+      segments.forEach((seg, i) => {
+        if (seg.type === "equal") {
+          collapseEqual(seg.text, i === 0, i === segments.length - 1).forEach((part) => {
+            if ("skip" in part) {
+              const skip = document.createElement("span");
+              skip.className = "diff-view__skip";
+              skip.textContent = "… " + part.skip + " 行省略 …\n";
+              fragment.appendChild(skip);
+            } else {
+              fragment.appendChild(document.createTextNode(part.text));
+            }
+          });
+          return;
+        }
+
+        const el = document.createElement(seg.type === "insert" ? "ins" : seg.type === "delete" ? "del" : "span");
+        el.className = "diff-view__" + seg.type;
+        // 改行だけの挿入／削除は見えないので記号を添える
+        el.textContent = seg.text.replace(/\n/g, "↵\n");
+        if (seg.type === "width") el.title = "変更前: " + seg.source;
+        fragment.appendChild(el);
+      });
+      bodyEl.appendChild(fragment);
+    }
+
+    /**
+     * 入力と出力の差分を表示する
+     * - 履歴の出力と現在の出力のように、入出力以外を比べるときは options.title で見出しを変える。
+     * @param {string} before 変換前（半角正規化後の入力）
+     * @param {string} after 変換後の出力
+     * @param {Object} [options]
+     * @param {string} [options.title] パネルの見出し（省略時は既定の「入力 → 出力」）
+     */
+    function show(before, after, options) {
+      if (!ensureDom() || !panelEl || !root.TextDiff) return;
+      if (headingEl) headingEl.textContent = (options && options.title) || defaultHeading;
+
+      const segments = root.TextDiff.diffInline(before, after);
+      const s = summarize(segments);
+      if (summaryEl) {
+        summaryEl.textContent =
+          "挿入 " + s.inserted + " 字 / 削除 " + s.deleted + " 字 / 全角・半角 " + s.width + " 字";
+      }
+
+      renderBody(segments);
+      panelEl.hidden = false;
+    }
+
+    /**
+     * 表示内容を破棄してパネルを隠す
+     */
+    function clear() {
+      if (!ensureDom() || !panelEl) return;
+      if (bodyEl) bodyEl.innerHTML = "";
+      if (summaryEl) summaryEl.textContent = "";
+      if (headingEl) headingEl.textContent = defaultHeading;
+      panelEl.hidden = true;
+    }
+
+    // 公開 API
+    return {
+      /**
+       * 入力と出力の差分を表示する
+       */
+      show,
+
+      /**
+       * 表示を破棄してパネルを隠す
+       */
+      clear,
+
+      /**
+       * 差分区間の文字数集計（挿入・削除・全角／半角）
+       */
+      summarize,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js 側から root.DiffView として参照される
+  root.DiffView = createDiffView();
+})(globalThis);
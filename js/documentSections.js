@@ -0,0 +1,267 @@
+/**
+ * documentSections.js
+ * --------------------------------------------------------------------------
+ * 拒絶理由通知テキストのセクション解析
+ *
+ * ▼ 目的
+ *   - spec.html で定義している文書の区切り（セクション）を 1 か所で判定し、
+ *     各フィルタが独自の正規表現で境界を探さなくて済むようにする。
+ *
+ * ▼ セクション（上から順に出現する）
+ *   - 条文部分       : 先頭 〜「記」行の直前
+ *   - 本文           : 「記」行 〜 <引用文献等一覧> または区切り線の直前
+ *   - 引用文献       : <引用文献等一覧> 行 〜 区切り線の直前
+ *   - 分類・参考文献 : 区切り線（------...） 〜 <補正をする際の注意> の直前
+ *   - 注意           : <補正をする際の注意> 行 〜 審査官名の行の直前
+ *   - 名前           : 審査官名の行（審査官プロファイルの署名と一致する行） 〜 末尾
+ *   ※ 各セクションは境界となる行（マーカー行）を先頭に含む。
+ *   ※ 「記」行が無い文書では、先頭のセクションを「本文」として扱う。
+ *   ※ 見つからなかったセクションは結果に含めない（途中のセクションが欠けてもよい）。
+ *
+ * ▼ マーカーの表記ゆれ
+ *   - 行頭・行末の空白（半角／全角）は無視する。
+ *   - < > と ＜ ＞、( ) と （ ）、- と －（全角ハイフン）などは同一視する。
+ *   - init 前の原文（全角混じり）でも、convertForOther 後の出力でも解析できる。
+ *
+ * ▼ 公開 API（root.DocumentSections）
+ *   - SECTION_NAMES                  : セクション名（出現順）
+ *   - MARKERS                        : セクション名 → 開始マーカー（正規表現または test を持つ照合器）の配列
+ *   - parse(text, options)           : DocumentModel を返す
+ *   - findSection(doc, name)         : セクションを 1 件取得
+ *   - sectionText(doc, section)      : セクションの本文を取得
+ *   - applyToSections(text, names, fn)
+ *                                    : 指定セクションだけに fn を適用した全文を返す
+ *   - forSection(names, fn, stepName): 指定セクション限定の FilterStep を作る
+ *       TextFilterRegistry.register("xxx", [
+ *         DocumentSections.forSection("条文部分", toZenkakuAscii)
+ *       ]);
+ * --------------------------------------------------------------------------
+ */
+
+(function (root) {
+  "use strict";
+
+  /**
+   * @typedef {Object} Section
+   * @property {string} name セクション名（SECTION_NAMES のいずれか）
+   * @property {number} start 開始行（0 始まり、この行を含む）
+   * @property {number} end 終了行（この行を含まない）
+   * @property {string|null} marker 開始マーカー行の文字列（先頭セクションは null）
+   */
+
+  /**
+   * @typedef {Object} DocumentModel
+   * @property {string[]} lines 行配列
+   * @property {string} newline 元テキストの改行コード（結合時に使う）
+   * @property {Section[]} sections 出現順のセクション配列（全行を隙間なく覆う）
+   */
+
+  /** セクション名（出現順） */
+  var SECTION_NAMES = ["条文部分", "本文", "引用文献", "分類・参考文献", "注意", "名前"];
+
+  /**
+   * @typedef {RegExp|{test: (line: string) => boolean}} Marker
+   */
+
+  /**
+   * 審査官名の行（審査官プロファイルの署名と一致する行）
+   * - examinerProfile.js はこのファイルより後に読み込まれるため、照合のたびに参照する。
+   * - プロファイルが無い環境では一致しない（名前セクションを作らない）。
+   * @type {Marker}
+   */
+  var SIGNATURE_MARKER = {
+    test: function (line) {
+      var profile = root.ExaminerProfile;
+      return !!profile && profile.matchLine(line) === "signature";
+    }
+  };
+
+  /**
+   * 各セクションの開始マーカー
+   * - 条文部分は文書先頭から始まるためマーカーを持たない。
+   * - parse の options.markers で一部を差し替えられる（審査官名の行など）。
+   * @type {Record<string, Marker[]>}
+   */
+  var MARKERS = {
+    本文: [
+      // 「記」単独、または「記 (引用文献等については引用文献等一覧参照)」
+      /^[ 　]*記[ 　]*(?:[（(]引用文献等については引用文献等一覧参照[）)])?[ 　]*$/
+    ],
+    引用文献: [/^[ 　]*[<＜]引用文献等一覧[>＞][ 　]*$/],
+    分類・参考文献: [/^[ 　]*[-－―─]{20,}[ 　]*$/],
+    注意: [/^[ 　]*[<＜]補正をする際の注意[>＞]/],
+    // 例: 「審査第四部伝送システム(PA5J) 飯星 陽平(いいほし ようへい)」
+    名前: [SIGNATURE_MARKER]
+  };
+
+  /**
+   * 改行コードを推定する（最初に見つかったものを採用）
+   * @param {string} str
+   * @returns {string}
+   */
+  function detectNewline(str) {
+    var m = /\r\n|\r|\n/.exec(str);
+    return m ? m[0] : "\n";
+  }
+
+  /**
+   * 行がセクションの開始マーカーに一致するか
+   * @param {Marker[]|undefined} patterns
+   * @param {string} line
+   * @returns {boolean}
+   */
+  function matchesMarker(patterns, line) {
+    if (!patterns) return false;
+    for (var i = 0; i < patterns.length; i++) {
+      if (patterns[i].test(line)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * テキストをセクションに分割する
+   *
+   * - 上から順に走査し、「現在のセクションより後ろ」のマーカーに一致した行で
+   *   新しいセクションを開始する（前のセクションのマーカーが再度現れても無視する）。
+   * - 「記」行が見つからなかった場合、先頭セクションは「本文」とする。
+   *
+   * @param {string} text 対象テキスト
+   * @param {Object} [options]
+   * @param {Record<string, Marker[]>} [options.markers] 差し替えるマーカー（セクション名 → マーカー配列）
+   * @returns {DocumentModel}
+   */
+  function parse(text, options) {
+    var str = text == null ? "" : String(text);
+    var opts = options || {};
+    var markers = {};
+    SECTION_NAMES.forEach(function (name) {
+      markers[name] = (opts.markers && opts.markers[name]) || MARKERS[name];
+    });
+
+    var lines = str.split(/\r\n|\r|\n/);
+    /** @type {Section[]} */
+    var sections = [{ name: SECTION_NAMES[0], start: 0, end: lines.length, marker: null }];
+    var current = 0; // SECTION_NAMES 内の現在位置
+
+    for (var i = 0; i < lines.length; i++) {
+      for (var j = current + 1; j < SECTION_NAMES.length; j++) {
+        if (!matchesMarker(markers[SECTION_NAMES[j]], lines[i])) continue;
+
+        sections[sections.length - 1].end = i;
+        sections.push({ name: SECTION_NAMES[j], start: i, end: lines.length, marker: lines[i] });
+        current = j;
+        break;
+      }
+    }
+
+    // 「記」行が無い文書には条文部分が存在しない
+    if (!sections.some(function (s) { return s.name === "本文"; })) {
+      sections[0].name = "本文";
+    }
+
+    return {
+      lines: lines,
+      newline: detectNewline(str),
+      // 空のセクション（マーカーが先頭行にある場合の条文部分など）は除く
+      sections: sections.filter(function (s) { return s.end > s.start; })
+    };
+  }
+
+  /**
+   * セクションを名前で取得する
+   * @param {DocumentModel} doc
+   * @param {string} name セクション名
+   * @returns {Section|null}
+   */
+  function findSection(doc, name) {
+    for (var i = 0; i < doc.sections.length; i++) {
+      if (doc.sections[i].name === name) return doc.sections[i];
+    }
+    return null;
+  }
+
+  /**
+   * セクションの本文（マーカー行を含む）を取得する
+   * @param {DocumentModel} doc
+   * @param {Section} section
+   * @returns {string}
+   */
+  function sectionText(doc, section) {
+    return doc.lines.slice(section.start, section.end).join(doc.newline);
+  }
+
+  /**
+   * 指定したセクションだけに変換を適用し、全文を組み立て直す
+   *
+   * - fn にはセクション本文（末尾改行なし）と、そのセクション情報が渡される。
+   * - 対象セクションが見つからない場合は text をそのまま返す。
+   *
+   * @param {string} text 全文
+   * @param {string|string[]} names 対象セクション名
+   * @param {(sectionText: string, section: Section) => string} fn 変換関数
+   * @param {Object} [options] parse に渡すオプション
+   * @returns {string} 変換後の全文
+   */
+  function applyToSections(text, names, fn, options) {
+    var targets = Array.isArray(names) ? names : [names];
+    var doc = parse(text, options);
+    var touched = false;
+
+    var parts = doc.sections.map(function (section) {
+      var body = sectionText(doc, section);
+      if (targets.indexOf(section.name) === -1) return body;
+      touched = true;
+      var out = fn(body, section);
+      return out == null ? "" : String(out);
+    });
+
+    return touched ? parts.join(doc.newline) : String(text == null ? "" : text);
+  }
+
+  /**
+   * 指定セクション限定で動くフィルタステップを作る
+   *
+   * - 返り値は FilterRegistry にそのまま登録できる FilterStep。
+   * - ステップ名は「関数名@セクション名」（トレースでの表示用）。
+   * - fn が受け取る追加引数（step.args / invokeArgs）はそのまま引き渡す。
+   *
+   * @param {string|string[]} names 対象セクション名
+   * @param {(str: string, ...args: any[]) => string} fn セクション本文に適用するフィルタ
+   * @param {string} [stepName] ステップ名（省略時は自動生成）
+   * @returns {{ fn: (str: string, ...args: any[]) => string, name: string }}
+   */
+  function forSection(names, fn, stepName) {
+    var targets = Array.isArray(names) ? names.slice() : [names];
+    targets.forEach(function (name) {
+      if (SECTION_NAMES.indexOf(name) === -1) {
+        throw new Error("未知のセクション名です: " + name);
+      }
+    });
+    if (typeof fn !== "function") {
+      throw new Error("セクションに適用するフィルタは関数である必要があります。");
+    }
+
+    return {
+      name: stepName || (fn.name || "filter") + "@" + targets.join(","),
+      fn: function (str) {
+        var extra = Array.prototype.slice.call(arguments, 1);
+        return applyToSections(str, targets, function (body) {
+          return fn.apply(null, [body].concat(extra));
+        });
+      }
+    };
+  }
+
+  // ------------------------------------------------------------------------
+  // グローバル公開
+  // ------------------------------------------------------------------------
+  root.DocumentSections = {
+    SECTION_NAMES: SECTION_NAMES,
+    MARKERS: MARKERS,
+    parse: parse,
+    findSection: findSection,
+    sectionText: sectionText,
+    applyToSections: applyToSections,
+    forSection: forSection
+  };
+})(globalThis);
@@ -0,0 +1,376 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * Word（.docx）書き出し
+   * - 変換後のテキストを、そのまま 1 行 = 1 段落の最小構成の OOXML にする。
+   * - convertForDoc / convertForOther が全角スペースで組んだ字下げ・桁そろえを崩さないよう、
+   *   次のようにする。
+   *   - 等幅の和文フォント（既定は ＭＳ 明朝）を半角・全角の両方に使う
+   *   - 空白は xml:space="preserve" でそのまま残す（全角スペースも文字として残る）
+   *   - 和欧文間の自動スペース・約物の詰め・グリッドへの吸着を切り、行間は固定値にする
+   * - 用紙サイズ・余白・文字サイズはページプロファイル（PAGE_PROFILES）から決める。
+   *   選んだプロファイルは localStorage に保存する。
+   * - ZIP の組み立ては zipWriter.js を使う。サーバを使わないので、ローカルの HTML からも動く。
+   * - app.js / cli/pddc.js からは root.DocxExport 経由で利用する想定。
+   */
+  function createDocxExport() {
+    /** localStorage のキー */
+    const STORAGE_KEY = "pddc.docxProfile";
+
+    /** .docx の MIME タイプ */
+    const MIME_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+    /** WordprocessingML の名前空間 */
+    const NS_W = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+    /**
+     * @typedef {Object} PageProfile
+     * @property {string} label 表示名
+     * @property {number} width 用紙の幅（mm）
+     * @property {number} height 用紙の高さ（mm）
+     * @property {{top: number, right: number, bottom: number, left: number}} margin 余白（mm）
+     * @property {number} fontSize 文字サイズ（pt）
+     * @property {number} [linesPerPage] 1 ページの行数（指定時は行間をこの行数に合わせる）
+     * @property {number} [lineHeight] 行間（pt、linesPerPage が無いときに使う）
+     * @property {string} font 半角・全角に使う等幅フォント
+     */
+
+    /**
+     * ページプロファイル
+     * - jpo: 特許庁の書類の様式（A4 縦・余白 2cm・40 字 × 50 行）に合わせたもの
+     * - a4: 一般的な A4 の文書
+     * @type {Readonly<Record<string, Readonly<PageProfile>>>}
+     */
+    const PAGE_PROFILES = Object.freeze({
+      jpo: Object.freeze({
+        label: "A4 40字×50行（特許庁の様式）",
+        width: 210,
+        height: 297,
+        margin: Object.freeze({ top: 20, right: 20, bottom: 20, left: 20 }),
+        fontSize: 12,
+        linesPerPage: 50,
+        font: "ＭＳ 明朝",
+      }),
+      a4: Object.freeze({
+        label: "A4 余白 25mm・10.5pt",
+        width: 210,
+        height: 297,
+        margin: Object.freeze({ top: 25, right: 25, bottom: 25, left: 25 }),
+        fontSize: 10.5,
+        lineHeight: 18,
+        font: "ＭＳ 明朝",
+      }),
+    });
+
+    /** 既定のプロファイル */
+    const DEFAULT_PROFILE = "jpo";
+
+    /** @type {string} */
+    let currentKey = DEFAULT_PROFILE;
+
+    /** @type {HTMLSelectElement|null} */
+    let selectEl = null;
+
+    /**
+     * localStorage を取得する（使えない環境では null）
+     * @returns {Storage|null}
+     */
+    function getStorage() {
+      try {
+        return typeof root.localStorage !== "undefined" ? root.localStorage : null;
+      } catch (_e) {
+        return null;
+      }
+    }
+
+    /**
+     * mm → twip（1/20 pt）
+     * @param {number} mm
+     * @returns {number}
+     */
+    function mmToTwip(mm) {
+      return Math.round((mm / 25.4) * 1440);
+    }
+
+    /**
+     * XML のテキストとして使えるようにする
+     * - XML 1.0 で使えない制御文字は取り除く。
+     * @param {string} s
+     * @returns {string}
+     */
+    function escapeXml(s) {
+      return String(s)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/g, "$1")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    }
+
+    /**
+     * プロファイルを取得する
+     * @param {string} [key] 省略時は選択中のもの
+     * @returns {PageProfile}
+     */
+    function getProfile(key) {
+      const k = key == null ? currentKey : key;
+      const profile = PAGE_PROFILES[k];
+      if (!profile) {
+        throw new Error("DocxExport: 未知のページプロファイルです: " + k + "（" + Object.keys(PAGE_PROFILES).join(", ") + "）");
+      }
+      return profile;
+    }
+
+    /**
+     * プロファイルから行間（twip）を求める
+     * @param {PageProfile} profile
+     * @returns {{lineTwip: number}}
+     */
+    function layoutOf(profile) {
+      const bodyHeightPt = ((profile.height - profile.margin.top - profile.margin.bottom) / 25.4) * 72;
+      const linePt = profile.linesPerPage ? bodyHeightPt / profile.linesPerPage : profile.lineHeight || profile.fontSize * 1.5;
+      return { lineTwip: Math.floor(linePt * 20) };
+    }
+
+    /**
+     * 1 行分の段落
+     * @param {string} line
+     * @returns {string}
+     */
+    function paragraphXml(line) {
+      if (!line) return "<w:p/>";
+      const runs = line
+        .split("\t")
+        .map((part, i) => (i > 0 ? "<w:tab/>" : "") + (part ? '<w:t xml:space="preserve">' + escapeXml(part) + "</w:t>" : ""))
+        .join("");
+      return "<w:p><w:r>" + runs + "</w:r></w:p>";
+    }
+
+    /**
+     * word/document.xml
+     * @param {string[]} lines
+     * @param {PageProfile} profile
+     * @param {{lineTwip: number}} layout
+     * @returns {string}
+     */
+    function documentXml(lines, profile, layout) {
+      const m = profile.margin;
+      return (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<w:document xmlns:w="' + NS_W + '"><w:body>' +
+        lines.map(paragraphXml).join("") +
+        "<w:sectPr>" +
+        '<w:pgSz w:w="' + mmToTwip(profile.width) + '" w:h="' + mmToTwip(profile.height) + '"/>' +
+        '<w:pgMar w:top="' + mmToTwip(m.top) + '" w:right="' + mmToTwip(m.right) + '" w:bottom="' + mmToTwip(m.bottom) +
+        '" w:left="' + mmToTwip(m.left) + '" w:header="0" w:footer="0" w:gutter="0"/>' +
+        '<w:docGrid w:linePitch="' + layout.lineTwip + '"/>' +
+        "</w:sectPr></w:body></w:document>"
+      );
+    }
+
+    /**
+     * word/styles.xml（既定の書式で、等幅フォント・固定行間・自動調整なしにする）
+     * @param {PageProfile} profile
+     * @param {{lineTwip: number}} layout
+     * @returns {string}
+     */
+    function stylesXml(profile, layout) {
+      const font = escapeXml(profile.font);
+      const size = Math.round(profile.fontSize * 2);
+      return (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<w:styles xmlns:w="' + NS_W + '"><w:docDefaults>' +
+        "<w:rPrDefault><w:rPr>" +
+        '<w:rFonts w:ascii="' + font + '" w:hAnsi="' + font + '" w:eastAsia="' + font + '" w:cs="' + font + '"/>' +
+        '<w:kern w:val="0"/><w:sz w:val="' + size + '"/><w:szCs w:val="' + size + '"/>' +
+        '<w:lang w:val="ja-JP" w:eastAsia="ja-JP"/>' +
+        "</w:rPr></w:rPrDefault>" +
+        "<w:pPrDefault><w:pPr>" +
+        '<w:widowControl w:val="0"/><w:autoSpaceDE w:val="0"/><w:autoSpaceDN w:val="0"/>' +
+        '<w:adjustRightInd w:val="0"/><w:snapToGrid w:val="0"/>' +
+        '<w:spacing w:before="0" w:after="0" w:line="' + layout.lineTwip + '" w:lineRule="exact"/>' +
+        "</w:pPr></w:pPrDefault>" +
+        "</w:docDefaults>" +
+        '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+        "</w:styles>"
+      );
+    }
+
+    /**
+     * word/settings.xml（約物を詰めない）
+     * @returns {string}
+     */
+    function settingsXml() {
+      return (
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<w:settings xmlns:w="' + NS_W + '">' +
+        '<w:characterSpacingControl w:val="doNotCompress"/>' +
+        "</w:settings>"
+      );
+    }
+
+    /** [Content_Types].xml */
+    const CONTENT_TYPES_XML =
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+      '<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>' +
+      "</Types>";
+
+    /** _rels/.rels */
+    const ROOT_RELS_XML =
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      "</Relationships>";
+
+    /** word/_rels/document.xml.rels */
+    const DOCUMENT_RELS_XML =
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>' +
+      "</Relationships>";
+
+    /**
+     * テキストを .docx にする
+     * @param {string} text 変換後のテキスト
+     * @param {Object} [options]
+     * @param {string} [options.profile] ページプロファイルのキー（省略時は選択中のもの）
+     * @param {Date} [options.date] ZIP に記録する日時
+     * @returns {Uint8Array} .docx のバイト列
+     */
+    function build(text, options) {
+      const opts = options || {};
+      if (!root.ZipWriter) throw new Error("DocxExport: zipWriter.js が読み込まれていません。");
+
+      const profile = getProfile(opts.profile);
+      const layout = layoutOf(profile);
+      const lines = String(text == null ? "" : text).split(/\r\n|\r|\n/);
+      if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+
+      return root.ZipWriter.createZip(
+        [
+          { name: "[Content_Types].xml", data: CONTENT_TYPES_XML },
+          { name: "_rels/.rels", data: ROOT_RELS_XML },
+          { name: "word/document.xml", data: documentXml(lines, profile, layout) },
+          { name: "word/_rels/document.xml.rels", data: DOCUMENT_RELS_XML },
+          { name: "word/styles.xml", data: stylesXml(profile, layout) },
+          { name: "word/settings.xml", data: settingsXml() },
+        ],
+        { date: opts.date }
+      );
+    }
+
+    /**
+     * プロファイルの一覧
+     * @returns {Array<{key: string, label: string}>}
+     */
+    function listProfiles() {
+      return Object.keys(PAGE_PROFILES).map((key) => ({ key, label: PAGE_PROFILES[key].label }));
+    }
+
+    /**
+     * 選択中のプロファイルを切り替える（localStorage にも保存する）
+     * @param {string} key
+     */
+    function setProfile(key) {
+      getProfile(key); // 未知のキーは例外
+      currentKey = key;
+      const storage = getStorage();
+      if (storage) {
+        try {
+          storage.setItem(STORAGE_KEY, key);
+        } catch (err) {
+          console.warn("[DocxExport] ページプロファイルを保存できませんでした:", err);
+        }
+      }
+      if (selectEl) selectEl.value = key;
+    }
+
+    /**
+     * 選択中のプロファイルのキー
+     * @returns {string}
+     */
+    function getProfileKey() {
+      return currentKey;
+    }
+
+    /**
+     * 画面のプロファイル選択（<select>）をバインドする
+     * @param {Object} options
+     * @param {HTMLSelectElement|null} options.select
+     */
+    function mount(options) {
+      if (typeof document === "undefined" || !options || !options.select || selectEl) return;
+      selectEl = options.select;
+
+      selectEl.innerHTML = "";
+      listProfiles().forEach((p) => {
+        const option = document.createElement("option");
+        option.value = p.key;
+        option.textContent = p.label;
+        selectEl.appendChild(option);
+      });
+      selectEl.value = currentKey;
+      selectEl.addEventListener("change", () => setProfile(selectEl.value));
+    }
+
+    // 保存済みのプロファイルを読み込む
+    (() => {
+      const storage = getStorage();
+      try {
+        const saved = storage ? storage.getItem(STORAGE_KEY) : null;
+        if (saved && PAGE_PROFILES[saved]) currentKey = saved;
+      } catch (err) {
+        console.warn("[DocxExport] 保存済みのページプロファイルを読み込めませんでした:", err);
+      }
+    })();
+
+    // 公開 API
+    return {
+      /**
+       * .docx の MIME タイプ
+       */
+      MIME_TYPE,
+
+      /**
+       * テキストを .docx にする
+       */
+      build,
+
+      /**
+       * プロファイルの一覧
+       */
+      listProfiles,
+
+      /**
+       * プロファイルを取得する
+       */
+      getProfile,
+
+      /**
+       * 選択中のプロファイルを切り替える
+       */
+      setProfile,
+
+      /**
+       * 選択中のプロファイルのキー
+       */
+      getProfileKey,
+
+      /**
+       * 画面のプロファイル選択をバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js / cli/pddc.js から root.DocxExport として参照される
+  root.DocxExport = createDocxExport();
+})(globalThis);
@@ -0,0 +1,361 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 審査官プロファイル
+   * - <補正をする際の注意> 末尾の署名・連絡先ブロック（審査官名の行／TEL 行／メール行）を
+   *   特定の審査官の固定文字列ではなく、プロファイルから組み立てて照合・整形する。
+   * - プロファイルは画面（#examinerProfileForm）から編集でき、localStorage に保存される。
+   * - localStorage が使えない環境（Node.js / CLI など）では既定値のまま動作する。
+   * - textUtilsConvertForCau.js / stripBlankLines.js からは root.ExaminerProfile 経由で利用する。
+   */
+  function createExaminerProfile() {
+    /** localStorage のキー */
+    const STORAGE_KEY = "pddc.examinerProfile";
+
+    /**
+     * @typedef {Object} Profile
+     * @property {string} department 所属（例: 審査第四部伝送システム）
+     * @property {string} unitCode 担当室の記号（英数字 4 文字、例: PA5J）
+     * @property {string} name 審査官名
+     * @property {string} reading 審査官名の読み（ひらがな）
+     * @property {string} phone 代表電話番号
+     * @property {string} extension 内線番号
+     * @property {string} mailPlaceholder メールアドレスの伏せ字部分（例: ●●●●）
+     * @property {string} mailDomain メールアドレスのドメイン
+     */
+
+    /**
+     * 既定のプロファイル（従来ハードコードしていた値）
+     * @type {Readonly<Profile>}
+     */
+    const DEFAULT_PROFILE = Object.freeze({
+      department: "審査第四部伝送システム",
+      unitCode: "PA5J",
+      name: "飯星 陽平",
+      reading: "いいほし ようへい",
+      phone: "03-3581-1101",
+      extension: "3534",
+      mailPlaceholder: "●●●●",
+      mailDomain: "jpo.go.jp",
+    });
+
+    /**
+     * 項目定義（画面の入力欄は data-profile-field 属性でこのキーに対応づける）
+     * - pattern を持つ項目は保存時に形式を検証する。
+     */
+    const FIELDS = [
+      { key: "department", label: "所属" },
+      { key: "unitCode", label: "担当室記号", pattern: /^[0-9A-Za-z]{4}$/ },
+      { key: "name", label: "審査官名" },
+      { key: "reading", label: "読み" },
+      { key: "phone", label: "電話番号", pattern: /^[0-9][0-9-]*[0-9]$/ },
+      { key: "extension", label: "内線", pattern: /^[0-9]+$/ },
+      { key: "mailPlaceholder", label: "メールの伏せ字" },
+      { key: "mailDomain", label: "メールドメイン", pattern: /^[0-9A-Za-z.-]+\.[A-Za-z]+$/ },
+    ];
+
+    /** @type {Profile} */
+    let current = Object.assign({}, DEFAULT_PROFILE);
+
+    /** @type {HTMLFormElement|null} */
+    let formEl = null;
+    /** @type {HTMLElement|null} */
+    let previewEl = null;
+
+    /**
+     * localStorage を取得する（使えない環境では null）
+     * @returns {Storage|null}
+     */
+    function getStorage() {
+      try {
+        return typeof root.localStorage !== "undefined" ? root.localStorage : null;
+      } catch (_e) {
+        // file:// やプライベートモードでアクセス自体が例外になる場合がある
+        return null;
+      }
+    }
+
+    /**
+     * 入力値を検証し、前後の空白を除いたプロファイルを返す
+     * @param {Partial<Profile>} values
+     * @returns {Profile}
+     * @throws {Error} 未入力または形式が不正な項目がある場合
+     */
+    function validate(values) {
+      /** @type {any} */
+      const result = {};
+      const errors = [];
+
+      FIELDS.forEach((field) => {
+        const raw = values && values[field.key] != null ? values[field.key] : current[field.key];
+        const value = String(raw).trim();
+        if (value === "") {
+          errors.push(field.label + "を入力してください。");
+        } else if (field.pattern && !field.pattern.test(value)) {
+          errors.push(field.label + "の形式が正しくありません: " + value);
+        }
+        result[field.key] = value;
+      });
+
+      if (errors.length > 0) {
+        throw new Error(errors.join("\n"));
+      }
+      return result;
+    }
+
+    /**
+     * 保存済みのプロファイルを読み込む
+     * - 保存値が壊れている場合は警告を出して既定値に戻す。
+     */
+    function load() {
+      const storage = getStorage();
+      if (!storage) return;
+
+      try {
+        const saved = storage.getItem(STORAGE_KEY);
+        if (saved) current = validate(Object.assign({}, DEFAULT_PROFILE, JSON.parse(saved)));
+      } catch (err) {
+        console.warn("[ExaminerProfile] 保存済みプロファイルを読み込めませんでした:", err);
+        current = Object.assign({}, DEFAULT_PROFILE);
+      }
+    }
+
+    /**
+     * 現在のプロファイルを返す（コピー）
+     * @returns {Profile}
+     */
+    function get() {
+      return Object.assign({}, current);
+    }
+
+    /**
+     * プロファイルを更新して保存する
+     * @param {Partial<Profile>} values 変更する項目
+     * @returns {Profile} 更新後のプロファイル
+     * @throws {Error} 検証エラー時（現在の値は変更しない）
+     */
+    function set(values) {
+      current = validate(values);
+      const storage = getStorage();
+      if (storage) {
+        try {
+          storage.setItem(STORAGE_KEY, JSON.stringify(current));
+        } catch (err) {
+          console.warn("[ExaminerProfile] プロファイルを保存できませんでした:", err);
+        }
+      }
+      return get();
+    }
+
+    /**
+     * 既定値に戻し、保存値を削除する
+     * @returns {Profile}
+     */
+    function reset() {
+      current = Object.assign({}, DEFAULT_PROFILE);
+      const storage = getStorage();
+      if (storage) {
+        try {
+          storage.removeItem(STORAGE_KEY);
+        } catch (_e) {
+          // 削除できなくても次回の load で既定値以外が読まれるだけなので無視
+        }
+      }
+      return get();
+    }
+
+    // ----------------------------------------------------------------------
+    // 整形
+    // ----------------------------------------------------------------------
+
+    /**
+     * 審査官名の行
+     * 例: 審査第四部伝送システム(PA5J) 飯星 陽平(いいほし ようへい)
+     * @param {Profile} [profile]
+     * @returns {string}
+     */
+    function formatSignature(profile) {
+      const p = profile || current;
+      return p.department + "(" + p.unitCode + ") " + p.name + "(" + p.reading + ")";
+    }
+
+    /**
+     * TEL 行
+     * 例: TEL.03-3581-1101 内線3534
+     * @param {Profile} [profile]
+     * @returns {string}
+     */
+    function formatTel(profile) {
+      const p = profile || current;
+      return "TEL." + p.phone + " 内線" + p.extension;
+    }
+
+    /**
+     * メール行の注記部分
+     * 例: (上記「●●●●」に置き換えて、「PA5J」と入力ください。)
+     * @param {Profile} [profile]
+     * @returns {string}
+     */
+    function formatMailNote(profile) {
+      const p = profile || current;
+      return "(上記「" + p.mailPlaceholder + "」に置き換えて、「" + p.unitCode + "」と入力ください。)";
+    }
+
+    /**
+     * メール行
+     * 例: ※●●●●@jpo.go.jp (上記「●●●●」に置き換えて、「PA5J」と入力ください。)
+     * @param {Profile} [profile]
+     * @returns {string}
+     */
+    function formatMail(profile) {
+      const p = profile || current;
+      return "※" + p.mailPlaceholder + "@" + p.mailDomain.toLowerCase() + " " + formatMailNote(p);
+    }
+
+    // ----------------------------------------------------------------------
+    // 照合
+    // ----------------------------------------------------------------------
+
+    /**
+     * 照合用に正規化する
+     * - 全角英数字・記号を半角に、空白の連続を 1 つにまとめ、前後の空白を除く。
+     * - 英字は小文字にそろえる（前段のフィルタでドメインが Jpo.Go.Jp になるため）。
+     * @param {string} str
+     * @returns {string}
+     */
+    function normalizeForMatch(str) {
+      return String(str)
+        .replace(/[！-～]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0xfee0))
+        .replace(/[ 　\t]+/g, " ")
+        .trim()
+        .toLowerCase();
+    }
+
+    /**
+     * 行が署名・連絡先ブロックのどの行に当たるかを判定する
+     * - 全角／半角、行頭の空白、英字の大小の違いは無視する。
+     * @param {string} line 1 行分の文字列
+     * @param {Profile} [profile]
+     * @returns {"signature"|"tel"|"mail"|null}
+     */
+    function matchLine(line, profile) {
+      const p = profile || current;
+      const key = normalizeForMatch(line);
+      if (key === "") return null;
+      if (key === normalizeForMatch(formatSignature(p))) return "signature";
+      if (key === normalizeForMatch(formatTel(p))) return "tel";
+      if (key === normalizeForMatch(formatMail(p))) return "mail";
+      return null;
+    }
+
+    // ----------------------------------------------------------------------
+    // 画面（編集フォーム）
+    // ----------------------------------------------------------------------
+
+    /**
+     * フォームに現在値を反映し、プレビューを更新する
+     */
+    function renderForm() {
+      if (!formEl) return;
+      FIELDS.forEach((field) => {
+        const input = formEl.querySelector('[data-profile-field="' + field.key + '"]');
+        if (input) input.value = current[field.key];
+      });
+      renderPreview(current);
+    }
+
+    /**
+     * 署名・連絡先ブロックのプレビューを表示する
+     * @param {Profile} profile
+     */
+    function renderPreview(profile) {
+      if (!previewEl) return;
+      previewEl.textContent = [formatSignature(profile), formatTel(profile), formatMail(profile)].join("\n");
+    }
+
+    /**
+     * フォームの入力値を集める
+     * @returns {Partial<Profile>}
+     */
+    function readForm() {
+      /** @type {any} */
+      const values = {};
+      FIELDS.forEach((field) => {
+        const input = formEl && formEl.querySelector('[data-profile-field="' + field.key + '"]');
+        if (input) values[field.key] = input.value;
+      });
+      return values;
+    }
+
+    /**
+     * 編集フォームをバインドする（#examinerProfileForm がある場合のみ）
+     * @param {Object} [options]
+     * @param {(message: string, type?: string) => void} [options.notify] 結果の通知先（トースト等）
+     */
+    function mount(options) {
+      const notify = (options && options.notify) || (() => {});
+      if (typeof document === "undefined" || formEl) return;
+
+      formEl = /** @type {HTMLFormElement|null} */ (document.getElementById("examinerProfileForm"));
+      previewEl = document.getElementById("examinerProfilePreview");
+      if (!formEl) return;
+
+      renderForm();
+
+      // 入力中はプレビューだけ更新する（保存はしない）
+      formEl.addEventListener("input", () => {
+        renderPreview(Object.assign({}, current, readForm()));
+      });
+
+      formEl.addEventListener("submit", (event) => {
+        event.preventDefault();
+        try {
+          set(readForm());
+          renderForm();
+          notify("審査官プロファイルを保存しました。", "success");
+        } catch (err) {
+          notify(err && err.message ? err.message : String(err), "error");
+        }
+      });
+
+      formEl.addEventListener("reset", (event) => {
+        event.preventDefault();
+        reset();
+        renderForm();
+        notify("審査官プロファイルを既定値に戻しました。", "info");
+      });
+    }
+
+    load();
+
+    // 公開 API
+    return {
+      DEFAULT_PROFILE,
+      FIELDS,
+      get,
+      set,
+      reset,
+      load,
+
+      formatSignature,
+      formatTel,
+      formatMail,
+      formatMailNote,
+
+      /**
+       * 署名・連絡先ブロックの行種別を判定する
+       */
+      matchLine,
+
+      /**
+       * 画面の編集フォームをバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - 変換フィルタと app.js から root.ExaminerProfile として参照される
+  root.ExaminerProfile = createExaminerProfile();
+})(globalThis);
@@ -4,40 +4,72 @@
   /**
    * 日本語タイポ検出および警告モーダル表示を行うユーティリティ。
    * - app.js からは root.JaTypoChecker 経由で利用する想定。
+   * - 文書内の @typo-ignore ディレクティブや、呼び出し側が渡す無視指定に対応する
+   *   （無視された項目は結果の ignored 側に入り、hasError には数えない）。
+   * - ルールは重大度（error / warning / info）を持ち、変換を止める hasError は error だけで判定する。
+   *   registerRules / configureRule / loadConfig（JSON）で追加・上書き・無効化でき、
+   *   各ルールの例文は selfTest で検査できる。
    * - DOM 操作はブラウザ環境のときのみ実行される。
    */
   function createJaTypoChecker() {
+    /** 重大度（error だけが変換を止める） */
+    const SEVERITIES = ["error", "warning", "info"];
+
+    /** localStorage のキー（loadConfig で保存した JSON 設定） */
+    const STORAGE_KEY = "pddc.typoRules";
+
     /**
-     * よくある誤記を表す正規表現パターン
-     * - 必要に応じて自由に追加・削除可能
+     * @typedef {Object} TypoRuleDefinition
+     * @property {string} id ルール ID（同じ ID を登録すると置き換える）
+     * @property {RegExp|string} [regex] 検出する正規表現（文字列の場合は flags と合わせて RegExp にする）
+     * @property {string} [flags] regex が文字列の場合のフラグ（g は常に付く）
+     * @property {string} [phrase] 検出する固定フレーズ（regex とどちらか一方）
+     * @property {string} message 表示するメッセージ
+     * @property {"error"|"warning"|"info"} [severity="warning"] 重大度
+     * @property {string} [replacement] 置換候補（regex の場合は $1 などの参照が使える）
+     * @property {{positive?: string[], negative?: string[]}} [examples] 自己テスト用の例
+     *   （positive は検出されるべき文、negative は検出されてはならない文）
+     * @property {boolean} [enabled=true]
      */
+
     /**
-     * よくある誤記を表す正規表現パターン群
+     * 組み込みルール（よくある誤記を表す正規表現パターン）
      * - 判定はあくまでヒューリスティックなので、誤検出が多いようなら
-     *   個々のパターンを無効化 / 調整する想定。
+     *   configureRule / loadConfig で個々のルールを無効化 / 調整する想定。
      */
-    const typoPatterns = [
+    const BUILTIN_PATTERNS = [
     {
       id: "mixedFullHalfSpace",
       // 4桁連続数字（例: 2021）の末尾 "1 ␠ 2" みたいな箇所は検出しない
       // 例）"2021 21th" は除外、"1 2" や "12 3" は検出
       regex: /(?<![0-9０-９]{3})[0-9０-９][ 　]+[0-9０-９]/g,
       message: "数字の間に余分なスペース（半角／全角）が入っている可能性があります。",
+      severity: "warning",
+      examples: { positive: ["請求項1 2に係る発明", "段落１２　３"], negative: ["2021 21th", "請求項1、2に係る発明"] },
     },
     {
         id: "duplicatedComma",
         regex: /、{2,}/g,
         message: "読点「、」が連続しています。打ち過ぎの可能性があります。",
+        severity: "error",
+        replacement: "、",
+        examples: { positive: ["請求項1、、2"], negative: ["請求項1、2"] },
     },
     {
         id: "duplicatedPeriod",
         regex: /。。+/g,
         message: "句点「。」が連続しています。打ち過ぎの可能性があります。",
+        severity: "error",
+        replacement: "。",
+        examples: { positive: ["記載されている。。"], negative: ["記載されている。"] },
     },
     {
         id: "spaceBeforePunctuation",
-        regex: /[ 　]+[。、，．]/g,
+        regex: /[ 　]+([。、，．])/g,
         message: "句読点の直前にスペースが入っています。",
+        severity: "warning",
+        replacement: "$1",
+        examples: { positive: ["記載されている 。", "引用文献1　、"], negative: ["記載されている。"] },
     },
     {
         id: "missingNiBeforeKisaiInvent",
@@ -47,6 +79,9 @@
         regex: /([^\s\nに])[ 　]*記載された発明/g,
         message:
         "「〜に記載された発明」の「に」が抜けている可能性があります（例: 「引用文献１記載された発明」）。",
+        severity: "warning",
+        replacement: "$1に記載された発明",
+        examples: { positive: ["引用文献１記載された発明"], negative: ["引用文献１に記載された発明"] },
     },
     {
         id: "missingNiBeforeKisaiNoInvent",
@@ -55,6 +90,9 @@
         regex: /([^\s\nに])[ 　]*記載の発明/g,
         message:
         "「〜に記載の発明」の「に」が抜けている可能性があります（例: 「引用文献１記載の発明」）。",
+        severity: "warning",
+        replacement: "$1に記載の発明",
+        examples: { positive: ["引用文献１記載の発明"], negative: ["引用文献１に記載の発明"] },
     },
     {
       id: "duplicatedParticleGeneric",
@@ -66,74 +104,329 @@
       // - 「とと」「かか」は誤検出しやすいので別枝で制御
       regex: /(?:^|(?<=[一-龥々ぁ-んァ-ヶーA-Za-zａ-ｚＡ-Ｚ0-9０-９）」』】、，,。．.・:：;；!?！？\s]))(?:(?<p>から|まで|より|だけ|ほど|など|こそ|しか|さえ|でも|って|のに|ので|には|では|へは|にも|とも|とは|は|が|を|に|へ|で|や|も)\k<p>|と(?<!こと|ひと|あと|もと)と|かか(?!わらず|わる|われ(?:た|ない)?|る|った|って|り|れ(?:た|ない)?|ろ|ない|なかった))/gu,
       message: "助詞が同じ形で連続しています。不要な助詞が重複している可能性があります（例: 「〜がが」「〜はは」など）。",
+      severity: "warning",
+      examples: { positive: ["発明がが記載されている", "文献1をを参照"], negative: ["することと", "にかかわらず"] },
     },
     {
         id: "duplicatedKanaWord",
         // 同じ仮名列（2〜4文字）がそのまま 2 回連続
         // 例: 「ああああ」「ていてい」「するするするする」など
+        // 「いろいろ」「ときどき」など正しい繰り返しにも当たるため info 扱い
         regex: /([ぁ-んァ-ン]{2,4})\1/g,
         message:
         "同じ仮名の並びが連続しています。単語の重複や変換ミスの可能性があります（例: 同じ「ああ」が続けて出現）。",
+        severity: "info",
+        examples: { positive: ["記載されていていて"], negative: ["記載されている"] },
     },
     ];
 
     /**
-     * 固定フレーズで検出したい誤記・冗長表現
-     * - ドメイン固有の NG ワードはここにどんどん足していく想定。
+     * 組み込みルール（固定フレーズで検出したい誤記・冗長表現）
+     * - ドメイン固有の NG ワードは registerRules / loadConfig で追加する想定。
      */
-    const typoPhrases = [
+    const BUILTIN_PHRASES = [
     {
         id: "kisaiarete_iiru",
         phrase: "記載されていいる",
         message: "「記載されている」の誤記と考えられます。",
+        severity: "error",
+        replacement: "記載されている",
+        examples: { positive: ["文献1に記載されていいる。"], negative: ["文献1に記載されている。"] },
     },
     {
         id: "ito_to_shite",
         phrase: "意図として",
         message: "文脈によっては「意図して」の誤記の可能性があります。",
+        severity: "info",
+        examples: { positive: ["意図として設計された"], negative: ["意図して設計された"] },
     },
     {
         id: "suru_koto_ga_dekiru_koto",
         phrase: "することができること",
         message: "「することができる」等に簡略化できる冗長な表現です。",
+        severity: "info",
+        examples: { positive: ["送信することができること"], negative: ["送信することができる"] },
     },
     {
         id: "suru_tame_tame",
         phrase: "するためため",
         message: "「するため」が重複している可能性があります。",
+        severity: "error",
+        replacement: "するため",
+        examples: { positive: ["送信するためため"], negative: ["送信するため"] },
     },
     {
         id: "ni_oite_ni_oite",
         phrase: "においてにおいて",
         message: "「において」が重複している可能性があります。",
+        severity: "error",
+        replacement: "において",
+        examples: { positive: ["文献1においてにおいて"], negative: ["文献1において"] },
     },
     {
         id: "ni_taisite_ni_taisite",
         phrase: "に対してに対して",
         message: "「に対して」が重複している可能性があります。",
+        severity: "error",
+        replacement: "に対して",
+        examples: { positive: ["端末に対してに対して"], negative: ["端末に対して"] },
     },
     {
         id: "ni_yori_ni_yori",
         phrase: "によりにより",
         message: "「により」が重複している可能性があります。",
+        severity: "error",
+        replacement: "により",
+        examples: { positive: ["基地局によりにより"], negative: ["基地局により"] },
     },
     {
         id: "dekiru_dekiru",
         phrase: "することができることができる",
         message: "「することができる」が重複しています。",
+        severity: "error",
+        replacement: "することができる",
+        examples: { positive: ["送信することができることができる"], negative: ["送信することができる"] },
     },
     {
         id: "koku_koku",
         phrase: "告知し告知し",
         message: "同じ動詞が続けて出現しています。文のつなぎに誤りがある可能性があります。",
+        severity: "error",
+        examples: { positive: ["利用者に告知し告知し"], negative: ["利用者に告知し"] },
     },
     {
         id: "to_shite_shite",
         phrase: "としてとして",
         message: "「として」が重複しています。接続の誤りの可能性があります。",
+        severity: "error",
+        replacement: "として",
+        examples: { positive: ["手段としてとして"], negative: ["手段として"] },
     },
     ];
 
+    /**
+     * 登録済みルール（登録順を保持する）
+     * @type {Map<string, {id: string, type: "pattern"|"phrase", regex: RegExp|null, phrase: string|null, message: string, severity: string, replacement: string|null, examples: {positive: string[], negative: string[]}, enabled: boolean, source: string}>}
+     */
+    const rules = new Map();
+
+    /**
+     * ルール定義を検証して内部形式にする
+     * @param {TypoRuleDefinition} def
+     * @param {string} source 登録元（"builtin" / パック名など）
+     * @throws {Error} 必須項目が無い、正規表現が不正などの場合
+     */
+    function compileRule(def, source) {
+      if (!def || typeof def.id !== "string" || !def.id.trim()) {
+        throw new Error("タイポルールには id が必要です。");
+      }
+      const id = def.id.trim();
+      const hasRegex = def.regex != null && def.regex !== "";
+      const hasPhrase = typeof def.phrase === "string" && def.phrase !== "";
+      if (hasRegex === hasPhrase) {
+        throw new Error("タイポルール " + id + " には regex か phrase のどちらか一方を指定してください。");
+      }
+      if (typeof def.message !== "string" || !def.message) {
+        throw new Error("タイポルール " + id + " には message が必要です。");
+      }
+      const severity = def.severity == null ? "warning" : def.severity;
+      if (SEVERITIES.indexOf(severity) === -1) {
+        throw new Error("タイポルール " + id + " の severity が正しくありません: " + severity);
+      }
+
+      let regex = null;
+      if (hasRegex) {
+        try {
+          const source = def.regex instanceof RegExp ? def.regex.source : String(def.regex);
+          const flags = def.regex instanceof RegExp ? def.regex.flags : def.flags || "";
+          // exec で順に走査するため g は必須
+          regex = new RegExp(source, flags.indexOf("g") === -1 ? flags + "g" : flags);
+        } catch (err) {
+          throw new Error("タイポルール " + id + " の正規表現が不正です: " + (err && err.message ? err.message : err));
+        }
+      }
+
+      const examples = def.examples || {};
+      return {
+        id,
+        type: hasRegex ? "pattern" : "phrase",
+        regex,
+        phrase: hasPhrase ? def.phrase : null,
+        message: def.message,
+        severity,
+        replacement: def.replacement == null ? null : String(def.replacement),
+        examples: {
+          positive: Array.isArray(examples.positive) ? examples.positive.map(String) : [],
+          negative: Array.isArray(examples.negative) ? examples.negative.map(String) : [],
+        },
+        enabled: def.enabled !== false,
+        source,
+      };
+    }
+
+    /**
+     * ルールを登録する（同じ ID のルールは置き換える）
+     * - すべての定義を検証してから登録するので、1 件でも不正なら何も登録しない。
+     * @param {TypoRuleDefinition[]} defs
+     * @param {string} [source="custom"] 登録元の名前（listRules に表示される）
+     * @returns {string[]} 登録したルール ID
+     * @throws {Error} 定義が不正な場合
+     */
+    function registerRules(defs, source) {
+      const compiled = (Array.isArray(defs) ? defs : [defs]).map((def) => compileRule(def, source || "custom"));
+      compiled.forEach((rule) => rules.set(rule.id, rule));
+      return compiled.map((rule) => rule.id);
+    }
+
+    /**
+     * 既存ルールの一部の項目を上書きする（無効化もこれで行う）
+     * @param {string} id
+     * @param {{message?: string, severity?: "error"|"warning"|"info", replacement?: string|null, enabled?: boolean}} patch
+     * @throws {Error} 未知のルール、または severity が不正な場合
+     */
+    function configureRule(id, patch) {
+      const rule = rules.get(id);
+      if (!rule) throw new Error("未知のタイポルールです: " + id);
+      if (patch.severity != null && SEVERITIES.indexOf(patch.severity) === -1) {
+        throw new Error("タイポルール " + id + " の severity が正しくありません: " + patch.severity);
+      }
+      if (typeof patch.message === "string" && patch.message) rule.message = patch.message;
+      if (patch.severity != null) rule.severity = patch.severity;
+      if (patch.replacement !== undefined) rule.replacement = patch.replacement == null ? null : String(patch.replacement);
+      if (patch.enabled !== undefined) rule.enabled = !!patch.enabled;
+    }
+
+    /**
+     * ルールの有効／無効を切り替える
+     * @param {string} id
+     * @param {boolean} enabled
+     */
+    function setRuleEnabled(id, enabled) {
+      configureRule(id, { enabled });
+    }
+
+    /**
+     * 登録済みルールの一覧（コピー）
+     * @returns {Array<{id: string, type: string, pattern: string, message: string, severity: string, replacement: string|null, enabled: boolean, source: string}>}
+     */
+    function listRules() {
+      return Array.from(rules.values()).map((rule) => ({
+        id: rule.id,
+        type: rule.type,
+        pattern: rule.regex ? String(rule.regex) : rule.phrase,
+        message: rule.message,
+        severity: rule.severity,
+        replacement: rule.replacement,
+        enabled: rule.enabled,
+        source: rule.source,
+      }));
+    }
+
+    /**
+     * 組み込みルールだけの状態に戻す
+     */
+    function resetRules() {
+      rules.clear();
+      registerRules(BUILTIN_PATTERNS, "builtin");
+      registerRules(BUILTIN_PHRASES, "builtin");
+    }
+
+    /**
+     * JSON 設定を読み込む
+     * - 形式:
+     *     {
+     *       "rules":    [TypoRuleDefinition, ...],        // 追加・置き換え（regex は文字列 + flags）
+     *       "disable":  ["ruleId", ...],                   // 無効化
+     *       "override": { "ruleId": { "severity": "info" } } // 一部の項目だけ上書き
+     *     }
+     * - rules → override → disable の順に適用する。
+     * @param {string|Object} config JSON 文字列またはパース済みのオブジェクト
+     * @param {Object} [options]
+     * @param {string} [options.source="config"] 追加したルールの登録元の名前
+     * @param {boolean} [options.save=false] true なら localStorage に保存し、次回起動時にも読み込む
+     * @returns {{registered: string[], overridden: string[], disabled: string[]}}
+     * @throws {Error} JSON として読めない、またはルール定義が不正な場合
+     */
+    function loadConfig(config, options) {
+      let data = config;
+      if (typeof config === "string") {
+        try {
+          data = JSON.parse(config);
+        } catch (err) {
+          throw new Error("タイポルールの JSON を読み込めませんでした: " + (err && err.message ? err.message : err));
+        }
+      }
+      if (!data || typeof data !== "object") {
+        throw new Error("タイポルールの設定はオブジェクトで指定してください。");
+      }
+
+      const registered = data.rules ? registerRules(data.rules, (options && options.source) || "config") : [];
+      const overridden = Object.keys(data.override || {});
+      overridden.forEach((id) => configureRule(id, data.override[id]));
+      const disabled = Array.isArray(data.disable) ? data.disable.slice() : [];
+      disabled.forEach((id) => setRuleEnabled(id, false));
+
+      if (options && options.save) {
+        const storage = getStorage();
+        if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(data));
+      }
+      return { registered, overridden, disabled };
+    }
+
+    /**
+     * localStorage を取得する（使えない環境では null）
+     * @returns {Storage|null}
+     */
+    function getStorage() {
+      try {
+        return typeof root.localStorage !== "undefined" ? root.localStorage : null;
+      } catch (_e) {
+        // file:// やプライベートモードでアクセス自体が例外になる場合がある
+        return null;
+      }
+    }
+
+    /**
+     * 保存済みの JSON 設定を読み込む（壊れている場合は警告だけ出して組み込みルールで動作する）
+     */
+    function loadSavedConfig() {
+      const storage = getStorage();
+      if (!storage) return;
+      try {
+        const saved = storage.getItem(STORAGE_KEY);
+        if (saved) loadConfig(saved, { source: "saved" });
+      } catch (err) {
+        console.warn("[JaTypoChecker] 保存済みのタイポルールを読み込めませんでした:", err);
+        resetRules();
+      }
+    }
+
+    /**
+     * 各ルールの positive / negative の例を検査する
+     * - positive の例ではそのルールが 1 件以上、negative の例では 0 件検出されることを確認する。
+     * - 無効化されたルールも対象にする（定義そのものの確認のため）。
+     * @param {string[]} [ids] 対象のルール ID（省略時は全ルール）
+     * @returns {{ok: boolean, checked: number, failures: Array<{id: string, kind: "positive"|"negative", example: string, hits: number}>}}
+     */
+    function selfTest(ids) {
+      const failures = [];
+      let checked = 0;
+      Array.from(rules.values())
+        .filter((rule) => !ids || ids.indexOf(rule.id) !== -1)
+        .forEach((rule) => {
+          ["positive", "negative"].forEach((kind) => {
+            rule.examples[kind].forEach((example) => {
+              checked++;
+              const hits = findRuleHits(rule, example).length;
+              if (kind === "positive" ? hits === 0 : hits > 0) {
+                failures.push({ id: rule.id, kind, example, hits });
+              }
+            });
+          });
+        });
+      return { ok: failures.length === 0, checked, failures };
+    }
+
     /** @type {HTMLElement|null} */
     let modalRoot = null;
     /** @type {HTMLElement|null} */
@@ -234,69 +527,232 @@
       });
     }
 
+    /**
+     * 1 つのルールでテキストを走査する
+     * @param {{regex: RegExp|null, phrase: string|null, replacement: string|null}} rule
+     * @param {string} text
+     * @returns {Array<{match: string, index: number, replacement: string|null}>}
+     *   replacement は該当文字列に置換候補を適用した結果（置換候補が無い、または変化しない場合は null）
+     */
+    function findRuleHits(rule, text) {
+      const hits = [];
+      const suggest = (matched, index) => {
+        if (rule.replacement == null) return null;
+        let replaced = rule.replacement;
+        if (rule.regex) {
+          // 先読み・後読みも効くように、テキスト全体に対して該当位置だけを置換する（y フラグ）
+          const sticky = new RegExp(rule.regex.source, rule.regex.flags.replace("g", "") + "y");
+          sticky.lastIndex = index;
+          const whole = text.replace(sticky, rule.replacement);
+          replaced = whole.slice(index, whole.length - (text.length - index - matched.length));
+        }
+        return replaced === matched ? null : replaced;
+      };
+
+      if (rule.regex) {
+        let match;
+        rule.regex.lastIndex = 0; // 念のためリセット
+        while ((match = rule.regex.exec(text)) != null) {
+          if (match[0] === "") {
+            // 空文字列に一致するルールで無限ループにならないようにする
+            rule.regex.lastIndex++;
+            continue;
+          }
+          hits.push({ match: match[0], index: match.index, replacement: suggest(match[0], match.index) });
+        }
+        return hits;
+      }
+
+      let searchIndex = 0;
+      while (true) {
+        const foundIndex = text.indexOf(rule.phrase, searchIndex);
+        if (foundIndex === -1) break;
+        hits.push({ match: rule.phrase, index: foundIndex, replacement: suggest(rule.phrase, foundIndex) });
+        searchIndex = foundIndex + rule.phrase.length;
+      }
+      return hits;
+    }
+
+    /**
+     * 文書内ディレクティブ（検査の除外指定）
+     * - 行全体が次の形式の行をディレクティブとして扱う（全角の「＠」も可）。
+     *     @typo-ignore ruleA, ruleB        … この文書ではルール ruleA / ruleB を無視する
+     *     @typo-ignore                     … この文書では全ルールを無視する
+     *     @typo-ignore-next-line ruleA     … 次の行に限りルール ruleA を無視する（省略時は全ルール）
+     * - ディレクティブ行は変換前に stripDirectives で取り除かれ、出力には残らない。
+     */
+    const DIRECTIVE_LINE = /^[ \t　]*[@＠]typo-ignore(-next-line)?(?:[ \t　:：]+([^\r\n]*?))?[ \t　]*$/;
+
+    /** 全ルールを対象とする指定 */
+    const ALL_RULES = "*";
+
+    /**
+     * @typedef {Object} TypoItem
+     * @property {"pattern"|"phrase"} type
+     * @property {string} id ルール ID
+     * @property {string} message
+     * @property {"error"|"warning"|"info"} severity 重大度
+     * @property {string} match 該当文字列
+     * @property {number} index 該当文字列の先頭位置（検査対象テキスト内）
+     * @property {number} line 行番号（1 始まり）
+     * @property {number} column 桁位置（1 始まり）
+     * @property {string} context 前後を含む抜粋（改行は空白に置換）
+     * @property {string} key 箇所を識別するキー（ルール ID + 抜粋。前後の編集で index がずれても変わらない）
+     * @property {string|null} replacement 置換候補を適用した文字列（候補が無い場合は null）
+     * @property {"directive"|"rule"|"occurrence"} [ignoredBy] 無視された理由（ignored 側の項目のみ）
+     */
+
+    /**
+     * テキスト中のディレクティブを読み取る
+     * @param {string} text
+     * @returns {{rules: string[], lines: Array<{line: number, start: number, end: number}>, nextLine: Record<number, string[]>}}
+     *   rules: 文書全体で無視するルール ID（"*" は全ルール）
+     *   lines: ディレクティブ行の行番号と範囲（改行を含まない）
+     *   nextLine: 行番号 → その行で無視するルール ID
+     */
+    function parseDirectives(text) {
+      const result = { rules: [], lines: [], nextLine: {} };
+      if (!text) return result;
+
+      let offset = 0;
+      String(text).split("\n").forEach((lineText, i) => {
+        const m = DIRECTIVE_LINE.exec(lineText.replace(/\r$/, ""));
+        if (m) {
+          const ids = (m[2] || "").split(/[ \t　,，、]+/).filter(Boolean);
+          const targets = ids.length > 0 ? ids : [ALL_RULES];
+          result.lines.push({ line: i + 1, start: offset, end: offset + lineText.length });
+          if (m[1]) {
+            result.nextLine[i + 2] = (result.nextLine[i + 2] || []).concat(targets);
+          } else {
+            result.rules = result.rules.concat(targets);
+          }
+        }
+        offset += lineText.length + 1;
+      });
+      return result;
+    }
+
+    /**
+     * ディレクティブ行を取り除く（変換前の入力に使う）
+     * @param {string} text
+     * @returns {string}
+     */
+    function stripDirectives(text) {
+      if (!text) return "";
+      return String(text)
+        .split("\n")
+        .filter((lineText) => !DIRECTIVE_LINE.test(lineText.replace(/\r$/, "")))
+        .join("\n");
+    }
+
+    /**
+     * @param {Iterable<string>|undefined} value
+     * @returns {Set<string>}
+     */
+    function toSet(value) {
+      return new Set(value ? Array.from(value) : []);
+    }
+
     /**
      * テキスト全体に対してタイポ検査を行う
+     * - ディレクティブおよび options で指定したルール／箇所は ignored 側に振り分け、
+     *   hasError は無視されていない error の項目だけで判定する（warning / info は変換を止めない）。
      * @param {string} text 検査対象テキスト
-     * @returns {{hasError: boolean, items: Array<{type: "pattern"|"phrase", id: string, message: string, match: string, index: number, context: string}>}}
+     * @param {Object} [options]
+     * @param {Iterable<string>} [options.ignoredRules] この文書で無視するルール ID
+     * @param {Iterable<string>} [options.ignoredOccurrences] 無視する箇所のキー（TypoItem.key）
+     * @returns {{hasError: boolean, items: TypoItem[], ignored: TypoItem[], counts: {error: number, warning: number, info: number}}}
      */
-    function check(text) {
-      /** @type {Array<{type: "pattern"|"phrase", id: string, message: string, match: string, index: number, context: string}>} */
-      const items = [];
+    function check(text, options) {
+      /** @type {TypoItem[]} */
+      const found = [];
 
       if (!text) {
-        return { hasError: false, items };
+        return { hasError: false, items: [], ignored: [], counts: { error: 0, warning: 0, info: 0 } };
       }
 
-      // 正規表現パターンでの検出
-      typoPatterns.forEach((pattern) => {
-        let match;
-        pattern.regex.lastIndex = 0; // 念のためリセット
-        while ((match = pattern.regex.exec(text)) != null) {
-          const matchedText = match[0];
-          const index = match.index;
-          const contextStart = Math.max(0, index - 15);
-          const contextEnd = Math.min(text.length, index + matchedText.length + 15);
-          const context = text.slice(contextStart, contextEnd).replace(/\r?\n/g, " ");
-
-          items.push({
-            type: "pattern",
-            id: pattern.id,
-            message: pattern.message,
-            match: matchedText,
-            index,
-            context,
-          });
+      // 行頭位置の一覧（index → 行・桁の変換用）
+      const lineStarts = [0];
+      for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+        lineStarts.push(i + 1);
+      }
+      const lineOf = (index) => {
+        let lo = 0;
+        let hi = lineStarts.length - 1;
+        while (lo < hi) {
+          const mid = (lo + hi + 1) >> 1;
+          if (lineStarts[mid] <= index) lo = mid;
+          else hi = mid - 1;
         }
+        return lo + 1;
+      };
+
+      const addItem = (rule, hit) => {
+        const index = hit.index;
+        const contextStart = Math.max(0, index - 15);
+        const contextEnd = Math.min(text.length, index + hit.match.length + 15);
+        const context = text.slice(contextStart, contextEnd).replace(/\r?\n/g, " ");
+        const line = lineOf(index);
+
+        found.push({
+          type: rule.type,
+          id: rule.id,
+          message: rule.message,
+          severity: rule.severity,
+          match: hit.match,
+          index,
+          line,
+          column: index - lineStarts[line - 1] + 1,
+          context,
+          key: rule.id + "\u0000" + context,
+          replacement: hit.replacement,
+        });
+      };
+
+      rules.forEach((rule) => {
+        if (!rule.enabled) return;
+        findRuleHits(rule, text).forEach((hit) => addItem(rule, hit));
       });
 
-      // 固定フレーズでの検出
-      typoPhrases.forEach((phraseDef) => {
-        let searchIndex = 0;
-        const phrase = phraseDef.phrase;
-        while (true) {
-          const foundIndex = text.indexOf(phrase, searchIndex);
-          if (foundIndex === -1) break;
-
-          const contextStart = Math.max(0, foundIndex - 15);
-          const contextEnd = Math.min(text.length, foundIndex + phrase.length + 15);
-          const context = text.slice(contextStart, contextEnd).replace(/\r?\n/g, " ");
-
-          items.push({
-            type: "phrase",
-            id: phraseDef.id,
-            message: phraseDef.message,
-            match: phrase,
-            index: foundIndex,
-            context,
-          });
+      // 無視指定の振り分け
+      const directives = parseDirectives(text);
+      const directiveLines = new Set(directives.lines.map((d) => d.line));
+      const documentRules = new Set(directives.rules);
+      const ignoredRules = toSet(options && options.ignoredRules);
+      const ignoredOccurrences = toSet(options && options.ignoredOccurrences);
+      const matchesRule = (ids, id) => !!ids && (ids.indexOf(id) !== -1 || ids.indexOf(ALL_RULES) !== -1);
 
-          searchIndex = foundIndex + phrase.length;
+      /** @type {TypoItem[]} */
+      const items = [];
+      /** @type {TypoItem[]} */
+      const ignored = [];
+
+      found.sort((a, b) => a.index - b.index);
+      found.forEach((item) => {
+        // ディレクティブ行そのものは検査しない
+        if (directiveLines.has(item.line)) return;
+
+        if (documentRules.has(item.id) || documentRules.has(ALL_RULES) || matchesRule(directives.nextLine[item.line], item.id)) {
+          ignored.push(Object.assign(item, { ignoredBy: "directive" }));
+        } else if (ignoredRules.has(item.id)) {
+          ignored.push(Object.assign(item, { ignoredBy: "rule" }));
+        } else if (ignoredOccurrences.has(item.key)) {
+          ignored.push(Object.assign(item, { ignoredBy: "occurrence" }));
+        } else {
+          items.push(item);
         }
       });
 
+      const counts = { error: 0, warning: 0, info: 0 };
+      items.forEach((item) => {
+        counts[item.severity]++;
+      });
+
       return {
-        hasError: items.length > 0,
+        hasError: counts.error > 0,
         items,
+        ignored,
+        counts,
       };
     }
 
@@ -358,13 +814,46 @@
       lastActiveElement = null;
     }
 
+    resetRules();
+    loadSavedConfig();
+
     // 公開 API
     return {
+      /**
+       * 重大度の一覧
+       */
+      SEVERITIES,
+
+      /**
+       * ルールの登録・上書き・有効／無効の切り替え・一覧
+       */
+      registerRules,
+      configureRule,
+      setRuleEnabled,
+      listRules,
+      resetRules,
+
+      /**
+       * JSON 設定の読み込み（rules / disable / override）
+       */
+      loadConfig,
+
+      /**
+       * 各ルールの例文による自己テスト
+       */
+      selfTest,
+
       /**
        * タイポ検査のみ行い、結果オブジェクトを返す
        */
       check,
 
+      /**
+       * 文書内ディレクティブ（@typo-ignore など）の読み取りと除去
+       */
+      parseDirectives,
+      stripDirectives,
+
       /**
        * 検査結果をモーダル表示する
        */
@@ -376,7 +865,7 @@
       closeModal,
 
       /**
-       * テキストにタイポが含まれるかどうかだけを知りたい場合のヘルパ
+       * テキストに error のタイポが含まれるかどうかだけを知りたい場合のヘルパ
        */
       hasError(text) {
         const result = check(text);
@@ -1,8 +1,22 @@
 (function (root) {
   "use strict";
 
-function to_HTML(str) {
-  if (str == null) return '<div class="patent-text"></div>';
+/**
+ * 本文を HTML 断片にする（to_HTML / to_HTMLDocument の共通処理）
+ * - options.anchors が true のとき、段落に id（para-0027）を、見出しに id（heading-1）を付け、
+ *   目次用に見出しの一覧を集める。false のときの出力は従来の to_HTML と同じ。
+ * @param {string} str
+ * @param {{anchors?: boolean}|null} options
+ * @returns {{html: string, headings: Array<{tag: string, text: string, id: string}>}}
+ */
+function renderPatentHtml(str, options) {
+  const opts = options || {};
+  /** @type {Array<{tag: string, text: string, id: string}>} */
+  const headings = [];
+  /** 付与済みの段落 id（同じ段落番号が 2 回出たら -2, -3 … を付ける） */
+  const paraIds = new Set();
+
+  if (str == null) return { html: '<div class="patent-text"></div>', headings: headings };
 
   const src = String(str)
     .replace(/\r\n?/g, "\n")
@@ -158,12 +172,22 @@ function to_HTML(str) {
         ? "【" + currentPara.no + "】"
         : "[" + currentPara.no + "]";
 
-      out.push(
-        '<p class="patent-paragraph" data-para="' + esc(currentPara.no) + '">' +
-          '<span class="para-no">' + esc(label) + '</span> ' +
-          '<span class="para-text">' + textHtml + "</span>" +
-        "</p>"
-      );
+      if (opts.anchors) {
+        const id = uniqueParaId(currentPara.no);
+        out.push(
+          '<p class="patent-paragraph" id="' + esc(id) + '" data-para="' + esc(currentPara.no) + '">' +
+            '<a class="para-no" href="#' + esc(id) + '">' + esc(label) + '</a> ' +
+            '<span class="para-text">' + textHtml + "</span>" +
+          "</p>"
+        );
+      } else {
+        out.push(
+          '<p class="patent-paragraph" data-para="' + esc(currentPara.no) + '">' +
+            '<span class="para-no">' + esc(label) + '</span> ' +
+            '<span class="para-text">' + textHtml + "</span>" +
+          "</p>"
+        );
+      }
     } else {
       out.push(
         '<p class="patent-paragraph no-num">' + textHtml + "</p>"
@@ -173,6 +197,20 @@ function to_HTML(str) {
     currentPara = null;
   }
 
+  function uniqueParaId(no) {
+    let id = "para-" + no;
+    for (let n = 2; paraIds.has(id); n++) id = "para-" + no + "-" + n;
+    paraIds.add(id);
+    return id;
+  }
+
+  function headingOpenTag(tag, text) {
+    if (!opts.anchors) return "<" + tag + ' class="patent-heading">';
+    const id = "heading-" + (headings.length + 1);
+    headings.push({ tag: tag, text: text, id: id });
+    return "<" + tag + ' class="patent-heading" id="' + id + '">';
+  }
+
   function startParagraph(no, style, text) {
     currentPara = {
       no: no || null,
@@ -203,7 +241,7 @@ function to_HTML(str) {
 
       const tag = getHeadingTagForJapanese(jpHead.text);
       out.push(
-        "<" + tag + ' class="patent-heading">' +
+        headingOpenTag(tag, jpHead.text) +
         esc(jpHead.text) +
         "</" + tag + ">"
       );
@@ -217,7 +255,7 @@ function to_HTML(str) {
 
       const tag = getHeadingTagForEnglish(line);
       out.push(
-        "<" + tag + ' class="patent-heading">' +
+        headingOpenTag(tag, line) +
         esc(line) +
         "</" + tag + ">"
       );
@@ -253,10 +291,131 @@ function to_HTML(str) {
 
   flushParagraph();
 
-  return '<div class="patent-text">\n' + out.join("\n") + "\n</div>";
+  return {
+    html: '<div class="patent-text">\n' + out.join("\n") + "\n</div>",
+    headings: headings
+  };
+}
+
+/**
+ * 本文を HTML 断片（<div class="patent-text">）にする
+ * @param {string} str
+ * @returns {string}
+ */
+function to_HTML(str) {
+  return renderPatentHtml(str, null).html;
+}
+
+/**
+ * 単体で開ける HTML 文書に埋め込むスタイル
+ */
+const DOCUMENT_STYLE = [
+  "body { margin: 0; font-family: \"Hiragino Sans\", \"Yu Gothic\", \"Meiryo\", sans-serif; line-height: 1.8; color: #1f2933; background: #fff; }",
+  ".patent-document { display: grid; grid-template-columns: minmax(180px, 260px) minmax(0, 1fr); gap: 32px; max-width: 1100px; margin: 0 auto; padding: 32px 24px; }",
+  ".patent-document--no-toc { grid-template-columns: minmax(0, 1fr); max-width: 860px; }",
+  ".patent-toc { position: sticky; top: 16px; align-self: start; max-height: calc(100vh - 32px); overflow: auto; font-size: 0.85rem; }",
+  ".patent-toc__title { margin: 0 0 8px; font-weight: 700; }",
+  ".patent-toc ol { margin: 0; padding-left: 1.2em; }",
+  ".patent-toc a { color: #1d4ed8; text-decoration: none; }",
+  ".patent-toc a:hover { text-decoration: underline; }",
+  ".patent-heading { margin: 1.6em 0 0.6em; scroll-margin-top: 16px; }",
+  "h1.patent-heading { font-size: 1.3rem; border-bottom: 1px solid #d0d7e2; padding-bottom: 4px; }",
+  "h2.patent-heading { font-size: 1.1rem; }",
+  ".patent-paragraph { margin: 0 0 0.9em; scroll-margin-top: 16px; }",
+  ".patent-paragraph:target { background: #fff7d6; }",
+  ".para-no { margin-right: 0.3em; color: #52606d; font-family: monospace; text-decoration: none; }",
+  "a.para-no:hover { color: #1d4ed8; }",
+  "@media (max-width: 720px) { .patent-document { grid-template-columns: 1fr; } .patent-toc { position: static; max-height: none; } }",
+  "@media print { .patent-toc { display: none; } .patent-document { display: block; } }"
+].join("\n");
+
+/**
+ * 見出しの一覧から目次（h1 の下に h2 を入れ子）を作る
+ * @param {Array<{tag: string, text: string, id: string}>} headings
+ * @param {function(string): string} esc
+ * @returns {string} 見出しが無ければ ""
+ */
+function renderToc(headings, esc) {
+  if (!headings.length) return "";
+
+  const items = [];
+  let open = null; // 子の <ol> を開いている h1 の <li>
+  headings.forEach(function (h) {
+    const link = '<a href="#' + esc(h.id) + '">' + esc(h.text) + "</a>";
+    if (h.tag === "h2" && open) {
+      open.children.push("<li>" + link + "</li>");
+      return;
+    }
+    open = { link: link, children: [] };
+    items.push(open);
+    if (h.tag !== "h1") open = null;
+  });
+
+  return [
+    '<nav class="patent-toc" aria-label="目次">',
+    '<p class="patent-toc__title">目次</p>',
+    "<ol>",
+    items.map(function (item) {
+      return item.children && item.children.length
+        ? "<li>" + item.link + "\n<ol>\n" + item.children.join("\n") + "\n</ol>\n</li>"
+        : "<li>" + item.link + "</li>";
+    }).join("\n"),
+    "</ol>",
+    "</nav>"
+  ].join("\n");
+}
+
+/**
+ * 本文を単体で開ける HTML 文書にする
+ * - to_HTML と同じ見出し判定・エスケープで本文を作り、
+ *   スタイル・目次（h1/h2 の見出しから生成）・段落ごとの id（#para-0027）を加える。
+ * - 見出しが 1 つも無い場合は目次を省く。
+ * @param {string} str
+ * @param {{title?: string, lang?: string}} [options]
+ *   title: <title>（省略時は最初の見出し、見出しも無ければ "Patent document"）
+ *   lang : <html lang>（省略時 "ja"）
+ * @returns {string}
+ */
+function to_HTMLDocument(str, options) {
+  const opts = options || {};
+  const rendered = renderPatentHtml(str, { anchors: true });
+  const esc = function (s) {
+    return String(s)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  };
+
+  const title = opts.title || (rendered.headings.length ? rendered.headings[0].text : "Patent document");
+  const toc = renderToc(rendered.headings, esc);
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="' + esc(opts.lang || "ja") + '">',
+    "<head>",
+    '<meta charset="UTF-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    "<title>" + esc(title) + "</title>",
+    "<style>",
+    DOCUMENT_STYLE,
+    "</style>",
+    "</head>",
+    "<body>",
+    '<div class="patent-document' + (toc ? "" : " patent-document--no-toc") + '">',
+    toc,
+    "<main>",
+    rendered.html,
+    "</main>",
+    "</div>",
+    "</body>",
+    "</html>"
+  ].filter(function (part) { return part !== ""; }).join("\n");
 }
 
   root.makeHtml = {
     to_HTML: to_HTML,
+    to_HTMLDocument: to_HTMLDocument,
   };
 })(globalThis);
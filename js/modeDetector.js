@@ -0,0 +1,319 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 入力テキストからモード（文書種別）を推定するユーティリティ。
+   * - 文書中の目印（見出し・定型文・PCT の欄構成・英文の割合・段落番号など）を
+   *   シグナルとして数え、モードごとの点数を合計する。
+   * - 1 位と 2 位の点差から確度（0〜1）を求め、app.js はこれを見て
+   *   モードを自動選択するか、候補として表示するだけにするかを決める。
+   * - app.js / cli/pddc.js からは root.ModeDetector 経由で利用する想定。
+   */
+  function createModeDetector() {
+    /** 拒絶理由通知系のモード（共通の目印を持つ） */
+    const OFFICE_ACTION_FAMILY = ["officeAction", "finalOfficeAction", "amendmentRefused", "preExaminationReport"];
+
+    /** 確度の段階（これ以上なら high / medium） */
+    const LEVELS = { high: 0.6, medium: 0.3 };
+
+    /**
+     * 確度の計算で使う点差のスケール
+     * - 点差がこの値のとき確度は約 0.63 になる。
+     */
+    const MARGIN_SCALE = 3;
+
+    /**
+     * シグナル定義
+     * - pattern: 出現回数を数える正規表現（g フラグ必須）
+     * - max    : 数える回数の上限（省略時 1 = 有無のみ）
+     * - modes  : モードキー → 1 回あたりの点数
+     * - reason : 画面に表示する根拠
+     * ※ "officeActionFamily" は OFFICE_ACTION_FAMILY の共通点として扱う（detect 参照）。
+     * ※ PCT の目印は pct に加点し、英文が中心の場合は detect で pct_eng に付け替える。
+     */
+    const SIGNALS = [
+      // ---- 拒絶理由通知（共通） -------------------------------------------------
+      {
+        id: "rejectionReason",
+        pattern: /次の理由によって拒絶をすべきもの/g,
+        modes: { officeActionFamily: 3 },
+        reason: "「次の理由によって拒絶をすべきもの」",
+      },
+      {
+        id: "kiLine",
+        pattern: /^[ 　]*記[ 　]*(?:[（(]引用文献等については引用文献等一覧参照[）)])?[ 　]*$/gm,
+        modes: { officeActionFamily: 1 },
+        reason: "「記」の行",
+      },
+      {
+        id: "reasonHeading",
+        pattern: /^[ 　]*●理由[0-9０-９]+/gm,
+        max: 3,
+        modes: { officeActionFamily: 1 },
+        reason: "「●理由N」の見出し",
+      },
+      {
+        id: "citationList",
+        pattern: /[<＜]引用文献等一覧[>＞]/g,
+        modes: { officeActionFamily: 2 },
+        reason: "<引用文献等一覧>",
+      },
+      {
+        id: "amendmentNote",
+        pattern: /[<＜]補正をする際の注意[>＞]/g,
+        modes: { officeActionFamily: 1 },
+        reason: "<補正をする際の注意>",
+      },
+      {
+        id: "searchRecord",
+        pattern: /この先行技術文献調査結果の記録は、拒絶理由を構成するものではありません/g,
+        modes: { officeActionFamily: 1 },
+        reason: "先行技術文献調査結果の記録",
+      },
+      {
+        id: "examinerLine",
+        pattern: /^[ 　]*審査[^ 　]*[（(][0-9A-Za-z０-９Ａ-Ｚａ-ｚ]{4}[）)]/gm,
+        modes: { officeActionFamily: 1 },
+        reason: "審査官名の行",
+      },
+      {
+        id: "priorNotice",
+        pattern: /拒絶理由通知書?において/g,
+        modes: { officeActionFamily: 1 },
+        reason: "先の拒絶理由通知への言及",
+      },
+
+      // ---- 最後の拒絶理由通知 -----------------------------------------------------
+      {
+        id: "finalReasonHeading",
+        pattern: /[<＜]最後の拒絶理由通知とする理由[>＞]/g,
+        modes: { finalOfficeAction: 6 },
+        reason: "<最後の拒絶理由通知とする理由>",
+      },
+      {
+        id: "finalNotice",
+        pattern: /最後の拒絶理由通知/g,
+        modes: { finalOfficeAction: 2 },
+        reason: "「最後の拒絶理由通知」",
+      },
+
+      // ---- 補正の却下の決定 ---------------------------------------------------------
+      {
+        id: "refusalTitle",
+        pattern: /補正の却下の決定/g,
+        modes: { amendmentRefused: 6 },
+        reason: "「補正の却下の決定」",
+      },
+      {
+        id: "refusalConclusion",
+        pattern: /(?:補正を却下する|却下すべきものである)/g,
+        modes: { amendmentRefused: 4 },
+        reason: "補正を却下する旨の結論",
+      },
+      {
+        id: "independentPatentability",
+        pattern: /独立して特許を受けることができる/g,
+        modes: { amendmentRefused: 2 },
+        reason: "独立特許要件の検討",
+      },
+      {
+        id: "amendmentReview",
+        pattern: /手続補正書による補正は/g,
+        modes: { amendmentRefused: 1 },
+        reason: "「手続補正書による補正は」",
+      },
+
+      // ---- 前置報告 -----------------------------------------------------------------
+      {
+        id: "preExamination",
+        pattern: /前置報告/g,
+        modes: { preExaminationReport: 6 },
+        reason: "「前置報告」",
+      },
+
+      // ---- PCT ----------------------------------------------------------------------
+      {
+        id: "pctBoxJa",
+        pattern: /第[ 　]*[IVXⅠ-Ⅻ]+[ 　]*欄/g,
+        max: 4,
+        modes: { pct: 2 },
+        reason: "PCT の欄構成（第N欄）",
+      },
+      {
+        id: "pctBoxEn",
+        pattern: /Box[ 　]+No\.[ 　]*[IVX]+/gi,
+        max: 4,
+        modes: { pct: 2 },
+        reason: "PCT の欄構成（Box No.）",
+      },
+      {
+        id: "pctTermsJa",
+        pattern: /(?:国際調査報告|国際予備審査|国際調査機関|見解書|国際出願番号)/g,
+        max: 3,
+        modes: { pct: 1 },
+        reason: "国際出願の用語",
+      },
+      {
+        id: "pctTermsEn",
+        pattern: /(?:International Search(?:ing)? (?:Report|Authority)|Written Opinion|International Preliminary)/gi,
+        max: 3,
+        modes: { pct: 1 },
+        reason: "国際出願の用語（英語）",
+      },
+
+      // ---- 段落番号（paragraph / html） --------------------------------------------
+      {
+        id: "paragraphNumberLine",
+        pattern: /^[ 　]*【[0-9０-９]{4,}】/gm,
+        max: 5,
+        modes: { html: 1 },
+        reason: "行頭の段落番号【0001】",
+      },
+      {
+        id: "specHeading",
+        pattern: /^[ 　]*【(?:書類名|発明の名称|技術分野|背景技術|発明の概要|発明を実施するための形態|特許請求の範囲|請求項[0-9０-９]+)】/gm,
+        max: 3,
+        modes: { html: 1 },
+        reason: "明細書の見出し（【技術分野】など）",
+      },
+      {
+        id: "paragraphReference",
+        pattern: /段落[ 　]*[\[［【][0-9０-９]{4}[\]］】]/g,
+        max: 3,
+        modes: { paragraph: 1.5 },
+        reason: "本文中の段落参照（段落[0027]）",
+      },
+    ];
+
+    /**
+     * 英字とかな漢字のうち英字が占める割合を求める
+     * @param {string} text
+     * @returns {number} 0〜1（どちらも含まない場合は 0）
+     */
+    function englishRatio(text) {
+      const latin = (text.match(/[A-Za-zＡ-Ｚａ-ｚ]/g) || []).length;
+      const japanese = (text.match(/[぀-ヿ一-鿿]/g) || []).length;
+      return latin + japanese === 0 ? 0 : latin / (latin + japanese);
+    }
+
+    /**
+     * 点数表に加点し、根拠を記録する
+     * @param {Record<string, {score: number, reasons: string[]}>} table
+     * @param {string} mode
+     * @param {number} points
+     * @param {string|string[]} reason
+     */
+    function addPoints(table, mode, points, reason) {
+      if (!table[mode]) table[mode] = { score: 0, reasons: [] };
+      table[mode].score += points;
+      table[mode].reasons = table[mode].reasons.concat(reason);
+    }
+
+    /**
+     * @typedef {Object} DetectionResult
+     * @property {string|null} mode 推定モード（手がかりが無い場合は null）
+     * @property {number} confidence 確度 0〜1
+     * @property {"high"|"medium"|"low"} level 確度の段階
+     * @property {string[]} reasons 推定モードの根拠
+     * @property {Array<{mode: string, score: number}>} ranking 点数の高い順
+     */
+
+    /**
+     * テキストからモードを推定する
+     *
+     * - 拒絶理由通知系の共通点は officeAction に加点し、他の拒絶理由通知系モードには
+     *   固有の目印が 1 つ以上ある場合だけ同じ点を加える（目印が無ければ officeAction が優先）。
+     * - 英文が過半の場合は、PCT の目印の点を pct から pct_eng に付け替えたうえで
+     *   pct_eng に加点する（英文の PCT 文書に alphaCase を掛けないため）。
+     *
+     * @param {string} text 入力テキスト
+     * @param {Object} [options]
+     * @param {string[]} [options.modes] 候補にするモードキー（省略時は全モード）
+     * @returns {DetectionResult}
+     */
+    function detect(text, options) {
+      const src = String(text == null ? "" : text);
+      const allowed = options && Array.isArray(options.modes) ? options.modes : null;
+
+      /** @type {Record<string, {score: number, reasons: string[]}>} */
+      const table = {};
+      let family = 0;
+      const familyReasons = [];
+
+      SIGNALS.forEach((signal) => {
+        signal.pattern.lastIndex = 0;
+        const count = Math.min((src.match(signal.pattern) || []).length, signal.max || 1);
+        if (count === 0) return;
+
+        Object.keys(signal.modes).forEach((mode) => {
+          const points = signal.modes[mode] * count;
+          if (mode === "officeActionFamily") {
+            family += points;
+            familyReasons.push(signal.reason);
+          } else {
+            addPoints(table, mode, points, signal.reason);
+          }
+        });
+      });
+
+      if (family > 0) {
+        OFFICE_ACTION_FAMILY.forEach((mode) => {
+          if (mode !== "officeAction" && !table[mode]) return;
+          addPoints(table, mode, family, familyReasons);
+        });
+      }
+
+      const ratio = englishRatio(src);
+      if (ratio >= 0.5) {
+        if (table.pct) {
+          table.pct_eng = table.pct;
+          delete table.pct;
+        }
+        addPoints(table, "pct_eng", 4, "英文が中心（英字 " + Math.round(ratio * 100) + "%）");
+      }
+
+      const ranking = Object.keys(table)
+        .filter((mode) => !allowed || allowed.indexOf(mode) !== -1)
+        .map((mode) => ({ mode, score: table[mode].score }))
+        .sort((a, b) => b.score - a.score);
+
+      if (ranking.length === 0 || ranking[0].score <= 0) {
+        return { mode: null, confidence: 0, level: "low", reasons: [], ranking };
+      }
+
+      const top = ranking[0];
+      const margin = top.score - (ranking.length > 1 ? ranking[1].score : 0);
+      const confidence = 1 - Math.exp(-margin / MARGIN_SCALE);
+
+      return {
+        mode: top.mode,
+        confidence,
+        level: confidence >= LEVELS.high ? "high" : confidence >= LEVELS.medium ? "medium" : "low",
+        reasons: table[top.mode].reasons.slice(),
+        ranking,
+      };
+    }
+
+    // 公開 API
+    return {
+      /**
+       * シグナル定義（調整・追加用）
+       */
+      SIGNALS,
+
+      /**
+       * 確度の段階のしきい値
+       */
+      LEVELS,
+
+      /**
+       * テキストからモードを推定する
+       */
+      detect,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js / cli/pddc.js から root.ModeDetector として参照される
+  root.ModeDetector = createModeDetector();
+})(globalThis);
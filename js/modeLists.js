@@ -1,41 +1,51 @@
 /**
  * modeLists.js
  * --------------------------------------------------------------------------
- * README（モード別変換関数リストの追加・編集方法）
+ * README（モード定義の追加・編集方法）
  *
  * ▼ 役割
- *   - 各モードに対する「変換関数のリスト（パイプライン）」を定義するファイルです。
- *   - 1 つのモードに対して、複数の関数を順番に適用する構成を想定しています。
+ *   - 各モード（文書種別）を「どのフィルタチェーンをどの順で実行するか」という
+ *     データとして定義するファイルです。
+ *   - チェーン名は defaultTextFilters.js で TextFilterRegistry に登録した名前
+ *     （init / main / stripBlankLines / convertEnd など）を指定します。
+ *   - 実行時は、チェーンを { chain: 名前 } のステップとして並べた 1 本のリストにして
+ *     TextFilterRegistry.applyList で実行します（stopOnError はこのリストに適用）。
  *
- * ▼ 関数リストの基本形
- *   - 各モードは「文字列を受け取り、文字列または Promise<string> を返す関数」の配列です。
- *   - 例:
- *     const officeActionList = [
- *       (text) => step1(text),
- *       (text) => step2(text),
- *       async (text) => await step3Async(text),
- *     ];
- *
- * ▼ 複数引数を使いたい場合
- *   - コア側の契約は「(text: string) => string | Promise<string>」です。
- *   - 追加パラメータを使いたい場合は、クロージャで包み込んでください。
+ * ▼ モード定義の基本形
+ *   {
+ *     key: "officeAction",               // モードキー（画面・CLI で使う識別子）
+ *     label: "Office Action",            // 画面に表示する名前
+ *     description: "Non-final office action",
+ *     chains: ["init", "main", "stripBlankLines", "convertEnd"],
+ *     stopOnError: true                  // 省略時 true
+ *   }
  *
+ * ▼ 既存モードからの派生（extends）
+ *   - chains の代わりに extends で親モードを指定し、差分だけを書く。
+ *   - 差分は remove → replace → add の順に適用する。
+ *       remove : 取り除くチェーン名の配列
+ *       replace: { 旧チェーン名: 新チェーン名 }
+ *       add    : 末尾に追加するチェーン名の配列
+ *   - stopOnError は省略すると親の値を引き継ぐ（label / description は引き継がない）。
  *   例:
- *     function toUpperWithPrefix(text, prefix) {
- *       return prefix + text.toUpperCase();
+ *     {
+ *       key: "finalOfficeAction",
+ *       label: "Final Office Action",
+ *       extends: "officeAction",
+ *       replace: { convertEnd: "finalAction" }
  *     }
  *
- *     const officeActionList = [
- *       (text) => toUpperWithPrefix(text, "[OA] "),
- *       (text) => anotherStep(text, 42, true),
- *     ];
+ * ▼ 新しい文書種別を追加したい場合
+ *   - ModeDefinitions に 1 件追加するだけでよい。
+ *     画面のモード選択（app.js が描画）と CLI（cli/pddc.js）の両方に反映される。
+ *   - 定義は app.js の ModeRegistry が起動時に検証し、未知のチェーン名や
+ *     存在しない親モードなどはコンソールに警告を出したうえでそのモードを登録しない。
  *
- * ▼ App との連携（ローカル HTML 前提）
- *   1. index.html で app.js より先に modeLists.js を読み込む。
- *        <script src="js/modeLists.js"></script>
- *        <script src="js/app.js"></script>
- *   2. modeLists.js はグローバル（root）に ModeFunctionLists を公開する。
- *   3. app.js 内の App.init() が起動時に ModeFunctionLists を自動登録する。
+ * ▼ 互換性
+ *   - 従来どおり root.ModeFunctionLists（モードキー → 関数リスト）も公開する。
+ *     中身は ModeDefinitions から生成したもの。
+ *   - 定義にないモードを関数リストで直接追加したい場合は、
+ *     ModeFunctionLists に追加するか、app.registerModeList を利用する。
  *
  * ▼ 注意
  *   - 本ファイルはローカルでブラウザから直接開いて使うことを前提とし、
@@ -47,368 +57,302 @@
   "use strict";
 
   /**
-   * モード別変換関数リスト
-   * - キー: モードキー（HTML ラジオボタンの value と一致させる）
-   * - 値:  (text: string) => string | Promise<string> の配列
+   * @typedef {Object} ModeDefinition
+   * @property {string} key モードキー
+   * @property {string} [label] 画面表示名
+   * @property {string} [description] 画面表示用の短い説明
+   * @property {string[]} [chains] 実行するチェーン名（extends と同時には指定しない）
+   * @property {boolean} [stopOnError] チェーン実行中のエラーで中断するか（既定 true）
+   * @property {string} [extends] 派生元のモードキー
+   * @property {string[]} [remove] extends 時に取り除くチェーン名
+   * @property {Record<string, string>} [replace] extends 時に置き換えるチェーン名
+   * @property {string[]} [add] extends 時に末尾へ追加するチェーン名
    */
-  const ModeFunctionLists = {
-    /**
-     * Office Action 用変換パイプライン
-     */
-    _officeAction: [
-      /**
-       * Office 系文書共通の前処理
-       * - TextFilterRegistry に登録された複数パイプラインを順に実行する。
-       * - runTextChains を経由することで、後からパイプライン名を追加・変更しやすくする。
-       * - 実際の戻り値は Promise<string> だが、呼び出し側が非同期対応している前提で
-       *   JSDoc 上は string として記述している。
-       *
-       * @param {string} text 半角正規化済みテキスト
-       * @returns {string} 実際の戻り値は Promise<string>
-       */
-      function (text) {
-        // runTextChains が定義されていなければ何もせず text を返す
-        if (typeof root.runTextChains !== "function") {
-          return text;
-        }
 
-        // -------------------------------------------------------------
-        // このモードで実行したいパイプライン名の一覧
-        //   - 将来 "exp1", "exp2", "exp3" ... を足したい場合は
-        //     下記配列に名前を追加するだけでよい。
-        // -------------------------------------------------------------
-        // 例: var names = ["init", "exp1", "exp2"];
-        var names = ["init", "main", "stripBlankLines", "convertEnd"];
-        // var names = ["init", "main", "stripBlankLines"];
-        // var names = ["init", "main"];
-        // var names = ["init"];
+  /**
+   * @typedef {Object} ResolvedMode
+   * @property {string} key
+   * @property {string} label
+   * @property {string} description
+   * @property {string[]} chains extends を展開した最終的なチェーン名
+   * @property {boolean} stopOnError
+   */
 
-        // -------------------------------------------------------------
-        // 複数パイプラインを順に実行
-        //   - stopOnError: true により、途中でエラーが発生したら即中断。
-        //   - catch 内で元の text を返すことで、UI が壊れないようにする。
-        // -------------------------------------------------------------
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error(
-                "[officeAction] runTextChains 実行中にエラー:",
-                err
-              );
-            }
-            // エラー時は元の text を返して UI を壊さない
-            return text;
-          });
-      }
-    ],
-    get officeAction() {
-      return this._officeAction;
+  /**
+   * モード定義一覧（画面のモード選択はこの順で表示される）
+   * @type {ModeDefinition[]}
+   */
+  const ModeDefinitions = [
+    {
+      key: "officeAction",
+      label: "Office Action",
+      description: "Non-final office action",
+      chains: ["init", "main", "stripBlankLines", "convertEnd"],
+      stopOnError: true
     },
-    set officeAction(value) {
-      this._officeAction = value;
+    {
+      key: "finalOfficeAction",
+      label: "Final Office Action",
+      description: "Final rejection",
+      extends: "officeAction",
+      replace: { convertEnd: "finalAction" }
     },
-
-    /**
-     * Final Office Action (Final Rejection) 用変換パイプライン
-     */
-    _finalOfficeAction: [
-      /**
-       * Office 系文書共通の前処理
-       * - TextFilterRegistry に登録された複数パイプラインを順に実行する。
-       * - runTextChains を経由することで、後からパイプライン名を追加・変更しやすくする。
-       * - 実際の戻り値は Promise<string> だが、呼び出し側が非同期対応している前提で
-       *   JSDoc 上は string として記述している。
-       *
-       * @param {string} text 半角正規化済みテキスト
-       * @returns {string} 実際の戻り値は Promise<string>
-       */
-      function (text) {
-        if (typeof root.runTextChains !== "function") {
-          return text;
-        }
-
-        // var names = ["init", "main", "stripBlankLines", "convertEnd"];
-        var names = ["init", "main", "stripBlankLines", "finalAction"];
-
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error(
-                "[finalOfficeAction] runTextChains 実行中にエラー:",
-                err
-              );
-            }
-            return text;
-          });
-      }
-    ],
-    get finalOfficeAction() {
-      return this._finalOfficeAction;
+    {
+      key: "amendmentRefused",
+      label: "Amendment Refused",
+      description: "Amendment not entered",
+      extends: "officeAction"
     },
-    set finalOfficeAction(value) {
-      this._finalOfficeAction = value;
+    {
+      key: "preExaminationReport",
+      label: "Pre-examination Report",
+      description: "Report to director",
+      extends: "officeAction"
     },
+    {
+      key: "pct",
+      label: "PCT",
+      description: "International application",
+      chains: ["init", "main"],
+      stopOnError: true
+    },
+    {
+      // 原文が主に英語の PCT 文書（main の alphaCase は when でこのモードを除外している）
+      key: "pct_eng",
+      label: "PCT (English)",
+      description: "International application (English text)",
+      extends: "pct"
+    },
+    {
+      key: "paragraph",
+      label: "Paragraphs",
+      description: "Convert paragraphs",
+      chains: ["parExtract"],
+      stopOnError: true
+    },
+    {
+      key: "locators",
+      label: "Locators by citation",
+      description: "Cited passages grouped per document",
+      chains: ["locatorExtract"],
+      stopOnError: true
+    },
+    {
+      key: "locatorsSorted",
+      label: "Locators (sorted)",
+      description: "Cited passages per document, sorted and merged",
+      extends: "locators",
+      replace: { locatorExtract: "locatorExtractSorted" }
+    },
+    {
+      key: "html",
+      label: "to HTML",
+      description: "Convert to HTML",
+      chains: ["tohtml"],
+      stopOnError: true
+    },
+    {
+      // スタイル・目次・段落アンカー付きの HTML 文書（Download で .html として保存する想定）
+      key: "htmlDocument",
+      label: "to HTML (document)",
+      description: "Standalone HTML with contents and paragraph anchors",
+      extends: "html",
+      replace: { tohtml: "tohtmlDocument" }
+    }
+  ];
 
-    /**
-     * Amendment Refused / Amendment Not Entered 用変換パイプライン
-     */
-    _amendmentRefused: [
-      /**
-       * Office 系文書共通の前処理
-       * - TextFilterRegistry に登録された複数パイプラインを順に実行する。
-       * - runTextChains を経由することで、後からパイプライン名を追加・変更しやすくする。
-       * - 実際の戻り値は Promise<string> だが、呼び出し側が非同期対応している前提で
-       *   JSDoc 上は string として記述している。
-       *
-       * @param {string} text 半角正規化済みテキスト
-       * @returns {string} 実際の戻り値は Promise<string>
-       */
-      function (text) {
-        if (typeof root.runTextChains !== "function") {
-          return text;
-        }
-
-        var names = ["init", "main", "stripBlankLines", "convertEnd"];
+  /**
+   * モード定義の extends を展開し、構造上の誤りを検出する
+   *
+   * - チェーン名が TextFilterRegistry に存在するかどうかはここでは見ない
+   *   （app.js の ModeRegistry が登録時に検証する）。
+   * - 誤りのあるモードは modes に含めず、errors にメッセージを追加する。
+   *
+   * @param {ModeDefinition[]} defs モード定義配列
+   * @returns {{ modes: ResolvedMode[], errors: string[] }}
+   */
+  function resolveModeDefinitions(defs) {
+    /** @type {string[]} */
+    const errors = [];
+    /** @type {Map<string, ModeDefinition>} */
+    const byKey = new Map();
 
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error(
-                "[amendmentRefused] runTextChains 実行中にエラー:",
-                err
-              );
-            }
-            return text;
-          });
+    (Array.isArray(defs) ? defs : []).forEach((def, index) => {
+      if (!def || typeof def.key !== "string" || def.key === "") {
+        errors.push("モード定義 #" + index + " に key がありません。");
+        return;
       }
-    ],
-    get amendmentRefused() {
-      return this._amendmentRefused;
-    },
-    set amendmentRefused(value) {
-      this._amendmentRefused = value;
-    },
+      if (byKey.has(def.key)) {
+        errors.push("モードキーが重複しています: " + def.key);
+        return;
+      }
+      byKey.set(def.key, def);
+    });
+
+    /** @type {Map<string, ResolvedMode|null>} 解決済み（失敗時は null） */
+    const resolved = new Map();
 
     /**
-     * Pre-examination Report / Report to Director 用変換パイプライン
+     * 1 件のモードを解決する（extends を再帰的にたどる）
+     * @param {string} key
+     * @param {string[]} path 循環検出用のたどった経路
+     * @returns {ResolvedMode|null}
      */
-    _preExaminationReport: [
-      /**
-       * Office 系文書共通の前処理
-       * - TextFilterRegistry に登録された複数パイプラインを順に実行する。
-       * - runTextChains を経由することで、後からパイプライン名を追加・変更しやすくする。
-       * - 実際の戻り値は Promise<string> だが、呼び出し側が非同期対応している前提で
-       *   JSDoc 上は string として記述している。
-       *
-       * @param {string} text 半角正規化済みテキスト
-       * @returns {string} 実際の戻り値は Promise<string>
-       */
-      function (text) {
-        if (typeof root.runTextChains !== "function") {
-          return text;
-        }
+    function resolve(key, path) {
+      if (resolved.has(key)) return resolved.get(key);
 
-        var names = ["init", "main", "stripBlankLines", "convertEnd"];
+      const def = byKey.get(key);
+      const fail = (message) => {
+        errors.push("[" + key + "] " + message);
+        resolved.set(key, null);
+        return null;
+      };
 
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error(
-                "[preExaminationReport] runTextChains 実行中にエラー:",
-                err
-              );
-            }
-            return text;
-          });
+      if (path.indexOf(key) !== -1) {
+        return fail("extends が循環しています: " + path.concat(key).join(" → "));
       }
-    ],
-    get preExaminationReport() {
-      return this._preExaminationReport;
-    },
-    set preExaminationReport(value) {
-      this._preExaminationReport = value;
-    },
 
-    /**
-     * PCT (Patent Cooperation Treaty / International application) 用変換パイプライン
-     */
-    _pct: [
-      /**
-       * Office 系文書共通の前処理
-       * - TextFilterRegistry に登録された複数パイプラインを順に実行する。
-       * - runTextChains を経由することで、後からパイプライン名を追加・変更しやすくする。
-       * - 実際の戻り値は Promise<string> だが、呼び出し側が非同期対応している前提で
-       *   JSDoc 上は string として記述している。
-       *
-       * @param {string} text 半角正規化済みテキスト
-       * @returns {string} 実際の戻り値は Promise<string>
-       */
-      function (text) {
-        if (typeof root.runTextChains !== "function") {
-          return text;
+      /** @type {string[]} */
+      let chains;
+      let stopOnError = def.stopOnError;
+
+      if (def.extends != null) {
+        if (def.chains != null) {
+          return fail("chains と extends は同時に指定できません。");
+        }
+        if (!byKey.has(def.extends)) {
+          return fail("extends に指定したモードが存在しません: " + def.extends);
+        }
+        const parent = resolve(def.extends, path.concat(key));
+        if (!parent) {
+          // 循環の場合は検出した時点で報告済み
+          if (resolved.has(key)) return null;
+          return fail("extends に指定したモードの定義に誤りがあります: " + def.extends);
         }
 
-        var names = ["init", "main"];
+        chains = parent.chains.slice();
+        if (stopOnError == null) stopOnError = parent.stopOnError;
 
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error("[pct] runTextChains 実行中にエラー:", err);
-            }
-            return text;
-          });
-      }
-    ],
-    get pct() {
-      return this._pct;
-    },
-    set pct(value) {
-      this._pct = value;
-    },
-    /**
-     * PCT (Patent Cooperation Treaty / International application) conversion pipeline (EN)
-     * Use this when the source document is primarily in English.
-     */
-    _pct_eng: [
-      /**
-       * Shared pre-processing for Office documents (EN)
-       * - Runs multiple pipelines registered in TextFilterRegistry in order.
-       * - Going through runTextChains makes it easy to add/rename pipelines later.
-       * - The actual return type is Promise<string>. We annotate it as string here because
-       *   callers are expected to be async-aware.
-       *
-       * @param {string} text Half-width normalized text
-       * @returns {string} The actual return value is Promise<string>
-       */
-      function (text) {
-        if (typeof root.runTextChains !== "function") {
-          return text;
+        for (const name of def.remove || []) {
+          const i = chains.indexOf(name);
+          if (i === -1) return fail("remove に指定したチェーンが親モードにありません: " + name);
+          chains.splice(i, 1);
         }
+        for (const from of Object.keys(def.replace || {})) {
+          const i = chains.indexOf(from);
+          if (i === -1) return fail("replace に指定したチェーンが親モードにありません: " + from);
+          chains[i] = def.replace[from];
+        }
+        chains = chains.concat(def.add || []);
+      } else {
+        if (!Array.isArray(def.chains)) {
+          return fail("chains または extends のどちらかを指定してください。");
+        }
+        chains = def.chains.slice();
+      }
 
-        var names = ["init", "main_PCTENG"];
-
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error("[pct_eng] Error while running runTextChains:", err);
-            }
-            return text;
-          });
+      if (chains.length === 0) {
+        return fail("実行するチェーンがありません。");
+      }
+      if (chains.some((name) => typeof name !== "string" || name === "")) {
+        return fail("チェーン名は空でない文字列で指定してください。");
       }
-    ],
-    get pct_eng() {
-      return this._pct_eng;
-    },
-    set pct_eng(value) {
-      this._pct_eng = value;
-    },
-    /**
-     * 段落抽出・整形パイプライン（EN）
-     * 原文が主に英語の文書から「段落を抽出して、整形した形式で出力」するための処理チェーン。
-     */
-    _paragraph: [
-      /**
-       * Office文書向けの共通前処理（EN）
-       * - TextFilterRegistry に登録された複数のパイプライン（チェーン）を順に実行する。
-       * - runTextChains を経由することで、後からパイプラインの追加/改名/差し替えがしやすい。
-       * - root.runTextChains が無い環境では何もせず、そのまま入力を返す。
-       *
-       * @param {string} text 半角化・正規化済みのテキスト
-       * @returns {string|Promise<string>}
-       *   - root.runTextChains が無い場合は string（同期）
-       *   - root.runTextChains がある場合は Promise<string>（非同期）
-       */
-      function (text) {
-        if (typeof root.runTextChains !== "function") {
-          return text;
-        }
 
-        // 実行するチェーン名（必要に応じてここに追加していく）
-        var names = ["parExtract"];
+      /** @type {ResolvedMode} */
+      const mode = {
+        key,
+        label: typeof def.label === "string" ? def.label : key,
+        description: typeof def.description === "string" ? def.description : "",
+        chains,
+        stopOnError: stopOnError !== false
+      };
+      resolved.set(key, mode);
+      return mode;
+    }
 
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error("[paragraph] runTextChains 実行中にエラー:", err);
-            }
-            // 変換に失敗しても、入力テキストは落とさず返す
-            return text;
-          });
-      }
-    ],
-    get paragraph() {
-      return this._paragraph;
-    },
-    set paragraph(value) {
-      this._paragraph = value;
-    },
-    _html: [
-      /**
-       * @param {string} text 半角化・正規化済みのテキスト
-       * @returns {string|Promise<string>}
-       *   - root.runTextChains が無い場合は string（同期）
-       *   - root.runTextChains がある場合は Promise<string>（非同期）
-       */
-      function (text) {
-        if (typeof root.runTextChains !== "function") {
-          return text;
-        }
+    /** @type {ResolvedMode[]} */
+    const modes = [];
+    byKey.forEach((_def, key) => {
+      const mode = resolve(key, []);
+      if (mode) modes.push(mode);
+    });
 
-        // 実行するチェーン名（必要に応じてここに追加していく）
-        var names = ["tohtml"];
+    return { modes, errors };
+  }
 
-        return root
-          .runTextChains(names, text, /* invokeArgs */ undefined, {
-            stopOnError: true
-          })
-          .catch(function (err) {
-            if (typeof console !== "undefined" && console.error) {
-              console.error("[HTML] runTextChains 実行中にエラー:", err);
-            }
-            // 変換に失敗しても、入力テキストは落とさず返す
-            return text;
-          });
+  /**
+   * 解決済みモードから変換ハンドラを生成する
+   *
+   * - モードのチェーンを { chain } ステップとして並べた 1 本のリストにし、
+   *   TextFilterRegistry.applyList で実行する（チェーン間の stopOnError もこのリストで扱う）。
+   * - 各ステップの when には { mode: モードキー } を context として渡す。
+   * - 実行中にエラーが発生した場合はログを出し、元の text を返して UI を壊さない。
+   *   ただし中止（runOptions.signal）の場合は AbortError、リストの制限時間を超えて中断した場合は
+   *   TimeoutError で reject する（呼び出し側が中止・超過を通知できるように）。
+   *   runOptions.failOnError が true の場合（CLI など）は、それ以外のエラーでも reject する。
+   *
+   * @param {ResolvedMode} mode 解決済みモード
+   * @returns {(text: string, runOptions?: { signal?: AbortSignal, failOnError?: boolean }) => (string|Promise<string>)} 変換ハンドラ
+   *   - root.TextFilterRegistry が無い場合は text をそのまま返す（同期）
+   */
+  function createModeChainHandler(mode) {
+    const steps = mode.chains.map((name) => ({ chain: name }));
+    const stopOnError = mode.stopOnError !== false;
+
+    return function (text, runOptions) {
+      const reg = root.TextFilterRegistry;
+      if (!reg || typeof reg.applyList !== "function") {
+        return text;
       }
-    ],
-    get html() {
-      return this._html;
-    },
-    set html(value) {
-      this._html = value;
-    },
-  };
+
+      return reg
+        .applyList(
+          steps,
+          text,
+          /* invokeArgs */ undefined,
+          { context: { mode: mode.key }, signal: runOptions && runOptions.signal },
+          { stopOnError: stopOnError }
+        )
+        .catch(function (err) {
+          if (err && (err.name === "AbortError" || err.name === "TimeoutError")) {
+            throw err;
+          }
+          if (runOptions && runOptions.failOnError) {
+            throw err;
+          }
+          if (typeof console !== "undefined" && console.error) {
+            console.error("[" + mode.key + "] フィルタチェーン実行中にエラー:", err);
+          }
+          // エラー時は元の text を返して UI を壊さない
+          return text;
+        });
+    };
+  }
+
+  /**
+   * モード別変換関数リスト（互換用）
+   * - キー: モードキー
+   * - 値:  (text: string) => string | Promise<string> の配列
+   * @type {Record<string, Array<(text: string) => (string|Promise<string>)>>}
+   */
+  const ModeFunctionLists = {};
+  resolveModeDefinitions(ModeDefinitions).modes.forEach((mode) => {
+    ModeFunctionLists[mode.key] = [createModeChainHandler(mode)];
+  });
 
   // ------------------------------------------------------------------------
   // グローバル公開（ローカル HTML 前提）
   // ------------------------------------------------------------------------
 
   /**
-   * - 本ファイルは root（globalThis）に ModeFunctionLists をぶら下げるだけ。
-   * - ほかのスクリプトからは:
-   *     ModeFunctionLists.officeAction
-   *   のようにアクセスして利用する。
+   * - ModeDefinitions       : モード定義（データ）
+   * - resolveModeDefinitions: extends の展開と構造チェック
+   * - createModeChainHandler: 解決済みモード → 変換ハンドラ
+   * - ModeFunctionLists     : 従来形式の関数リスト（ModeDefinitions から生成）
    */
+  root.ModeDefinitions = ModeDefinitions;
+  root.resolveModeDefinitions = resolveModeDefinitions;
+  root.createModeChainHandler = createModeChainHandler;
   root.ModeFunctionLists = ModeFunctionLists;
 
 })(globalThis);
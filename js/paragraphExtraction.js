@@ -147,6 +147,333 @@
     return `(${parts.join("、")})`;
     }
 
+    /**
+     * 引用箇所（段落・図・表・式・請求項・節・頁）を引用文献ごとにまとめて返す
+     *
+     * - 各箇所は、同じ行でそれより前に最後に出てきた「引用文献N」に属するものとする
+     *   （例: 「引用文献1(特に段落[0001]、図1)には…引用文献2(特に第21頁)には…」）。
+     *   同じ行に引用文献が無い箇所は citation: null（「その他」）にまとめる。
+     * - 請求項は「引用文献1(特に請求項2)」「引用文献1の請求項2」の形だけを引用文献の請求項とみなす。
+     *   それ以外（「本願の請求項1」など）は本願の請求項なので拾わない。
+     * - 引用文献・箇所とも初出順。既定でも種類ごとに 1 つの locator にまとめ、種類は初めて出た順、
+     *   箇所は書かれた順に並べる。範囲は書かれたとおり（[0003]-[0008]）のまま、重複だけ除く。
+     *   options.sorted を指定すると種類ごと（LOCATOR_TYPES の順）にまとめ、範囲を展開して昇順に並べ、
+     *   連番をまとめ直す。
+     * - 番号列（図1、4a / 請求項1-3及び5 / 式(2)）の文法は textUtilsMain.kw と同じ。
+     *
+     * 返り値例（sorted なし）:
+     *   {
+     *     sorted: false,
+     *     groups: [
+     *       { citation: "1", label: "引用文献1", locators: [
+     *           { type: "paragraph", label: "段落", items: ["0001", "0003-0008"] },
+     *           { type: "figure", label: "図", items: ["1", "4a"] } ],
+     *         text: "引用文献１(段落[０００１]、[０００３]-[０００８]、図１、４ａ)" }
+     *     ],
+     *     text: "引用文献１(段落[０００１]、[０００３]-[０００８]、図１、４ａ)"
+     *   }
+     *
+     * @param {string} str 入力テキスト
+     * @param {{sorted?: boolean}} [options]
+     * @returns {{sorted: boolean, groups: Array<{citation: string|null, label: string, locators: Array<{type: string, label: string, items: string[]}>, text: string}>, text: string}}
+     */
+    function extractLocators(str, options) {
+        const sorted = !!(options && options.sorted);
+        const src = toAsciiLocators(String(str == null ? "" : str));
+
+        /**
+         * items: 種類 → 重複を除いた箇所。どちらの Map も挿入順＝初出順
+         * @type {Map<string, {citation: string|null, items: Map<string, Map<string, LocatorItem>>}>}
+         */
+        const groups = new Map();
+
+        src.split(/\r\n|\r|\n/).forEach((line) => {
+            const citations = findCitations(line);
+            findLocatorItems(line).forEach((hit) => {
+                // 同じ行で直前の引用文献
+                let cited = null;
+                citations.forEach((c) => {
+                    if (c.index < hit.index) cited = c;
+                });
+                if (hit.type === "claim" && !(cited && isCitedClaim(line.slice(cited.end, hit.index)))) return;
+                const citation = cited ? cited.key : null;
+
+                const groupKey = citation == null ? "" : citation;
+                if (!groups.has(groupKey)) groups.set(groupKey, { citation, items: new Map() });
+                const group = groups.get(groupKey);
+                if (!group.items.has(hit.type)) group.items.set(hit.type, new Map());
+                const seen = group.items.get(hit.type);
+                hit.items.forEach((item) => {
+                    const key = itemKey(item);
+                    if (!seen.has(key)) seen.set(key, item);
+                });
+            });
+        });
+
+        // 「その他」は末尾に回す
+        const ordered = Array.from(groups.values()).sort((a, b) => (a.citation == null) - (b.citation == null));
+
+        const result = ordered.map((group) => {
+            const types = sorted
+                ? LOCATOR_TYPES.map((type) => type.key).filter((key) => group.items.has(key))
+                : Array.from(group.items.keys());
+            const runs = types.map((key) => {
+                const items = Array.from(group.items.get(key).values());
+                return { type: key, items: sorted ? sortAndCompress(items, key === "paragraph") : items };
+            });
+            const locators = runs.map((run) => {
+                const type = LOCATOR_TYPES.filter((t) => t.key === run.type)[0];
+                return { type: run.type, label: type.label, items: run.items.map(itemKey), _items: run.items };
+            });
+            const label = group.citation == null ? "その他" : "引用文献" + group.citation;
+            const text = formatLabel(group.citation) + "(" + locators.map(formatLocator).join("、") + ")";
+            locators.forEach((l) => delete l._items);
+            return { citation: group.citation, label, locators, text };
+        });
+
+        return { sorted, groups: result, text: result.map((g) => g.text).join("\n") };
+    }
+
+    /**
+     * @typedef {Object} LocatorItem
+     * @property {string} from 番号（半角。段落は桁数を保った "0003"、図は "4a" など）
+     * @property {string|null} to 範囲の終端（範囲でなければ null）
+     * @property {boolean} paren 括弧書き（式(2)）か
+     */
+
+    /**
+     * 箇所の種類（出力順）
+     * - kw     : 番号列を textUtilsMain.kw の文法で読む語
+     * - wrap   : 番号ごとに前後を付ける種類（第２１頁）
+     */
+    const LOCATOR_TYPES = [
+        { key: "claim", label: "請求項", kw: "請求項" },
+        { key: "paragraph", label: "段落" },
+        { key: "section", label: "節", wrap: ["第", "節"] },
+        { key: "page", label: "頁", wrap: ["第", "頁"] },
+        { key: "figure", label: "図", kw: "図" },
+        { key: "table", label: "表", kw: "表" },
+        { key: "formula", label: "式", kw: "式" },
+    ];
+
+    /**
+     * 全角英数字・記号を半角にする（文字数を変えないので位置はそのまま使える）
+     * @param {string} s
+     * @returns {string}
+     */
+    function toAsciiLocators(s) {
+        return s
+            .replace(/[０-９Ａ-Ｚａ-ｚ（）［］．]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+            .replace(/[‐-‒–—−－〜～]/g, "-");
+    }
+
+    /**
+     * 半角英数字を全角にする（出力用）
+     * @param {string} s
+     * @returns {string}
+     */
+    function toFullwidthAlnum(s) {
+        return String(s).replace(/[0-9A-Za-z]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) + 0xFEE0));
+    }
+
+    /**
+     * 行中の「引用文献N」を拾う
+     * @param {string} line
+     * @returns {Array<{key: string, index: number, end: number}>} key は "1" や "1、2"（複数を並べた場合）
+     */
+    function findCitations(line) {
+        const utils = root.textUtilsMain;
+        if (!utils || typeof utils.findKW !== "function") return [];
+        return utils
+            .findKW(line, ["引用文献"], utils.kw("[0-9]+", "", "", "[、,]|及び|又は"))
+            .map((hit) => ({ key: utils.expandKW(hit.kwd).join("、"), index: hit.index, end: hit.kwdIndex + hit.kwd.length }));
+    }
+
+    /**
+     * 引用文献の直後から請求項までの文字列を見て、引用文献の請求項かを判定する
+     * - 「引用文献1の請求項2」: 間が「の」だけ
+     * - 「引用文献1(特に段落[0010]、請求項2)」: 引用文献の後に開いた括弧の中
+     * @param {string} between
+     * @returns {boolean}
+     */
+    function isCitedClaim(between) {
+        if (/^\s*の\s*$/.test(between)) return true;
+        let depth = 0;
+        for (const ch of between) {
+            if (ch === "(") depth++;
+            else if (ch === ")") depth = Math.max(0, depth - 1);
+        }
+        return depth > 0;
+    }
+
+    /**
+     * 番号列を項目に分ける（範囲は展開しない）
+     * @param {string} kwd 例: "1、4a" / "1-3及び5" / "(2)"
+     * @returns {LocatorItem[]}
+     */
+    function splitTerms(kwd) {
+        return kwd
+            .split(/[、,]|及び|又は/)
+            .map((term) => term.replace(/\s+/g, ""))
+            .filter(Boolean)
+            .map((term) => {
+                const paren = /^\(.*\)$/.test(term.split("-")[0]);
+                const ends = term.replace(/[()]/g, "").split("-").filter(Boolean);
+                return { from: ends[0], to: ends.length > 1 ? ends[1] : null, paren };
+            });
+    }
+
+    /**
+     * 行中の引用箇所を位置つきで拾う
+     * @param {string} line 半角化済みの 1 行
+     * @returns {Array<{type: string, index: number, items: LocatorItem[]}>} 位置順
+     */
+    function findLocatorItems(line) {
+        const hits = [];
+        const utils = root.textUtilsMain;
+
+        // 段落 [xxxx] / 【xxxx】（範囲 [xxxx]-[yyyy] を含む）
+        const reParagraph = /[\[【]([0-9]+)[\]】](?:\s*-\s*[\[【]([0-9]+)[\]】])?/g;
+        let m;
+        while ((m = reParagraph.exec(line)) !== null) {
+            hits.push({ type: "paragraph", index: m.index, items: [{ from: m[1], to: m[2] || null, paren: false }] });
+        }
+
+        // 第2.12.X.3節
+        const reSection = /第\s*([0-9][0-9A-Za-z]*(?:\.[0-9A-Za-z]+)*)\s*節/g;
+        while ((m = reSection.exec(line)) !== null) {
+            hits.push({ type: "section", index: m.index, items: [{ from: m[1], to: null, paren: false }] });
+        }
+
+        // 第21頁 / 第21-22頁
+        const rePage = /第\s*([0-9]+)(?:\s*-\s*([0-9]+))?\s*頁/g;
+        while ((m = rePage.exec(line)) !== null) {
+            hits.push({ type: "page", index: m.index, items: [{ from: m[1], to: m[2] || null, paren: false }] });
+        }
+
+        // 請求項 / 図 / 表 / 式 + 番号列
+        if (utils && typeof utils.findKW === "function") {
+            const pattern = utils.kw("[0-9]+[A-Za-z]?", "\\(", "\\)", "[、,]|及び|又は");
+            LOCATOR_TYPES.filter((type) => type.kw).forEach((type) => {
+                utils.findKW(line, [type.kw], pattern).forEach((hit) => {
+                    hits.push({ type: type.key, index: hit.index, items: splitTerms(hit.kwd) });
+                });
+            });
+        }
+
+        return hits.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * 重複判定・JSON 出力用のキー
+     * @param {LocatorItem} item
+     * @returns {string}
+     */
+    function itemKey(item) {
+        const wrap = (v) => (item.paren ? "(" + v + ")" : v);
+        return item.to == null ? wrap(item.from) : wrap(item.from) + "-" + wrap(item.to);
+    }
+
+    /**
+     * 範囲を展開して昇順に並べ、連番をまとめ直す
+     * - 数字だけの番号は数値として並べ、連番（3, 4, 5）を範囲にまとめる。
+     * - 4a や 2.12.X.3 のような番号は、区切りごとに数値→文字列の順で比べて並べる（まとめない）。
+     * @param {LocatorItem[]} items
+     * @param {boolean} keepWidth 段落番号のように桁数（0003）を保つか
+     * @returns {LocatorItem[]}
+     */
+    function sortAndCompress(items, keepWidth) {
+        const width = keepWidth ? Math.max(0, ...items.map((i) => Math.max(i.from.length, (i.to || "").length))) : 0;
+        const numbers = new Map(); // 数値 → 括弧書きか
+        const others = new Map();
+
+        items.forEach((item) => {
+            const a = /^[0-9]+$/.test(item.from) ? parseInt(item.from, 10) : NaN;
+            const b = item.to != null && /^[0-9]+$/.test(item.to) ? parseInt(item.to, 10) : a;
+            if (Number.isNaN(a) || Number.isNaN(b)) {
+                others.set(itemKey(item), item);
+                return;
+            }
+            for (let n = Math.min(a, b); n <= Math.max(a, b); n++) numbers.set(n, numbers.get(n) || item.paren);
+        });
+
+        const pad = (n) => String(n).padStart(width, "0");
+        const out = [];
+        const nums = Array.from(numbers.keys()).sort((x, y) => x - y);
+        let start = null;
+        let prev = null;
+        nums.concat([NaN]).forEach((n) => {
+            if (start != null && n === prev + 1 && numbers.get(n) === numbers.get(start)) {
+                prev = n;
+                return;
+            }
+            if (start != null) {
+                out.push({ from: pad(start), to: start === prev ? null : pad(prev), paren: numbers.get(start) });
+            }
+            start = prev = n;
+        });
+
+        const segments = (v) => v.split(/[.]/).map((p) => /^[0-9]+/.exec(p) ? [parseInt(p, 10), p] : [Infinity, p]);
+        const compare = (x, y) => {
+            const a = segments(x.from);
+            const b = segments(y.from);
+            for (let i = 0; i < Math.max(a.length, b.length); i++) {
+                if (!a[i]) return -1;
+                if (!b[i]) return 1;
+                if (a[i][0] !== b[i][0]) return a[i][0] - b[i][0];
+                if (a[i][1] !== b[i][1]) return a[i][1] < b[i][1] ? -1 : 1;
+            }
+            return 0;
+        };
+        return out.concat(Array.from(others.values())).sort(compare);
+    }
+
+    /**
+     * 見出し（引用文献１ / その他）
+     * @param {string|null} citation
+     * @returns {string}
+     */
+    function formatLabel(citation) {
+        return citation == null ? "その他" : "引用文献" + toFullwidthAlnum(citation);
+    }
+
+    /**
+     * 1 種類分の箇所を整形する（例: 段落[０００１]、[０００３]-[０００８] / 第２１頁、第３０頁）
+     * @param {{type: string, label: string, _items: LocatorItem[]}} locator
+     * @returns {string}
+     */
+    function formatLocator(locator) {
+        const type = LOCATOR_TYPES.filter((t) => t.key === locator.type)[0];
+        const one = (v, paren) => {
+            let s = toFullwidthAlnum(type.key === "paragraph" ? "[" + v.padStart(4, "0") + "]" : v);
+            if (paren) s = "(" + s + ")";
+            return s;
+        };
+        const parts = locator._items.map((item) => {
+            const body = one(item.from, item.paren) + (item.to == null ? "" : "-" + one(item.to, item.paren));
+            return type.wrap ? type.wrap[0] + body + type.wrap[1] : body;
+        });
+        return (type.wrap ? "" : type.label) + parts.join("、");
+    }
+
+    /**
+     * フィルタ用: 引用文献ごとの引用箇所（初出順）をテキストで返す
+     * @param {string} str
+     * @returns {string}
+     */
+    function extractLocatorsByCitation(str) {
+        return extractLocators(str).text;
+    }
+
+    /**
+     * フィルタ用: 引用文献ごとの引用箇所（昇順・連番まとめ）をテキストで返す
+     * @param {string} str
+     * @returns {string}
+     */
+    function extractLocatorsByCitationSorted(str) {
+        return extractLocators(str, { sorted: true }).text;
+    }
+
     /* 動作例
     const s = "UEは、DCIを受信し（段落[００２７]、[００６５]、[００９８]-[００９９]、図１、６-８）...";
     console.log(extractParagraphAndFigureRefs(s));
@@ -158,5 +485,8 @@
   // ----------------------------------------
   root.paragraphExtraction = {
     extractParagraphAndFigureRefs: extractParagraphAndFigureRefs,
+    extractLocators: extractLocators,
+    extractLocatorsByCitation: extractLocatorsByCitation,
+    extractLocatorsByCitationSorted: extractLocatorsByCitationSorted,
   };
 })(globalThis);
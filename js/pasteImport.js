@@ -0,0 +1,546 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * 貼り付けの取り込み（Word / ブラウザからの text/html を入力用のテキストにする）
+   * - 入力欄への貼り付けで text/html があれば、それを変換して挿入する（text/plain は使わない）。
+   * - 変換後のテキストは、各チェーンが前提とする形にそろえる。
+   *   - 段落・見出し・表の行などのブロックごとに 1 行（空の段落は空行）
+   *   - 左余白・字下げ（margin-left / text-indent / mso-char-indent-count）は全角スペースの字下げにする
+   *   - 箇条書き（<ol>/<ul>、Word の mso-list の番号）は番号を行頭に残す
+   *   - 表はセルを全角スペースでそろえたテキストにする
+   *   - 文中にまぎれた段落番号【００１６】は、句点の後なら行頭に出す
+   * - 画像・結合セルなど、テキストにできなかった構造は notices に入れて通知する。
+   * - HTML の解析は DOM を使わずに行う（cli/pddc.js の import からも同じ変換を使う）。
+   * - app.js からは root.PasteImport 経由で利用する想定。
+   */
+  function createPasteImport() {
+    /** 1 字分の幅（pt）。Word の既定 10.5pt に合わせる */
+    const CHAR_PT = 10.5;
+
+    /** 単位 → pt */
+    const UNIT_PT = { pt: 1, px: 0.75, cm: 28.3465, mm: 2.83465, in: 72, pc: 12, em: CHAR_PT, rem: CHAR_PT };
+
+    /** 中身を持たない要素 */
+    const VOID_TAGS = new Set(["br", "img", "hr", "meta", "link", "input", "col", "wbr", "area", "base", "source"]);
+
+    /** 中身ごと捨てる要素 */
+    const SKIP_TAGS = new Set(["style", "script", "title", "head", "xml", "template", "noscript"]);
+
+    /** ブロック要素（前後で改行する） */
+    const BLOCK_TAGS = new Set([
+      "p", "div", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "section", "article", "header", "footer",
+      "main", "nav", "aside", "address", "figure", "figcaption", "dl", "dt", "dd", "pre", "center", "body", "html",
+    ]);
+
+    /** 開始タグで前の兄弟を閉じる要素（close: 閉じる要素 / stop: それより外は見ない） */
+    const AUTO_CLOSE = {
+      li: { close: ["li"], stop: ["ul", "ol"] },
+      tr: { close: ["tr", "td", "th"], stop: ["table", "tbody", "thead", "tfoot"] },
+      td: { close: ["td", "th"], stop: ["tr", "table"] },
+      th: { close: ["td", "th"], stop: ["tr", "table"] },
+    };
+
+    /** よく使う文字参照 */
+    const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0", ensp: " ", emsp: "　", thinsp: " ", middot: "・", hellip: "…", mdash: "—", ndash: "–", times: "×", divide: "÷", yen: "¥", copy: "©", reg: "®", deg: "°", plusmn: "±" };
+
+    /** 全角スペース */
+    const ZS = "　";
+
+    // ------------------------------------------------------------------
+    // HTML の解析
+    // ------------------------------------------------------------------
+
+    /**
+     * @typedef {Object} HtmlNode
+     * @property {string} tag タグ名（テキストは "#text"）
+     * @property {Record<string, string>} attrs
+     * @property {HtmlNode[]} children
+     * @property {string} [text]
+     */
+
+    /**
+     * 文字参照を文字にする
+     * @param {string} s
+     * @returns {string}
+     */
+    function decodeEntities(s) {
+      return s.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (all, name) => {
+        if (name[0] === "#") {
+          const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+          return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : all;
+        }
+        const ch = ENTITIES[name.toLowerCase()];
+        return ch != null ? ch : all;
+      });
+    }
+
+    /**
+     * 属性文字列を解析する
+     * @param {string} src
+     * @returns {Record<string, string>}
+     */
+    function parseAttrs(src) {
+      const attrs = {};
+      const re = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let m;
+      while ((m = re.exec(src)) != null) {
+        attrs[m[1].toLowerCase()] = decodeEntities(m[2] != null ? m[2] : m[3] != null ? m[3] : m[4] != null ? m[4] : "");
+      }
+      return attrs;
+    }
+
+    /**
+     * HTML を簡易的に木構造にする
+     * - コメント（Word の <!--[if gte mso 9]>…<![endif]--> を含む）は捨てる。
+     * - Word の <![if !supportLists]> / <![endif]> は印だけ捨てて中身（箇条書きの番号）を残す。
+     * - 閉じタグの対応が崩れていても、開いている同名の要素まで閉じて続ける。
+     * @param {string} html
+     * @returns {HtmlNode}
+     */
+    function parseHtml(html) {
+      const top = { tag: "#root", attrs: {}, children: [] };
+      const stack = [top];
+      const re = /<!--[\s\S]*?(?:-->|$)|<!\[[\s\S]*?\]>|<![^>]*>|<\?[^>]*>|<\/\s*([A-Za-z][\w:.-]*)\s*>|<([A-Za-z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+      let cursor = 0;
+      let m;
+
+      const current = () => stack[stack.length - 1];
+      const addText = (text) => {
+        if (text) current().children.push({ tag: "#text", attrs: {}, children: [], text: decodeEntities(text) });
+      };
+
+      while ((m = re.exec(html)) != null) {
+        addText(html.slice(cursor, m.index));
+        cursor = re.lastIndex;
+
+        if (m[1]) {
+          const name = m[1].toLowerCase();
+          for (let i = stack.length - 1; i > 0; i--) {
+            if (stack[i].tag === name) {
+              stack.length = i;
+              break;
+            }
+          }
+          continue;
+        }
+        if (!m[2]) continue; // コメント・宣言など
+
+        const name = m[2].toLowerCase();
+        const node = { tag: name, attrs: parseAttrs(m[3] || ""), children: [] };
+
+        if (SKIP_TAGS.has(name)) {
+          // 閉じタグまで読み飛ばす
+          const close = new RegExp("</\\s*" + name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "\\s*>", "ig");
+          close.lastIndex = cursor;
+          const end = close.exec(html);
+          cursor = re.lastIndex = end ? close.lastIndex : html.length;
+          continue;
+        }
+
+        // <p> の中で <p> やブロックが始まったら、前の <p> を閉じる
+        if (current().tag === "p" && (name === "p" || BLOCK_TAGS.has(name) || name === "table" || name === "ul" || name === "ol")) {
+          stack.pop();
+        }
+        // 閉じタグの無い <li> / <tr> / <td> の並びは兄弟として扱う
+        const siblings = AUTO_CLOSE[name];
+        if (siblings) {
+          for (let i = stack.length - 1; i > 0; i--) {
+            if (siblings.stop.indexOf(stack[i].tag) !== -1) break;
+            if (siblings.close.indexOf(stack[i].tag) !== -1) {
+              stack.length = i;
+              break;
+            }
+          }
+        }
+
+        current().children.push(node);
+        if (!VOID_TAGS.has(name) && !/\/\s*$/.test(m[3] || "")) stack.push(node);
+      }
+      addText(html.slice(cursor));
+      return top;
+    }
+
+    // ------------------------------------------------------------------
+    // テキストへの変換
+    // ------------------------------------------------------------------
+
+    /**
+     * style 属性を解析する
+     * @param {string} style
+     * @returns {Record<string, string>}
+     */
+    function parseStyle(style) {
+      const out = {};
+      String(style || "").split(";").forEach((decl) => {
+        const i = decl.indexOf(":");
+        if (i > 0) out[decl.slice(0, i).trim().toLowerCase()] = decl.slice(i + 1).trim();
+      });
+      return out;
+    }
+
+    /**
+     * 長さを字数にする（10.5pt = 1 字）
+     * @param {string|undefined} value
+     * @returns {number}
+     */
+    function toChars(value) {
+      const m = /^(-?[0-9.]+)\s*(pt|px|cm|mm|in|pc|em|rem)?$/i.exec(String(value || "").trim());
+      if (!m) return 0;
+      const pt = parseFloat(m[1]) * (UNIT_PT[(m[2] || "px").toLowerCase()] || 0.75);
+      return Math.round(pt / CHAR_PT);
+    }
+
+    /**
+     * ブロック要素の字下げ（字数）
+     * @param {HtmlNode} node
+     * @returns {{left: number, first: number}} left: 全行の字下げ / first: 1 行目だけの追加分（負ならぶら下げ）
+     */
+    function indentOf(node) {
+      const style = parseStyle(node.attrs.style);
+      const left = Math.max(0, toChars(style["margin-left"]) + toChars(style["padding-left"]));
+      let first = toChars(style["text-indent"]);
+      if (style["mso-char-indent-count"] != null) {
+        const count = parseFloat(style["mso-char-indent-count"]);
+        if (Number.isFinite(count)) first = Math.round(count);
+      }
+      return { left, first };
+    }
+
+    /**
+     * 表示幅（全角 2、半角 1）
+     * @param {string} s
+     * @returns {number}
+     */
+    function displayWidth(s) {
+      let w = 0;
+      for (const ch of s) {
+        w += /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦　]/.test(ch) || ch.codePointAt(0) > 0xffff ? 2 : 1;
+      }
+      return w;
+    }
+
+    /**
+     * 表示幅が width になるまで全角スペース（端数は半角スペース 1 つ）を足す
+     * - 半角スペースの連続は init の squeeze で 1 つにまとめられるため、全角でそろえる。
+     * @param {string} s
+     * @param {number} width
+     * @returns {string}
+     */
+    function padTo(s, width) {
+      const gap = width - displayWidth(s);
+      if (gap <= 0) return s;
+      return s + ZS.repeat(Math.floor(gap / 2)) + (gap % 2 ? " " : "");
+    }
+
+    /**
+     * 変換処理（1 回の convert ごとに作る）
+     * @returns {{render: (node: HtmlNode) => void, finish: () => string, counts: Record<string, number>}}
+     */
+    function createWriter() {
+      /** @type {string[]} */
+      const lines = [];
+      const counts = { images: 0, mergedCells: 0, nestedTables: 0 };
+
+      let line = "";
+      let lineOpen = false;
+      /** 今のブロックの字下げ（行頭に付ける字数） */
+      let indent = 0;
+      /** 次の行の 1 行目だけに付ける追加の字数（負ならぶら下げ） */
+      let firstLine = 0;
+      /** 次の行の行頭に付ける番号（箇条書き） */
+      let marker = "";
+      let preDepth = 0;
+      let tableDepth = 0;
+      let listDepth = 0;
+
+      const flush = (force) => {
+        // &nbsp; の並び（Word の箇条書き番号の後など）は半角スペース 1 つにする
+        let text = line.replace(/[ \u00a0]+$/, "");
+        if (preDepth === 0) text = text.replace(/^[ \u00a0]+/, "").replace(/[ \u00a0]{2,}/g, " ");
+        text = text.replace(/\u00a0/g, " ");
+        if (text || marker || force) {
+          const n = Math.max(0, indent + firstLine);
+          lines.push(ZS.repeat(n) + marker + text);
+          firstLine = 0;
+          marker = "";
+        }
+        line = "";
+        lineOpen = false;
+      };
+
+      const appendText = (text) => {
+        if (preDepth > 0) {
+          const parts = text.replace(/\r\n?/g, "\n").split("\n");
+          parts.forEach((part, i) => {
+            if (i > 0) flush(true);
+            line += part;
+          });
+          lineOpen = true;
+          return;
+        }
+        // 和文の途中の改行（Word の HTML はソース上で折り返される）は詰める
+        const collapsed = text
+          .replace(/([^\x00-\x7f])[ \t]*[\r\n][ \t\r\n]*(?=[^\x00-\x7f])/g, "$1")
+          .replace(/[ \t\n\r\f]+/g, " ");
+        if (!lineOpen && collapsed === " ") return;
+        if (/ $/.test(line) && collapsed[0] === " ") line += collapsed.slice(1);
+        else line += collapsed;
+        lineOpen = true;
+      };
+
+      /**
+       * 要素の中身を別の行バッファで描画し、行配列として返す（表のセル用）
+       * @param {HtmlNode} node
+       * @returns {string[]}
+       */
+      const renderDetached = (node) => {
+        const saved = { lines: lines.splice(0), line, lineOpen, indent, firstLine, marker };
+        line = "";
+        lineOpen = false;
+        indent = 0;
+        firstLine = 0;
+        marker = "";
+        node.children.forEach(render);
+        flush(false);
+        const out = lines.splice(0);
+        lines.push(...saved.lines);
+        line = saved.line;
+        lineOpen = saved.lineOpen;
+        indent = saved.indent;
+        firstLine = saved.firstLine;
+        marker = saved.marker;
+        return out;
+      };
+
+      /**
+       * 表をそろえたテキストにする
+       * @param {HtmlNode} table
+       */
+      const renderTable = (table) => {
+        if (tableDepth > 0) counts.nestedTables++;
+        tableDepth++;
+        flush(false);
+
+        /** @type {string[][]} */
+        const rows = [];
+        const collectRows = (node) => {
+          node.children.forEach((child) => {
+            if (child.tag === "tr") {
+              const cells = [];
+              child.children.forEach((cell) => {
+                if (cell.tag !== "td" && cell.tag !== "th") return;
+                if (Number(cell.attrs.colspan) > 1 || Number(cell.attrs.rowspan) > 1) counts.mergedCells++;
+                cells.push(renderDetached(cell).map((s) => s.replace(/^　+/, "")).filter(Boolean).join(" "));
+                // 横の結合は空セルで埋めて列をそろえる
+                for (let i = 1; i < (Number(cell.attrs.colspan) || 1); i++) cells.push("");
+              });
+              rows.push(cells);
+            } else if (child.tag === "thead" || child.tag === "tbody" || child.tag === "tfoot") {
+              collectRows(child);
+            } else if (child.tag === "caption") {
+              const caption = renderDetached(child).join(" ");
+              if (caption) rows.push([caption]);
+            }
+          });
+        };
+        collectRows(table);
+        tableDepth--;
+
+        if (tableDepth > 0) {
+          // 入れ子の表は外側のセルの中で 1 行にする
+          appendText(rows.map((r) => r.filter(Boolean).join(" ")).join(" / "));
+          return;
+        }
+
+        const widths = [];
+        rows.forEach((r) => r.forEach((cell, i) => (widths[i] = Math.max(widths[i] || 0, displayWidth(cell)))));
+        rows.forEach((r) => {
+          line = r.map((cell, i) => (i === r.length - 1 ? cell : padTo(cell, widths[i]) + ZS)).join("");
+          lineOpen = true;
+          flush(true);
+        });
+      };
+
+      /**
+       * @param {HtmlNode} node
+       */
+      function render(node) {
+        if (node.tag === "#text") {
+          appendText(node.text || "");
+          return;
+        }
+
+        switch (node.tag) {
+          case "br":
+            flush(true);
+            return;
+          case "img":
+            counts.images++;
+            if (node.attrs.alt) appendText(node.attrs.alt);
+            return;
+          case "table":
+            renderTable(node);
+            return;
+          case "ul":
+          case "ol": {
+            flush(false);
+            const start = parseInt(node.attrs.start, 10);
+            let n = Number.isFinite(start) ? start : 1;
+            const savedIndent = indent;
+            // 入れ子の箇条書きは 1 字ずつ下げる
+            if (listDepth > 0) indent += 1;
+            listDepth++;
+            node.children.forEach((child) => {
+              if (child.tag !== "li") {
+                render(child);
+                return;
+              }
+              flush(false);
+              marker = node.tag === "ol" ? n + "." + ZS : "・";
+              n++;
+              child.children.forEach(render);
+              flush(false);
+            });
+            listDepth--;
+            indent = savedIndent;
+            return;
+          }
+          default:
+            break;
+        }
+
+        const block = BLOCK_TAGS.has(node.tag) || node.tag === "li";
+        if (!block) {
+          node.children.forEach(render);
+          return;
+        }
+
+        // ブロック要素: 前後で改行し、字下げを反映する
+        flush(false);
+        const { left, first } = indentOf(node);
+        const savedIndent = indent;
+        indent += left;
+        firstLine = first;
+        if (node.tag === "pre") preDepth++;
+
+        const before = lines.length;
+        node.children.forEach(render);
+        flush(false);
+        // 空の段落（Word の <p><o:p>&nbsp;</o:p></p>）は空行にする
+        if (node.tag === "p" && lines.length === before) lines.push("");
+
+        if (node.tag === "pre") preDepth--;
+        indent = savedIndent;
+        firstLine = 0;
+      }
+
+      const finish = () => {
+        flush(false);
+        return lines.join("\n");
+      };
+
+      return { render, finish, counts };
+    }
+
+    /**
+     * 文中にまぎれた段落番号（「…。【００１７】次に…」）を行頭に出す
+     * @param {string} text
+     * @returns {string}
+     */
+    function splitParagraphMarkers(text) {
+      return text.replace(/([。．])[ 　]*(【[0-9０-９]{4,}】)/g, "$1\n$2");
+    }
+
+    /**
+     * text/html を入力用のテキストに変換する
+     * @param {string} html
+     * @returns {{text: string, notices: string[]}}
+     */
+    function convert(html) {
+      const src = String(html == null ? "" : html);
+      // クリップボードの HTML は <!--StartFragment--> … <!--EndFragment--> の部分だけを使う
+      const fragment = /<!--StartFragment-->([\s\S]*?)<!--EndFragment-->/.exec(src);
+      const tree = parseHtml(fragment ? fragment[1] : src);
+
+      const writer = createWriter();
+      tree.children.forEach(writer.render);
+
+      const text = splitParagraphMarkers(writer.finish())
+        .replace(/[ \t]+$/gm, "")
+        .replace(/\n{3,}/g, "\n\n")
+        .replace(/^\n+|\n+$/g, "");
+
+      const notices = [];
+      if (writer.counts.images > 0) notices.push("画像 " + writer.counts.images + " 件は取り込めませんでした（代替テキストのみ残しています）。");
+      if (writer.counts.mergedCells > 0) notices.push("結合セルを含む表があります。列がずれている可能性があります。");
+      if (writer.counts.nestedTables > 0) notices.push("表の中の表は 1 行にまとめました。");
+      return { text, notices };
+    }
+
+    /**
+     * 入力欄にテキストを挿入する（元に戻せるように入力欄の編集として行う）
+     * @param {HTMLTextAreaElement} input
+     * @param {string} text
+     */
+    function insertText(input, text) {
+      input.focus();
+      const done = typeof document.execCommand === "function" && document.execCommand("insertText", false, text);
+      if (!done) {
+        input.setRangeText(text, input.selectionStart, input.selectionEnd, "end");
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+    }
+
+    /**
+     * 入力欄の貼り付けを横取りする
+     * - text/html が無い場合（プレーンテキストとして貼り付けた場合など）はブラウザの既定動作に任せる。
+     * @param {Object} options
+     * @param {HTMLTextAreaElement} options.input 入力欄
+     * @param {(message: string, type?: string) => void} [options.notify] トースト表示など
+     */
+    function mount(options) {
+      if (typeof document === "undefined" || !options || !options.input) return;
+      const input = options.input;
+      const notify = options.notify || (() => {});
+
+      input.addEventListener("paste", (event) => {
+        const data = event.clipboardData;
+        const html = data && typeof data.getData === "function" ? data.getData("text/html") : "";
+        if (!html) return;
+
+        let result;
+        try {
+          result = convert(html);
+        } catch (err) {
+          console.warn("[PasteImport] 貼り付けた HTML の変換に失敗:", err);
+          return;
+        }
+        if (!result.text) return;
+
+        event.preventDefault();
+        insertText(input, result.text);
+        if (result.notices.length > 0) {
+          notify("貼り付けた内容の一部は構造を保てませんでした: " + result.notices.join(" "), "info");
+        }
+      });
+    }
+
+    // 公開 API
+    return {
+      /**
+       * text/html を入力用のテキストに変換する
+       */
+      convert,
+
+      /**
+       * 入力欄の貼り付けを横取りする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js / cli/pddc.js から root.PasteImport として参照される
+  root.PasteImport = createPasteImport();
+})(globalThis);
@@ -0,0 +1,357 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * パイプライン・インスペクタ
+   * - FilterRegistry のトレース（TraceRecord 配列）を受け取り、
+   *   ステップを 1 つずつたどりながら「直前との差分」を表示する。
+   * - app.js からは root.PipelineInspector 経由で利用する想定。
+   * - DOM 操作はブラウザ環境で、かつ #inspectorPanel が存在するときのみ実行される。
+   */
+  function createPipelineInspector() {
+    /** 差分表示で変更行の前後に残す一致行数 */
+    const CONTEXT_LINES = 2;
+
+    /** @type {Array<any>} 直近に受け取ったトレース */
+    let records = [];
+    /** @type {number[]} 一覧に表示している records のインデックス */
+    let visible = [];
+    /** @type {number} visible 内での現在位置 */
+    let position = -1;
+
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+    /** @type {HTMLElement|null} */
+    let summaryEl = null;
+    /** @type {HTMLElement|null} */
+    let stepsEl = null;
+    /** @type {HTMLElement|null} */
+    let diffEl = null;
+    /** @type {HTMLElement|null} */
+    let positionEl = null;
+    /** @type {HTMLButtonElement|null} */
+    let prevBtn = null;
+    /** @type {HTMLButtonElement|null} */
+    let nextBtn = null;
+    /** @type {HTMLInputElement|null} */
+    let changedOnlyEl = null;
+    /** @type {boolean} */
+    let bound = false;
+
+    /**
+     * トレースの集計値を求める
+     * @param {Array<any>} list TraceRecord 配列
+     * @returns {{steps: number, changed: number, errors: number, elapsed: number}}
+     */
+    function summarize(list) {
+      const result = { steps: 0, changed: 0, errors: 0, elapsed: 0 };
+      (list || []).forEach((r) => {
+        if (r.skipped) return;
+        result.steps++;
+        if (r.input !== r.output) result.changed++;
+        if (r.error) result.errors++;
+        result.elapsed += r.elapsed || 0;
+      });
+      return result;
+    }
+
+    /**
+     * 2 つのスナップショットから表示用の差分行を組み立てる
+     * - 変更行から離れた一致行は「省略」行 1 つにまとめる。
+     * @param {string} before 直前のスナップショット
+     * @param {string} after 直後のスナップショット
+     * @returns {Array<{type: "equal"|"insert"|"delete"|"skip", text: string, count?: number}>}
+     */
+    function buildDiffRows(before, after) {
+      if (!root.TextDiff || typeof root.TextDiff.diffLines !== "function") return [];
+
+      const ops = root.TextDiff.diffLines(before, after);
+      const rows = [];
+
+      ops.forEach((op, i) => {
+        if (op.type !== "equal") {
+          op.items.forEach((line) => rows.push({ type: op.type, text: line }));
+          return;
+        }
+
+        const items = op.items;
+        const keepHead = i > 0 ? CONTEXT_LINES : 0;
+        const keepTail = i < ops.length - 1 ? CONTEXT_LINES : 0;
+        if (items.length <= keepHead + keepTail) {
+          items.forEach((line) => rows.push({ type: "equal", text: line }));
+          return;
+        }
+        items.slice(0, keepHead).forEach((line) => rows.push({ type: "equal", text: line }));
+        rows.push({ type: "skip", text: "", count: items.length - keepHead - keepTail });
+        items.slice(items.length - keepTail).forEach((line) => rows.push({ type: "equal", text: line }));
+      });
+
+      return rows;
+    }
+
+    /**
+     * パネル内の DOM 要素を取得し、イベントを 1 回だけバインドする
+     * @returns {boolean} パネルが利用可能かどうか
+     */
+    function ensureDom() {
+      if (typeof document === "undefined") return false;
+      if (!panelEl) {
+        panelEl = document.getElementById("inspectorPanel");
+        if (!panelEl) return false;
+        summaryEl = document.getElementById("inspectorSummary");
+        stepsEl = document.getElementById("inspectorSteps");
+        diffEl = document.getElementById("inspectorDiff");
+        positionEl = document.getElementById("inspectorPosition");
+        prevBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById("inspectorPrev"));
+        nextBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById("inspectorNext"));
+        changedOnlyEl = /** @type {HTMLInputElement|null} */ (
+          document.getElementById("inspectorChangedOnly")
+        );
+      }
+
+      if (!bound) {
+        bound = true;
+        if (prevBtn) prevBtn.addEventListener("click", () => prev());
+        if (nextBtn) nextBtn.addEventListener("click", () => next());
+        if (changedOnlyEl) {
+          changedOnlyEl.addEventListener("change", () => {
+            const current = visible[position];
+            refreshVisible();
+            const keep = visible.indexOf(current);
+            renderSteps();
+            selectPosition(keep >= 0 ? keep : 0);
+          });
+        }
+        if (stepsEl) {
+          stepsEl.addEventListener("click", (event) => {
+            const target = /** @type {HTMLElement|null} */ (
+              event.target && event.target.closest ? event.target.closest("[data-record]") : null
+            );
+            if (!target) return;
+            select(Number(target.getAttribute("data-record")));
+          });
+          // 矢印キーでステップを移動
+          stepsEl.addEventListener("keydown", (event) => {
+            if (event.key === "ArrowDown" || event.key === "ArrowRight") {
+              event.preventDefault();
+              next();
+            } else if (event.key === "ArrowUp" || event.key === "ArrowLeft") {
+              event.preventDefault();
+              prev();
+            }
+          });
+        }
+      }
+      return true;
+    }
+
+    /**
+     * 「変更のあったステップのみ」の設定に従って visible を作り直す
+     */
+    function refreshVisible() {
+      const changedOnly = !!(changedOnlyEl && changedOnlyEl.checked);
+      visible = [];
+      records.forEach((r, i) => {
+        if (changedOnly && r.input === r.output && !r.error) return;
+        visible.push(i);
+      });
+    }
+
+    /**
+     * ステップ一覧を描画する
+     */
+    function renderSteps() {
+      if (!stepsEl) return;
+      stepsEl.innerHTML = "";
+
+      visible.forEach((recordIndex) => {
+        const r = records[recordIndex];
+        const li = document.createElement("li");
+        li.className = "inspector__step";
+        if (r.skipped) li.classList.add("inspector__step--skipped");
+        else if (r.error) li.classList.add("inspector__step--error");
+        else if (r.input !== r.output) li.classList.add("inspector__step--changed");
+        li.setAttribute("data-record", String(recordIndex));
+        li.setAttribute("role", "option");
+        li.tabIndex = -1;
+
+        const label = document.createElement("span");
+        label.className = "inspector__step-name";
+        label.textContent = r.chain + " #" + r.index + " " + r.name;
+
+        const meta = document.createElement("span");
+        meta.className = "inspector__step-meta";
+        meta.textContent = r.skipped ? (r.skipReason === "when" ? "条件外" : "無効") : r.error ? "エラー" : r.elapsed.toFixed(1) + " ms";
+
+        li.appendChild(label);
+        li.appendChild(meta);
+        stepsEl.appendChild(li);
+      });
+    }
+
+    /**
+     * 差分ビューを描画する
+     * @param {any} r 対象の TraceRecord
+     */
+    function renderDiff(r) {
+      if (!diffEl) return;
+      diffEl.innerHTML = "";
+
+      if (!r) return;
+
+      if (r.error) {
+        const p = document.createElement("p");
+        p.className = "inspector__note inspector__note--error";
+        p.textContent = "このステップでエラーが発生しました: " + (r.error && r.error.message ? r.error.message : String(r.error));
+        diffEl.appendChild(p);
+        return;
+      }
+      if (r.input === r.output) {
+        const p = document.createElement("p");
+        p.className = "inspector__note";
+        p.textContent = !r.skipped
+          ? "このステップでは変更がありません。"
+          : r.skipReason === "when"
+            ? "実行条件（when）を満たさないため、このステップは実行されませんでした。"
+            : "このステップは無効化されています。";
+        diffEl.appendChild(p);
+        return;
+      }
+
+      const marks = { equal: " ", insert: "+", delete: "-" };
+      buildDiffRows(r.input, r.output).forEach((row) => {
+        const line = document.createElement("div");
+        line.className = "inspector__line inspector__line--" + row.type;
+        line.textContent = row.type === "skip" ? "… " + row.count + " 行省略 …" : marks[row.type] + " " + row.text;
+        diffEl.appendChild(line);
+      });
+    }
+
+    /**
+     * visible 内の位置を選択し、一覧・差分・ナビゲーションを更新する
+     * @param {number} pos visible 内の位置
+     */
+    function selectPosition(pos) {
+      if (visible.length === 0) {
+        position = -1;
+        renderDiff(null);
+        if (positionEl) positionEl.textContent = "0 / 0";
+        if (prevBtn) prevBtn.disabled = true;
+        if (nextBtn) nextBtn.disabled = true;
+        return;
+      }
+
+      position = Math.max(0, Math.min(pos, visible.length - 1));
+      const recordIndex = visible[position];
+
+      if (stepsEl) {
+        Array.prototype.forEach.call(stepsEl.children, (li) => {
+          const active = Number(li.getAttribute("data-record")) === recordIndex;
+          li.classList.toggle("is-active", active);
+          li.setAttribute("aria-selected", active ? "true" : "false");
+          if (active) {
+            li.tabIndex = 0;
+            if (typeof li.scrollIntoView === "function") li.scrollIntoView({ block: "nearest" });
+          } else {
+            li.tabIndex = -1;
+          }
+        });
+      }
+
+      renderDiff(records[recordIndex]);
+      if (positionEl) positionEl.textContent = position + 1 + " / " + visible.length;
+      if (prevBtn) prevBtn.disabled = position <= 0;
+      if (nextBtn) nextBtn.disabled = position >= visible.length - 1;
+    }
+
+    /**
+     * トレースを受け取り、パネルに表示する
+     * @param {Array<any>} list FilterRegistry.stopTrace() の戻り値
+     */
+    function show(list) {
+      records = Array.isArray(list) ? list.slice() : [];
+      if (!ensureDom() || !panelEl) return;
+
+      const s = summarize(records);
+      if (summaryEl) {
+        summaryEl.textContent =
+          s.steps + " ステップ / 変更 " + s.changed + " 件" +
+          (s.errors ? " / エラー " + s.errors + " 件" : "") +
+          " / 合計 " + s.elapsed.toFixed(1) + " ms";
+      }
+
+      refreshVisible();
+      renderSteps();
+      panelEl.hidden = false;
+      selectPosition(0);
+    }
+
+    /**
+     * 表示内容を破棄してパネルを隠す
+     */
+    function clear() {
+      records = [];
+      visible = [];
+      position = -1;
+      if (!ensureDom() || !panelEl) return;
+      if (stepsEl) stepsEl.innerHTML = "";
+      if (diffEl) diffEl.innerHTML = "";
+      panelEl.hidden = true;
+    }
+
+    /**
+     * records のインデックスを指定して選択する
+     * - 現在の絞り込みで非表示のステップは選択できない。
+     * @param {number} recordIndex
+     */
+    function select(recordIndex) {
+      const pos = visible.indexOf(recordIndex);
+      if (pos >= 0) selectPosition(pos);
+    }
+
+    /** 次のステップへ */
+    function next() {
+      if (position < visible.length - 1) selectPosition(position + 1);
+    }
+
+    /** 前のステップへ */
+    function prev() {
+      if (position > 0) selectPosition(position - 1);
+    }
+
+    // 公開 API
+    return {
+      /**
+       * トレースを表示する
+       */
+      show,
+
+      /**
+       * 表示を破棄してパネルを隠す
+       */
+      clear,
+
+      /**
+       * 指定ステップを選択する
+       */
+      select,
+
+      next,
+      prev,
+
+      /**
+       * トレースの集計（ステップ数・変更数・エラー数・合計時間）
+       */
+      summarize,
+
+      /**
+       * 2 つのスナップショットの表示用差分行を返す
+       */
+      buildDiffRows,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js 側から root.PipelineInspector として参照される
+  root.PipelineInspector = createPipelineInspector();
+})(globalThis);
@@ -0,0 +1,329 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * フィルタ構成の設定
+   * - TextFilterRegistry に登録された全チェーンとステップを一覧にし、ステップごとの有効・無効と
+   *   並び順を画面で変えられるようにする（modeLists.js などを手元で書き換えなくて済むように）。
+   * - 変更は FilterRegistry.exportConfig の形式で localStorage に保存し、起動時に importConfig で戻す。
+   * - 「既定に戻す」は、保存した設定を当てる前に控えておいた構成（＝コードの定義どおり）に戻す。
+   * - JSON の書き出し・取り込みで、同じ構成をほかの人や CLI（pddc convert --pipeline）と共有できる。
+   * - app.js からは root.PipelineSettings 経由で利用する想定。
+   */
+  function createPipelineSettings() {
+    /** localStorage のキー */
+    const STORAGE_KEY = "pddc.pipelineConfig";
+
+    /** @type {any|null} 対象の FilterRegistry */
+    let registry = null;
+
+    /** @type {any|null} 保存した設定を当てる前の構成（exportConfig の戻り値） */
+    let defaults = null;
+
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+    /** @type {HTMLElement|null} */
+    let chainsEl = null;
+
+    /**
+     * localStorage を取得する（使えない環境では null）
+     * @returns {Storage|null}
+     */
+    function getStorage() {
+      try {
+        return typeof root.localStorage !== "undefined" ? root.localStorage : null;
+      } catch (_e) {
+        return null;
+      }
+    }
+
+    /**
+     * 現在の構成を保存する（既定と同じなら保存を消す）
+     */
+    function persist() {
+      const storage = getStorage();
+      if (!storage || !registry) return;
+      try {
+        const current = JSON.stringify(registry.exportConfig());
+        if (current === JSON.stringify(defaults)) storage.removeItem(STORAGE_KEY);
+        else storage.setItem(STORAGE_KEY, current);
+      } catch (err) {
+        console.warn("[PipelineSettings] フィルタ構成を保存できませんでした:", err);
+      }
+    }
+
+    /**
+     * 構成を取り込んで保存する
+     * @param {any} config exportConfig の形式（JSON 文字列も可）
+     * @returns {{ chains: string[], warnings: string[] }}
+     */
+    function applyConfig(config) {
+      if (!registry) throw new Error("PipelineSettings: 対象のフィルタレジストリがありません。");
+      const result = registry.importConfig(config);
+      persist();
+      render();
+      return result;
+    }
+
+    /**
+     * ステップの有効・無効を切り替える
+     * @param {string} chain チェーン名
+     * @param {number} index ステップのインデックス
+     * @param {boolean} enabled
+     */
+    function setEnabled(chain, index, enabled) {
+      registry.enable(chain, index, enabled);
+      persist();
+      render();
+    }
+
+    /**
+     * ステップを 1 つ前後に動かす
+     * @param {string} chain チェーン名
+     * @param {number} index ステップのインデックス
+     * @param {-1|1} delta -1: 前へ / 1: 後ろへ
+     */
+    function move(chain, index, delta) {
+      const steps = registry.get(chain) || [];
+      const to = index + delta;
+      if (to < 0 || to >= steps.length) return;
+      registry.removeAt(chain, index);
+      registry.insert(chain, to, steps[index]);
+      persist();
+      render();
+    }
+
+    /**
+     * 既定の構成に戻す（保存した設定も消す）
+     */
+    function reset() {
+      if (!registry || !defaults) return;
+      registry.importConfig(defaults);
+      const storage = getStorage();
+      if (storage) {
+        try {
+          storage.removeItem(STORAGE_KEY);
+        } catch (_e) {
+          // 消せなくても、次に変更したときに上書きされる
+        }
+      }
+      render();
+    }
+
+    /**
+     * 既定の構成から変えたかどうか（チェーン単位）
+     * @param {string} chain
+     * @returns {boolean}
+     */
+    function isChanged(chain) {
+      const find = (config) => (config ? config.chains.find((c) => c.name === chain) : null);
+      return JSON.stringify(find(registry.exportConfig())) !== JSON.stringify(find(defaults));
+    }
+
+    // ------------------------------------------------------------------
+    // 画面
+    // ------------------------------------------------------------------
+
+    /**
+     * @param {string} tag
+     * @param {string} [className]
+     * @param {string} [text]
+     * @returns {HTMLElement}
+     */
+    function el(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text != null) node.textContent = text;
+      return node;
+    }
+
+    /**
+     * チェーンとステップの一覧を描画する
+     */
+    function render() {
+      if (!chainsEl || !registry) return;
+      chainsEl.innerHTML = "";
+
+      registry.names().forEach((chain) => {
+        const steps = registry.get(chain) || [];
+        const group = el("fieldset", "pipeline__chain");
+        const legend = el("legend", "pipeline__chain-name", chain);
+        if (isChanged(chain)) legend.appendChild(el("span", "pipeline__flag", "変更あり"));
+        group.appendChild(legend);
+
+        const list = el("ol", "pipeline__steps");
+        steps.forEach((step, index) => {
+          const item = el("li", "pipeline__step" + (step.enabled === false ? " is-disabled" : ""));
+
+          const label = el("label", "pipeline__step-label");
+          const checkbox = /** @type {HTMLInputElement} */ (el("input"));
+          checkbox.type = "checkbox";
+          checkbox.checked = step.enabled !== false;
+          checkbox.dataset.chain = chain;
+          checkbox.dataset.index = String(index);
+          label.appendChild(checkbox);
+          label.appendChild(el("span", "pipeline__step-name", step.name || (step.fn && step.fn.name) || step.chain || "#" + index));
+          item.appendChild(label);
+
+          if (step.chain) item.appendChild(el("span", "pipeline__flag", "→ " + step.chain));
+          if (step.when) item.appendChild(el("span", "pipeline__flag", "条件付き"));
+          if (Array.isArray(step.args) && step.args.length > 0) {
+            let args;
+            try {
+              args = JSON.stringify(step.args);
+            } catch (_e) {
+              args = "(" + step.args.length + " args)";
+            }
+            item.appendChild(el("code", "pipeline__args", args));
+          }
+
+          const actions = el("span", "pipeline__move");
+          [
+            ["-1", "↑", "前へ"],
+            ["1", "↓", "後ろへ"],
+          ].forEach(([delta, text, title]) => {
+            const button = /** @type {HTMLButtonElement} */ (el("button", "btn btn-secondary pipeline__move-btn", text));
+            button.type = "button";
+            button.title = title;
+            button.dataset.chain = chain;
+            button.dataset.index = String(index);
+            button.dataset.move = delta;
+            button.disabled = (delta === "-1" && index === 0) || (delta === "1" && index === steps.length - 1);
+            actions.appendChild(button);
+          });
+          item.appendChild(actions);
+          list.appendChild(item);
+        });
+        group.appendChild(list);
+        chainsEl.appendChild(group);
+      });
+    }
+
+    /**
+     * 対象のレジストリを設定し、保存済みの構成を当てて画面をバインドする
+     * - 画面がない環境（Node.js / CLI）でも、保存済みの構成の適用までは行う。
+     * @param {Object} options
+     * @param {any} options.registry 対象の FilterRegistry（通常は root.TextFilterRegistry）
+     * @param {(message: string, type?: string) => void} [options.notify] トースト表示など
+     */
+    function mount(options) {
+      if (registry || !options || !options.registry) return;
+      registry = options.registry;
+      defaults = registry.exportConfig();
+      const notify = options.notify || (() => {});
+
+      // 保存済みの構成を当てる（コード側でステップ名が変わった場合などは警告だけ出す）
+      const storage = getStorage();
+      const saved = storage ? storage.getItem(STORAGE_KEY) : null;
+      if (saved) {
+        try {
+          const result = registry.importConfig(saved);
+          if (result.warnings.length > 0) {
+            console.warn("[PipelineSettings] 保存済みのフィルタ構成の一部を適用できませんでした:", result.warnings);
+            notify("保存済みのフィルタ構成の一部を適用できませんでした（" + result.warnings.length + " 件）。設定パネルを確認してください。", "info");
+          }
+        } catch (err) {
+          console.warn("[PipelineSettings] 保存済みのフィルタ構成を読み込めませんでした:", err);
+        }
+      }
+
+      if (typeof document === "undefined") return;
+      panelEl = document.getElementById("pipelinePanel");
+      if (!panelEl) return;
+      chainsEl = document.getElementById("pipelineChains");
+      const exportBtn = document.getElementById("pipelineExport");
+      const importInput = /** @type {HTMLInputElement|null} */ (document.getElementById("pipelineImport"));
+
+      if (chainsEl) {
+        chainsEl.addEventListener("change", (event) => {
+          const input = /** @type {HTMLInputElement} */ (event.target);
+          if (!input || !input.dataset || !input.dataset.chain) return;
+          setEnabled(input.dataset.chain, Number(input.dataset.index), input.checked);
+        });
+        chainsEl.addEventListener("click", (event) => {
+          const button = /** @type {HTMLElement} */ (event.target).closest("[data-move]");
+          if (!button) return;
+          const data = /** @type {HTMLElement} */ (button).dataset;
+          move(data.chain || "", Number(data.index), data.move === "-1" ? -1 : 1);
+        });
+      }
+
+      panelEl.addEventListener("click", (event) => {
+        const button = /** @type {HTMLElement} */ (event.target).closest("[data-pipeline-action='reset']");
+        if (!button) return;
+        if (typeof root.confirm === "function" && !root.confirm("フィルタ構成を既定に戻します。よろしいですか？")) return;
+        reset();
+        notify("フィルタ構成を既定に戻しました。", "success");
+      });
+
+      if (exportBtn) {
+        exportBtn.addEventListener("click", () => {
+          const blob = new Blob([JSON.stringify(registry.exportConfig(), null, 2) + "\n"], { type: "application/json" });
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement("a");
+          a.href = url;
+          a.download = "pddc-pipeline.json";
+          document.body.appendChild(a);
+          a.click();
+          a.remove();
+          URL.revokeObjectURL(url);
+        });
+      }
+
+      if (importInput) {
+        importInput.addEventListener("change", () => {
+          const file = importInput.files && importInput.files[0];
+          if (!file) return;
+          file
+            .text()
+            .then((text) => {
+              const result = applyConfig(text);
+              notify(
+                "フィルタ構成を取り込みました（" + result.chains.length + " チェーン）。" +
+                  (result.warnings.length ? "\n" + result.warnings.join("\n") : ""),
+                result.warnings.length ? "error" : "success"
+              );
+            })
+            .catch((err) => notify(err && err.message ? err.message : String(err), "error"))
+            .finally(() => {
+              importInput.value = "";
+            });
+        });
+      }
+
+      render();
+    }
+
+    // 公開 API
+    return {
+      /**
+       * 構成を取り込んで保存する
+       */
+      applyConfig,
+
+      /**
+       * ステップの有効・無効を切り替える
+       */
+      setEnabled,
+
+      /**
+       * ステップを 1 つ前後に動かす
+       */
+      move,
+
+      /**
+       * 既定の構成に戻す
+       */
+      reset,
+
+      /**
+       * 対象のレジストリを設定し、画面をバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js 側から root.PipelineSettings として参照される
+  root.PipelineSettings = createPipelineSettings();
+})(globalThis);
@@ -152,9 +152,13 @@
 
   /**
    * 「<補正をする際の注意>」から
-   * 「(上記「●●●●」に置き換えて、「PA5J」と入力ください。)」までの
+   * メール行「※●●●●@jpo.go.jp (上記「●●●●」に置き換えて、「PA5J」と入力ください。)」までの
    * 範囲に含まれる空白行を削除します。
    *
+   * - メール行は審査官プロファイル（examinerProfile.js）の matchLine で判定します
+   *   （全角／半角、空白、英字の大小の違いは問いません）。
+   * - メール行が見つからない場合は何もしません。
+   *
    * @param {string} str 入力文字列
    * @returns {string} 該当範囲の空白行が削除された文字列
    */
@@ -163,10 +167,32 @@
     const s = String(str);
 
     const startMarker = "<補正をする際の注意>";
-    const endMarker =
-      "(上記「●●●●」に置き換えて、「PA5J」と入力ください。)";
-
-    return stripBetween_L(s, startMarker, endMarker);
+    const profile = root.ExaminerProfile;
+    if (!profile) return s;
+
+    // 改行コードを保つため "\n" で分け、行末の "\r" は isBlankLine / matchLine に任せる
+    const lines = s.split("\n");
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+      out.push(lines[i]);
+      if (lines[i].indexOf(startMarker) === -1) {
+        i++;
+        continue;
+      }
+      let end = i + 1;
+      while (end < lines.length && profile.matchLine(lines[end]) !== "mail") end++;
+      if (end === lines.length) {
+        i++;
+        continue;
+      }
+      for (let j = i + 1; j < end; j++) {
+        if (!isBlankLine(lines[j])) out.push(lines[j]);
+      }
+      out.push(lines[end]);
+      i = end + 1;
+    }
+    return out.join("\n");
   }
 
   /**
@@ -0,0 +1,404 @@
+/**
+ * textDiff.js
+ * --------------------------------------------------------------------------
+ * テキスト差分ユーティリティ
+ *
+ * ▼ 目的
+ *   - 2 つのテキスト（または任意の配列）の差分を求め、
+ *     「一致 / 挿入 / 削除」の並びとして返す。
+ *   - 回帰テスト（cli/golden.js）や画面上の差分表示から共通で利用する。
+ *
+ * ▼ アルゴリズム
+ *   - Myers の O(ND) 差分アルゴリズムを使用する。
+ *   - 共通の先頭・末尾はあらかじめ切り落とし、比較範囲を小さくしてから計算する。
+ *   - 編集距離が maxCost を超える場合は、残りを「全削除＋全挿入」として打ち切る
+ *     （巨大な入力でメモリを使い切らないための安全弁）。
+ *
+ * ▼ 文字単位の差分（diffInline）
+ *   - まず行単位で対応づけ、変更のあった行（ブロック）の中だけを文字単位で比較する。
+ *   - 「文字」はサロゲートペアや半角カナ＋濁点（ｶﾞ など）を 1 つとして扱う。
+ *   - 全角／半角の違いだけの文字（Ａ ↔ A、　↔ 半角スペース、ｶﾞ ↔ ガ など）は
+ *     挿入・削除ではなく "width" として区別する。
+ *
+ * ▼ 公開 API（root.TextDiff）
+ *   - diffSequences(a, b, options) : 配列同士の差分
+ *   - diffLines(a, b, options)     : 行単位の差分
+ *   - tokenizeChars(str)           : 文字単位に分割（日本語向け）
+ *   - foldWidth(str)               : 全角／半角の違いを吸収した比較用文字列
+ *   - diffChars(a, b, options)     : 文字単位の差分
+ *   - diffInline(a, b)             : 行→文字の 2 段階差分（全角／半角の区別つき）
+ * --------------------------------------------------------------------------
+ */
+
+(function (root) {
+  "use strict";
+
+  /**
+   * @typedef {Object} DiffOp
+   * @property {"equal"|"insert"|"delete"} type 操作種別
+   * @property {any[]} items 対象要素（行単位なら行文字列の配列）
+   * @property {number} aIndex a 側の開始インデックス
+   * @property {number} bIndex b 側の開始インデックス
+   */
+
+  /**
+   * @typedef {Object} DiffOptions
+   * @property {(x: any, y: any) => boolean} [equals] 要素の一致判定（既定は ===）
+   * @property {number} [maxCost] 編集距離の上限（既定 10000）
+   */
+
+  /**
+   * @typedef {Object} InlineSegment
+   * @property {"equal"|"insert"|"delete"|"width"} type 区間種別
+   * @property {string} text 表示する文字列（delete は変更前、それ以外は変更後の文字列）
+   * @property {string} [source] width の場合の変更前の文字列
+   */
+
+  /** 既定の編集距離上限 */
+  var DEFAULT_MAX_COST = 10000;
+
+  /**
+   * 文字単位の差分で使う編集距離上限
+   * - 行ブロックを文字で比較するため、行単位よりも小さくしてメモリ使用量を抑える。
+   */
+  var CHAR_MAX_COST = 2000;
+
+  /**
+   * 連続する同種の操作をまとめながら ops に追加する
+   * @param {DiffOp[]} ops
+   * @param {"equal"|"insert"|"delete"} type
+   * @param {any} item
+   * @param {number} aIndex
+   * @param {number} bIndex
+   */
+  function pushOp(ops, type, item, aIndex, bIndex) {
+    var last = ops.length ? ops[ops.length - 1] : null;
+    if (last && last.type === type) {
+      last.items.push(item);
+      return;
+    }
+    ops.push({ type: type, items: [item], aIndex: aIndex, bIndex: bIndex });
+  }
+
+  /**
+   * Myers 法で最短編集経路を探索し、復元用に各手数の V を記録する
+   * @param {any[]} a
+   * @param {any[]} b
+   * @param {(x: any, y: any) => boolean} eq
+   * @param {number} maxCost
+   * @returns {Array<Int32Array>|null} 各 d における V の写し（上限超過時は null）
+   */
+  function shortestEditTrace(a, b, eq, maxCost) {
+    var n = a.length;
+    var m = b.length;
+    var max = Math.min(n + m, maxCost);
+    var offset = max + 1;
+    var v = new Int32Array(2 * max + 3);
+    var trace = [];
+
+    for (var d = 0; d <= max; d++) {
+      // d 手目の V のうち必要な範囲 [-d, d] だけを保存してメモリを抑える
+      trace.push(v.slice(offset - d, offset + d + 1));
+
+      for (var k = -d; k <= d; k += 2) {
+        var x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1];
+        } else {
+          x = v[offset + k - 1] + 1;
+        }
+        var y = x - k;
+        while (x < n && y < m && eq(a[x], b[y])) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          return trace;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 2 つの配列の差分を求める
+   *
+   * @param {any[]} a 変更前
+   * @param {any[]} b 変更後
+   * @param {DiffOptions} [options]
+   * @returns {DiffOp[]} 差分操作の配列（a → b の順）
+   */
+  function diffSequences(a, b, options) {
+    var opts = options || {};
+    var eq = typeof opts.equals === "function" ? opts.equals : function (x, y) { return x === y; };
+    var maxCost = typeof opts.maxCost === "number" && opts.maxCost > 0 ? opts.maxCost : DEFAULT_MAX_COST;
+    var A = a || [];
+    var B = b || [];
+
+    /** @type {DiffOp[]} */
+    var ops = [];
+
+    // 共通の先頭
+    var head = 0;
+    while (head < A.length && head < B.length && eq(A[head], B[head])) {
+      pushOp(ops, "equal", A[head], head, head);
+      head++;
+    }
+
+    // 共通の末尾
+    var endA = A.length;
+    var endB = B.length;
+    while (endA > head && endB > head && eq(A[endA - 1], B[endB - 1])) {
+      endA--;
+      endB--;
+    }
+
+    var midA = A.slice(head, endA);
+    var midB = B.slice(head, endB);
+    var trace = midA.length && midB.length ? shortestEditTrace(midA, midB, eq, maxCost) : null;
+
+    if (trace) {
+      // 経路を後ろからたどって操作列を復元する
+      var steps = [];
+      var x = midA.length;
+      var y = midB.length;
+      for (var d = trace.length - 1; d > 0; d--) {
+        // trace[d] は d 手目開始時点（= d-1 手目終了時点）の V で、添字 k + d が対角線 k に対応する
+        var prev = trace[d];
+        var k = x - y;
+        var prevK;
+        if (k === -d || (k !== d && prev[k - 1 + d] < prev[k + 1 + d])) {
+          prevK = k + 1;
+        } else {
+          prevK = k - 1;
+        }
+        var prevX = prev[prevK + d];
+        var prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+          steps.push(["equal", x - 1, y - 1]);
+          x--;
+          y--;
+        }
+        if (x === prevX) {
+          steps.push(["insert", x, y - 1]);
+        } else {
+          steps.push(["delete", x - 1, y]);
+        }
+        x = prevX;
+        y = prevY;
+      }
+      while (x > 0 && y > 0) {
+        steps.push(["equal", x - 1, y - 1]);
+        x--;
+        y--;
+      }
+
+      for (var s = steps.length - 1; s >= 0; s--) {
+        var st = steps[s];
+        if (st[0] === "insert") {
+          pushOp(ops, "insert", midB[st[2]], head + st[1], head + st[2]);
+        } else {
+          pushOp(ops, st[0], midA[st[1]], head + st[1], head + st[2]);
+        }
+      }
+    } else {
+      // 片側が空、または編集距離が上限を超えた場合は全削除＋全挿入とする
+      for (var i = 0; i < midA.length; i++) pushOp(ops, "delete", midA[i], head + i, head);
+      for (var j = 0; j < midB.length; j++) pushOp(ops, "insert", midB[j], endA, head + j);
+    }
+
+    // 共通の末尾を追加
+    for (var t = 0; endA + t < A.length; t++) {
+      pushOp(ops, "equal", A[endA + t], endA + t, endB + t);
+    }
+
+    return ops;
+  }
+
+  /**
+   * 行単位の差分を求める
+   * - 改行コード（\r\n / \r / \n）の違いは無視して比較する。
+   *
+   * @param {string} a 変更前テキスト
+   * @param {string} b 変更後テキスト
+   * @param {DiffOptions} [options]
+   * @returns {DiffOp[]} 差分操作の配列（items は行文字列）
+   */
+  function diffLines(a, b, options) {
+    var la = String(a == null ? "" : a).split(/\r\n|\r|\n/);
+    var lb = String(b == null ? "" : b).split(/\r\n|\r|\n/);
+    return diffSequences(la, lb, options);
+  }
+
+  /**
+   * 文字列を「文字」に分割する
+   * - サロゲートペアは 1 文字として扱う（Array.from）。
+   * - 結合文字（濁点 U+3099 / 半濁点 U+309A）と、半角カナの後ろの ﾞ ﾟ は直前の文字にまとめる。
+   *
+   * @param {string} str
+   * @returns {string[]}
+   */
+  function tokenizeChars(str) {
+    var chars = Array.from(String(str == null ? "" : str));
+    var tokens = [];
+    for (var i = 0; i < chars.length; i++) {
+      var ch = chars[i];
+      var prev = tokens.length ? tokens[tokens.length - 1] : "";
+      if (/^[\u3099\u309A]$/.test(ch) && prev !== "" && prev !== "\n") {
+        tokens[tokens.length - 1] = prev + ch;
+      } else if (/^[\uFF9E\uFF9F]$/.test(ch) && /^[\uFF66-\uFF9D]$/.test(prev)) {
+        tokens[tokens.length - 1] = prev + ch;
+      } else {
+        tokens.push(ch);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * 全角／半角の違いを吸収した比較用文字列を返す
+   * - 全角英数字・記号（U+FF01〜U+FF5E）→ 半角
+   * - 全角スペース（U+3000）→ 半角スペース
+   * - 半角カナ（U+FF61〜U+FF9F）→ 全角カナ（濁点付きは 1 文字に合成）
+   * - それ以外の文字は変更しない（①→1 のような互換変換は行わない）
+   *
+   * @param {string} str
+   * @returns {string}
+   */
+  function foldWidth(str) {
+    return String(str == null ? "" : str)
+      .replace(/[\uFF01-\uFF5E]/g, function (ch) {
+        return String.fromCharCode(ch.charCodeAt(0) - 0xfee0);
+      })
+      .replace(/\u3000/g, " ")
+      .replace(/[\uFF61-\uFF9F]+/g, function (run) {
+        return run.normalize("NFKC");
+      });
+  }
+
+  /**
+   * 文字単位の差分を求める
+   *
+   * @param {string} a 変更前テキスト
+   * @param {string} b 変更後テキスト
+   * @param {DiffOptions} [options] 省略時の maxCost は CHAR_MAX_COST
+   * @returns {DiffOp[]} 差分操作の配列（items は tokenizeChars の要素）
+   */
+  function diffChars(a, b, options) {
+    var opts = options || {};
+    return diffSequences(tokenizeChars(a), tokenizeChars(b), {
+      equals: opts.equals,
+      maxCost: typeof opts.maxCost === "number" ? opts.maxCost : CHAR_MAX_COST
+    });
+  }
+
+  /**
+   * 行末の改行を含めて行に分割する（"a\nb" → ["a\n", "b"]）
+   * @param {string} str 改行を \n にそろえたテキスト
+   * @returns {string[]}
+   */
+  function splitLinesKeepEnds(str) {
+    return str.match(/[^\n]*\n|[^\n]+$/g) || [];
+  }
+
+  /**
+   * 行→文字の 2 段階で差分を求め、表示用の区間に変換する
+   *
+   * - 行単位では全角／半角の違いを無視して対応づける。
+   *   対応した行どうしは 1 行ずつ、対応しなかった行ブロックはまとめて文字単位で比較する。
+   * - 戻り値の区間を順に連結すると、
+   *     equal + insert + width の text → b
+   *     equal + delete + width の source → a
+   *   になる（改行コードは \n にそろえる）。
+   *
+   * @param {string} a 変更前テキスト
+   * @param {string} b 変更後テキスト
+   * @returns {InlineSegment[]}
+   */
+  function diffInline(a, b) {
+    var la = splitLinesKeepEnds(String(a == null ? "" : a).replace(/\r\n|\r/g, "\n"));
+    var lb = splitLinesKeepEnds(String(b == null ? "" : b).replace(/\r\n|\r/g, "\n"));
+
+    /** @type {InlineSegment[]} */
+    var segments = [];
+
+    function emit(type, text, source) {
+      if (text === "" && !source) return;
+      var last = segments.length ? segments[segments.length - 1] : null;
+      if (last && last.type === type) {
+        last.text += text;
+        if (type === "width") last.source += source;
+        return;
+      }
+      var seg = { type: type, text: text };
+      if (type === "width") seg.source = source;
+      segments.push(seg);
+    }
+
+    function emitChars(x, y) {
+      if (x === y) {
+        emit("equal", y);
+        return;
+      }
+      var ta = tokenizeChars(x);
+      var tb = tokenizeChars(y);
+      // 比較は全角／半角を吸収したキーで行い、結果は元の文字に戻して出力する
+      var ops = diffSequences(ta.map(foldWidth), tb.map(foldWidth), { maxCost: CHAR_MAX_COST });
+      ops.forEach(function (op) {
+        if (op.type === "delete") {
+          emit("delete", ta.slice(op.aIndex, op.aIndex + op.items.length).join(""));
+          return;
+        }
+        if (op.type === "insert") {
+          emit("insert", tb.slice(op.bIndex, op.bIndex + op.items.length).join(""));
+          return;
+        }
+        for (var k = 0; k < op.items.length; k++) {
+          var ca = ta[op.aIndex + k];
+          var cb = tb[op.bIndex + k];
+          if (ca === cb) emit("equal", cb);
+          else emit("width", cb, ca);
+        }
+      });
+    }
+
+    var ops = diffSequences(la.map(foldWidth), lb.map(foldWidth));
+    var pendingA = "";
+    var pendingB = "";
+
+    function flush() {
+      if (pendingA !== "" || pendingB !== "") emitChars(pendingA, pendingB);
+      pendingA = "";
+      pendingB = "";
+    }
+
+    ops.forEach(function (op) {
+      if (op.type === "delete") {
+        pendingA += la.slice(op.aIndex, op.aIndex + op.items.length).join("");
+      } else if (op.type === "insert") {
+        pendingB += lb.slice(op.bIndex, op.bIndex + op.items.length).join("");
+      } else {
+        flush();
+        for (var k = 0; k < op.items.length; k++) {
+          emitChars(la[op.aIndex + k], lb[op.bIndex + k]);
+        }
+      }
+    });
+    flush();
+
+    return segments;
+  }
+
+  // ------------------------------------------------------------------------
+  // グローバル公開
+  // ------------------------------------------------------------------------
+  root.TextDiff = {
+    diffSequences: diffSequences,
+    diffLines: diffLines,
+    tokenizeChars: tokenizeChars,
+    foldWidth: foldWidth,
+    diffChars: diffChars,
+    diffInline: diffInline
+  };
+})(globalThis);
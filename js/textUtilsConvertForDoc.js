@@ -316,57 +316,36 @@
     var str = String(text);
 
     // ------------------------------------------------------------
-    // 「記」行を境に、pre（上側） / tail（「記」行以降）に分割する
+    // 「記」行より上（条文部分）だけを変換する
     // ------------------------------------------------------------
     //
-    // - 行全体が
+    // - 「記」行の判定は DocumentSections（documentSections.js）に任せる。
+    //   行全体が
     //     [スペース*] 記 [スペース*] （引用文献等については引用文献等一覧参照）? [スペース*]
-    //   だけで構成されている行のみを「記」行とみなす。
+    //   だけで構成されている行のみを「記」行とみなすため、
+    //     「…下記の刊行物…」「…に記載された…」
+    //   などにはマッチしない。
+    // - 「記」行が存在しない文書には条文部分が無いため、何も変更されない。
     //
-    //   つまり：
-    //     「　　　　　記」
-    //     「　　　　　記　　　（引用文献等については引用文献等一覧参照）」
-    //   はマッチするが、
-    //     「…下記の刊行物…」
-    //     「…に記載された…」
-    //   はマッチしない。
-    //
-    // - pre  : 「記」行より上の全文
-    // - tail : 「記」行そのもの＋それ以降すべて
-    //
-    var splitByKiLinePattern =
-      /([\s\S]*?)(^[ 　]*記[ 　]*(?:[（(]引用文献等については引用文献等一覧参照[）)])?[ 　]*$[\s\S]*)/m;
-
-    // 「記」行が存在しない場合、replace は何も置き換えずそのまま str を返す
-    return str.replace(
-      splitByKiLinePattern,
-      function (__all, pre, tail) {
-        // --------------------------------------------------------
-        // 1) 「記」より上の部分だけ ASCII → 全角 変換
-        // --------------------------------------------------------
-        var convertedBefore = toZenkakuAscii(pre);
-
-        // --------------------------------------------------------
-        // 2) 「数字＋．」で始まる行の直後を 1 行だけ空行に正規化
-        // --------------------------------------------------------
-
-        // 改行コード種別の推定（必要に応じて簡易判定）
-        var newline = "\n";
-        if (/\r\n/.test(str)) {
-          newline = "\r\n";
-        } else if (/\r/.test(str)) {
-          newline = "\r";
-        }
-
-        convertedBefore = normalizeNumberedHeadingsWithBlankLine(
-          convertedBefore,
-          newline
-        );
-
-        // pre 側だけを加工し、tail（「記」行以降）は一切変更しない
-        return convertedBefore + "\n" + tail;
+    return root.DocumentSections.applyToSections(str, "条文部分", function (section) {
+      // 改行コード種別の推定（必要に応じて簡易判定）
+      var newline = "\n";
+      if (/\r\n/.test(str)) {
+        newline = "\r\n";
+      } else if (/\r/.test(str)) {
+        newline = "\r";
       }
-    );
+
+      // 1) ASCII → 全角 変換
+      // 2) 「数字＋．」で始まる行の直後を 1 行だけ空行に正規化
+      //
+      // ※ 末尾に改行を 1 つ足してから渡す。
+      //   従来どおり「記」行の直前に空行が 1 行入る（出力を変えないため）。
+      return normalizeNumberedHeadingsWithBlankLine(
+        toZenkakuAscii(section + "\n"),
+        newline
+      );
+    });
   }
 
 
@@ -484,19 +463,22 @@
     var pattern =
       /(-{20,}\r?\n)([\s\S]*?)(\r?\n[ \t\u3000]*この先行技術文献調査結果の記録は、拒絶理由を構成するものではありません。)/g;
 
-    return String(str).replace(pattern, function (_all, pre, inner, post) {
-      // inner（ハイフン行の次の行〜メッセージ直前）を行ごとに分解
-      var innerLines = splitLines(inner);
-
-      // 各行をルールベースで整形
-      var outLines = innerLines.map(function (line) {
-        return convertEachLine(line);
+    // 区切り線以降の「分類・参考文献」セクションだけを対象にする
+    return root.DocumentSections.applyToSections(str, "分類・参考文献", function (section) {
+      return section.replace(pattern, function (_all, pre, inner, post) {
+        // inner（ハイフン行の次の行〜メッセージ直前）を行ごとに分解
+        var innerLines = splitLines(inner);
+
+        // 各行をルールベースで整形
+        var outLines = innerLines.map(function (line) {
+          return convertEachLine(line);
+        });
+
+        // ハイフン行 / 整形後テキスト / 固定メッセージ の順で再構成
+        // pre には末尾の改行、post には先頭の改行を含めているので、
+        // ここでは追加の "\n" は挟まない。
+        return pre + joinLines(outLines) + post;
       });
-
-      // ハイフン行 / 整形後テキスト / 固定メッセージ の順で再構成
-      // pre には末尾の改行、post には先頭の改行を含めているので、
-      // ここでは追加の "\n" は挟まない。
-      return pre + joinLines(outLines) + post;
     });
   }
 
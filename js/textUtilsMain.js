@@ -624,15 +624,8 @@
       }
     );
 
-    // 令和YY年MM月DD日
-    s = s.replace(/令和([0-9０-９\s\u3000]+)年([0-9０-９\s\u3000]+)月([0-9０-９\s\u3000]+)日/g,
-      function (_all, y, m, d) {
-        y = padLeftZero(removeWS(y).trim(), 2);
-        m = padLeftZero(removeWS(m).trim(), 2);
-        d = padLeftZero(removeWS(d).trim(), 2);
-        return "令和" + fwNum(y) + "年" + fwNum(m) + "月" + fwNum(d) + "日";
-      }
-    );
+    // 日付（令和YY年MM月DD日 / 平成… / 2020年3月12日 / 2020.3.12 など。11. 参照）
+    s = fwDate(s);
 
     // 改良が必要
     // // キーワード後続番号列：先頭が数字で始まる列のみ（WPA-PSK 等を誤爆させない）
@@ -692,14 +685,34 @@
   function repKW(str, stars, kwPattern, f) {
     str = String(str ?? "");
 
+    var re = buildKWRegExp(stars, kwPattern);
+    if (!re) return str;
+
+    var fn = (typeof f === "function") ? f : function (x) { return x; };
+
+    // _all / star / between / kwd で受けて、kwd だけ変換して戻す
+    return str.replace(re, function (_all, star, between, kwd) {
+      var kwd2 = fn(kwd, star, _all);
+      return star + between + kwd2;
+    });
+  }
+
+  /**
+   * repKW / findKW 共通の「STAR_WORD + 空白 + KEYWORD」正規表現を作る
+   * - グループ: 1 = STAR_WORD, 2 = 間の空白, 3 = KEYWORD
+   * @param {string|string[]} stars
+   * @param {string|RegExp} kwPattern
+   * @returns {RegExp|null} STAR_WORD / KEYWORD が空なら null
+   */
+  function buildKWRegExp(stars, kwPattern) {
     // STAR_WORD を配列化
     var starList = Array.isArray(stars) ? stars : [stars];
     starList = starList.filter(function (s) { return s != null && String(s) !== ""; });
-    if (!starList.length) return str;
+    if (!starList.length) return null;
 
     // kwPattern を source 文字列化（/.../ ではなく source を想定）
     var kwSrc = (kwPattern instanceof RegExp) ? kwPattern.source : String(kwPattern ?? "");
-    if (!kwSrc) return str;
+    if (!kwSrc) return null;
 
     // STAR_WORD を正規表現化（長い語を優先して誤マッチを減らす）
     var starSrc = starList
@@ -708,15 +721,7 @@
       .join("|");
 
     // STAR_WORD の直後の空白は任意（半角/タブ/全角スペース）
-    var re = new RegExp("(" + starSrc + ")([ \\t\\u3000]*)(" + kwSrc + ")", "g");
-
-    var fn = (typeof f === "function") ? f : function (x) { return x; };
-
-    // _all / star / between / kwd で受けて、kwd だけ変換して戻す
-    return str.replace(re, function (_all, star, between, kwd) {
-      var kwd2 = fn(kwd, star, _all);
-      return star + between + kwd2;
-    });
+    return new RegExp("(" + starSrc + ")([ \\t\\u3000]*)(" + kwSrc + ")", "g");
 
     // 正規表現用のエスケープ
     function escRe(s) {
@@ -724,6 +729,35 @@
     }
   }
 
+  /**
+   * 「STAR_WORD + KEYWORD」の出現をすべて返す（置換はしない）
+   * - repKW と同じ文法で照合するので、整合性チェックなどで
+   *   「変換で全角化される番号列」と同じ範囲を拾える。
+   * @param {string} str 入力テキスト
+   * @param {string|string[]} stars STAR_WORD
+   * @param {string|RegExp} kwPattern KEYWORD のパターン（kw() の戻り値など）
+   * @returns {Array<{star: string, kwd: string, index: number, kwdIndex: number}>}
+   *   index は STAR_WORD の先頭位置、kwdIndex は KEYWORD の先頭位置
+   */
+  function findKW(str, stars, kwPattern) {
+    str = String(str ?? "");
+    var re = buildKWRegExp(stars, kwPattern);
+    var found = [];
+    if (!re) return found;
+
+    var m;
+    while ((m = re.exec(str)) != null) {
+      found.push({
+        star: m[1],
+        kwd: m[3],
+        index: m.index,
+        kwdIndex: m.index + m[1].length + m[2].length
+      });
+      if (m[0] === "") re.lastIndex++;
+    }
+    return found;
+  }
+
   /**
    * KEYWORD パターンを生成して返す（文字列）
    *
@@ -774,6 +808,53 @@
     }
   }
 
+  /** expandKW が展開する範囲の番号の数の上限（誤記の「１－１０００００」などで止まらないように） */
+  var MAX_KW_RANGE = 2000;
+
+  /**
+   * kw() の KEYWORD に一致した番号列を個々の番号に展開する
+   *
+   * 例: "１－３及び５" → ["1", "2", "3", "5"] / "(1)、(4)" → ["1", "4"] / "4a、4b" → ["4a", "4b"]
+   *
+   * - 全角英数字・全角ダッシュは半角にそろえる。
+   * - 範囲（A−B）は両端が数字のときだけ展開し、それ以外は両端だけを返す。
+   * - 逆順の範囲（5−3）も両端を含めて展開する。
+   * - 番号の数が MAX_KW_RANGE を超える範囲（1−100000 など）は展開せず、"1-100000" のまま返す。
+   *   oversized を渡すと、その範囲をそこにも追加する（呼び出し側で指摘するため）。
+   *
+   * @param {string} kwd KEYWORD 文字列
+   * @param {string[]} [oversized] 展開しなかった範囲の追加先
+   * @returns {string[]} 出現順の番号（重複は除かない）
+   */
+  function expandKW(kwd, oversized) {
+    var s = String(kwd ?? "")
+      .replace(/[０-９Ａ-Ｚａ-ｚ（）［］]/g, function (c) {
+        return String.fromCharCode(c.charCodeAt(0) - 0xfee0);
+      })
+      .replace(/[－−‐–—]/g, "-")
+      .replace(/[()\[\]\s\u3000]/g, "");
+
+    var out = [];
+    s.split(/[、,，]|及び|又は/).forEach(function (term) {
+      if (!term) return;
+      var ends = term.split("-").filter(Boolean);
+      if (ends.length === 2 && /^[0-9]+$/.test(ends[0]) && /^[0-9]+$/.test(ends[1])) {
+        var a = parseInt(ends[0], 10);
+        var b = parseInt(ends[1], 10);
+        if (Math.abs(b - a) + 1 > MAX_KW_RANGE) {
+          out.push(ends[0] + "-" + ends[1]);
+          if (oversized) oversized.push(ends[0] + "-" + ends[1]);
+          return;
+        }
+        var step = a <= b ? 1 : -1;
+        for (var n = a; n !== b + step; n += step) out.push(String(n));
+        return;
+      }
+      ends.forEach(function (e) { out.push(e); });
+    });
+    return out;
+  }
+
 
   // ======================================================================
   // 6. 引用箇所番号全角化（安全側：数字開始のみ）
@@ -904,6 +985,293 @@
     return stripBlankLinesBetween(String(str), "『", "』");
   }
 
+  // ======================================================================
+  // 11. 日付（和暦／西暦）
+  // ======================================================================
+
+  /**
+   * 元号の一覧（新しい順）
+   * - start は初日。各元号は次の元号の前日まで。
+   * - letter はドット区切り（R2.3.12）の略記。
+   */
+  var ERAS = [
+    { name: "令和", letter: "R", start: [2019, 5, 1] },
+    { name: "平成", letter: "H", start: [1989, 1, 8] },
+    { name: "昭和", letter: "S", start: [1926, 12, 25] }
+  ];
+
+  /**
+   * 日付の出力方針（setDatePolicy で変更）
+   * - calendar : "keep"（元の暦のまま） / "era"（和暦にそろえる） / "western"（西暦にそろえる）
+   * - pad      : 元号の年と月・日を全角スペースで 2 桁にそろえる（令和　２年　３月１２日）
+   * - gannen   : "keep"（元の表記のまま） / "gannen"（1 年を元年と書く） / "number"（1 年と書く）
+   */
+  var DEFAULT_DATE_POLICY = { calendar: "keep", pad: true, gannen: "keep" };
+  var datePolicy = {
+    calendar: DEFAULT_DATE_POLICY.calendar,
+    pad: DEFAULT_DATE_POLICY.pad,
+    gannen: DEFAULT_DATE_POLICY.gannen
+  };
+
+  /** 未記入の数字（令和○年○○月○○日） */
+  var DATE_PLACEHOLDER = /^[○〇◯]+$/;
+
+  /**
+   * ドット・スラッシュ区切り（2020.3.12 / R2.3.12）を日付とみなす文脈
+   * - 版番号（ver 2020.1.2）や手順番号（S1.2.3の図）と区別するため、
+   *   直前に「出願日」などの見出し、または直後に「付け」「提出」などがあるときだけ拾う。
+   * - 行にその日付だけが書かれている場合も日付とみなす。
+   */
+  var DOTTED_DATE_BEFORE = /(?:日付|年月日|出願日|優先日|提出日|発送日|起案日|作成日|受付日|公開日|発行日|登録日|納付日)[ \u3000]*[:：]?[ \u3000]*$/;
+  var DOTTED_DATE_AFTER = /^[ \u3000]*(?:付|提出|発送|出願|受付|起案|作成|公開|発行|登録|納付|現在|まで|以降|以前|から)/;
+
+  /**
+   * 日付の正規表現（3 形式をまとめて走査する）
+   * - 1〜4  : 元号（令和２年３月１２日 / 令和元年… / 令和○年○○月○○日）
+   * - 5〜7  : 西暦（2020年3月12日）
+   * - 8〜11 : ドット・スラッシュ区切り（2020.3.12 / 2020/3/12 / R2.3.12）
+   * ※ 前後の文字（数字の途中など）は scanDates 側で判定する。
+   */
+  var DATE_RE = (function () {
+    var SP = "[ \\u3000]*";
+    var MD = SP + "([0-9０-９]{1,2}|[○〇◯]{1,2})" + SP;
+    var ERA = "(" + ERAS.map(function (e) { return e.name; }).join("|") + ")" +
+      SP + "([0-9０-９]{1,2}|元|[○〇◯]{1,2})" + SP + "年" + MD + "月" + MD + "日";
+    var WEST = "([0-9０-９]{4})" + SP + "年" + MD + "月" + MD + "日";
+    var DOT = "([RHSＲＨＳ]?)([0-9０-９]{1,4})[.．/／]([0-9０-９]{1,2})[.．/／]([0-9０-９]{1,2})";
+    return new RegExp(ERA + "|" + WEST + "|" + DOT, "g");
+  })();
+
+  /**
+   * 全角数字を半角にして数値化（未記入は null）
+   * @param {string} s
+   * @returns {number|null}
+   */
+  function dateNumber(s) {
+    if (s == null || DATE_PLACEHOLDER.test(s)) return null;
+    if (s === "元") return 1;
+    return parseInt(String(s).replace(/[０-９]/g, function (c) {
+      return String.fromCharCode(c.charCodeAt(0) - 0xfee0);
+    }), 10);
+  }
+
+  /**
+   * 年月日を比較用の数値にする（20200312 など）
+   */
+  function dateKey(y, m, d) {
+    return y * 10000 + m * 100 + d;
+  }
+
+  /**
+   * 月の日数（グレゴリオ暦）
+   */
+  function daysInMonth(y, m) {
+    if (m === 2) return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0 ? 29 : 28;
+    return [4, 6, 9, 11].indexOf(m) !== -1 ? 30 : 31;
+  }
+
+  /**
+   * 西暦の年月日が属する元号（昭和より前は null）
+   * @returns {{era: Object, year: number}|null}
+   */
+  function eraOf(y, m, d) {
+    var key = dateKey(y, m, d);
+    for (var i = 0; i < ERAS.length; i++) {
+      var s = ERAS[i].start;
+      if (key >= dateKey(s[0], s[1], s[2])) return { era: ERAS[i], year: y - s[0] + 1 };
+    }
+    return null;
+  }
+
+  /**
+   * 日付として成り立つか検証し、問題があれば理由を返す
+   * @param {Object} date scanDates の 1 件（placeholder 以外）
+   * @returns {string|null}
+   */
+  function dateProblem(date) {
+    if (date.month < 1 || date.month > 12) return date.month + "月は存在しません。";
+    if (date.day < 1 || date.day > daysInMonth(date.year, date.month)) {
+      return date.year + "年" + date.month + "月は" + daysInMonth(date.year, date.month) + "日までです。";
+    }
+    if (date.era) {
+      if (date.eraYear < 1) return date.era + "0年は存在しません。";
+      var actual = eraOf(date.year, date.month, date.day);
+      if (!actual || actual.era.name !== date.era) {
+        return date.era + "の期間外の日付です（" +
+          (actual ? actual.era.name + (actual.year === 1 ? "元" : actual.year) + "年" : "西暦" + date.year + "年") +
+          date.month + "月" + date.day + "日）。";
+      }
+    }
+    return null;
+  }
+
+  /**
+   * テキスト中の日付をすべて拾う
+   * - 和暦・西暦・ドット区切りの 3 形式。全角数字、未記入の ○ も扱う。
+   * - 数字や英字の途中から始まるもの（12020年…、IP アドレスなど）は日付とみなさない。
+   * - ドット・スラッシュ区切りは DOTTED_DATE_BEFORE / DOTTED_DATE_AFTER の文脈があるものだけ拾う。
+   *
+   * @param {string} str
+   * @returns {Array<{
+   *   index: number, length: number, text: string,
+   *   form: "era"|"western"|"dotted",
+   *   era: string|null, eraYear: number|null, gannen: boolean,
+   *   year: number|null, month: number|null, day: number|null,
+   *   raw: {year: string, month: string, day: string},
+   *   placeholder: boolean, valid: boolean, problem: string|null
+   * }>}
+   */
+  function findDates(str) {
+    str = String(str ?? "");
+    var found = [];
+    var re = new RegExp(DATE_RE.source, "g");
+    var m;
+
+    while ((m = re.exec(str)) != null) {
+      var before = m.index > 0 ? str.charAt(m.index - 1) : "";
+      var after = str.charAt(m.index + m[0].length);
+      var date = { index: m.index, length: m[0].length, text: m[0], era: null, eraYear: null, gannen: false, year: null };
+
+      if (m[1]) {
+        date.form = "era";
+        date.era = m[1];
+        date.eraYear = dateNumber(m[2]);
+        date.gannen = m[2] === "元";
+        date.month = dateNumber(m[3]);
+        date.day = dateNumber(m[4]);
+        date.raw = { year: m[2], month: m[3], day: m[4] };
+      } else if (m[5]) {
+        if (/[0-9０-９]/.test(before)) continue;
+        date.form = "western";
+        date.year = dateNumber(m[5]);
+        date.month = dateNumber(m[6]);
+        date.day = dateNumber(m[7]);
+        date.raw = { year: m[5], month: m[6], day: m[7] };
+      } else {
+        var letter = m[8];
+        if (/[0-9０-９A-Za-zＡ-Ｚａ-ｚ.．\/／]/.test(before) || /[0-9０-９.．\/／]/.test(after)) continue;
+        if (letter ? m[9].length > 2 : m[9].length !== 4) continue;
+        var lineStart = str.lastIndexOf("\n", m.index - 1) + 1;
+        var lineEnd = str.indexOf("\n", m.index + m[0].length);
+        var head = str.slice(lineStart, m.index);
+        var tail = str.slice(m.index + m[0].length, lineEnd === -1 ? str.length : lineEnd);
+        var alone = /^[ \u3000]*$/.test(head) && /^[ \u3000\r]*$/.test(tail);
+        if (!alone && !DOTTED_DATE_BEFORE.test(head) && !DOTTED_DATE_AFTER.test(tail)) continue;
+        date.form = "dotted";
+        if (letter) {
+          var code = letter.replace(/[Ａ-Ｚ]/, function (c) { return String.fromCharCode(c.charCodeAt(0) - 0xfee0); });
+          date.era = ERAS.filter(function (e) { return e.letter === code; })[0].name;
+          date.eraYear = dateNumber(m[9]);
+        } else {
+          date.year = dateNumber(m[9]);
+        }
+        date.month = dateNumber(m[10]);
+        date.day = dateNumber(m[11]);
+        date.raw = { year: m[9], month: m[10], day: m[11] };
+      }
+
+      date.placeholder = date.month == null || date.day == null || (date.era ? date.eraYear == null : date.year == null);
+      if (!date.placeholder && date.era) {
+        var era = ERAS.filter(function (e) { return e.name === date.era; })[0];
+        date.year = era.start[0] + date.eraYear - 1;
+      }
+      date.problem = date.placeholder ? null : dateProblem(date);
+      date.valid = !date.placeholder && date.problem == null;
+      found.push(date);
+    }
+    return found;
+  }
+
+  /**
+   * 日付を出力方針に従って全角の「年月日」表記にする
+   * - 暦の変換は有効な日付だけに行う（未記入・存在しない日付は元の暦のまま整形する）。
+   * - 未記入の ○ はそのまま残す。
+   * @param {Object} date findDates の 1 件
+   * @param {Object} [policy] 省略時は setDatePolicy で設定した方針
+   * @returns {string}
+   */
+  function formatDate(date, policy) {
+    var p = policy || datePolicy;
+    var pad = p.pad !== false;
+    var part = function (n, raw) {
+      if (n == null) return raw;
+      return fwNum(pad ? padLeftZero(String(n), 2) : String(n));
+    };
+    var blanks = date.raw || {};
+
+    var useEra = date.era != null;
+    if (date.valid && p.calendar === "era") useEra = eraOf(date.year, date.month, date.day) != null;
+    if (date.valid && p.calendar === "western") useEra = false;
+
+    var md = part(date.month, blanks.month) + "月" + part(date.day, blanks.day) + "日";
+    if (!useEra) return fwNum(String(date.year)) + "年" + md;
+
+    var era = date.era;
+    var eraYear = date.eraYear;
+    if (date.valid && (date.era == null || p.calendar === "era")) {
+      var actual = eraOf(date.year, date.month, date.day);
+      era = actual.era.name;
+      eraYear = actual.year;
+    }
+    var gannen = p.gannen === "gannen" || (p.gannen !== "number" && date.gannen && eraYear === 1);
+    var y = eraYear === 1 && gannen ? "元" : part(eraYear, blanks.year);
+    return era + y + "年" + md;
+  }
+
+  /**
+   * テキスト中の日付を出力方針に従って整形する
+   * - 例: 令和2年3月12日 → 令和　２年　３月１２日 / 2020.3.12付け → ２０２０年　３月１２日付け
+   * - 見つかった日付はすべて全角で整形する。存在しない日付（令和2年2月30日）や元号の期間外の日付
+   *   （平成31年5月1日）は元の暦のまま整形し、未記入の ○ はそのまま残す（指摘は dateCheck.js に任せる）。
+   * @param {string} str
+   * @param {Object} [policy] 省略時は setDatePolicy で設定した方針
+   * @returns {string}
+   */
+  function fwDate(str, policy) {
+    str = String(str ?? "");
+    var dates = findDates(str);
+    if (!dates.length) return str;
+
+    var out = "";
+    var cursor = 0;
+    dates.forEach(function (date) {
+      out += str.slice(cursor, date.index) + formatDate(date, policy);
+      cursor = date.index + date.length;
+    });
+    return out + str.slice(cursor);
+  }
+
+  /**
+   * 日付の出力方針を変更する（指定した項目だけ上書き）
+   * @param {{calendar?: string, pad?: boolean, gannen?: string}|null} patch null で既定に戻す
+   * @returns {{calendar: string, pad: boolean, gannen: string}} 変更後の方針
+   */
+  function setDatePolicy(patch) {
+    var next = patch == null ? DEFAULT_DATE_POLICY : patch;
+    if (next.calendar != null) {
+      if (["keep", "era", "western"].indexOf(next.calendar) === -1) {
+        throw new Error("setDatePolicy: calendar は keep / era / western のいずれかです: " + next.calendar);
+      }
+      datePolicy.calendar = next.calendar;
+    }
+    if (next.gannen != null) {
+      if (["keep", "gannen", "number"].indexOf(next.gannen) === -1) {
+        throw new Error("setDatePolicy: gannen は keep / gannen / number のいずれかです: " + next.gannen);
+      }
+      datePolicy.gannen = next.gannen;
+    }
+    if (next.pad != null) datePolicy.pad = !!next.pad;
+    return getDatePolicy();
+  }
+
+  /**
+   * 現在の日付の出力方針（コピー）
+   * @returns {{calendar: string, pad: boolean, gannen: string}}
+   */
+  function getDatePolicy() {
+    return { calendar: datePolicy.calendar, pad: datePolicy.pad, gannen: datePolicy.gannen };
+  }
+
   // ======================================================================
   // 公開
   // ======================================================================
@@ -927,6 +1295,20 @@
 
     // 行構造
     tightLines: tightLines,
-    tightClaims: tightClaims
+    tightClaims: tightClaims,
+
+    // 番号列（「引用文献１－３及び５」など）の文法
+    kw: kw,
+    repKW: repKW,
+    findKW: findKW,
+    expandKW: expandKW,
+    MAX_KW_RANGE: MAX_KW_RANGE,
+
+    // 日付（和暦／西暦）
+    findDates: findDates,
+    formatDate: formatDate,
+    fwDate: fwDate,
+    setDatePolicy: setDatePolicy,
+    getDatePolicy: getDatePolicy
   };
 })(globalThis);
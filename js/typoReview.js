@@ -0,0 +1,381 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * タイポ検査結果のレビュー（変換を止めない確認画面）
+   * - JaTypoChecker.check の結果を入力欄の下のパネル（#typoReview）に重大度つきで一覧表示し、
+   *   入力欄の背面に重ねたレイヤ（#inputHighlights）で該当箇所を強調する。
+   * - 一覧の項目を押すと入力欄のキャレットを該当箇所へ移動する。
+   *   置換候補を持つルールは、その場で置き換えるボタンも表示する。
+   * - 「この箇所を無視」「このルールを無視」はこの文書に限った指定としてメモリ上に持つ
+   *   （入力欄を空にすると解除される）。恒久的に無視したい場合は文書内ディレクティブ
+   *   （@typo-ignore）を使う。
+   * - DOM 操作はブラウザ環境で、かつ #typoReview が存在するときのみ実行される。
+   * - app.js からは root.TypoReview 経由で利用する想定。
+   */
+  function createTypoReview() {
+    /** 入力中に再検査するまでの待ち時間（ms） */
+    const RECHECK_DELAY = 300;
+
+    /** 重大度の表示名 */
+    const SEVERITY_LABELS = { error: "エラー", warning: "警告", info: "情報" };
+
+    /** @type {Set<string>} この文書で無視するルール ID */
+    const ignoredRules = new Set();
+    /** @type {Set<string>} この文書で無視する箇所のキー */
+    const ignoredOccurrences = new Set();
+
+    /** @type {{hasError: boolean, items: any[], ignored: any[], counts: Record<string, number>}|null} */
+    let lastResult = null;
+
+    /** @type {HTMLTextAreaElement|null} */
+    let inputEl = null;
+    /** @type {HTMLElement|null} */
+    let panelEl = null;
+    /** @type {HTMLElement|null} */
+    let summaryEl = null;
+    /** @type {HTMLElement|null} */
+    let listEl = null;
+    /** @type {HTMLElement|null} */
+    let overlayEl = null;
+    /** @type {HTMLElement|null} */
+    let wrapEl = null;
+    /** @type {number|null} */
+    let recheckTimer = null;
+
+    /** @type {() => void} */
+    let onConvertAnyway = () => {};
+    /** @type {(message: string, type?: string) => void} */
+    let notify = () => {};
+
+    /**
+     * 現在の無視指定で検査する
+     * @param {string} text
+     * @returns {{hasError: boolean, items: any[], ignored: any[], counts: Record<string, number>}}
+     */
+    function runCheck(text) {
+      if (!root.JaTypoChecker || typeof root.JaTypoChecker.check !== "function") {
+        return { hasError: false, items: [], ignored: [], counts: {} };
+      }
+      const result = root.JaTypoChecker.check(text, { ignoredRules, ignoredOccurrences });
+      return {
+        hasError: !!(result && result.hasError),
+        items: (result && result.items) || [],
+        ignored: (result && result.ignored) || [],
+        counts: (result && result.counts) || {},
+      };
+    }
+
+    /**
+     * 背面レイヤに入力テキストを写し、該当箇所を <mark> で囲む
+     * @param {string} text
+     * @param {any[]} items
+     */
+    function renderHighlights(text, items) {
+      if (!overlayEl || !wrapEl) return;
+      overlayEl.innerHTML = "";
+
+      const active = items.length > 0;
+      wrapEl.classList.toggle("has-typo-highlights", active);
+      if (!active) return;
+
+      const fragment = document.createDocumentFragment();
+      let cursor = 0;
+      items.forEach((item, i) => {
+        // 重なった検出は先の項目を優先する
+        if (item.index < cursor) return;
+        if (item.index > cursor) fragment.appendChild(document.createTextNode(text.slice(cursor, item.index)));
+        const mark = document.createElement("mark");
+        mark.className = "typo-highlight__mark typo-highlight__mark--" + (item.severity || "error");
+        mark.dataset.typoIndex = String(i);
+        mark.textContent = item.match;
+        fragment.appendChild(mark);
+        cursor = item.index + item.match.length;
+      });
+      // 末尾の改行が潰れないように幅 0 の文字を足す
+      fragment.appendChild(document.createTextNode(text.slice(cursor) + "\u200b"));
+      overlayEl.appendChild(fragment);
+      syncScroll();
+    }
+
+    /**
+     * 背面レイヤのスクロール位置を入力欄に合わせる
+     */
+    function syncScroll() {
+      if (!overlayEl || !inputEl) return;
+      overlayEl.scrollTop = inputEl.scrollTop;
+      overlayEl.scrollLeft = inputEl.scrollLeft;
+    }
+
+    /**
+     * 一覧を描画する
+     * @param {{items: any[], ignored: any[], counts: Record<string, number>}} result
+     */
+    function renderList(result) {
+      if (!listEl || !summaryEl) return;
+
+      const ignoredNote = result.ignored.length > 0 ? "（無視 " + result.ignored.length + " 件）" : "";
+      const counts = Object.keys(SEVERITY_LABELS)
+        .filter((severity) => result.counts[severity] > 0)
+        .map((severity) => SEVERITY_LABELS[severity] + " " + result.counts[severity] + " 件");
+      summaryEl.textContent =
+        result.items.length > 0
+          ? "タイポの可能性がある箇所: " + counts.join(" / ") + ignoredNote
+          : "確認が必要な箇所はありません" + ignoredNote + "。";
+
+      listEl.innerHTML = "";
+      result.items.forEach((item, i) => {
+        const severity = item.severity || "error";
+        const li = document.createElement("li");
+        li.className = "typo-review__item typo-review__item--" + severity;
+
+        const jump = document.createElement("button");
+        jump.type = "button";
+        jump.className = "typo-review__jump";
+        jump.dataset.typoAction = "jump";
+        jump.dataset.typoIndex = String(i);
+
+        const pos = document.createElement("span");
+        pos.className = "typo-review__pos";
+        pos.textContent = item.line + ":" + item.column;
+        const badge = document.createElement("span");
+        badge.className = "typo-review__severity";
+        badge.textContent = SEVERITY_LABELS[severity] || severity;
+        pos.appendChild(badge);
+        const message = document.createElement("span");
+        message.className = "typo-review__message";
+        message.textContent = item.message;
+        const excerpt = document.createElement("span");
+        excerpt.className = "typo-review__excerpt";
+        excerpt.textContent = item.context;
+        jump.appendChild(pos);
+        jump.appendChild(message);
+        jump.appendChild(excerpt);
+
+        const actions = document.createElement("span");
+        actions.className = "typo-review__item-actions";
+        const buttons = [
+          ["ignoreOccurrence", "この箇所を無視"],
+          ["ignoreRule", "このルールを無視"],
+        ];
+        if (item.replacement != null) {
+          buttons.unshift(["replace", "「" + item.replacement + "」に置換"]);
+        }
+        buttons.forEach(([action, label]) => {
+          const btn = document.createElement("button");
+          btn.type = "button";
+          btn.className = "btn btn-secondary typo-review__small";
+          btn.dataset.typoAction = action;
+          btn.dataset.typoIndex = String(i);
+          btn.textContent = label;
+          if (action === "ignoreRule") btn.title = "ルール: " + item.id;
+          actions.appendChild(btn);
+        });
+
+        li.appendChild(jump);
+        li.appendChild(actions);
+        listEl.appendChild(li);
+      });
+    }
+
+    /**
+     * 入力欄のキャレットを該当箇所へ移動し、見える位置までスクロールする
+     * @param {number} i lastResult.items の添字
+     */
+    function jumpTo(i) {
+      const item = lastResult && lastResult.items[i];
+      if (!item || !inputEl) return;
+
+      inputEl.focus();
+      inputEl.setSelectionRange(item.index, item.index + item.match.length);
+
+      // 背面レイヤの <mark> の位置から縦スクロール量を求める
+      const mark = overlayEl && overlayEl.querySelector('[data-typo-index="' + i + '"]');
+      if (mark) {
+        inputEl.scrollTop = Math.max(0, /** @type {HTMLElement} */ (mark).offsetTop - inputEl.clientHeight / 3);
+        syncScroll();
+      }
+    }
+
+    /**
+     * 該当箇所を置換候補で置き換える（元に戻せるように入力欄の編集として行う）
+     * @param {number} i lastResult.items の添字
+     */
+    function replaceAt(i) {
+      const item = lastResult && lastResult.items[i];
+      if (!item || !inputEl || item.replacement == null) return;
+
+      // 検査後に入力が変わっていたら置き換えない
+      if (inputEl.value.slice(item.index, item.index + item.match.length) !== item.match) {
+        refresh();
+        return;
+      }
+
+      inputEl.focus();
+      inputEl.setSelectionRange(item.index, item.index + item.match.length);
+      // execCommand は入力欄の Undo 履歴に残る。使えない環境では setRangeText で置き換える
+      const done = typeof document.execCommand === "function" && document.execCommand("insertText", false, item.replacement);
+      if (!done) {
+        inputEl.setRangeText(item.replacement, item.index, item.index + item.match.length, "end");
+        inputEl.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+      refresh();
+    }
+
+    /**
+     * 入力欄の内容で再検査して表示を更新する（パネル表示中のみ）
+     */
+    function refresh() {
+      if (!inputEl || !panelEl || panelEl.hidden) return;
+      show(runCheck(inputEl.value || ""));
+    }
+
+    /**
+     * 検査結果を表示する
+     * @param {{hasError: boolean, items: any[], ignored: any[], counts: Record<string, number>}} result
+     */
+    function show(result) {
+      lastResult = result;
+      if (!panelEl || !inputEl) return;
+      renderList(result);
+      renderHighlights(inputEl.value || "", result.items);
+      panelEl.hidden = false;
+    }
+
+    /**
+     * パネルと強調表示を消す（無視指定は残す）
+     */
+    function clear() {
+      lastResult = null;
+      if (panelEl) panelEl.hidden = true;
+      if (listEl) listEl.innerHTML = "";
+      if (overlayEl) overlayEl.innerHTML = "";
+      if (wrapEl) wrapEl.classList.remove("has-typo-highlights");
+    }
+
+    /**
+     * この文書に対する無視指定をすべて解除する
+     */
+    function resetIgnores() {
+      ignoredRules.clear();
+      ignoredOccurrences.clear();
+    }
+
+    /**
+     * テキストを検査し、確認が必要な箇所があればパネルに表示する
+     * - warning / info だけの場合もパネルは表示する（変換を止めるかは hasError で呼び出し側が決める）。
+     * - 確認が必要な箇所が無ければパネルを閉じる。
+     * @param {string} text 検査対象（入力欄の内容）
+     * @returns {{hasError: boolean, items: any[], ignored: any[], counts: Record<string, number>}}
+     */
+    function review(text) {
+      const result = runCheck(text);
+      if (result.items.length > 0) show(result);
+      else clear();
+      return result;
+    }
+
+    /**
+     * パネル内のボタン操作
+     * @param {MouseEvent} event
+     */
+    function handleClick(event) {
+      const target = /** @type {HTMLElement} */ (event.target);
+      const button = target && target.closest ? target.closest("[data-typo-action]") : null;
+      if (!button) return;
+
+      const action = /** @type {HTMLElement} */ (button).dataset.typoAction;
+      const item = lastResult && lastResult.items[Number(/** @type {HTMLElement} */ (button).dataset.typoIndex)];
+
+      if (action === "jump") {
+        jumpTo(Number(/** @type {HTMLElement} */ (button).dataset.typoIndex));
+      } else if (action === "replace") {
+        replaceAt(Number(/** @type {HTMLElement} */ (button).dataset.typoIndex));
+      } else if (action === "ignoreOccurrence" && item) {
+        ignoredOccurrences.add(item.key);
+        refresh();
+      } else if (action === "ignoreRule" && item) {
+        ignoredRules.add(item.id);
+        refresh();
+        notify("この文書ではルール「" + item.id + "」を無視します。", "info");
+      } else if (action === "resetIgnores") {
+        resetIgnores();
+        refresh();
+      } else if (action === "convertAnyway") {
+        onConvertAnyway();
+      } else if (action === "close") {
+        clear();
+      }
+    }
+
+    /**
+     * 画面の要素をバインドする
+     * @param {Object} options
+     * @param {HTMLTextAreaElement} options.input 入力欄
+     * @param {() => void} [options.onConvertAnyway] 「このまま変換」の処理
+     * @param {(message: string, type?: string) => void} [options.notify] トースト表示など
+     */
+    function mount(options) {
+      if (typeof document === "undefined" || panelEl) return;
+
+      panelEl = document.getElementById("typoReview");
+      if (!panelEl || !options || !options.input) {
+        panelEl = null;
+        return;
+      }
+
+      inputEl = options.input;
+      onConvertAnyway = options.onConvertAnyway || onConvertAnyway;
+      notify = options.notify || notify;
+      summaryEl = document.getElementById("typoReviewSummary");
+      listEl = document.getElementById("typoReviewList");
+      overlayEl = document.getElementById("inputHighlights");
+      wrapEl = overlayEl ? overlayEl.parentElement : null;
+
+      panelEl.addEventListener("click", handleClick);
+      inputEl.addEventListener("scroll", syncScroll);
+
+      // 入力中は少し待ってから再検査（位置がずれた強調表示を残さない）
+      inputEl.addEventListener("input", () => {
+        if (!inputEl.value) {
+          // 入力を空にしたら別の文書とみなす
+          resetIgnores();
+          clear();
+          return;
+        }
+        if (recheckTimer != null) root.clearTimeout(recheckTimer);
+        recheckTimer = root.setTimeout(() => {
+          recheckTimer = null;
+          refresh();
+        }, RECHECK_DELAY);
+      });
+    }
+
+    // 公開 API
+    return {
+      /**
+       * テキストを検査し、確認が必要な箇所があればパネルに表示する
+       */
+      review,
+
+      /**
+       * パネルと強調表示を消す
+       */
+      clear,
+
+      /**
+       * この文書に対する無視指定（ルール・箇所）をすべて解除する
+       */
+      resetIgnores,
+
+      /**
+       * 画面の要素をバインドする
+       */
+      mount,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - app.js 側から root.TypoReview として参照される
+  root.TypoReview = createTypoReview();
+})(globalThis);
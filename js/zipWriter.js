@@ -0,0 +1,157 @@
+(function (root) {
+  "use strict";
+
+  /**
+   * ZIP 書き出し（無圧縮）
+   * - .docx（OOXML）を組み立てるための最小限の ZIP 作成処理。サーバやライブラリは使わない。
+   * - エントリはすべて無圧縮（stored）で格納する。.docx の中身は小さいため圧縮しなくても困らない。
+   * - ファイル名は UTF-8 で格納する（汎用ビット 11 を立てる）。
+   * - ブラウザ・Node.js のどちらでも動く（TextEncoder と Uint8Array のみ使用）。
+   * - docxExport.js / batchConvert.js からは root.ZipWriter 経由で利用する想定。
+   */
+  function createZipWriter() {
+    /** CRC-32 のテーブル（多項式 0xEDB88320） */
+    const CRC_TABLE = (() => {
+      const table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+      }
+      return table;
+    })();
+
+    /**
+     * CRC-32 を計算する
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    function crc32(bytes) {
+      let c = 0xffffffff;
+      for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+      return (c ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * 日時を DOS 形式（ZIP のヘッダ用）にする
+     * @param {Date} date
+     * @returns {{time: number, date: number}}
+     */
+    function toDosTime(date) {
+      const year = Math.max(1980, date.getFullYear());
+      return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+      };
+    }
+
+    /**
+     * @typedef {Object} ZipEntry
+     * @property {string} name ZIP 内のパス（"word/document.xml" など。区切りは /）
+     * @property {string|Uint8Array} data 内容（文字列は UTF-8 で格納する）
+     */
+
+    /**
+     * ZIP を作る
+     * @param {ZipEntry[]} entries 格納順に並べたエントリ
+     * @param {Object} [options]
+     * @param {Date} [options.date] 各エントリの更新日時（省略時は現在時刻）
+     * @returns {Uint8Array} ZIP のバイト列
+     */
+    function createZip(entries, options) {
+      if (!Array.isArray(entries)) throw new Error("ZipWriter.createZip: entries は配列で指定してください。");
+      const encoder = new TextEncoder();
+      const dos = toDosTime((options && options.date) || new Date());
+
+      const locals = [];
+      const centrals = [];
+      let offset = 0;
+
+      entries.forEach((entry) => {
+        if (!entry || typeof entry.name !== "string" || !entry.name) {
+          throw new Error("ZipWriter.createZip: エントリ名がありません。");
+        }
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data === "string" ? encoder.encode(entry.data) : entry.data;
+        // 別の realm（Node の vm など）の Uint8Array も受け付けるため instanceof は使わない
+        if (!ArrayBuffer.isView(data) || data.BYTES_PER_ELEMENT !== 1) {
+          throw new Error("ZipWriter.createZip: " + entry.name + " の内容は文字列か Uint8Array で指定してください。");
+        }
+        const crc = crc32(data);
+
+        // ローカルファイルヘッダ
+        const local = new Uint8Array(30 + name.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        lv.setUint16(4, 20, true); // 展開に必要なバージョン
+        lv.setUint16(6, 0x0800, true); // UTF-8 のファイル名
+        lv.setUint16(8, 0, true); // 無圧縮
+        lv.setUint16(10, dos.time, true);
+        lv.setUint16(12, dos.date, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, name.length, true);
+        lv.setUint16(28, 0, true);
+        local.set(name, 30);
+
+        // セントラルディレクトリ
+        const central = new Uint8Array(46 + name.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        cv.setUint16(4, 20, true); // 作成したバージョン
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, 0x0800, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, dos.time, true);
+        cv.setUint16(14, dos.date, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, name.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+      });
+
+      const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+
+      // セントラルディレクトリの終端
+      const end = new Uint8Array(22);
+      const ev = new DataView(end.buffer);
+      ev.setUint32(0, 0x06054b50, true);
+      ev.setUint16(8, entries.length, true);
+      ev.setUint16(10, entries.length, true);
+      ev.setUint32(12, centralSize, true);
+      ev.setUint32(16, offset, true);
+
+      const out = new Uint8Array(offset + centralSize + end.length);
+      let pos = 0;
+      locals.concat(centrals, [end]).forEach((part) => {
+        out.set(part, pos);
+        pos += part.length;
+      });
+      return out;
+    }
+
+    // 公開 API
+    return {
+      /**
+       * ZIP を作る（無圧縮）
+       */
+      createZip,
+
+      /**
+       * CRC-32 を計算する
+       */
+      crc32,
+    };
+  }
+
+  // グローバルにエクスポート
+  // - docxExport.js / batchConvert.js から root.ZipWriter として参照される
+  root.ZipWriter = createZipWriter();
+})(globalThis);